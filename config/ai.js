@@ -1,4 +1,13 @@
 // config/ai.js
+function parseJSON(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
 const AI_CONFIG = {
   claude: {
     model: 'claude-3-5-sonnet-20241022',
@@ -6,6 +15,7 @@ const AI_CONFIG = {
     temperature: 0.1, // Low for consistent operation parsing
     maxRetries: 3,
     retryDelay: 1000, // Base delay in ms
+    maxRepairAttempts: 2, // Re-asks after a tool call fails validation
     timeoutMs: 30000,
 
     // Token management
@@ -19,6 +29,47 @@ const AI_CONFIG = {
     cacheTTL: 300000, // 5 minutes
   },
 
+  llm: {
+    // Default provider and model; accounts and users can override both
+    provider: process.env.AI_PROVIDER || 'anthropic',
+    model: process.env.AI_MODEL || process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
+
+    providers: {
+      anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY
+      },
+      openai: {
+        // Any server implementing the OpenAI chat completions API
+        baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+        model: process.env.OPENAI_COMPATIBLE_MODEL || 'gpt-4o-mini'
+      },
+      fixture: {
+        // JSON file of recorded responses for deterministic runs
+        path: process.env.AI_FIXTURE_PATH
+      }
+    },
+
+    // Per-account overrides, e.g. {"12345": {"provider": "openai", "model": "gpt-4o"}}
+    accounts: parseJSON(process.env.AI_ACCOUNT_PROVIDERS, {}),
+
+    // Provider inferred from a model preference without a "provider:" prefix
+    modelPrefixes: {
+      claude: 'anthropic',
+      gpt: 'openai',
+      o1: 'openai',
+      o3: 'openai'
+    },
+
+    preferenceCacheTTL: 300000, // 5 minutes
+
+    // Ask the model to classify errors the recovery rules do not recognise
+    errorClassification: process.env.AI_ERROR_CLASSIFICATION !== 'false',
+
+    // Ask the model to correct parameters monday.com rejected
+    parameterRepair: process.env.AI_PARAMETER_REPAIR !== 'false'
+  },
+
   confidence: {
     // Confidence thresholds for different actions
     thresholds: {
@@ -38,19 +89,45 @@ const AI_CONFIG = {
   },
 
   operations: {
-    // Supported operation types with complexity scores
+    // Supported operation types with complexity scores; the model reports
+    // interpretations through one tool per type whose parameters are the
+    // required and optional ones listed here
     types: {
-      ITEM_CREATE: { complexity: 3, requiredParams: ['boardId', 'itemName'] },
-      ITEM_UPDATE: { complexity: 4, requiredParams: ['itemId', 'boardId'] },
-      ITEM_DELETE: { complexity: 5, requiredParams: ['itemId', 'boardId'] },
-      BOARD_CREATE: { complexity: 6, requiredParams: ['workspaceId', 'boardName'] },
-      BOARD_UPDATE: { complexity: 4, requiredParams: ['boardId'] },
-      COLUMN_CREATE: { complexity: 5, requiredParams: ['boardId', 'columnTitle', 'columnType'] },
-      COLUMN_UPDATE: { complexity: 4, requiredParams: ['boardId', 'columnId'] },
-      USER_ASSIGN: { complexity: 3, requiredParams: ['itemId', 'userId'] },
-      STATUS_UPDATE: { complexity: 2, requiredParams: ['itemId', 'statusValue'] },
-      AUTOMATION_CREATE: { complexity: 8, requiredParams: ['boardId', 'trigger', 'action'] },
-      BULK_OPERATION: { complexity: 7, requiredParams: ['boardId', 'operation', 'criteria'] }
+      ITEM_CREATE: {
+        complexity: 3,
+        requiredParams: ['boardId', 'itemName'],
+        optionalParams: ['boardName', 'groupId', 'groupName', 'columnValues']
+      },
+      ITEM_UPDATE: {
+        complexity: 4,
+        requiredParams: ['itemId', 'boardId'],
+        optionalParams: ['boardName', 'itemName', 'columnValues']
+      },
+      ITEM_DELETE: { complexity: 5, requiredParams: ['itemId', 'boardId'], optionalParams: ['boardName', 'itemName'] },
+      BOARD_CREATE: { complexity: 6, requiredParams: ['workspaceId', 'boardName'], optionalParams: ['boardKind', 'templateId'] },
+      BOARD_UPDATE: { complexity: 4, requiredParams: ['boardId'], optionalParams: ['boardName', 'name', 'description'] },
+      COLUMN_CREATE: { complexity: 5, requiredParams: ['boardId', 'columnTitle', 'columnType'], optionalParams: ['boardName'] },
+      COLUMN_UPDATE: {
+        complexity: 4,
+        requiredParams: ['boardId', 'columnId'],
+        optionalParams: ['boardName', 'columnName', 'newTitle']
+      },
+      USER_ASSIGN: {
+        complexity: 3,
+        requiredParams: ['itemId', 'userId'],
+        optionalParams: ['boardId', 'boardName', 'itemName', 'userName', 'userEmail']
+      },
+      STATUS_UPDATE: {
+        complexity: 2,
+        requiredParams: ['itemId', 'statusValue'],
+        optionalParams: ['boardId', 'boardName', 'itemName']
+      },
+      AUTOMATION_CREATE: { complexity: 8, requiredParams: ['boardId', 'trigger', 'action'], optionalParams: ['name'] },
+      BULK_OPERATION: {
+        complexity: 7,
+        requiredParams: ['boardId', 'operation', 'criteria'],
+        optionalParams: ['boardName', 'action', 'columnValues']
+      }
     },
 
     // Priority order for ambiguous operations
@@ -141,6 +218,23 @@ const AI_CONFIG = {
     recoveryTimeout: 30000
   },
 
+  recovery: {
+    // Operation types a recovery strategy is limited to, by strategy name;
+    // unlisted strategies apply to every operation type
+    operationTypes: {
+      'ai-parameter-repair': [
+        'create_item',
+        'update_item',
+        'move_item',
+        'assign_user',
+        'bulk_update',
+        'add_column',
+        'create_automation'
+      ],
+      'duplicate-item': ['create_item']
+    }
+  },
+
   errors: {
     // Error handling configuration
     retryableErrors: [
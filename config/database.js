@@ -0,0 +1,50 @@
+// config/database.js
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { environment } = require('./environment');
+
+/**
+ * Connect mongoose to MongoDB when a connection string is configured.
+ * Stores built on utils/persistent-store fall back to process memory
+ * while the connection is not open.
+ * @returns {Promise<boolean>} Whether a connection was established
+ */
+async function connectDatabase(uri = environment.MONGODB_URI) {
+  if (!uri) {
+    logger.warn('MONGODB_URI not configured, using in-memory stores');
+    return false;
+  }
+
+  try {
+    await mongoose.connect(uri, {
+      serverSelectionTimeoutMS: 5000
+    });
+    logger.info('MongoDB connected');
+    return true;
+  } catch (error) {
+    logger.error('MongoDB connection failed, using in-memory stores', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Whether the default mongoose connection is open
+ */
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Close the default mongoose connection
+ */
+async function disconnectDatabase() {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+}
+
+module.exports = {
+  connectDatabase,
+  isDatabaseConnected,
+  disconnectDatabase
+};
@@ -22,10 +22,12 @@ const environment = {
   MONDAY_CLIENT_ID: process.env.MONDAY_CLIENT_ID,
   MONDAY_CLIENT_SECRET: process.env.MONDAY_CLIENT_SECRET,
   MONDAY_SIGNING_SECRET: process.env.MONDAY_SIGNING_SECRET,
+  MONDAY_PREVIOUS_SIGNING_SECRETS: process.env.MONDAY_PREVIOUS_SIGNING_SECRETS,
   MONDAY_APP_ID: process.env.MONDAY_APP_ID,
   MONDAY_APP_VERSION_ID: process.env.MONDAY_APP_VERSION_ID,
   MONDAY_API_URL: process.env.MONDAY_API_URL || 'https://api.monday.com/v2',
   MONDAY_API_VERSION: process.env.MONDAY_API_VERSION || '2024-01',
+  MONDAY_MENTION_HANDLE: process.env.MONDAY_MENTION_HANDLE || 'AIWorkflow',
 
   // OAuth Configuration
   REDIRECT_URI: process.env.REDIRECT_URI || `${process.env.APP_BASE_URL || process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`}/auth/monday/callback`,
@@ -34,11 +36,16 @@ const environment = {
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
   CLAUDE_MODEL: process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
   CLAUDE_API_URL: process.env.CLAUDE_API_URL || 'https://api.anthropic.com',
+  AI_PROVIDER: process.env.AI_PROVIDER || 'anthropic',
+  OPENAI_COMPATIBLE_BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+  OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY,
 
   // Security Configuration
   JWT_SECRET: process.env.JWT_SECRET,
+  CONFIRMATION_SECRET: process.env.CONFIRMATION_SECRET,
   ENCRYPTION_KEY: process.env.ENCRYPTION_KEY,
   SESSION_SECRET: process.env.SESSION_SECRET,
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
 
   // Rate Limiting Configuration
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minute
@@ -47,6 +54,11 @@ const environment = {
 
   // Database Configuration
   DATABASE_URL: process.env.DATABASE_URL,
+  MONGODB_URI: process.env.MONGODB_URI,
+  RECYCLE_BIN_RETENTION_DAYS: parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || 30,
+  ERROR_AUDIT_RETENTION_DAYS: parseInt(process.env.ERROR_AUDIT_RETENTION_DAYS) || 90,
+  CONVERSATION_SESSION_TTL_MINUTES: parseInt(process.env.CONVERSATION_SESSION_TTL_MINUTES) || 60,
+  CONVERSATION_MAX_TURNS: parseInt(process.env.CONVERSATION_MAX_TURNS) || 10,
 
   // Storage Configuration
   STORAGE_ENCRYPTION_KEY: process.env.STORAGE_ENCRYPTION_KEY,
@@ -129,14 +141,16 @@ function getConfig() {
       apiUrl: environment.MONDAY_API_URL,
       apiVersion: environment.MONDAY_API_VERSION,
       appId: environment.MONDAY_APP_ID,
-      appVersionId: environment.MONDAY_APP_VERSION_ID
+      appVersionId: environment.MONDAY_APP_VERSION_ID,
+      mentionHandle: environment.MONDAY_MENTION_HANDLE
     },
     
     // Claude AI specific
     claudeConfig: {
       apiKey: environment.ANTHROPIC_API_KEY,
       model: environment.CLAUDE_MODEL,
-      apiUrl: environment.CLAUDE_API_URL
+      apiUrl: environment.CLAUDE_API_URL,
+      provider: environment.AI_PROVIDER
     },
     
     // Security specific
@@ -1,39 +1,49 @@
 const { Storage, SecureStorage, Logger } = require('@mondaycom/apps-sdk');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { currentCassette } = require('../utils/cassette');
+const { MondayApiClient } = require('../utils/monday-api');
 
-// Create a simple Monday client using axios
-const mondayClient = {
-  api: async (query, variables = {}) => {
-    try {
-      const response = await axios.post('https://api.monday.com/v2', {
-        query,
-        variables
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'API-Version': '2024-01'
-        }
-      });
-      return response.data;
-    } catch (error) {
-      logger.error('Monday API call failed:', error);
-      throw error;
-    }
+async function callMondayApi(query, variables) {
+  try {
+    const response = await axios.post('https://api.monday.com/v2', {
+      query,
+      variables
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'API-Version': '2024-01'
+      }
+    });
+    return response.data;
+  } catch (error) {
+    logger.error('Monday API call failed:', error);
+    throw error;
   }
-};
+}
 
 // Configuration object
 const mondayConfig = {
   clientId: process.env.MONDAY_CLIENT_ID,
   clientSecret: process.env.MONDAY_CLIENT_SECRET,
   signingSecret: process.env.MONDAY_SIGNING_SECRET,
+
+  // Every secret that may sign incoming requests; the current one first.
+  // During rotation the old secret stays in MONDAY_PREVIOUS_SIGNING_SECRETS
+  // (comma separated) until Monday.com has switched over.
+  signingSecrets: [
+    process.env.MONDAY_SIGNING_SECRET,
+    ...(process.env.MONDAY_PREVIOUS_SIGNING_SECRETS || '').split(',')
+  ].map(secret => (secret || '').trim()).filter(Boolean),
   appId: process.env.MONDAY_APP_ID,
   appVersionId: process.env.MONDAY_APP_VERSION_ID,
   apiUrl: process.env.MONDAY_API_URL || 'https://api.monday.com/v2',
   oauthUrl: 'https://auth.monday.com/oauth2/authorize',
   tokenUrl: 'https://auth.monday.com/oauth2/token',
 
+  // @mention that turns an item update into an AI command
+  mentionHandle: process.env.MONDAY_MENTION_HANDLE || 'AIWorkflow',
+
   // Required OAuth scopes for full functionality
   requiredScopes: [
     'me:read',
@@ -59,6 +69,19 @@ const mondayConfig = {
   }
 };
 
+// Shared client; calls are throttled against each account's complexity budget
+// and recorded or replayed while a cassette is inserted.
+const mondayClient = new MondayApiClient({
+  budget: mondayConfig.rateLimits.complexity,
+  transport: (query, variables) => {
+    const cassette = currentCassette();
+    if (cassette) {
+      return cassette.intercept('monday', { query, variables }, () => callMondayApi(query, variables));
+    }
+    return callMondayApi(query, variables);
+  }
+});
+
 // Initialize storage instances
 let storage = null;
 let secureStorage = null;
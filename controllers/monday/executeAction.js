@@ -1,6 +1,6 @@
 // controllers/monday/executeAction.js
-const crypto = require('crypto');
 const logger = require('../../utils/logger');
+const { verifyMondaySignature } = require('../../middleware/monday-signature');
 const ClaudeService = require('../../services/claude');
 const OperationExecutor = require('../../services/operation-executor');
 const ValidationService = require('../../services/validation');
@@ -17,40 +17,11 @@ class ExecuteActionController {
   }
 
   /**
-   * Verify Monday.com webhook signature
+   * Verify Monday.com request signature
+   * Delegates to the shared raw-body verifier.
    */
   verifySignature(req, res, next) {
-    try {
-      const signature = req.get('authorization');
-      const body = JSON.stringify(req.body);
-
-      if (!signature) {
-        logger.warn('Missing Monday.com signature');
-        return res.status(401).json({ error: 'Missing signature' });
-      }
-
-      // Monday.com sends signature as "Bearer <signature>"
-      const receivedSignature = signature.replace('Bearer ', '');
-
-      // Calculate expected signature
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.MONDAY_SIGNING_SECRET)
-        .update(body)
-        .digest('hex');
-
-      if (receivedSignature !== expectedSignature) {
-        logger.warn('Invalid Monday.com signature', {
-          received: receivedSignature.substring(0, 10) + '...',
-          expected: expectedSignature.substring(0, 10) + '...'
-        });
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-
-      next();
-    } catch (error) {
-      logger.error('Signature verification failed', { error: error.message });
-      res.status(500).json({ error: 'Signature verification failed' });
-    }
+    return verifyMondaySignature(req, res, next);
   }
 
   /**
@@ -135,6 +106,17 @@ class ExecuteActionController {
         });
       }
 
+      // The action's operations share one undo entry; in all-or-nothing mode
+      // a failed operation rolls back everything before it
+      const batchId = this.operationExecutor.generateOperationId();
+      const transaction = this.isAllOrNothing(inputFields)
+        ? this.operationExecutor.beginTransaction({
+          ...context,
+          accessToken: req.mondayAccessToken || context.accessToken
+        }, batchId)
+        : null;
+      let rollback = null;
+
       // Execute the operations with error recovery
       const executionResults = [];
       for (const operation of aiResponse.operations) {
@@ -143,13 +125,21 @@ class ExecuteActionController {
         let lastError = null;
 
         while (attempt <= maxAttempts) {
+          const checkpoint = transaction?.checkpoint();
+
           try {
             const result = await this.operationExecutor.execute(operation, {
               ...context,
               accessToken: req.mondayAccessToken || context.accessToken,
-              attempt
+              attempt,
+              batchId,
+              transaction
             });
 
+            if (!result.success) {
+              throw new Error(result.error || `Operation ${operation.type} failed`);
+            }
+
             executionResults.push({
               operation: operation.type,
               success: true,
@@ -164,7 +154,7 @@ class ExecuteActionController {
             // Attempt error recovery
             const recoveryResult = await this.errorRecoveryService.attemptRecovery(
               operationError,
-              { operation, attempt, ...context }
+              { operation, attempt, ...context, accountId, userId, boardId, userInput }
             );
 
             if (recoveryResult.successful && recoveryResult.shouldRetry && attempt < maxAttempts) {
@@ -175,6 +165,12 @@ class ExecuteActionController {
               });
               attempt++;
 
+              // Partial changes of the failed attempt are reverted before the
+              // retry so the transaction does not compensate them twice
+              if (transaction) {
+                await transaction.rollbackTo(checkpoint);
+              }
+
               // Apply any data fixes from recovery
               if (recoveryResult.newData) {
                 operation.parameters = recoveryResult.newData;
@@ -201,11 +197,44 @@ class ExecuteActionController {
             }
           }
         }
+
+        if (transaction && !executionResults[executionResults.length - 1].success) {
+          rollback = await transaction.rollback();
+          await this.operationExecutor.discardUndo(batchId);
+          break;
+        }
+      }
+
+      if (transaction && !rollback) {
+        transaction.commit();
       }
 
       // Calculate execution time
       const executionTime = Date.now() - startTime;
 
+      if (rollback) {
+        logger.warn('Monday.com action rolled back', {
+          boardId,
+          itemId,
+          executionTime,
+          rollbackStatus: rollback.status,
+          compensated: rollback.compensated,
+          failed: rollback.failed,
+          irreversible: rollback.irreversible
+        });
+
+        return res.status(500).json({
+          success: false,
+          error: 'Action rolled back',
+          message: executionResults[executionResults.length - 1].error,
+          code: 'TRANSACTION_ROLLED_BACK',
+          executionResults,
+          operationsSkipped: aiResponse.operations.length - executionResults.length,
+          rollback,
+          executionTime
+        });
+      }
+
       // Log successful execution
       logger.info('Monday.com action execution completed', {
         boardId,
@@ -246,6 +275,14 @@ class ExecuteActionController {
     }
   }
 
+  /**
+   * Whether the action asked for all-or-nothing execution
+   */
+  isAllOrNothing(inputFields) {
+    const value = inputFields?.allOrNothing ?? inputFields?.all_or_nothing;
+    return value === true || value === 'true';
+  }
+
   /**
    * Extract user input from Monday.com input fields
    */
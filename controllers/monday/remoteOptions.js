@@ -1,8 +1,9 @@
 // controllers/monday/remoteOptions.js
-const crypto = require('crypto');
-const { logger } = require('../../utils/logger');
+const logger = require('../../utils/logger');
+const { verifyMondaySignature } = require('../../middleware/monday-signature');
 const ContextService = require('../../services/context');
 const { mondayClient } = require('../../config/monday');
+const { runWithMondayContext } = require('../../utils/monday-api');
 
 class RemoteOptionsController {
   constructor() {
@@ -10,34 +11,11 @@ class RemoteOptionsController {
   }
 
   /**
-   * Verify Monday.com webhook signature
+   * Verify Monday.com request signature
+   * Delegates to the shared raw-body verifier.
    */
   verifySignature(req, res, next) {
-    try {
-      const signature = req.get('authorization');
-      const body = JSON.stringify(req.body);
-      
-      if (!signature) {
-        logger.warn('Missing Monday.com signature for remote options');
-        return res.status(401).json({ error: 'Missing signature' });
-      }
-
-      const receivedSignature = signature.replace('Bearer ', '');
-      const expectedSignature = crypto
-        .createHmac('sha256', process.env.MONDAY_SIGNING_SECRET)
-        .update(body)
-        .digest('hex');
-
-      if (receivedSignature !== expectedSignature) {
-        logger.warn('Invalid Monday.com signature for remote options');
-        return res.status(401).json({ error: 'Invalid signature' });
-      }
-
-      next();
-    } catch (error) {
-      logger.error('Remote options signature verification failed', { error: error.message });
-      res.status(500).json({ error: 'Signature verification failed' });
-    }
+    return verifyMondaySignature(req, res, next);
   }
 
   /**
@@ -74,42 +52,9 @@ class RemoteOptionsController {
         columnId
       });
 
-      let options = [];
-
-      // Generate options based on field type
-      switch (fieldType) {
-        case 'board_selector':
-          options = await this.getBoardOptions(accountId);
-          break;
-          
-        case 'column_selector':
-          options = await this.getColumnOptions(boardId);
-          break;
-          
-        case 'user_selector':
-          options = await this.getUserOptions(accountId);
-          break;
-          
-        case 'group_selector':
-          options = await this.getGroupOptions(boardId);
-          break;
-          
-        case 'status_selector':
-          options = await this.getStatusOptions(boardId, columnId);
-          break;
-          
-        case 'automation_template':
-          options = await this.getAutomationTemplates();
-          break;
-          
-        case 'ai_operation_type':
-          options = await this.getAIOperationTypes();
-          break;
-          
-        default:
-          logger.warn('Unknown field type for remote options', { fieldType });
-          options = [];
-      }
+      // monday.com calls for the options count against the requesting account's budget
+      const options = await runWithMondayContext({ accountId }, () =>
+        this.optionsFor(fieldType, { boardId, columnId, accountId }));
 
       logger.info('Remote options generated', {
         fieldType,
@@ -136,6 +81,40 @@ class RemoteOptionsController {
     }
   }
 
+  /**
+   * Options for one field type
+   * @private
+   */
+  async optionsFor(fieldType, { boardId, columnId, accountId }) {
+    // Generate options based on field type
+    switch (fieldType) {
+      case 'board_selector':
+        return this.getBoardOptions(accountId);
+
+      case 'column_selector':
+        return this.getColumnOptions(boardId);
+
+      case 'user_selector':
+        return this.getUserOptions(accountId);
+
+      case 'group_selector':
+        return this.getGroupOptions(boardId);
+
+      case 'status_selector':
+        return this.getStatusOptions(boardId, columnId);
+
+      case 'automation_template':
+        return this.getAutomationTemplates();
+
+      case 'ai_operation_type':
+        return this.getAIOperationTypes();
+
+      default:
+        logger.warn('Unknown field type for remote options', { fieldType });
+        return [];
+    }
+  }
+
   /**
    * Get board options for dropdown
    */
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const logger = require('../utils/logger');
@@ -139,9 +140,31 @@ async function checkRateLimit(req, res, next) {
   next();
 }
 
+/**
+ * Restrict operator endpoints to holders of ADMIN_API_KEY
+ */
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+
+  if (!expected) {
+    return res.status(403).json({ error: 'Admin API is disabled' });
+  }
+
+  const provided = Buffer.from(req.get('x-admin-key') || '');
+  const secret = Buffer.from(expected);
+
+  if (provided.length !== secret.length || !crypto.timingSafeEqual(provided, secret)) {
+    logger.warn('Rejected admin request', { path: req.path, ip: req.ip });
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+}
+
 module.exports = {
   verifyMondayJWT,
   requireMondayAuth,
+  requireAdminKey,
   extractMondayContext,
   checkRateLimit
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+// middleware/monday-signature.js
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { mondayConfig } = require('../config/monday');
+
+/**
+ * body-parser `verify` hook that keeps the exact request bytes
+ * Signatures are computed over the raw body; re-serializing req.body changes
+ * key order and whitespace and breaks the HMAC.
+ */
+function captureRawBody(req, res, buf) {
+  if (buf && buf.length) {
+    req.rawBody = buf;
+  }
+}
+
+/**
+ * Extract the signature from the request headers
+ * Monday.com sends "Authorization: Bearer <signature>"; the
+ * X-Monday-Signature header is accepted as well.
+ * @private
+ */
+function getSignature(req) {
+  const header = req.get('authorization') || req.get('x-monday-signature');
+  if (!header) return null;
+
+  return header.replace(/^Bearer\s+/i, '').trim();
+}
+
+/**
+ * Check a signature against every active signing secret
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} signature - Hex HMAC-SHA256 received with the request
+ * @param {Array<string>} [secrets] - Active signing secrets, current first
+ * @returns {number} Index of the matching secret, or -1
+ */
+function matchSignature(rawBody, signature, secrets = mondayConfig.signingSecrets) {
+  if (!signature || !/^[0-9a-f]+$/i.test(signature)) {
+    return -1;
+  }
+
+  const received = Buffer.from(signature.toLowerCase(), 'hex');
+
+  // Check every secret so the response time does not reveal which one matched
+  let match = -1;
+  secrets.forEach((secret, index) => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    if (received.length === expected.length && crypto.timingSafeEqual(received, expected) && match === -1) {
+      match = index;
+    }
+  });
+
+  return match;
+}
+
+/**
+ * Reject requests that are not signed with an active Monday.com signing secret
+ */
+function verifyMondaySignature(req, res, next) {
+  try {
+    const signature = getSignature(req);
+
+    if (!signature) {
+      logger.warn('Missing Monday.com signature', { path: req.originalUrl });
+      return res.status(401).json({ error: 'Missing signature' });
+    }
+
+    const secrets = mondayConfig.signingSecrets;
+    if (secrets.length === 0) {
+      logger.error('No Monday.com signing secret configured');
+      return res.status(500).json({ error: 'Signature verification failed' });
+    }
+
+    if (!req.rawBody) {
+      logger.error('Raw request body unavailable; install captureRawBody as the body-parser verify hook', {
+        path: req.originalUrl
+      });
+      return res.status(500).json({ error: 'Signature verification failed' });
+    }
+
+    const match = matchSignature(req.rawBody, signature, secrets);
+
+    if (match === -1) {
+      logger.warn('Invalid Monday.com signature', { path: req.originalUrl });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (match > 0) {
+      logger.info('Request signed with a previous signing secret', { path: req.originalUrl, secretIndex: match });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Signature verification failed', { error: error.message });
+    res.status(500).json({ error: 'Signature verification failed' });
+  }
+}
+
+module.exports = {
+  captureRawBody,
+  matchSignature,
+  verifyMondaySignature
+};
@@ -0,0 +1,90 @@
+// models/AutomationRule.js
+const mongoose = require('mongoose');
+
+const automationRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  accountId: {
+    type: String,
+    index: true
+  },
+  boardId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  },
+
+  // Natural language rule as entered by the user
+  instruction: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Compiled recipe
+  trigger: {
+    event: {
+      type: String,
+      enum: ['create_item', 'change_column_value'],
+      required: true
+    },
+    columnId: String,
+    columnTitle: String,
+    columnType: String
+  },
+  condition: {
+    operator: {
+      type: String,
+      enum: ['any', 'equals', 'not_equals', 'changes_from', 'empty'],
+      default: 'any'
+    },
+    value: String,
+    from: String
+  },
+  operations: [{
+    type: { type: String },
+    parameters: mongoose.Schema.Types.Mixed
+  }],
+  compiledAt: {
+    type: Date
+  },
+
+  // Confirmation of destructive actions: the recipe the author approved
+  approval: {
+    approvedBy: String,
+    approvedAt: Date,
+    tokenId: String,
+    operationHash: String
+  },
+
+  // Run statistics
+  triggerCount: {
+    type: Number,
+    default: 0
+  },
+  lastTriggeredAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'automation_rules',
+  minimize: false
+});
+
+automationRuleSchema.index({ boardId: 1, 'trigger.event': 1, enabled: 1 });
+
+module.exports = mongoose.model('AutomationRule', automationRuleSchema);
@@ -0,0 +1,91 @@
+// models/BulkJob.js
+const mongoose = require('mongoose');
+
+const bulkJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'paused', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+
+  // Executor operation and the context it runs in
+  operation: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  context: {
+    accountId: { type: String, index: true },
+    userId: { type: String, index: true },
+    boardId: { type: String },
+    requestId: { type: String }
+  },
+  // When the confirmation token of a destructive job was spent
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Where the next run starts; set after every batch
+  cursor: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  progress: {
+    total: { type: Number },
+    processed: { type: Number, default: 0 },
+    successful: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Most recent per-item failures
+  failures: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  error: {
+    type: String
+  },
+
+  // One journaled operation per run; pausing ends a run
+  operationIds: {
+    type: [String],
+    default: []
+  },
+  pauseRequested: {
+    type: Boolean,
+    default: false
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'bulk_jobs',
+  minimize: false
+});
+
+bulkJobSchema.index({ 'context.accountId': 1, queuedAt: -1 });
+
+module.exports = mongoose.model('BulkJob', bulkJobSchema);
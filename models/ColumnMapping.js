@@ -0,0 +1,54 @@
+// models/ColumnMapping.js
+const mongoose = require('mongoose');
+
+const columnMappingSchema = new mongoose.Schema({
+  mappingId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  accountId: {
+    type: String,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  sourceBoardId: {
+    type: String,
+    required: true
+  },
+  targetBoardId: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String
+  },
+
+  // A null targetColumnId skips the source column
+  columns: [{
+    _id: false,
+    sourceColumnId: { type: String, required: true },
+    targetColumnId: { type: String, default: null }
+  }],
+
+  // Status and dropdown label translations, per source column
+  labels: [{
+    _id: false,
+    columnId: { type: String, required: true },
+    from: { type: String, required: true },
+    to: { type: String, required: true }
+  }]
+}, {
+  timestamps: true,
+  collection: 'column_mappings',
+  minimize: false
+});
+
+columnMappingSchema.index({ accountId: 1, name: 1 }, { unique: true });
+columnMappingSchema.index({ sourceBoardId: 1, targetBoardId: 1 });
+
+module.exports = mongoose.model('ColumnMapping', columnMappingSchema);
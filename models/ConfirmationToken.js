@@ -0,0 +1,43 @@
+// models/ConfirmationToken.js
+const mongoose = require('mongoose');
+
+// Issued confirmation tokens; a token is spent once usedAt is set
+const confirmationTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  operationType: {
+    type: String,
+    required: true
+  },
+  operationHash: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    index: true
+  },
+  accountId: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'confirmation_tokens'
+});
+
+// Expired tokens are removed by MongoDB
+confirmationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ConfirmationToken', confirmationTokenSchema);
@@ -0,0 +1,61 @@
+// models/ConversationSession.js
+const mongoose = require('mongoose');
+
+// Dialogue state of a user with the assistant on one board
+const conversationSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  accountId: {
+    type: String,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  boardId: {
+    type: String,
+    required: true
+  },
+
+  // [{ role: 'user' | 'assistant', content, operation, at }], oldest first
+  turns: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Last item, board, user and group referred to, for "it", "her", "that board"
+  entities: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Last interpreted operation, for "do the same for ..."
+  lastOperation: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // { originalInput, operation, parameters, questions, askedAt } while the assistant waits for an answer
+  pendingClarification: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'conversation_sessions',
+  minimize: false
+});
+
+// Idle sessions are removed by MongoDB
+conversationSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ConversationSession', conversationSessionSchema);
@@ -0,0 +1,68 @@
+// models/ErrorAudit.js
+const mongoose = require('mongoose');
+
+// Failed operations with the outcome of their recovery
+const errorAuditSchema = new mongoose.Schema({
+  auditId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  accountId: {
+    type: String,
+    index: true
+  },
+  userId: {
+    type: String
+  },
+  boardId: {
+    type: String
+  },
+  operationType: {
+    type: String
+  },
+  operation: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // The user's command and its normalised form (see ErrorAudits.patternOf)
+  command: {
+    type: String
+  },
+  promptPattern: {
+    type: String
+  },
+
+  error: {
+    type: { type: String },
+    message: String,
+    status: Number
+  },
+  recovery: {
+    attempted: Boolean,
+    successful: Boolean,
+    strategy: String
+  },
+  attempt: {
+    type: Number
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'error_audits',
+  minimize: false
+});
+
+// Audits past the retention period are removed by MongoDB
+errorAuditSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ErrorAudit', errorAuditSchema);
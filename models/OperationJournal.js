@@ -0,0 +1,73 @@
+// models/OperationJournal.js
+const mongoose = require('mongoose');
+
+const operationJournalSchema = new mongoose.Schema({
+  operationId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled', 'paused'],
+    default: 'queued',
+    index: true
+  },
+
+  // Inputs
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  context: {
+    accountId: { type: String, index: true },
+    userId: { type: String, index: true },
+    boardId: { type: String },
+    requestId: { type: String }
+  },
+
+  // Outcome
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  undoData: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Cooperative cancellation
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Timings
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  duration: {
+    type: Number
+  }
+}, {
+  timestamps: true,
+  collection: 'operation_journal',
+  minimize: false
+});
+
+operationJournalSchema.index({ 'context.accountId': 1, createdAt: -1 });
+
+module.exports = mongoose.model('OperationJournal', operationJournalSchema);
@@ -0,0 +1,53 @@
+// models/PendingCommand.js
+const mongoose = require('mongoose');
+
+// Destructive @mention command waiting for its author to reply "confirm"
+const pendingCommandSchema = new mongoose.Schema({
+  // itemId:userId
+  pendingId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  accountId: {
+    type: String
+  },
+  itemId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Executor operations, destructive ones carrying their confirmation token
+  operations: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Board structure and users the reply describes the outcome with
+  board: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  users: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'pending_commands',
+  minimize: false
+});
+
+// Unconfirmed commands are removed by MongoDB once their tokens expire
+pendingCommandSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PendingCommand', pendingCommandSchema);
@@ -0,0 +1,72 @@
+// models/RecycleBinEntry.js
+const mongoose = require('mongoose');
+
+// Items and boards removed by operations, with the snapshot to restore them from
+const recycleBinEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  entityType: {
+    type: String,
+    enum: ['item', 'board'],
+    required: true
+  },
+  entityId: {
+    type: String,
+    required: true
+  },
+  boardId: {
+    type: String,
+    index: true
+  },
+  accountId: {
+    type: String,
+    index: true
+  },
+  userId: {
+    type: String
+  },
+  name: {
+    type: String
+  },
+
+  // archive: still recoverable in monday.com; delete: only from the snapshot
+  mode: {
+    type: String,
+    enum: ['archive', 'delete'],
+    default: 'archive'
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  operationId: {
+    type: String
+  },
+  removedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  restoredAt: {
+    type: Date,
+    default: null
+  },
+  restoredId: {
+    type: String
+  }
+}, {
+  timestamps: true,
+  collection: 'recycle_bin',
+  minimize: false
+});
+
+// Entries past the retention period are removed by MongoDB
+recycleBinEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RecycleBinEntry', recycleBinEntrySchema);
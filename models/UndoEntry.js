@@ -0,0 +1,54 @@
+// models/UndoEntry.js
+const mongoose = require('mongoose');
+
+const undoEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  accountId: {
+    type: String,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  boardId: {
+    type: String
+  },
+
+  // Each step holds the forward operation and its inverse
+  steps: [{
+    operationId: String,
+    type: String,
+    forward: mongoose.Schema.Types.Mixed,
+    inverse: mongoose.Schema.Types.Mixed,
+    undone: { type: Boolean, default: false }
+  }],
+
+  state: {
+    type: String,
+    enum: ['done', 'undone'],
+    default: 'done',
+    index: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  undoneAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'undo_entries',
+  minimize: false
+});
+
+undoEntrySchema.index({ accountId: 1, userId: 1, state: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('UndoEntry', undoEntrySchema);
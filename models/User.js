@@ -48,9 +48,9 @@ const userSchema = new mongoose.Schema({
     default: []
   },
   preferences: {
+    // "provider:model" or a model name; unset uses the account's model
     aiModel: {
-      type: String,
-      default: 'claude-3-5-sonnet-20241022'
+      type: String
     },
     autoExecute: {
       type: Boolean,
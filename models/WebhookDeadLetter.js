@@ -0,0 +1,39 @@
+// models/WebhookDeadLetter.js
+const mongoose = require('mongoose');
+
+const webhookDeadLetterSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  attempts: {
+    type: Number
+  },
+  lastError: {
+    type: String
+  },
+  failures: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  deadLetteredAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_dead_letters',
+  minimize: false
+});
+
+module.exports = mongoose.model('WebhookDeadLetter', webhookDeadLetterSchema);
@@ -0,0 +1,83 @@
+// models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+const failureSchema = new mongoose.Schema({
+  attempt: Number,
+  error: String,
+  failedAt: Date
+}, { _id: false });
+
+const webhookEventSchema = new mongoose.Schema({
+  // monday.com trigger UUID, or a hash of the payload when there is none
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    index: true
+  },
+  boardId: {
+    type: String
+  },
+  itemId: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'failed', 'dead_lettered'],
+    default: 'received',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    index: true
+  },
+  lastError: {
+    type: String
+  },
+  failures: [failureSchema],
+
+  // Redeliveries of an event that was already received
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Start of the current attempt; an attempt older than the processing
+  // timeout is taken to have crashed
+  startedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  deadLetteredAt: {
+    type: Date
+  },
+  replayedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_inbox',
+  minimize: false
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,11 +1,23 @@
 // nlp/operation-interpreter.js
 const ClaudeService = require('../services/claude');
 const AI_CONFIG = require('../config/ai');
+const { normalizeGraph } = require('../utils/operation-graph');
 const { Logger } = require('@mondaycom/apps-sdk');
 
+// Words that refer back to something named earlier in the conversation
+const REFERENCE_PATTERN = /\b(it|its|them|they|this|that|these|those|him|her|same)\b/i;
+
 class OperationInterpreter {
-  constructor() {
-    this.claudeService = new ClaudeService();
+  /**
+   * @param {object} [options]
+   * @param {ClaudeService} [options.claudeService] - Service used for AI analysis
+   * @param {LLMProvider} [options.provider] - Fixed provider instead of per-account selection
+   * @param {ConversationSessions} [options.sessions] - Conversation store; without it every
+   *   request is interpreted on its own
+   */
+  constructor({ claudeService = null, provider = null, sessions = null } = {}) {
+    this.claudeService = claudeService || new ClaudeService({ provider });
+    this.sessions = sessions;
     this.logger = new Logger('operation-interpreter');
     this.operationPatterns = this._initializePatterns();
     this.confidenceCalculator = new ConfidenceCalculator();
@@ -13,6 +25,8 @@ class OperationInterpreter {
 
   /**
    * Main interpretation pipeline
+   * With a conversation store, the request is interpreted as the next turn of
+   * the user's conversation on the board and recorded in it.
    * @param {string} userInput - Natural language request
    * @param {Object} context - Monday.com context
    * @returns {Promise<Object>} - Interpreted operation with confidence
@@ -24,11 +38,15 @@ class OperationInterpreter {
         hasContext: !!context
       });
 
-      // Step 1: Quick pattern matching for common operations
-      const quickMatch = this._quickPatternMatch(userInput);
+      // Step 1: Quick pattern matching for common operations; patterns take
+      // words literally, so references to earlier turns are left to the model
+      const session = await this._loadSession(context);
+      const quickMatch = session?.turns?.length && REFERENCE_PATTERN.test(userInput)
+        ? { operation: null, confidence: 0, parameters: {} }
+        : this._quickPatternMatch(userInput);
 
       // Step 2: Claude AI analysis for complex interpretation
-      const aiAnalysis = await this.claudeService.analyzeOperation(userInput, context);
+      const aiAnalysis = await this.claudeService.analyzeOperation(userInput, context, session);
 
       // Step 3: Combine and validate results
       const combinedResult = this._combineAnalysis(quickMatch, aiAnalysis, context);
@@ -49,6 +67,8 @@ class OperationInterpreter {
         hasAlternatives: combinedResult.alternatives?.length > 0
       });
 
+      await this._recordTurn(context, userInput, combinedResult);
+
       return combinedResult;
     } catch (error) {
       this.logger.error('Interpretation failed', { error: error.message });
@@ -58,15 +78,20 @@ class OperationInterpreter {
 
   /**
    * Detect multiple operations in single request
+   * Requests that may hold several operations are planned with a single
+   * model call into an operation graph, so names such as "Research and
+   * Development" stay whole and later steps can bind to the output of earlier
+   * ones ("{{step1.boardId}}"). The steps are returned in execution order with
+   * their id and dependsOn.
    * @param {string} userInput - Natural language request
    * @param {Object} context - Monday.com context
    * @returns {Promise<Array>} - Array of detected operations
    */
   async detectMultipleOperations(userInput, context) {
     try {
-      // Look for operation separators
+      // Only requests with a separator can hold several operations
       const separators = [' and ', ' then ', ', ', ' also ', ' plus '];
-      let hasMultiple = separators.some(sep => userInput.toLowerCase().includes(sep));
+      const hasMultiple = separators.some(sep => userInput.toLowerCase().includes(sep));
 
       if (!hasMultiple) {
         // Single operation
@@ -74,17 +99,38 @@ class OperationInterpreter {
         return [result];
       }
 
-      // Multiple operations detected
-      const segments = this._segmentInput(userInput, separators);
-      const operations = [];
-
-      for (const segment of segments) {
-        const operation = await this.interpret(segment.trim(), context);
-        operation.sequence = operations.length + 1;
-        operations.push(operation);
+      const session = await this._loadSession(context);
+      const plan = await this.claudeService.planOperations(userInput, context, session);
+
+      if (plan.steps.length === 0) {
+        return [{
+          operation: 'UNKNOWN',
+          confidence: 0,
+          parameters: {},
+          missingInfo: [],
+          clarifyingQuestions: plan.clarifyingQuestions,
+          warnings: plan.warnings,
+          alternatives: []
+        }];
       }
 
-      return operations;
+      const { steps, order } = normalizeGraph(plan.steps);
+      const byId = new Map(steps.map(step => [step.id, step]));
+
+      this.logger.info('Operations planned', {
+        steps: order.length,
+        confidence: plan.confidence
+      });
+
+      return order.map((id, index) => ({
+        missingInfo: [],
+        clarifyingQuestions: [],
+        warnings: [],
+        ...byId.get(id),
+        sequence: index + 1,
+        originalInput: userInput,
+        methods: ['ai-plan']
+      }));
     } catch (error) {
       this.logger.error('Multi-operation detection failed', { error: error.message });
       return [this._createErrorResponse(error)];
@@ -93,6 +139,9 @@ class OperationInterpreter {
 
   /**
    * Resolve ambiguous operations with user clarification
+   * With a conversation store the clarification is the next turn of the
+   * conversation, answering the pending clarification; otherwise it is
+   * combined with the original request into a single prompt.
    * @param {Object} ambiguousOperation - Operation needing clarification
    * @param {Object} userResponse - User's clarification response
    * @param {Object} context - Monday.com context
@@ -100,13 +149,18 @@ class OperationInterpreter {
    */
   async resolveAmbiguity(ambiguousOperation, userResponse, context) {
     try {
-      const combinedInput = `
+      let session = await this._loadSession(context);
+      if (session && !session.pendingClarification) {
+        session = await this.sessions.awaitClarification(context, ambiguousOperation);
+      }
+
+      const input = session ? userResponse : `
         Original request: "${ambiguousOperation.originalInput}"
         User clarification: "${userResponse}"
         Previous interpretation: ${JSON.stringify(ambiguousOperation.parameters)}
       `;
 
-      const resolved = await this.claudeService.analyzeOperation(combinedInput, context);
+      const resolved = await this.claudeService.analyzeOperation(input, context, session);
 
       // Boost confidence since user provided clarification
       resolved.confidence = Math.min(100, resolved.confidence + 15);
@@ -116,6 +170,8 @@ class OperationInterpreter {
         resolvedConfidence: resolved.confidence
       });
 
+      await this._recordTurn(context, userResponse, resolved);
+
       return resolved;
     } catch (error) {
       this.logger.error('Ambiguity resolution failed', { error: error.message });
@@ -123,6 +179,35 @@ class OperationInterpreter {
     }
   }
 
+  /**
+   * Conversation session of the context, if conversations are kept
+   * @private
+   */
+  async _loadSession(context) {
+    if (!this.sessions) return null;
+
+    try {
+      return await this.sessions.load(context);
+    } catch (error) {
+      this.logger.warn('Failed to load conversation session', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record a turn of the conversation; a failure does not fail the request
+   * @private
+   */
+  async _recordTurn(context, userInput, interpretation) {
+    if (!this.sessions) return;
+
+    try {
+      await this.sessions.recordTurn(context, userInput, interpretation);
+    } catch (error) {
+      this.logger.warn('Failed to record conversation turn', { error: error.message });
+    }
+  }
+
   /**
    * Quick pattern matching for common operations
    * @private
@@ -298,24 +383,6 @@ class OperationInterpreter {
     }
   }
 
-  /**
-   * Segment input for multiple operations
-   * @private
-   */
-  _segmentInput(input, separators) {
-    let segments = [input];
-
-    for (const separator of separators) {
-      const newSegments = [];
-      for (const segment of segments) {
-        newSegments.push(...segment.split(separator));
-      }
-      segments = newSegments;
-    }
-
-    return segments.filter(s => s.trim().length > 0);
-  }
-
   /**
    * Create error response
    * @private
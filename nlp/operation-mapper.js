@@ -1,10 +1,18 @@
 // nlp/operation-mapper.js
 const { Logger } = require('@mondaycom/apps-sdk');
 const AI_CONFIG = require('../config/ai');
+const { parseCriteria, normalizeCriteria, compileCriteria } = require('../utils/item-criteria');
+const ItemResolver = require('../services/item-resolver');
+const { resolveDate, resolveTimeline, timezoneFor } = require('../utils/date-expressions');
 
 class OperationMapper {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {ItemResolver} [options.itemResolver] - Resolves item names on a board
+   */
+  constructor({ itemResolver = new ItemResolver() } = {}) {
     this.logger = new Logger('operation-mapper');
+    this.itemResolver = itemResolver;
     this.columnTypeMapping = this._initializeColumnTypes();
     this.statusMapping = this._initializeStatusMapping();
   }
@@ -47,6 +55,8 @@ class OperationMapper {
       return {
         method: 'ERROR',
         error: error.message,
+        code: error.code,
+        disambiguation: error.disambiguation,
         originalOperation: operation
       };
     }
@@ -107,7 +117,8 @@ class OperationMapper {
     if (params.columnValues || params.fields) {
       const columnValues = await this._mapColumnValues(
         params.columnValues || params.fields,
-        board
+        board,
+        context
       );
       if (Object.keys(columnValues).length > 0) {
         apiOp.variables.column_values = JSON.stringify(columnValues);
@@ -168,7 +179,8 @@ class OperationMapper {
     if (params.columnValues || params.updates) {
       const columnValues = await this._mapColumnValues(
         params.columnValues || params.updates,
-        board
+        board,
+        context
       );
       apiOp.variables.column_values = JSON.stringify(columnValues);
     }
@@ -436,17 +448,28 @@ class OperationMapper {
 
   /**
    * Find item by ID or name
+   * Names are searched on the board; when several items match equally well
+   * an ITEM_AMBIGUOUS error carries the candidates to ask the user about.
    * @private
    */
   async _findItem(identifier, board, context) {
-    // This would normally require an API call to get items
-    // For now, return a placeholder that will be resolved at runtime
     if (!identifier) return null;
 
+    const resolution = await this.itemResolver.resolve(identifier, board.id);
+
+    if (resolution.status === 'ambiguous') {
+      const error = new Error(resolution.disambiguation.question);
+      error.code = 'ITEM_AMBIGUOUS';
+      error.disambiguation = resolution.disambiguation;
+      throw error;
+    }
+
+    if (resolution.status !== 'resolved') return null;
+
     return {
-      id: identifier,
-      searchBy: isNaN(identifier) ? 'name' : 'id',
-      needsResolution: true
+      ...resolution.item,
+      searchBy: resolution.match === 'id' ? 'id' : 'name',
+      match: resolution.match
     };
   }
 
@@ -484,7 +507,7 @@ class OperationMapper {
    * Map column values to Monday.com format
    * @private
    */
-  async _mapColumnValues(values, board) {
+  async _mapColumnValues(values, board, context = {}) {
     const mappedValues = {};
 
     if (!values || !board.columns) return mappedValues;
@@ -498,7 +521,7 @@ class OperationMapper {
       if (!column) continue;
 
       // Map value based on column type
-      const mappedValue = this._mapValueByColumnType(value, column);
+      const mappedValue = this._mapValueByColumnType(value, column, context);
       if (mappedValue !== null) {
         mappedValues[column.id] = mappedValue;
       }
@@ -511,7 +534,7 @@ class OperationMapper {
    * Map value based on column type
    * @private
    */
-  _mapValueByColumnType(value, column) {
+  _mapValueByColumnType(value, column, context = {}) {
     if (value === null || value === undefined) return null;
 
     switch (column.type) {
@@ -528,7 +551,10 @@ class OperationMapper {
         return this._mapStatusValue(value, column);
 
       case 'date':
-        return this._mapDateValue(value);
+        return this._mapDateValue(value, context);
+
+      case 'timeline':
+        return this._mapTimelineValue(value, context);
 
       case 'people':
         return this._mapPeopleValue(value);
@@ -599,21 +625,20 @@ class OperationMapper {
   }
 
   /**
-   * Map date value to Monday.com format
+   * Map date value ("next Friday", "end of Q3") to Monday.com format, in the
+   * user's timezone
    * @private
    */
-  _mapDateValue(value) {
-    try {
-      const date = new Date(value);
-      if (isNaN(date.getTime())) return null;
+  _mapDateValue(value, context = {}) {
+    return resolveDate(value, { timezone: timezoneFor(context) });
+  }
 
-      return {
-        date: date.toISOString().split('T')[0], // YYYY-MM-DD format
-        time: date.toTimeString().split(' ')[0]  // HH:MM:SS format
-      };
-    } catch (error) {
-      return null;
-    }
+  /**
+   * Map timeline value ("next week", "from Monday to the 15th") to Monday.com format
+   * @private
+   */
+  _mapTimelineValue(value, context = {}) {
+    return resolveTimeline(value, { timezone: timezoneFor(context) });
   }
 
   /**
@@ -765,16 +790,254 @@ class OperationMapper {
   }
 
   /**
-   * Map bulk operations (placeholder for complex operations)
+   * Map bulk operations to an items_page query selecting the affected items
+   * The criteria (see utils/item-criteria.js) are returned alongside the
+   * query; conditions monday.com cannot filter on are left in
+   * residualCriteria to be checked on the returned items. The query reads the
+   * first page only; later pages follow the returned cursor through
+   * next_items_page (see utils/items-pager.js).
    * @private
    */
   async _mapBulkOperation(operation, context) {
-    // TODO: Implement bulk operations
-    return {
-      method: 'BULK_NOT_IMPLEMENTED',
-      error: 'Bulk operations not yet implemented',
-      originalOperation: operation
+    const params = operation.parameters || {};
+    const board = this._findBoard(params.boardId || params.boardName, context);
+
+    if (!board) {
+      throw new Error('Board not found for bulk operation');
+    }
+
+    const criteria = this._buildCriteria(params.criteria ?? params.filter ?? operation.originalInput, board, context);
+    if (!criteria) {
+      throw new Error('Bulk operations need criteria describing which items to change');
+    }
+
+    const { queryParams, residual } = compileCriteria(criteria, board, {
+      userId: context.userId || context.user?.id,
+      users: context.users
+    });
+
+    const apiOp = {
+      method: 'items_page',
+      action: params.operation || params.action,
+      criteria,
+      residualCriteria: residual,
+      variables: {
+        board_id: parseInt(board.id)
+      },
+      query: `
+        query FindItems($board_id: ID!, $query_params: ItemsQuery) {
+          boards(ids: [$board_id]) {
+            items_page(limit: 500, query_params: $query_params) {
+              cursor
+              items {
+                id
+                name
+                group {
+                  id
+                  title
+                }
+                column_values {
+                  id
+                  type
+                  text
+                  value
+                }
+              }
+            }
+          }
+        }
+      `
+    };
+
+    if (queryParams) {
+      apiOp.variables.query_params = queryParams;
+    }
+
+    if (params.columnValues) {
+      apiOp.columnValues = await this._mapColumnValues(params.columnValues, board, context);
+    }
+
+    return apiOp;
+  }
+
+  /**
+   * Criteria from a criteria tree, the criteria text syntax or a phrase such
+   * as "all overdue items assigned to Bob"
+   * @private
+   */
+  _buildCriteria(criteria, board, context) {
+    if (!criteria) return null;
+
+    if (typeof criteria !== 'string') {
+      return normalizeCriteria(criteria);
+    }
+
+    // "... where status = Done" embeds the criteria syntax in a sentence
+    const expression = criteria.match(/\bwhere\s+(.+)$/i)?.[1] || criteria;
+
+    try {
+      const tree = parseCriteria(expression);
+      if (this._criteriaFieldsExist(tree, board)) {
+        return tree;
+      }
+    } catch (error) {
+      // Not the criteria syntax; read it as a phrase
+    }
+
+    return this._criteriaFromPhrase(criteria, board, context);
+  }
+
+  /**
+   * Whether every field in a criteria tree names the item name, its group or
+   * a column of the board
+   * @private
+   */
+  _criteriaFieldsExist(tree, board) {
+    if (tree.and || tree.or) {
+      return (tree.and || tree.or).every(node => this._criteriaFieldsExist(node, board));
+    }
+    if (tree.not) {
+      return this._criteriaFieldsExist(tree.not, board);
+    }
+
+    const field = String(tree.field).toLowerCase();
+    return ['name', 'group'].includes(field) ||
+      (board.columns || []).some(c => c.id === tree.field || c.title.toLowerCase() === field);
+  }
+
+  /**
+   * Recognise common item selections in natural language
+   * @private
+   */
+  _criteriaFromPhrase(text, board, context) {
+    const conditions = [];
+    const columns = board.columns || [];
+    const dateColumn = columns.find(c => c.type === 'date' && /due|deadline|end/i.test(c.title)) ||
+      columns.find(c => c.type === 'date');
+    const statusColumn = columns.find(c => c.type === 'status' || c.type === 'color');
+    const peopleColumn = columns.find(c => c.type === 'people' || c.type === 'multiple-person');
+    const doneLabel = statusColumn ? this._doneLabel(statusColumn) : 'Done';
+    const doneWords = [...this.statusMapping.done, escapeRegExp(doneLabel.toLowerCase())].join('|');
+
+    // Dates
+    if (dateColumn) {
+      if (/\b(?:overdue|past due|late)\b/i.test(text)) {
+        conditions.push({ field: dateColumn.id, operator: 'lt', value: 'today' });
+        if (statusColumn) {
+          conditions.push({ field: statusColumn.id, operator: 'not_equals', value: doneLabel });
+        }
+      }
+
+      const due = text.match(/\bdue\s+(today|tomorrow|yesterday|(?:before|after|on)\s+(\S+)|(?:in|within) the next (\d+) days)/i);
+      if (due) {
+        const [, phrase, date, days] = due;
+        if (days) {
+          conditions.push({ field: dateColumn.id, operator: 'gte', value: 'today' });
+          conditions.push({ field: dateColumn.id, operator: 'lte', value: `+${days}d` });
+        } else if (date) {
+          const operator = { before: 'lt', after: 'gt', on: 'equals' }[phrase.split(/\s+/)[0].toLowerCase()];
+          conditions.push({ field: dateColumn.id, operator, value: date });
+        } else {
+          conditions.push({ field: dateColumn.id, operator: 'equals', value: phrase.toLowerCase() });
+        }
+      }
+    }
+
+    // People
+    if (peopleColumn) {
+      // A second word only belongs to the name when capitalized ("Bob Smith", not "Bob that")
+      const assignee = text.split(/\b(?:assigned to|owned by|belonging to)\s+/i)[1]?.match(/^[\w.@'-]+(?:\s+[A-Z][\w'-]*)?/);
+      if (/\bunassigned\b/i.test(text)) {
+        conditions.push({ field: peopleColumn.id, operator: 'empty' });
+      } else if (assignee) {
+        const name = assignee[0];
+        conditions.push({
+          field: peopleColumn.id,
+          operator: 'contains',
+          value: /^(me|myself)$/i.test(name) ? 'me' : this._requireUser(name, context).id
+        });
+      }
+    }
+
+    // Status
+    if (statusColumn && !/\b(?:overdue|past due|late)\b/i.test(text)) {
+      const explicit = text.match(/\b(?:with status|status(?: is)?|marked(?: as)?)\s+"?([\w ]+?)"?(?=\s+(?:and|in|assigned|owned|due|on)\b|[,.]|$)/i);
+      if (explicit) {
+        conditions.push({ field: statusColumn.id, operator: 'equals', value: this._mapStatusValue(explicit[1].trim(), statusColumn) });
+      } else if (new RegExp(`\\b(?:not|un)\\s*(?:${doneWords})\\b|\\b(?:incomplete|unfinished|open)\\b`, 'i').test(text)) {
+        conditions.push({ field: statusColumn.id, operator: 'not_equals', value: doneLabel });
+      } else if (new RegExp(`\\b(?:${doneWords})\\b`, 'i').test(text)) {
+        conditions.push({ field: statusColumn.id, operator: 'equals', value: doneLabel });
+      } else if (/\b(?:stuck|blocked)\b/i.test(text)) {
+        conditions.push({ field: statusColumn.id, operator: 'equals', value: 'Stuck' });
+      }
+    }
+
+    // Groups
+    const group = (board.groups || []).find(g =>
+      new RegExp(`\\bin (?:the )?(?:group )?"?${escapeRegExp(g.title)}"?(?: group)?\\b`, 'i').test(text));
+    if (group) {
+      conditions.push({ field: 'group', operator: 'equals', value: group.id });
+    }
+
+    // Item names
+    const name = text.match(/\b(?:named|called|titled|containing|with)\s+["']([^"']+)["']/i);
+    if (name) {
+      conditions.push({ field: 'name', operator: 'contains', value: name[1] });
+    }
+
+    if (conditions.length === 0) return null;
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
+  }
+
+  /**
+   * Label that marks items done in a status column
+   * monday.com lists the indexes of "done" labels in done_colors; boards
+   * without it fall back to a label that reads as done.
+   * @private
+   */
+  _doneLabel(column) {
+    let settings = column.settings || {};
+    if (!column.settings && column.settings_str) {
+      try {
+        settings = JSON.parse(column.settings_str);
+      } catch (error) {
+        settings = {};
+      }
+    }
+
+    const labels = Array.isArray(settings.labels)
+      ? Object.fromEntries(settings.labels.map(label => [label.id, label.name]))
+      : settings.labels || {};
+
+    const doneIndex = (settings.done_colors || []).find(index => labels[index]);
+    if (doneIndex !== undefined) {
+      return labels[doneIndex];
+    }
+
+    return Object.values(labels).find(label => this.statusMapping.done.includes(String(label).toLowerCase())) || 'Done';
+  }
+
+  /**
+   * User a criteria phrase names
+   * @private
+   * @throws {Error} USER_NOT_FOUND with a question to ask instead of
+   *   filtering on the raw name
+   */
+  _requireUser(name, context) {
+    const user = this._findUser(name, context);
+    if (user) return user;
+
+    const question = `I could not find a user named "${name}". Who did you mean?`;
+    const error = new Error(question);
+    error.code = 'USER_NOT_FOUND';
+    error.disambiguation = {
+      parameter: 'userId',
+      query: name,
+      question,
+      options: (context.users || []).slice(0, 10).map(user => ({ userId: user.id, label: user.name }))
     };
+    throw error;
   }
 
   /**
@@ -916,4 +1179,8 @@ class OperationMapper {
   }
 }
 
-module.exports = OperationMapper;
\ No newline at end of file
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = OperationMapper;
@@ -1,27 +1,34 @@
 // routes/ai.js
 const express = require('express');
-const router = express.Router();
 const { Logger } = require('@mondaycom/apps-sdk');
+const { requireMondayAuth } = require('../middleware/auth');
 
 const OperationInterpreter = require('../nlp/operation-interpreter');
 const OperationMapper = require('../nlp/operation-mapper');
 const ContextService = require('../services/context');
 const ClaudeService = require('../services/claude');
+const OperationPlanner = require('../services/operation-planner');
+const conversationSessions = require('../services/conversation-sessions');
 const AI_CONFIG = require('../config/ai');
 
 class AIRoutes {
   constructor(mondayClient) {
     this.mondayClient = mondayClient;
     this.logger = require('../utils/logger');
-    this.interpreter = new OperationInterpreter();
+    this.conversationSessions = conversationSessions;
+    this.interpreter = new OperationInterpreter({ sessions: conversationSessions });
     this.mapper = new OperationMapper();
     this.contextService = new ContextService(mondayClient);
     this.claudeService = new ClaudeService();
+    this.planner = new OperationPlanner(mondayClient);
+    this.router = express.Router();
 
     this._setupRoutes();
   }
 
   _setupRoutes() {
+    const router = this.router;
+
     // Main analysis endpoint
     router.post('/analyze-request', this._handleAnalyzeRequest.bind(this));
 
@@ -41,6 +48,10 @@ class AIRoutes {
     // Multi-operation detection endpoint
     router.post('/detect-multiple', this._handleDetectMultiple.bind(this));
 
+    // Conversation session endpoints; only the signed-in user's own conversation
+    router.get('/conversation/:boardId', requireMondayAuth, this._handleGetConversation.bind(this));
+    router.delete('/conversation/:boardId', requireMondayAuth, this._handleClearConversation.bind(this));
+
     // Health check endpoint
     router.get('/health', this._handleHealthCheck.bind(this));
 
@@ -54,12 +65,14 @@ class AIRoutes {
   /**
    * Main request analysis endpoint
    * POST /api/ai/analyze-request
+   * With mode: 'plan' the mapped operation is dry-run and the response
+   * includes a diff of what executing it would change.
    */
   async _handleAnalyzeRequest(req, res) {
     const startTime = Date.now();
 
     try {
-      const { userInput, boardId, accountId, userId, contextType = 'full' } = req.body;
+      const { userInput, boardId, accountId, userId, contextType = 'full', mode } = req.body;
 
       // Validate input
       if (!userInput || userInput.trim().length === 0) {
@@ -76,12 +89,17 @@ class AIRoutes {
         userId
       });
 
-      // Gather context
-      const context = await this.contextService.gatherContext({
+      // Gather context; the IDs select the user's conversation on the board
+      const context = {
+        ...await this.contextService.gatherContext({
+          accountId,
+          boardId,
+          userId
+        }),
         accountId,
         boardId,
         userId
-      });
+      };
 
       // Interpret the operation
       const interpretation = await this.interpreter.interpret(userInput, context);
@@ -98,17 +116,27 @@ class AIRoutes {
         }
       }
 
+      // Dry-run the mapped operation against current board state
+      let plan;
+      if (mode === 'plan' && apiOperation && apiOperation.method !== 'ERROR') {
+        plan = await this.planner.planAPIOperation(apiOperation, context);
+      }
+
       // Calculate response metadata
       const responseTime = Date.now() - startTime;
       const response = {
         interpretation,
         apiOperation,
+        plan,
+        // Set when an item name matched several items; ask before executing
+        disambiguation: apiOperation?.disambiguation,
         context: this._filterContextForResponse(context, contextType),
         metadata: {
           responseTime,
           confidence: interpretation.confidence,
           requiresConfirmation: interpretation.confidence < AI_CONFIG.confidence.thresholds.autoExecute,
-          canAutoExecute: interpretation.confidence >= AI_CONFIG.confidence.thresholds.autoExecute
+          canAutoExecute: interpretation.confidence >= AI_CONFIG.confidence.thresholds.autoExecute &&
+            !apiOperation?.disambiguation
         }
       };
 
@@ -378,6 +406,61 @@ class AIRoutes {
     }
   }
 
+  /**
+   * Get the user's conversation on a board
+   * GET /api/ai/conversation/:boardId
+   */
+  async _handleGetConversation(req, res) {
+    try {
+      const { boardId } = req.params;
+      const { accountId, userId } = req.session;
+
+      const session = await this.conversationSessions.load({ accountId, userId, boardId });
+
+      res.json({
+        boardId,
+        turns: session.turns,
+        entities: session.entities,
+        lastOperation: session.lastOperation,
+        pendingClarification: session.pendingClarification,
+        expiresAt: session.expiresAt || null
+      });
+
+    } catch (error) {
+      this.logger.error('Conversation fetch failed', { error: error.message });
+
+      res.status(500).json({
+        error: 'Conversation fetch failed',
+        message: error.message,
+        code: 'CONVERSATION_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Start over: forget the user's conversation on a board
+   * DELETE /api/ai/conversation/:boardId
+   */
+  async _handleClearConversation(req, res) {
+    try {
+      const { boardId } = req.params;
+      const { accountId, userId } = req.session;
+
+      const cleared = await this.conversationSessions.clear({ accountId, userId, boardId });
+
+      res.json({ cleared });
+
+    } catch (error) {
+      this.logger.error('Conversation reset failed', { error: error.message });
+
+      res.status(500).json({
+        error: 'Conversation reset failed',
+        message: error.message,
+        code: 'CONVERSATION_FAILED'
+      });
+    }
+  }
+
   /**
    * Health check endpoint
    * GET /api/ai/health
@@ -533,7 +616,7 @@ class AIRoutes {
    * Get router instance
    */
   getRouter() {
-    return router;
+    return this.router;
   }
 }
 
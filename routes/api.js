@@ -10,9 +10,37 @@ const { requireMondayAuth } = require('../middleware/auth');
 // Import services
 const OperationExecutor = require('../services/operation-executor');
 const ValidationService = require('../services/validation');
+const UndoService = require('../services/undo');
+const OperationPlanner = require('../services/operation-planner');
+const OperationGraphPlanner = require('../services/operation-graph-planner');
+const ContextService = require('../services/context');
+const RulesEngine = require('../services/rules-engine');
+const BulkJobRunner = require('../services/bulk-jobs');
+const automationRules = require('../services/automation-rules');
+const columnMappings = require('../services/column-mappings');
+const confirmations = require('../services/confirmations');
+const recycleBin = require('../services/recycle-bin');
+const errorAudits = require('../services/error-audits');
+const { mondayClient } = require('../config/monday');
 const logger = require('../utils/logger');
 const operationExecutor = new OperationExecutor();
 const validationService = new ValidationService();
+const undoService = new UndoService(operationExecutor);
+const operationPlanner = new OperationPlanner(mondayClient);
+const graphPlanner = new OperationGraphPlanner({ executor: operationExecutor });
+const contextService = new ContextService(mondayClient);
+const rulesEngine = new RulesEngine(operationExecutor);
+const bulkJobs = new BulkJobRunner(operationExecutor);
+
+// Execution context a client may set; the rest comes from the session and server
+const CLIENT_CONTEXT_FIELDS = ['boardId', 'timezone'];
+
+if (process.env.NODE_ENV !== 'test') {
+  bulkJobs.recover().catch(error => {
+    logger.error('Bulk job recovery failed', { error: error.message });
+  });
+  errorAudits.start();
+}
 
 // Apply middleware to all API routes
 router.use(aiMiddleware.enrichRequest());
@@ -23,10 +51,15 @@ router.use(aiMiddleware.performanceMonitor());
 /**
  * Execute a validated operation
  * POST /api/execute
+ * With mode: 'plan' the operation is not executed; the response is a
+ * field-by-field diff of what it would change. Bulk operations are queued as
+ * background jobs (202 with the job) unless mode is 'sync'. Destructive
+ * operations run only with a confirmation token (see checkConfirmation); the
+ * plan of one includes a token.
  */
 router.post('/execute', requireMondayAuth, async (req, res) => {
   try {
-    const { operation, context } = req.body;
+    const { operation, context, mode } = req.body;
 
     if (!operation) {
       return res.status(400).json({
@@ -45,19 +78,69 @@ router.post('/execute', requireMondayAuth, async (req, res) => {
       });
     }
 
+    if (mode === 'plan') {
+      const mondayContext = await contextService.gatherContext({
+        accountId: req.session?.accountId,
+        boardId: context?.boardId || operation.parameters?.boardId,
+        userId: req.session?.userId
+      });
+      const plan = await operationPlanner.planAll([operation], mondayContext);
+
+      // A reviewed destructive plan can be run with this token
+      const confirmation = confirmations.requiresConfirmation(operation)
+        ? await confirmations.issue(operation, {
+          userId: req.session?.userId,
+          accountId: req.session?.accountId
+        })
+        : undefined;
+
+      return res.json({
+        success: true,
+        mode: 'plan',
+        plan,
+        confirmation,
+        operation: operation.type,
+        executionTime: elapsedMs(req)
+      });
+    }
+
+    if (!await checkConfirmation(operation, req, res)) {
+      return;
+    }
+
+    if (mode !== 'sync' && BulkJobRunner.supports(operation.type)) {
+      const job = await bulkJobs.enqueue(operation, {
+        ...clientContext(context),
+        accountId: req.session?.accountId,
+        userId: req.session?.userId,
+        requestId: req.metadata?.requestId
+      });
+
+      return res.status(202).json({
+        success: true,
+        mode: 'job',
+        job,
+        operation: operation.type
+      });
+    }
+
     // Execute the operation
     const result = await operationExecutor.execute(operation, {
-      ...context,
+      ...clientContext(context),
       accessToken: req.mondayAccessToken,
       accountId: req.session?.accountId,
-      userId: req.session?.userId
+      userId: req.session?.userId,
+      requestId: req.metadata?.requestId,
+      // The executor spends the token; callers cannot skip it
+      confirmed: false
     });
 
     res.json({
       success: true,
       result,
+      operationId: result.operationId,
       operation: operation.type,
-      executionTime: Date.now() - req.startTime
+      executionTime: elapsedMs(req)
     });
 
   } catch (error) {
@@ -75,6 +158,97 @@ router.post('/execute', requireMondayAuth, async (req, res) => {
   }
 });
 
+/**
+ * Plan and run a request that needs several dependent operations
+ * POST /api/execute-request
+ * The request is planned with one model call into an operation graph whose
+ * steps run in dependency order, later steps using the IDs earlier ones
+ * create. With mode: 'plan' the graph is returned for review, with
+ * confirmation tokens for its destructive steps; posting it back as `graph`
+ * runs it as reviewed. Runs are all-or-nothing unless allOrNothing is false.
+ */
+router.post('/execute-request', requireMondayAuth, async (req, res) => {
+  try {
+    const { userInput, graph, boardId, mode, allOrNothing = true } = req.body;
+
+    if (!userInput && !graph) {
+      return res.status(400).json({
+        error: 'User input or a planned graph is required',
+        code: 'MISSING_INPUT'
+      });
+    }
+
+    const context = {
+      ...await contextService.gatherContext({
+        accountId: req.session?.accountId,
+        boardId,
+        userId: req.session?.userId
+      }),
+      accountId: req.session?.accountId,
+      userId: req.session?.userId,
+      boardId
+    };
+
+    const plan = graph || await graphPlanner.plan(userInput, context);
+    if (!plan.steps?.length) {
+      return res.status(422).json({
+        error: 'The request could not be planned',
+        clarifyingQuestions: plan.clarifyingQuestions || [],
+        code: 'PLAN_FAILED'
+      });
+    }
+
+    if (mode === 'plan') {
+      const preview = await graphPlanner.preview(plan, context, {
+        userId: req.session?.userId,
+        accountId: req.session?.accountId
+      });
+
+      return res.json({
+        success: true,
+        mode: 'plan',
+        graph: { ...preview, confidence: plan.confidence, clarifyingQuestions: plan.clarifyingQuestions },
+        executionTime: elapsedMs(req)
+      });
+    }
+
+    const result = await graphPlanner.execute(plan, {
+      ...context,
+      accessToken: req.mondayAccessToken,
+      requestId: req.metadata?.requestId,
+      // Destructive steps spend their own tokens
+      confirmed: false
+    }, { allOrNothing: allOrNothing !== false });
+
+    res.json({
+      success: result.success,
+      result,
+      graphId: result.graphId,
+      executionTime: elapsedMs(req)
+    });
+
+  } catch (error) {
+    if (['INVALID_PLAN', 'PLAN_CYCLE'].includes(error.code)) {
+      return res.status(400).json({
+        error: 'Invalid operation graph',
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Request execution failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Request execution failed',
+      message: error.message,
+      code: 'EXECUTION_FAILED'
+    });
+  }
+});
+
 /**
  * Validate an operation without executing it
  * POST /api/validate
@@ -122,7 +296,8 @@ router.get('/status/:operationId', requireMondayAuth, async (req, res) => {
     const { operationId } = req.params;
     const status = await operationExecutor.getStatus(operationId);
 
-    if (!status) {
+    // Operations are only visible to the account that submitted them
+    if (!status || !belongsToAccount(status.accountId, req)) {
       return res.status(404).json({
         error: 'Operation not found',
         code: 'OPERATION_NOT_FOUND'
@@ -153,11 +328,21 @@ router.get('/status/:operationId', requireMondayAuth, async (req, res) => {
 router.post('/cancel/:operationId', requireMondayAuth, async (req, res) => {
   try {
     const { operationId } = req.params;
+    const status = await operationExecutor.getStatus(operationId);
+
+    if (!status || !belongsToAccount(status.accountId, req)) {
+      return res.status(404).json({
+        error: 'Operation not found',
+        code: 'OPERATION_NOT_FOUND'
+      });
+    }
+
     const result = await operationExecutor.cancel(operationId);
 
     res.json({
       success: true,
       cancelled: result.cancelled,
+      status: result.status,
       message: result.message
     });
 
@@ -177,22 +362,846 @@ router.post('/cancel/:operationId', requireMondayAuth, async (req, res) => {
 });
 
 /**
- * Get API health and metrics
- * GET /api/health
+ * Undo the user's most recent operation or AI request
+ * POST /api/undo
  */
-router.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: process.env.npm_package_version,
-    uptime: process.uptime(),
-    services: {
-      operationExecutor: operationExecutor.isHealthy(),
-      validationService: validationService.isHealthy()
+router.post('/undo', requireMondayAuth, async (req, res) => {
+  await runUndoAction('undo', req, res);
+});
+
+/**
+ * Redo the user's most recently undone operation or AI request
+ * POST /api/redo
+ */
+router.post('/redo', requireMondayAuth, async (req, res) => {
+  await runUndoAction('redo', req, res);
+});
+
+/**
+ * Get the user's undo/redo history
+ * GET /api/undo/history
+ */
+router.get('/undo/history', requireMondayAuth, async (req, res) => {
+  try {
+    const history = await undoService.getHistory({
+      accountId: req.session?.accountId,
+      userId: req.session?.userId
+    }, parseInt(req.query.limit) || 20);
+
+    res.json({ history });
+
+  } catch (error) {
+    logger.error('Undo history lookup failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Undo history lookup failed',
+      message: error.message,
+      code: 'UNDO_HISTORY_FAILED'
+    });
+  }
+});
+
+/**
+ * Create a natural language automation rule
+ * POST /api/rules
+ * The rule is compiled once; webhook events are matched against the result.
+ * A rule whose actions delete is saved only with confirmationToken: without
+ * one the response (428) carries a token for exactly the compiled recipe.
+ */
+router.post('/rules', requireMondayAuth, async (req, res) => {
+  try {
+    const { instruction, boardId, confirmationToken } = req.body;
+
+    if (!instruction || !boardId) {
+      return res.status(400).json({
+        error: 'Instruction and boardId are required',
+        code: 'MISSING_RULE_FIELDS'
+      });
     }
-  });
+
+    const mondayContext = await contextService.gatherContext({
+      accountId: req.session?.accountId,
+      boardId: String(boardId),
+      userId: req.session?.userId
+    });
+
+    const result = await rulesEngine.createRule(instruction, {
+      accountId: req.session?.accountId,
+      boardId: String(boardId),
+      userId: req.session?.userId,
+      context: mondayContext,
+      confirmationToken
+    });
+
+    if (result.code === 'CONFIRMATION_REQUIRED') {
+      return res.status(428).json({
+        error: 'Confirmation required',
+        message: result.error,
+        confirmation: result.confirmation,
+        code: result.code
+      });
+    }
+
+    if (result.code?.startsWith('CONFIRMATION_')) {
+      return res.status(403).json({
+        error: 'Confirmation rejected',
+        message: result.error,
+        code: result.code
+      });
+    }
+
+    if (!result.success) {
+      return res.status(422).json({
+        error: 'Rule could not be compiled',
+        message: result.error,
+        clarifyingQuestions: result.clarifyingQuestions,
+        code: 'RULE_COMPILATION_FAILED'
+      });
+    }
+
+    res.status(201).json({ success: true, rule: result.rule });
+
+  } catch (error) {
+    logger.error('Rule creation failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Rule creation failed',
+      message: error.message,
+      code: 'RULE_CREATION_FAILED'
+    });
+  }
+});
+
+/**
+ * List the account's automation rules
+ * GET /api/rules?boardId=
+ */
+router.get('/rules', requireMondayAuth, async (req, res) => {
+  try {
+    const rules = await automationRules.list({
+      accountId: req.session?.accountId,
+      boardId: req.query.boardId
+    });
+
+    res.json({ rules });
+
+  } catch (error) {
+    logger.error('Rule lookup failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Rule lookup failed',
+      message: error.message,
+      code: 'RULE_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * Enable or disable an automation rule
+ * PATCH /api/rules/:ruleId
+ */
+router.patch('/rules/:ruleId', requireMondayAuth, async (req, res) => {
+  try {
+    const rule = await automationRules.get(req.params.ruleId);
+
+    if (!rule || !belongsToAccount(rule.accountId, req)) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        code: 'RULE_NOT_FOUND'
+      });
+    }
+
+    const updated = await automationRules.setEnabled(rule.ruleId, req.body.enabled);
+    res.json({ success: true, rule: updated });
+
+  } catch (error) {
+    logger.error('Rule update failed', {
+      error: error.message,
+      ruleId: req.params.ruleId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Rule update failed',
+      message: error.message,
+      code: 'RULE_UPDATE_FAILED'
+    });
+  }
+});
+
+/**
+ * Delete an automation rule
+ * DELETE /api/rules/:ruleId
+ */
+router.delete('/rules/:ruleId', requireMondayAuth, async (req, res) => {
+  try {
+    const rule = await automationRules.get(req.params.ruleId);
+
+    if (!rule || !belongsToAccount(rule.accountId, req)) {
+      return res.status(404).json({
+        error: 'Rule not found',
+        code: 'RULE_NOT_FOUND'
+      });
+    }
+
+    await automationRules.remove(rule.ruleId);
+    res.json({ success: true, ruleId: rule.ruleId });
+
+  } catch (error) {
+    logger.error('Rule deletion failed', {
+      error: error.message,
+      ruleId: req.params.ruleId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Rule deletion failed',
+      message: error.message,
+      code: 'RULE_DELETION_FAILED'
+    });
+  }
+});
+
+/**
+ * Queue a bulk operation as a background job
+ * POST /api/jobs
+ * Progress is available from GET /api/jobs/:jobId and streamed from
+ * GET /api/jobs/:jobId/events.
+ */
+router.post('/jobs', requireMondayAuth, async (req, res) => {
+  try {
+    const { operation, context } = req.body;
+
+    if (!operation) {
+      return res.status(400).json({
+        error: 'Operation is required',
+        code: 'MISSING_OPERATION'
+      });
+    }
+
+    if (!BulkJobRunner.supports(operation.type)) {
+      return res.status(400).json({
+        error: `${operation.type} cannot run as a background job`,
+        supportedTypes: BulkJobRunner.JOB_TYPES,
+        code: 'UNSUPPORTED_JOB_TYPE'
+      });
+    }
+
+    const validation = await validationService.validateOperation(operation);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Operation validation failed',
+        details: validation.errors,
+        code: 'VALIDATION_FAILED'
+      });
+    }
+
+    if (!await checkConfirmation(operation, req, res)) {
+      return;
+    }
+
+    const job = await bulkJobs.enqueue(operation, {
+      ...clientContext(context),
+      accountId: req.session?.accountId,
+      userId: req.session?.userId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(202).json({ success: true, job });
+
+  } catch (error) {
+    logger.error('Job creation failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Job creation failed',
+      message: error.message,
+      code: 'JOB_CREATION_FAILED'
+    });
+  }
+});
+
+/**
+ * List the account's recent jobs
+ * GET /api/jobs?status=&limit=
+ */
+router.get('/jobs', requireMondayAuth, async (req, res) => {
+  try {
+    const jobs = await bulkJobs.list({
+      accountId: req.session?.accountId,
+      status: req.query.status
+    }, Math.min(parseInt(req.query.limit) || 50, 200));
+
+    res.json({ jobs });
+
+  } catch (error) {
+    logger.error('Job lookup failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Job lookup failed',
+      message: error.message,
+      code: 'JOB_LOOKUP_FAILED'
+    });
+  }
 });
 
+/**
+ * Get a job's status and progress
+ * GET /api/jobs/:jobId
+ */
+router.get('/jobs/:jobId', requireMondayAuth, async (req, res) => {
+  try {
+    const job = await bulkJobs.get(req.params.jobId);
+
+    if (!job || !belongsToAccount(job.context?.accountId, req)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    logger.error('Job lookup failed', {
+      error: error.message,
+      jobId: req.params.jobId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Job lookup failed',
+      message: error.message,
+      code: 'JOB_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * Stream a job's progress as Server-Sent Events
+ * GET /api/jobs/:jobId/events
+ * Sends a `progress` event with the job on every change and a final `done`
+ * event once the job has finished.
+ */
+router.get('/jobs/:jobId/events', requireMondayAuth, async (req, res) => {
+  try {
+    const job = await bulkJobs.get(req.params.jobId);
+
+    if (!job || !belongsToAccount(job.context?.accountId, req)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    let unsubscribe = () => {};
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const onUpdate = update => {
+      send('progress', update);
+      if (BulkJobRunner.FINAL_STATUSES.includes(update.status)) {
+        send('done', { jobId: update.jobId, status: update.status });
+        close();
+      }
+    };
+
+    unsubscribe = bulkJobs.subscribe(job.jobId, onUpdate);
+    req.on('close', close);
+    onUpdate(job);
+
+  } catch (error) {
+    logger.error('Job event stream failed', {
+      error: error.message,
+      jobId: req.params.jobId,
+      requestId: req.metadata?.requestId
+    });
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Job event stream failed',
+        message: error.message,
+        code: 'JOB_STREAM_FAILED'
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Pause, resume or cancel a job
+ * POST /api/jobs/:jobId/pause | resume | cancel
+ * Running jobs pause or stop before their next batch; a resumed job
+ * continues from its stored cursor.
+ */
+router.post('/jobs/:jobId/:action(pause|resume|cancel)', requireMondayAuth, async (req, res) => {
+  try {
+    const existing = await bulkJobs.get(req.params.jobId);
+
+    if (!existing || !belongsToAccount(existing.context?.accountId, req)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    const job = await bulkJobs[req.params.action](existing.jobId);
+    res.json({ success: true, job });
+
+  } catch (error) {
+    logger.error('Job update failed', {
+      error: error.message,
+      jobId: req.params.jobId,
+      action: req.params.action,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Job update failed',
+      message: error.message,
+      code: 'JOB_UPDATE_FAILED'
+    });
+  }
+});
+
+/**
+ * Save a named column mapping for cross-board transfers
+ * POST /api/column-mappings
+ * Preview the automatic mapping first with a plan-mode cross_board_transfer;
+ * a saved mapping is used by passing its name as the transfer's mapping.
+ */
+router.post('/column-mappings', requireMondayAuth, async (req, res) => {
+  try {
+    const { name, sourceBoardId, targetBoardId, columns, labels } = req.body;
+
+    if (!name || !sourceBoardId || !targetBoardId) {
+      return res.status(400).json({
+        error: 'Name, sourceBoardId and targetBoardId are required',
+        code: 'MISSING_MAPPING_FIELDS'
+      });
+    }
+
+    if (!Array.isArray(columns || []) || !Array.isArray(labels || [])) {
+      return res.status(400).json({
+        error: 'Columns and labels must be arrays',
+        code: 'INVALID_MAPPING'
+      });
+    }
+
+    const mapping = await columnMappings.save({
+      name,
+      sourceBoardId,
+      targetBoardId,
+      columns,
+      labels,
+      accountId: req.session?.accountId,
+      createdBy: req.session?.userId
+    });
+
+    res.status(201).json({ success: true, mapping });
+
+  } catch (error) {
+    logger.error('Column mapping save failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Column mapping save failed',
+      message: error.message,
+      code: 'MAPPING_SAVE_FAILED'
+    });
+  }
+});
+
+/**
+ * List the account's saved column mappings
+ * GET /api/column-mappings?sourceBoardId=&targetBoardId=
+ */
+router.get('/column-mappings', requireMondayAuth, async (req, res) => {
+  try {
+    const mappings = await columnMappings.list({
+      accountId: req.session?.accountId,
+      sourceBoardId: req.query.sourceBoardId,
+      targetBoardId: req.query.targetBoardId
+    });
+
+    res.json({ mappings });
+
+  } catch (error) {
+    logger.error('Column mapping lookup failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Column mapping lookup failed',
+      message: error.message,
+      code: 'MAPPING_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * Delete a saved column mapping
+ * DELETE /api/column-mappings/:mappingId
+ */
+router.delete('/column-mappings/:mappingId', requireMondayAuth, async (req, res) => {
+  try {
+    const mapping = await columnMappings.get(req.params.mappingId);
+
+    if (!mapping || !belongsToAccount(mapping.accountId, req)) {
+      return res.status(404).json({
+        error: 'Column mapping not found',
+        code: 'MAPPING_NOT_FOUND'
+      });
+    }
+
+    await columnMappings.remove(mapping.mappingId);
+    res.json({ success: true, mappingId: mapping.mappingId });
+
+  } catch (error) {
+    logger.error('Column mapping deletion failed', {
+      error: error.message,
+      mappingId: req.params.mappingId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Column mapping deletion failed',
+      message: error.message,
+      code: 'MAPPING_DELETION_FAILED'
+    });
+  }
+});
+
+/**
+ * List recently removed items and boards of the account
+ * GET /api/recycle-bin?boardId=&type=item|board
+ * Entries stay listed until restored or past RECYCLE_BIN_RETENTION_DAYS.
+ */
+router.get('/recycle-bin', requireMondayAuth, async (req, res) => {
+  try {
+    const entries = await recycleBin.list({
+      accountId: req.session?.accountId,
+      boardId: req.query.boardId,
+      entityType: req.query.type
+    }, parseInt(req.query.limit) || 50);
+
+    // Snapshots stay server-side; restoring only needs the entry ID
+    res.json({
+      entries: entries.map(({ snapshot, ...entry }) => ({
+        ...entry,
+        subitems: snapshot?.subitems?.length,
+        updates: snapshot?.updates?.length,
+        items: snapshot?.items?.length
+      })),
+      retentionDays: recycleBin.retentionDays
+    });
+
+  } catch (error) {
+    logger.error('Recycle bin lookup failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Recycle bin lookup failed',
+      message: error.message,
+      code: 'RECYCLE_BIN_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * Restore a recycle bin entry
+ * POST /api/recycle-bin/:entryId/restore
+ * The item or board is recreated from its snapshot under a new ID.
+ */
+router.post('/recycle-bin/:entryId/restore', requireMondayAuth, async (req, res) => {
+  try {
+    const entry = await recycleBin.get(req.params.entryId);
+
+    if (!entry || !belongsToAccount(entry.accountId, req)) {
+      return res.status(404).json({
+        error: 'Recycle bin entry not found',
+        code: 'RECYCLE_BIN_ENTRY_NOT_FOUND'
+      });
+    }
+    if (entry.restoredAt) {
+      return res.status(409).json({
+        error: 'Recycle bin entry was already restored',
+        restoredId: entry.restoredId,
+        code: 'ALREADY_RESTORED'
+      });
+    }
+
+    const result = await operationExecutor.execute({
+      type: entry.entityType === 'board' ? 'restore_board' : 'restore_item',
+      parameters: { entryId: entry.entryId }
+    }, {
+      accessToken: req.mondayAccessToken,
+      accountId: req.session?.accountId,
+      userId: req.session?.userId,
+      boardId: entry.boardId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.json({
+      success: result.success,
+      result,
+      operationId: result.operationId
+    });
+
+  } catch (error) {
+    logger.error('Recycle bin restore failed', {
+      error: error.message,
+      entryId: req.params.entryId,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Recycle bin restore failed',
+      message: error.message,
+      code: 'RESTORE_FAILED'
+    });
+  }
+});
+
+/**
+ * Failures of the account grouped by error type, operation type, board and
+ * prompt pattern
+ * GET /api/analytics/failures?since=&until=&limit=
+ * The period defaults to the last seven days.
+ */
+router.get('/analytics/failures', requireMondayAuth, async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    const until = req.query.until ? new Date(req.query.until) : undefined;
+
+    if ([since, until].some(date => date && isNaN(date.getTime()))) {
+      return res.status(400).json({
+        error: 'since and until must be dates',
+        code: 'INVALID_PERIOD'
+      });
+    }
+
+    const analytics = await errorAudits.analytics({
+      accountId: req.session?.accountId,
+      since,
+      until,
+      limit: Math.min(parseInt(req.query.limit) || 10, 100)
+    });
+
+    res.json(analytics);
+
+  } catch (error) {
+    logger.error('Failure analytics failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Failure analytics failed',
+      message: error.message,
+      code: 'ANALYTICS_FAILED'
+    });
+  }
+});
+
+/**
+ * The account's weekly digest of the commands that fail most often
+ * GET /api/analytics/failures/digest
+ */
+router.get('/analytics/failures/digest', requireMondayAuth, async (req, res) => {
+  try {
+    const digest = await errorAudits.weeklyDigest({
+      accountId: req.session?.accountId,
+      limit: Math.min(parseInt(req.query.limit) || 10, 50)
+    });
+
+    res.json(digest);
+
+  } catch (error) {
+    logger.error('Failure digest failed', {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: 'Failure digest failed',
+      message: error.message,
+      code: 'DIGEST_FAILED'
+    });
+  }
+});
+
+/**
+ * Get API health and metrics
+ * GET /api/health
+ */
+router.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    version: process.env.npm_package_version,
+    uptime: process.uptime(),
+    services: {
+      operationExecutor: operationExecutor.isHealthy(),
+      validationService: validationService.isHealthy()
+    }
+  });
+});
+
+/**
+ * Check that a record belongs to the requesting account
+ * Journal entries, jobs, rules, column mappings and recycle-bin entries
+ * stored without an account belong to none.
+ * @private
+ */
+function belongsToAccount(accountId, req) {
+  const sessionAccountId = req.session?.accountId;
+  if (accountId === undefined || accountId === null || sessionAccountId === undefined || sessionAccountId === null) {
+    return false;
+  }
+  return String(accountId) === String(sessionAccountId);
+}
+
+/**
+ * Execution context fields taken from a request body
+ * Journal keys (operationId) and the transaction or job the server threads
+ * through execution are never accepted from clients.
+ * @private
+ */
+function clientContext(context) {
+  const picked = {};
+  for (const field of CLIENT_CONTEXT_FIELDS) {
+    if (context?.[field] !== undefined) {
+      picked[field] = context[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Milliseconds since the AI middleware stamped the request (hrtime bigint)
+ * @private
+ */
+function elapsedMs(req) {
+  if (typeof req.startTime !== 'bigint') {
+    return undefined;
+  }
+  return Number((process.hrtime.bigint() - req.startTime) / 1000000n);
+}
+
+/**
+ * Two-phase confirmation of destructive operations
+ * Without parameters.confirmationToken the response (428) carries a new
+ * token for exactly this operation and user; a token that does not fit is
+ * rejected (403). The token is spent when the operation runs.
+ * @private
+ * @returns {Promise<boolean>} Whether the request may go ahead
+ */
+async function checkConfirmation(operation, req, res) {
+  if (!confirmations.requiresConfirmation(operation)) {
+    return true;
+  }
+
+  const user = { userId: req.session?.userId, accountId: req.session?.accountId };
+  const token = operation.parameters?.confirmationToken;
+
+  if (!token) {
+    const confirmation = await confirmations.issue(operation, user);
+    res.status(428).json({
+      error: 'Confirmation required',
+      message: `Send the operation again with parameters.confirmationToken to run ${operation.type}`,
+      confirmation,
+      code: 'CONFIRMATION_REQUIRED'
+    });
+    return false;
+  }
+
+  try {
+    await confirmations.verify(token, operation, user);
+    return true;
+  } catch (error) {
+    if (!error.code?.startsWith('CONFIRMATION_')) {
+      throw error;
+    }
+
+    res.status(403).json({
+      error: 'Confirmation rejected',
+      message: error.message,
+      code: error.code
+    });
+    return false;
+  }
+}
+
+/**
+ * Run undo or redo for the requesting user
+ * @private
+ */
+async function runUndoAction(action, req, res) {
+  try {
+    const result = await undoService[action]({
+      accessToken: req.mondayAccessToken,
+      accountId: req.session?.accountId,
+      userId: req.session?.userId
+    });
+
+    if (result.code) {
+      return res.status(409).json({
+        error: result.message,
+        code: result.code
+      });
+    }
+
+    // Partial failures report which steps ran; the rest stay on the stack
+    res.json(result);
+
+  } catch (error) {
+    logger.error(`${action} failed`, {
+      error: error.message,
+      requestId: req.metadata?.requestId
+    });
+
+    res.status(500).json({
+      error: `${action === 'undo' ? 'Undo' : 'Redo'} failed`,
+      message: error.message,
+      code: `${action.toUpperCase()}_FAILED`
+    });
+  }
+}
+
 // Error handling middleware
 router.use(aiMiddleware.errorHandler());
 
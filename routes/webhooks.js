@@ -1,122 +1,112 @@
 // routes/webhooks.js
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
 const { Logger } = require('@mondaycom/apps-sdk');
-const { mondayConfig } = require('../config/monday');
+const { mondayClient } = require('../config/monday');
 const logger = require('../utils/logger');
 
 // Import services
 const OperationExecutor = require('../services/operation-executor');
 const ContextService = require('../services/context');
+const RulesEngine = require('../services/rules-engine');
+const UpdateCommandService = require('../services/update-commands');
+const WebhookInbox = require('../services/webhook-inbox');
+const { requireAdminKey } = require('../middleware/auth');
+const { verifyMondaySignature } = require('../middleware/monday-signature');
 
 // Initialize services
 const operationExecutor = new OperationExecutor();
-const contextService = new ContextService();
+const contextService = new ContextService(mondayClient);
+const rulesEngine = new RulesEngine(operationExecutor);
+const updateCommands = new UpdateCommandService(operationExecutor, { contextService });
+const webhookInbox = new WebhookInbox(processWebhookEvent);
 
-/**
- * Verify Monday.com webhook signature
- */
-function verifyWebhookSignature(req, res, next) {
-  try {
-    const signature = req.get('authorization');
-    const body = JSON.stringify(req.body);
-
-    if (!signature) {
-      return res.status(401).json({ error: 'Missing signature' });
-    }
-
-    // Monday.com sends signature as "Bearer <signature>"
-    const receivedSignature = signature.replace('Bearer ', '');
-
-    // Calculate expected signature
-    const expectedSignature = crypto
-      .createHmac('sha256', mondayConfig.signingSecret)
-      .update(body)
-      .digest('hex');
-
-    if (receivedSignature !== expectedSignature) {
-      logger.warn('Invalid webhook signature', {
-        received: receivedSignature.substring(0, 10) + '...',
-        expected: expectedSignature.substring(0, 10) + '...'
-      });
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    next();
-  } catch (error) {
-    logger.error('Webhook signature verification failed', { error: error.message });
-    res.status(500).json({ error: 'Signature verification failed' });
-  }
+if (process.env.NODE_ENV !== 'test') {
+  webhookInbox.start();
 }
 
 /**
  * Monday.com webhook endpoint
  * POST /webhooks/monday
+ * Events are stored in the inbox before they are acknowledged and processed
+ * in the background. Redeliveries of a stored event are acknowledged without
+ * being processed again; if the event cannot be stored, a 500 lets
+ * Monday.com retry the delivery.
  */
-router.post('/monday', verifyWebhookSignature, async (req, res) => {
-  try {
-    const { event, data } = req.body;
-
-    logger.info('Webhook received', {
-      event: event?.type,
-      boardId: data?.board_id,
-      itemId: data?.item_id,
-      userId: data?.user_id
-    });
-
-    // Process different webhook events
-    switch (event?.type) {
-      case 'create_item':
-        await handleItemCreated(data);
-        break;
-
-      case 'change_column_value':
-        await handleColumnValueChanged(data);
-        break;
-
-      case 'create_update':
-        await handleUpdateCreated(data);
-        break;
-
-      case 'archive_item':
-        await handleItemArchived(data);
-        break;
+router.post('/monday', verifyMondaySignature, async (req, res) => {
+  const { event, data } = req.body;
+
+  logger.info('Webhook received', {
+    event: event?.type,
+    boardId: data?.board_id,
+    itemId: data?.item_id,
+    userId: data?.user_id
+  });
 
-      case 'delete_item':
-        await handleItemDeleted(data);
-        break;
+  try {
+    const { entry, duplicate } = await webhookInbox.receive(req.body);
 
-      default:
-        logger.info('Unhandled webhook event', { eventType: event?.type });
+    if (!duplicate) {
+      webhookInbox.schedule(entry.eventId);
     }
 
-    // Always respond with 200 to acknowledge receipt
     res.status(200).json({
       success: true,
-      message: 'Webhook processed',
+      message: duplicate ? 'Webhook already received' : 'Webhook queued',
+      eventId: entry.eventId,
+      duplicate,
       eventType: event?.type
     });
 
   } catch (error) {
-    logger.error('Webhook processing failed', {
+    logger.error('Webhook could not be stored', {
       error: error.message,
-      event: req.body.event?.type
+      event: event?.type
     });
 
-    // Still return 200 to prevent Monday.com from retrying
-    res.status(200).json({
+    res.status(500).json({
       success: false,
-      error: 'Processing failed',
+      error: 'Webhook could not be stored',
       message: error.message
     });
   }
 });
 
+/**
+ * Dispatch a stored webhook to its handler
+ * Throws when processing fails so the inbox retries the event.
+ */
+async function processWebhookEvent({ event, data }) {
+  switch (event?.type) {
+    case 'create_item':
+      await handleItemCreated(data, event);
+      break;
+
+    case 'change_column_value':
+      await handleColumnValueChanged(data, event);
+      break;
+
+    case 'create_update':
+      await handleUpdateCreated(data, event);
+      break;
+
+    case 'archive_item':
+      await handleItemArchived(data);
+      break;
+
+    case 'delete_item':
+      await handleItemDeleted(data);
+      break;
+
+    default:
+      logger.info('Unhandled webhook event', { eventType: event?.type });
+  }
+}
+
 /**
  * Handle item created webhook
  */
-async function handleItemCreated(data) {
+async function handleItemCreated(data, event) {
   try {
     logger.info('Processing item created', {
       itemId: data.item_id,
@@ -126,18 +116,22 @@ async function handleItemCreated(data) {
     // Refresh context cache for the board
     await contextService.refreshBoardContext(data.board_id);
 
-    // Check if there are any automation triggers for new items
-    // This would be expanded in Phase 2 with AI automation logic
+    // Run automation rules listening for new items
+    const outcome = await rulesEngine.handleEvent(event, data);
+    if (outcome.matched > 0) {
+      logger.info('Automation rules evaluated', outcome);
+    }
 
   } catch (error) {
     logger.error('Failed to handle item created', { error: error.message });
+    throw error;
   }
 }
 
 /**
  * Handle column value changed webhook
  */
-async function handleColumnValueChanged(data) {
+async function handleColumnValueChanged(data, event) {
   try {
     logger.info('Processing column value changed', {
       itemId: data.item_id,
@@ -145,18 +139,22 @@ async function handleColumnValueChanged(data) {
       columnId: data.column_id
     });
 
-    // Check for automation triggers based on column changes
-    // This would be expanded in Phase 2 with AI automation logic
+    // Run automation rules whose condition matches the new value
+    const outcome = await rulesEngine.handleEvent(event, data);
+    if (outcome.matched > 0) {
+      logger.info('Automation rules evaluated', outcome);
+    }
 
   } catch (error) {
     logger.error('Failed to handle column value changed', { error: error.message });
+    throw error;
   }
 }
 
 /**
  * Handle update created webhook
  */
-async function handleUpdateCreated(data) {
+async function handleUpdateCreated(data, event) {
   try {
     logger.info('Processing update created', {
       updateId: data.update_id,
@@ -164,11 +162,19 @@ async function handleUpdateCreated(data) {
       boardId: data.board_id
     });
 
-    // Check if the update contains AI commands or mentions
-    // This would be expanded in Phase 2 with natural language processing
+    // Run @mention commands and reply in the update thread
+    const outcome = await updateCommands.handleUpdate(event, data);
+    if (outcome.handled) {
+      logger.info('Update command handled', {
+        updateId: data.update_id,
+        executed: outcome.executed,
+        success: outcome.success
+      });
+    }
 
   } catch (error) {
     logger.error('Failed to handle update created', { error: error.message });
+    throw error;
   }
 }
 
@@ -188,6 +194,7 @@ async function handleItemArchived(data) {
 
   } catch (error) {
     logger.error('Failed to handle item archived', { error: error.message });
+    throw error;
   }
 }
 
@@ -207,9 +214,109 @@ async function handleItemDeleted(data) {
 
   } catch (error) {
     logger.error('Failed to handle item deleted', { error: error.message });
+    throw error;
   }
 }
 
+/**
+ * List stored webhook events
+ * GET /webhooks/admin/events?status=failed&type=create_item&limit=50
+ */
+router.get('/admin/events', requireAdminKey, async (req, res) => {
+  try {
+    const events = await webhookInbox.list({
+      status: req.query.status,
+      type: req.query.type
+    }, Math.min(parseInt(req.query.limit) || 50, 500));
+
+    res.json({ events });
+
+  } catch (error) {
+    logger.error('Webhook event lookup failed', { error: error.message });
+    res.status(500).json({
+      error: 'Webhook event lookup failed',
+      message: error.message,
+      code: 'WEBHOOK_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * List dead-lettered webhook events
+ * GET /webhooks/admin/dead-letters
+ */
+router.get('/admin/dead-letters', requireAdminKey, async (req, res) => {
+  try {
+    const deadLetters = await webhookInbox.listDeadLetters(Math.min(parseInt(req.query.limit) || 50, 500));
+    res.json({ deadLetters });
+
+  } catch (error) {
+    logger.error('Dead letter lookup failed', { error: error.message });
+    res.status(500).json({
+      error: 'Dead letter lookup failed',
+      message: error.message,
+      code: 'WEBHOOK_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * Inspect a webhook event, including its payload and failures
+ * GET /webhooks/admin/events/:eventId
+ */
+router.get('/admin/events/:eventId', requireAdminKey, async (req, res) => {
+  try {
+    const event = await webhookInbox.inspect(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Webhook event not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    res.json(event);
+
+  } catch (error) {
+    logger.error('Webhook event lookup failed', { error: error.message, eventId: req.params.eventId });
+    res.status(500).json({
+      error: 'Webhook event lookup failed',
+      message: error.message,
+      code: 'WEBHOOK_LOOKUP_FAILED'
+    });
+  }
+});
+
+/**
+ * Process a failed or dead-lettered webhook event again
+ * POST /webhooks/admin/events/:eventId/replay
+ */
+router.post('/admin/events/:eventId/replay', requireAdminKey, async (req, res) => {
+  try {
+    const event = await webhookInbox.replay(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Webhook event not found',
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: event.status === 'processed',
+      event
+    });
+
+  } catch (error) {
+    logger.error('Webhook replay failed', { error: error.message, eventId: req.params.eventId });
+    res.status(409).json({
+      error: 'Webhook replay failed',
+      message: error.message,
+      code: 'WEBHOOK_REPLAY_FAILED'
+    });
+  }
+});
+
 /**
  * Webhook health check
  * GET /webhooks/health
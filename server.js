@@ -5,15 +5,17 @@ const bodyParser = require('body-parser');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const crypto = require('crypto');
 
 // Import environment configuration
 const { PORT, NODE_ENV, mondayConfig, claudeConfig, rateLimitConfig } = require('./config/environment');
+const { mondayClient } = require('./config/monday');
 
 // Import utilities and middleware
 const logger = require('./utils/logger');
+const { connectDatabase } = require('./config/database');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { monitor: responseTimeMonitor, getMetricsHandler } = require('./middleware/response-time-monitor');
+const { captureRawBody, verifyMondaySignature } = require('./middleware/monday-signature');
 
 // Import routes (create fallbacks for missing routes)
 let authRoutes, aiRoutes, apiRoutes, webhookRoutes, healthRoutes;
@@ -25,7 +27,8 @@ try {
 }
 
 try {
-  aiRoutes = require('./routes/ai');
+  const AIRoutes = require('./routes/ai');
+  aiRoutes = new AIRoutes(mondayClient).getRouter();
 } catch (e) {
   aiRoutes = express.Router();
   console.warn('AI routes not found, using empty router');
@@ -89,8 +92,9 @@ app.use(cors({
 }));
 
 // Body parsing
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body; Monday.com signatures are computed over the exact bytes
+app.use(bodyParser.json({ limit: '10mb', verify: captureRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Response time monitoring (Monday.com compliance)
 app.use(responseTimeMonitor());
@@ -156,31 +160,6 @@ try {
   verifyOptionsSignature = (req, res, next) => next();
 }
 
-// Monday.com webhook signature verification middleware
-const verifyMondaySignature = (req, res, next) => {
-  try {
-    const signature = req.headers['x-monday-signature'];
-    if (!signature) {
-      return res.status(401).json({ error: 'Missing signature' });
-    }
-
-    const bodyString = req.rawBody || JSON.stringify(req.body);
-    const expectedSignature = crypto
-      .createHmac('sha256', mondayConfig.signingSecret)
-      .update(bodyString)
-      .digest('hex');
-
-    if (signature !== expectedSignature) {
-      return res.status(401).json({ error: 'Invalid signature' });
-    }
-
-    next();
-  } catch (error) {
-    console.error('Signature verification error:', error);
-    res.status(500).json({ error: 'Signature verification failed' });
-  }
-};
-
 // Add health check endpoint if not provided by healthRoutes
 app.get('/health', async (req, res) => {
   try {
@@ -261,6 +240,8 @@ app.use(notFoundHandler);
 // Start server (only if not in test environment)
 let server;
 if (NODE_ENV !== 'test') {
+  connectDatabase();
+
   server = app.listen(PORT, () => {
     logger.info(`AI Workflow Builder server running on port ${PORT}`);
     logger.info(`Environment: ${NODE_ENV}`);
@@ -86,6 +86,19 @@ class ApiClient {
     }
   }
 
+  /**
+   * Redo the most recently undone operation
+   */
+  async redoOperation(data) {
+    try {
+      const response = await this.client.post('/redo', data);
+      return response.data;
+    } catch (error) {
+      console.error('Redo error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get operation suggestions based on context
    */
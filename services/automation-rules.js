@@ -0,0 +1,93 @@
+// services/automation-rules.js
+const AutomationRuleModel = require('../models/AutomationRule');
+const PersistentStore = require('../utils/persistent-store');
+
+/**
+ * Stored natural language automation rules
+ * Rules are compiled once when they are saved; webhook handlers only read
+ * the compiled trigger, condition and operations.
+ */
+class AutomationRules {
+  constructor() {
+    this.store = new PersistentStore(AutomationRuleModel, { key: 'ruleId' });
+  }
+
+  /**
+   * Save a compiled rule
+   * @param {object} rule - Compiled rule including ruleId
+   * @returns {Promise<object>} Stored rule
+   */
+  async create(rule) {
+    return this.store.create({
+      ...rule,
+      accountId: rule.accountId ? String(rule.accountId) : undefined,
+      boardId: String(rule.boardId),
+      createdBy: String(rule.createdBy),
+      enabled: rule.enabled !== false,
+      triggerCount: 0,
+      compiledAt: new Date(),
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Get a rule by ID
+   */
+  async get(ruleId) {
+    return this.store.get(ruleId);
+  }
+
+  /**
+   * List an account's rules, optionally for one board
+   */
+  async list({ accountId, boardId } = {}) {
+    const filter = {};
+    if (accountId) filter.accountId = String(accountId);
+    if (boardId) filter.boardId = String(boardId);
+
+    return this.store.find(filter, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * Enabled rules listening for an event on a board
+   * @param {string} boardId - Board the event happened on
+   * @param {string} event - Webhook event type
+   * @returns {Promise<Array>}
+   */
+  async findMatching(boardId, event) {
+    return this.store.find({
+      boardId: String(boardId),
+      'trigger.event': event,
+      enabled: true
+    });
+  }
+
+  /**
+   * Enable or disable a rule
+   */
+  async setEnabled(ruleId, enabled) {
+    return this.store.update(ruleId, { enabled: !!enabled });
+  }
+
+  /**
+   * Update run statistics after a rule fired
+   * @param {object} rule - Rule that ran
+   * @param {string|null} error - Failure message, if any
+   */
+  async recordRun(rule, error = null) {
+    return this.store.update(rule.ruleId, {
+      triggerCount: (rule.triggerCount || 0) + 1,
+      lastTriggeredAt: new Date(),
+      lastError: error
+    });
+  }
+
+  /**
+   * Delete a rule
+   */
+  async remove(ruleId) {
+    return this.store.remove(ruleId);
+  }
+}
+
+module.exports = new AutomationRules();
@@ -0,0 +1,357 @@
+// services/bulk-jobs.js
+const { EventEmitter } = require('events');
+const BulkJobModel = require('../models/BulkJob');
+const PersistentStore = require('../utils/persistent-store');
+const confirmations = require('./confirmations');
+const logger = require('../utils/logger');
+
+const JOB_TYPES = ['bulk_update', 'bulk_move', 'bulk_duplicate', 'bulk_delete', 'cross_board_transfer'];
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+const MAX_STORED_FAILURES = 100;
+
+/**
+ * Background runner for bulk operations
+ * Jobs are persisted before they start and run through the executor outside
+ * the HTTP request. After every batch the operation reports a cursor, which
+ * is stored with the job's progress; pausing ends the current run at the next
+ * batch and resuming starts a new run from the stored cursor, as does a
+ * restart of the process. Every change is emitted as a `job:<jobId>` event
+ * for progress streaming.
+ */
+class BulkJobRunner extends EventEmitter {
+  /**
+   * @param {OperationExecutor} executor - Executor the jobs run through
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - Jobs running at the same time
+   */
+  constructor(executor, { concurrency = 2 } = {}) {
+    super();
+    this.setMaxListeners(0);
+
+    this.executor = executor;
+    this.concurrency = concurrency;
+    this.store = new PersistentStore(BulkJobModel, { key: 'jobId' });
+    this.queue = [];
+    this.active = new Set();
+  }
+
+  /**
+   * Whether an operation type can run as a job
+   */
+  static supports(type) {
+    return JOB_TYPES.includes(type);
+  }
+
+  /**
+   * Store a job and queue it
+   * A destructive operation's confirmation token is spent here, so every
+   * run of the job, including resumed ones, executes confirmed.
+   * @param {object} operation - Executor operation ({ type, parameters })
+   * @param {object} context - { accountId, userId, boardId, requestId }
+   * @returns {Promise<object>} Job
+   */
+  async enqueue(operation, context = {}) {
+    if (!BulkJobRunner.supports(operation.type)) {
+      throw new Error(`${operation.type} cannot run as a background job`);
+    }
+
+    const confirmedAt = confirmations.requiresConfirmation(operation)
+      ? (await confirmations.consume(operation.parameters?.confirmationToken, operation, context)).usedAt
+      : null;
+
+    const job = await this.store.create({
+      jobId: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: operation.type,
+      status: 'queued',
+      operation: { type: operation.type, parameters: operation.parameters || {} },
+      context: {
+        accountId: context.accountId ? String(context.accountId) : undefined,
+        userId: context.userId ? String(context.userId) : undefined,
+        boardId: context.boardId ? String(context.boardId) : undefined,
+        requestId: context.requestId
+      },
+      confirmedAt,
+      cursor: null,
+      progress: {
+        total: operation.parameters?.itemIds?.length ?? null,
+        processed: 0,
+        successful: 0,
+        failed: 0
+      },
+      failures: [],
+      operationIds: [],
+      pauseRequested: false,
+      cancelRequested: false,
+      queuedAt: new Date()
+    });
+
+    logger.info('Bulk job queued', { jobId: job.jobId, type: job.type });
+
+    this.publish(job);
+    this.schedule(job.jobId);
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   */
+  async get(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * List recent jobs of an account or user
+   * @param {object} filter - { accountId, userId, status }
+   * @param {number} limit
+   */
+  async list({ accountId, userId, status } = {}, limit = 50) {
+    const filter = {};
+    if (accountId) filter['context.accountId'] = String(accountId);
+    if (userId) filter['context.userId'] = String(userId);
+    if (status) filter.status = status;
+
+    return this.store.find(filter, { sort: { queuedAt: -1 }, limit });
+  }
+
+  /**
+   * Pause a job; a running job stops before its next batch
+   * @returns {Promise<object|null>} Job
+   */
+  async pause(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job) return null;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+      return this.update(jobId, { status: 'paused' });
+    }
+    if (job.status === 'running') {
+      return this.update(jobId, { pauseRequested: true });
+    }
+    return job;
+  }
+
+  /**
+   * Queue a paused job again; it continues from its cursor
+   * @returns {Promise<object|null>} Job
+   */
+  async resume(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job || job.status !== 'paused') return job;
+
+    const resumed = await this.update(jobId, { status: 'queued', pauseRequested: false });
+    this.schedule(jobId);
+    return resumed;
+  }
+
+  /**
+   * Cancel a job; a running job stops before its next batch
+   * @returns {Promise<object|null>} Job
+   */
+  async cancel(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job || FINAL_STATUSES.includes(job.status)) return job;
+
+    if (job.status === 'running') {
+      return this.update(jobId, { cancelRequested: true });
+    }
+
+    this.queue = this.queue.filter(id => id !== jobId);
+    return this.update(jobId, { status: 'cancelled', cancelRequested: true, finishedAt: new Date() });
+  }
+
+  /**
+   * Listen to changes of one job
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - (job) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    this.on(`job:${jobId}`, listener);
+    return () => this.off(`job:${jobId}`, listener);
+  }
+
+  /**
+   * Requeue jobs a previous process left queued or running
+   * @returns {Promise<number>} Number of requeued jobs
+   */
+  async recover() {
+    const jobs = await this.store.find({ status: { $in: ['queued', 'running'] } });
+
+    for (const job of jobs) {
+      if (this.active.has(job.jobId)) continue;
+
+      await this.update(job.jobId, { status: 'queued' });
+      this.schedule(job.jobId);
+    }
+
+    if (jobs.length > 0) {
+      logger.info('Bulk jobs recovered', { count: jobs.length });
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Queue a job; a job resumed while its previous run is still winding down
+   * starts once that run has finished
+   * @private
+   */
+  schedule(jobId) {
+    if (!this.queue.includes(jobId)) {
+      this.queue.push(jobId);
+    }
+    this.drain();
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   * @private
+   */
+  drain() {
+    while (this.active.size < this.concurrency) {
+      const index = this.queue.findIndex(id => !this.active.has(id));
+      if (index === -1) break;
+
+      const [jobId] = this.queue.splice(index, 1);
+      this.active.add(jobId);
+
+      this.run(jobId)
+        .catch(async error => {
+          logger.error('Bulk job failed', { jobId, error: error.message });
+          await this.update(jobId, { status: 'failed', error: error.message, finishedAt: new Date() })
+            .catch(() => {});
+        })
+        .finally(() => {
+          this.active.delete(jobId);
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Run a job from its cursor until it finishes, pauses or is cancelled
+   * @private
+   */
+  async run(jobId) {
+    const queued = await this.store.get(jobId);
+    if (!queued || queued.status !== 'queued') return;
+
+    const operationId = `${jobId}_run${queued.operationIds.length + 1}`;
+    const job = await this.update(jobId, {
+      status: 'running',
+      startedAt: queued.startedAt || new Date(),
+      operationIds: [...queued.operationIds, operationId]
+    });
+
+    // Counts of earlier runs; each run reports its own
+    const base = {
+      processed: job.cursor?.index || 0,
+      successful: job.progress.successful,
+      failed: job.progress.failed
+    };
+
+    const result = await this.executor.execute(job.operation, {
+      ...job.context,
+      operationId,
+      batchId: jobId,
+      confirmed: !!job.confirmedAt,
+      job: {
+        cursor: job.cursor,
+        shouldPause: () => this.isRequested(jobId, 'pauseRequested'),
+        shouldCancel: () => this.isRequested(jobId, 'cancelRequested'),
+        onProgress: progress => this.recordProgress(jobId, base, progress)
+      }
+    });
+
+    await this.finishRun(jobId, base, result);
+  }
+
+  /**
+   * @private
+   */
+  async isRequested(jobId, flag) {
+    const job = await this.store.get(jobId);
+    return !!job?.[flag];
+  }
+
+  /**
+   * Store the cursor and counts reported after a batch
+   * @private
+   */
+  async recordProgress(jobId, base, { cursor, total, successful, failed }) {
+    return this.update(jobId, {
+      cursor,
+      'progress.total': total,
+      'progress.processed': cursor?.index ?? base.processed + successful + failed,
+      'progress.successful': base.successful + successful,
+      'progress.failed': base.failed + failed
+    });
+  }
+
+  /**
+   * Record the outcome of a run
+   * @private
+   */
+  async finishRun(jobId, base, result) {
+    const job = await this.store.get(jobId);
+    const summary = result.summary || {};
+    const successful = base.successful + (summary.successful || 0);
+    const failed = base.failed + (summary.failed || 0);
+
+    const changes = {
+      'progress.total': summary.total ?? job.progress.total,
+      'progress.successful': successful,
+      'progress.failed': failed,
+      'progress.processed': result.paused
+        ? result.cursor.index
+        : base.processed + (summary.successful || 0) + (summary.failed || 0),
+      failures: [...(job.failures || []), ...(result.errors || [])].slice(-MAX_STORED_FAILURES),
+      pauseRequested: false
+    };
+
+    if (result.paused) {
+      Object.assign(changes, { status: 'paused', cursor: result.cursor });
+    } else if (result.cancelled) {
+      Object.assign(changes, { status: 'cancelled', finishedAt: new Date() });
+    } else if (result.success) {
+      Object.assign(changes, { status: 'succeeded', finishedAt: new Date() });
+    } else {
+      Object.assign(changes, { status: 'failed', error: result.error || 'Some items failed', finishedAt: new Date() });
+    }
+
+    const finished = await this.update(jobId, changes);
+
+    logger.info('Bulk job run finished', {
+      jobId,
+      status: finished.status,
+      processed: finished.progress.processed,
+      total: finished.progress.total
+    });
+
+    return finished;
+  }
+
+  /**
+   * Apply changes and notify subscribers
+   * @private
+   */
+  async update(jobId, changes) {
+    const job = await this.store.update(jobId, changes);
+    if (job) {
+      this.publish(job);
+    }
+    return job;
+  }
+
+  /**
+   * @private
+   */
+  publish(job) {
+    this.emit(`job:${job.jobId}`, job);
+  }
+}
+
+BulkJobRunner.JOB_TYPES = JOB_TYPES;
+BulkJobRunner.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = BulkJobRunner;
@@ -1,46 +1,120 @@
 // services/claude-service.js
-const Anthropic = require('@anthropic-ai/sdk');
+const Joi = require('joi');
 const { Logger } = require('@mondaycom/apps-sdk');
+const AI_CONFIG = require('../config/ai');
+const { currentCassette } = require('../utils/cassette');
+const {
+  interpretationTools,
+  planTool,
+  validateInterpretation,
+  validatePlan
+} = require('../utils/operation-schemas');
+const llm = require('./llm');
+const { LLMProvider } = require('./llm/provider');
+
+const validationSchema = Joi.object({
+  valid: Joi.boolean().required(),
+  errors: Joi.array().items(Joi.string()).default([]),
+  warnings: Joi.array().items(Joi.string()).default([]),
+  suggestions: Joi.array().items(Joi.string()).default([]),
+  confidence: Joi.number().min(0).max(100)
+}).unknown(true);
+
+const suggestionsSchema = Joi.object({
+  suggestions: Joi.array().items(Joi.object({
+    operation: Joi.string().required(),
+    parameters: Joi.object().default({}),
+    confidence: Joi.number().min(0).max(100),
+    explanation: Joi.string().allow('')
+  }).unknown(true)).required()
+}).unknown(true);
 
 class ClaudeService {
-  constructor() {
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
+  /**
+   * @param {object} [options]
+   * @param {LLMProvider} [options.provider] - Fixed provider; by default the
+   *   provider and model are resolved per account and user on each call
+   * @param {string} [options.model] - Model used with a fixed provider
+   */
+  constructor({ provider = null, model = null } = {}) {
+    this.provider = provider;
     this.logger = new Logger('claude-service');
-    this.model = 'claude-3-5-sonnet-20241022';
+    this.model = model;
     this.maxTokens = 4000;
     this.temperature = 0.1; // Low temperature for consistent operations
     this.maxRetries = 3;
+    this.maxRepairAttempts = AI_CONFIG.claude.maxRepairAttempts;
   }
 
   /**
    * Analyze user input and extract Monday.com operations
+   * The model reports the interpretation by calling the tool of its operation
+   * type (see utils/operation-schemas); invalid calls are sent back to it to
+   * be corrected. With a conversation session, earlier requests and
+   * interpretations are sent as message history and the session's entities,
+   * last operation and pending clarification as conversation state.
    * @param {string} userInput - Natural language request
    * @param {Object} context - Monday.com context (boards, users, etc.)
+   * @param {Object} [session] - Conversation session from ConversationSessions
    * @returns {Promise<Object>} - Parsed operation with confidence
    */
-  async analyzeOperation(userInput, context) {
+  async analyzeOperation(userInput, context, session = null) {
     try {
-      const prompt = this._buildOperationPrompt(userInput, context);
+      const prompt = this._buildOperationPrompt(userInput, context, session);
+      const history = (session?.turns || []).map(({ role, content }) => ({ role, content }));
 
       this.logger.info('Analyzing operation', {
         inputLength: userInput.length,
-        contextKeys: Object.keys(context)
+        contextKeys: Object.keys(context),
+        historyLength: history.length
       });
 
-      const response = await this._callClaude(prompt);
-      const parsedResponse = this._parseResponse(response);
+      const interpretation = await this._callTool(
+        prompt, interpretationTools(), validateInterpretation, this._selectionFor(context), history
+      );
 
       this.logger.info('Operation analyzed', {
-        operation: parsedResponse.operation,
-        confidence: parsedResponse.confidence
+        operation: interpretation.operation,
+        confidence: interpretation.confidence
       });
 
-      return parsedResponse;
+      return interpretation;
     } catch (error) {
       this.logger.error('Failed to analyze operation', { error: error.message });
-      throw new Error(`Claude analysis failed: ${error.message}`);
+      const failure = new Error(`Claude analysis failed: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
+    }
+  }
+
+  /**
+   * Plan a request that may need several operations
+   * One plan_operations tool call returns every step, in order, with the
+   * steps it depends on.
+   * A step can use the output of an earlier one through a binding such as
+   * "{{step1.boardId}}" (see utils/operation-graph).
+   * @param {string} userInput - Natural language request
+   * @param {Object} context - Monday.com context
+   * @param {Object} [session] - Conversation session from ConversationSessions
+   * @returns {Promise<Object>} - { steps, confidence, clarifyingQuestions, warnings }
+   */
+  async planOperations(userInput, context, session = null) {
+    try {
+      const prompt = this._buildPlanPrompt(userInput, context, session);
+      const history = (session?.turns || []).map(({ role, content }) => ({ role, content }));
+      const plan = await this._callTool(prompt, [planTool()], validatePlan, this._selectionFor(context), history);
+
+      this.logger.info('Operations planned', {
+        steps: plan.steps.length,
+        confidence: plan.confidence
+      });
+
+      return plan;
+    } catch (error) {
+      this.logger.error('Failed to plan operations', { error: error.message });
+      const failure = new Error(`Claude planning failed: ${error.message}`);
+      failure.code = error.code;
+      throw failure;
     }
   }
 
@@ -53,10 +127,12 @@ class ClaudeService {
   async validateOperation(operation, context) {
     try {
       const prompt = this._buildValidationPrompt(operation, context);
-      const response = await this._callClaude(prompt);
-      return this._parseValidationResponse(response);
+      return await this._callJSON(prompt, validationSchema, this._selectionFor(context));
     } catch (error) {
       this.logger.error('Failed to validate operation', { error: error.message });
+      if (error.code === 'INVALID_MODEL_OUTPUT') {
+        return { valid: false, errors: ['Invalid validation response'] };
+      }
       throw new Error(`Operation validation failed: ${error.message}`);
     }
   }
@@ -70,8 +146,8 @@ class ClaudeService {
   async generateSuggestions(userInput, context) {
     try {
       const prompt = this._buildSuggestionPrompt(userInput, context);
-      const response = await this._callClaude(prompt);
-      return this._parseSuggestions(response);
+      const { suggestions } = await this._callJSON(prompt, suggestionsSchema, this._selectionFor(context));
+      return suggestions;
     } catch (error) {
       this.logger.error('Failed to generate suggestions', { error: error.message });
       return [];
@@ -82,14 +158,14 @@ class ClaudeService {
    * Build the main operation analysis prompt
    * @private
    */
-  _buildOperationPrompt(userInput, context) {
+  _buildOperationPrompt(userInput, context, session = null) {
     const contextSummary = this._compressContext(context);
 
     return `You are an expert Monday.com operations analyst. Your job is to interpret natural language requests and convert them into structured Monday.com API operations.
 
 CONTEXT INFORMATION:
 ${contextSummary}
-
+${this._conversationState(session)}
 USER REQUEST: "${userInput}"
 
 OPERATION TYPES SUPPORTED:
@@ -106,29 +182,98 @@ OPERATION TYPES SUPPORTED:
 11. BULK_OPERATION - Mass updates/changes
 
 ANALYSIS REQUIREMENTS:
-- Identify the primary operation type
-- Extract all parameters needed for Monday.com API
+- Identify the primary operation type and call its tool (UNKNOWN when it is none of them)
+- Extract all parameters needed for Monday.com API, with IDs from the context
 - Calculate confidence score (0-100)
-- Identify any missing information
-- Suggest clarifying questions if needed
+- List required parameters the request does not give in missingInfo
+- Suggest clarifying questions if needed, and alternatives with the reason for each
 
-RESPONSE FORMAT (JSON):
+Analyze the request and call exactly one tool:`;
+  }
+
+  /**
+   * Conversation state section of the analysis prompt, empty without
+   * anything to refer back to
+   * @private
+   */
+  _conversationState(session) {
+    if (!session?.lastOperation && !session?.pendingClarification && !Object.keys(session?.entities || {}).length) {
+      return '';
+    }
+
+    const state = {
+      entities: session.entities || {},
+      lastOperation: session.lastOperation || null,
+      pendingClarification: session.pendingClarification
+        ? {
+          originalInput: session.pendingClarification.originalInput,
+          operation: session.pendingClarification.operation,
+          parameters: session.pendingClarification.parameters,
+          questions: session.pendingClarification.questions
+        }
+        : null
+    };
+
+    return `
+CONVERSATION STATE:
+${JSON.stringify(state, null, 2)}
+
+The earlier messages are this user's previous requests and your interpretations of them. Resolve references such as "it", "them", "her" or "that board" against the conversation state, and repeat the last operation with the new target for requests like "do the same for ...". When a clarification is pending, treat the request as the answer to its questions and complete that operation.
+`;
+  }
+
+  /**
+   * Build the multi-operation planning prompt
+   * @private
+   */
+  _buildPlanPrompt(userInput, context, session = null) {
+    const operationTypes = Object.entries(AI_CONFIG.operations.types)
+      .map(([type, { requiredParams }]) => `- ${type} (${requiredParams.join(', ')})`)
+      .join('\n');
+
+    return `You are an expert Monday.com operations analyst. Your job is to turn a request into the Monday.com operations that carry it out, in order.
+
+CONTEXT INFORMATION:
+${this._compressContext(context)}
+${this._conversationState(session)}
+USER REQUEST: "${userInput}"
+
+OPERATION TYPES SUPPORTED (required parameters):
+${operationTypes}
+
+PLANNING REQUIREMENTS:
+- Use one step per operation; a request such as "Research and Development" that names one thing is one step
+- Give every step an id ("step1", "step2", ...) and list the ids of the steps it needs in "dependsOn"
+- When a step needs something an earlier step creates, bind it as "{{stepId.field}}", e.g. "{{step1.boardId}}" for the board step1 creates; outputs are boardId, itemId, columnId and groupId
+- Use IDs from the context for things that already exist
+- Calculate a confidence score (0-100) for each step and the whole plan
+
+Report the plan by calling plan_operations. For example, "Create the Launch board and add a Status column to it" is planned as:
 {
-  "operation": "OPERATION_TYPE",
-  "confidence": 85,
-  "parameters": {
-    "boardId": "board_id_here",
-    "itemName": "extracted_name",
-    "columnValues": {},
-    "groupId": "group_id"
-  },
-  "missingInfo": ["required_but_missing_parameters"],
-  "clarifyingQuestions": ["questions_for_user"],
-  "warnings": ["potential_issues"],
-  "alternatives": [{"operation": "ALT_TYPE", "reason": "why_this_alternative"}]
+  "steps": [
+    {
+      "id": "step1",
+      "operation": "BOARD_CREATE",
+      "parameters": {"boardName": "Launch", "workspaceId": "workspace_id"},
+      "dependsOn": [],
+      "confidence": 90,
+      "description": "Create the Launch board"
+    },
+    {
+      "id": "step2",
+      "operation": "COLUMN_CREATE",
+      "parameters": {"boardId": "{{step1.boardId}}", "columnTitle": "Status", "columnType": "status"},
+      "dependsOn": ["step1"],
+      "confidence": 90,
+      "description": "Add a Status column to it"
+    }
+  ],
+  "confidence": 90,
+  "clarifyingQuestions": [],
+  "warnings": []
 }
 
-Analyze the request and respond with valid JSON only:`;
+Plan the request and call plan_operations:`;
   }
 
   /**
@@ -194,107 +339,273 @@ Generate suggestions in JSON format:`;
   }
 
   /**
-   * Make API call to Claude with retry logic
+   * Make API call to the selected LLM provider
+   * While a cassette is inserted the call is recorded or replayed. With
+   * AI_CONFIG.debugging.mockResponses set, calls must be served by a cassette
+   * or an injected provider and never reach a live model.
+   * @param {string} prompt
+   * @param {object} [selection] - { accountId, userId } used to pick the provider and model
+   * @param {Array<object>} [history] - Earlier { role, content } messages sent before the prompt
    * @private
    */
-  async _callClaude(prompt, retryCount = 0) {
-    try {
-      const message = await this.client.messages.create({
-        model: this.model,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        messages: [{ role: 'user', content: prompt }]
+  async _callClaude(prompt, selection = {}, history = []) {
+    const cassette = currentCassette();
+    if (cassette) {
+      const request = history.length ? { prompt, history } : { prompt };
+      return cassette.intercept('llm', request, () => this._complete(prompt, selection, history));
+    }
+
+    if (AI_CONFIG.debugging.mockResponses && !this.provider) {
+      throw new Error('Live LLM calls are disabled while mockResponses is set; insert a cassette or inject a provider');
+    }
+
+    return this._complete(prompt, selection, history);
+  }
+
+  /**
+   * Call the selected provider with retry logic
+   * @private
+   */
+  async _complete(prompt, selection, history = []) {
+    const { provider, model } = await this._resolveProvider(selection);
+
+    return this._withRetries(provider, async () => {
+      const response = await provider.complete({
+        prompt,
+        messages: history.length ? [...history, { role: 'user', content: prompt }] : undefined,
+        model,
+        maxTokens: this.maxTokens,
+        temperature: this.temperature
       });
 
-      if (!message.content || message.content.length === 0) {
-        throw new Error('Empty response from Claude');
+      if (!response.text) {
+        throw new Error(`Empty response from ${provider.name}`);
       }
 
-      return message.content[0].text;
-    } catch (error) {
-      if (retryCount < this.maxRetries) {
-        this.logger.warn(`Claude API call failed, retrying (${retryCount + 1}/${this.maxRetries})`, {
-          error: error.message
-        });
-        await this._delay(Math.pow(2, retryCount) * 1000); // Exponential backoff
-        return this._callClaude(prompt, retryCount + 1);
+      return response.text;
+    });
+  }
+
+  /**
+   * Have the model call one of the tools and validate the call
+   * An invalid call is shown back to the model with what was wrong, and the
+   * model is asked again up to maxRepairAttempts times.
+   * @param {string} prompt
+   * @param {Array<object>} tools - [{ name, description, inputSchema }]
+   * @param {Function} validate - (toolCall) => { value, error }
+   * @param {object} [selection] - { accountId, userId } used to pick the provider and model
+   * @param {Array<object>} [history] - Earlier { role, content } messages sent before the prompt
+   * @returns {Promise<object>} The validated tool input
+   * @throws {Error} INVALID_MODEL_OUTPUT when no valid call was made
+   * @private
+   */
+  async _callTool(prompt, tools, validate, selection = {}, history = []) {
+    const messages = [...history, { role: 'user', content: prompt }];
+    let error;
+
+    for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+      const response = await this._requestTool(messages, tools, selection);
+      const result = response.toolCall
+        ? validate(response.toolCall)
+        : { error: new Error(response.toolError || 'The response did not call a tool') };
+
+      if (!result.error) {
+        return result.value;
       }
-      throw error;
+
+      error = result.error;
+      this.logger.warn('Invalid tool call from model', { attempt: attempt + 1, error: error.message });
+
+      messages.push(
+        {
+          role: 'assistant',
+          content: response.toolCall
+            ? JSON.stringify({ tool: response.toolCall.name, input: response.toolCall.input })
+            : response.text || '(no tool call)'
+        },
+        {
+          role: 'user',
+          content: `That tool call was not valid: ${error.message}. Call one of the tools again with corrected input.`
+        }
+      );
     }
+
+    const invalid = new Error(`The model did not return a valid tool call: ${error.message}`);
+    invalid.code = 'INVALID_MODEL_OUTPUT';
+    throw invalid;
   }
 
   /**
-   * Parse Claude response into structured format
+   * Request a tool call, through the inserted cassette if there is one
    * @private
    */
-  _parseResponse(response) {
-    try {
-      // Extract JSON from response (Claude sometimes includes extra text)
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in Claude response');
-      }
+  async _requestTool(messages, tools, selection) {
+    const cassette = currentCassette();
+    if (cassette) {
+      const prompt = messages[messages.length - 1].content;
+      const history = messages.slice(0, -1);
+      const request = history.length
+        ? { prompt, history, tools: tools.map(tool => tool.name) }
+        : { prompt, tools: tools.map(tool => tool.name) };
+      return cassette.intercept('llm', request, () => this._completeTool(messages, tools, selection));
+    }
+
+    if (AI_CONFIG.debugging.mockResponses && !this.provider) {
+      throw new Error('Live LLM calls are disabled while mockResponses is set; insert a cassette or inject a provider');
+    }
+
+    return this._completeTool(messages, tools, selection);
+  }
 
-      const parsed = JSON.parse(jsonMatch[0]);
+  /**
+   * Call the selected provider for a tool call with retry logic
+   * Providers that do not implement completeTool() answer as text.
+   * @private
+   */
+  async _completeTool(messages, tools, selection) {
+    const { provider, model } = await this._resolveProvider(selection);
+    const completeTool = provider.completeTool || LLMProvider.prototype.completeTool;
+
+    return this._withRetries(provider, async () => {
+      const { toolCall, toolError, text } = await completeTool.call(provider, {
+        prompt: messages[messages.length - 1].content,
+        messages: messages.length > 1 ? messages : undefined,
+        model,
+        maxTokens: this.maxTokens,
+        temperature: this.temperature
+      }, tools);
+
+      return { toolCall, toolError, text };
+    });
+  }
 
-      // Validate required fields
-      if (!parsed.operation || typeof parsed.confidence !== 'number') {
-        throw new Error('Invalid response format from Claude');
+  /**
+   * Have the model answer with JSON that satisfies a schema
+   * A response that is not such JSON is shown back to the model with what was
+   * wrong, and the model is asked again up to maxRepairAttempts times.
+   * @param {string} prompt
+   * @param {object} schema - Joi schema of the answer
+   * @param {object} [selection] - { accountId, userId } used to pick the provider and model
+   * @returns {Promise<*>} The validated answer
+   * @throws {Error} INVALID_MODEL_OUTPUT when no valid answer was given
+   * @private
+   */
+  async _callJSON(prompt, schema, selection = {}) {
+    const messages = [{ role: 'user', content: prompt }];
+    let error;
+
+    for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+      const response = await this._requestJSON(messages, schema, selection);
+      if (!response.error) {
+        return response.data;
       }
 
-      // Ensure confidence is within bounds
-      parsed.confidence = Math.max(0, Math.min(100, parsed.confidence));
+      error = new Error(response.error);
+      this.logger.warn('Invalid JSON from model', { attempt: attempt + 1, error: error.message });
 
-      return parsed;
-    } catch (error) {
-      this.logger.error('Failed to parse Claude response', {
-        error: error.message,
-        response: response.substring(0, 500)
-      });
+      messages.push(
+        { role: 'assistant', content: response.text || '(no response)' },
+        {
+          role: 'user',
+          content: `That response was not valid: ${error.message}. Respond again with only the corrected JSON.`
+        }
+      );
+    }
 
-      // Return default low-confidence response
-      return {
-        operation: 'UNKNOWN',
-        confidence: 0,
-        parameters: {},
-        missingInfo: ['Unable to parse request'],
-        clarifyingQuestions: ['Could you please rephrase your request?'],
-        warnings: ['Failed to interpret request'],
-        alternatives: []
-      };
+    const invalid = new Error(`The model did not return valid JSON: ${error.message}`);
+    invalid.code = 'INVALID_MODEL_OUTPUT';
+    throw invalid;
+  }
+
+  /**
+   * Request a JSON answer, through the inserted cassette if there is one
+   * @private
+   */
+  async _requestJSON(messages, schema, selection) {
+    const cassette = currentCassette();
+    if (cassette) {
+      const prompt = messages[messages.length - 1].content;
+      const history = messages.slice(0, -1);
+      const request = history.length ? { prompt, history, format: 'json' } : { prompt, format: 'json' };
+      return cassette.intercept('llm', request, () => this._completeJSON(messages, schema, selection));
     }
+
+    if (AI_CONFIG.debugging.mockResponses && !this.provider) {
+      throw new Error('Live LLM calls are disabled while mockResponses is set; insert a cassette or inject a provider');
+    }
+
+    return this._completeJSON(messages, schema, selection);
   }
 
   /**
-   * Parse validation response
+   * Call the selected provider for a JSON answer with retry logic
+   * Providers that do not implement completeJSON() answer as text. An answer that fails to parse or validate is returned as { error, text }
+   * rather than retried as is.
    * @private
    */
-  _parseValidationResponse(response) {
-    try {
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        return { valid: false, errors: ['Invalid validation response'] };
+  async _completeJSON(messages, schema, selection) {
+    const { provider, model } = await this._resolveProvider(selection);
+    const completeJSON = provider.completeJSON || LLMProvider.prototype.completeJSON;
+
+    return this._withRetries(provider, async () => {
+      try {
+        const { data } = await completeJSON.call(provider, {
+          prompt: messages[messages.length - 1].content,
+          messages: messages.length > 1 ? messages : undefined,
+          model,
+          maxTokens: this.maxTokens,
+          temperature: this.temperature
+        }, { schema });
+
+        return { data };
+      } catch (error) {
+        if (error.code !== 'INVALID_MODEL_OUTPUT') {
+          throw error;
+        }
+        return { error: error.message, text: error.text };
       }
-      return JSON.parse(jsonMatch[0]);
-    } catch (error) {
-      return { valid: false, errors: ['Failed to parse validation response'] };
-    }
+    });
   }
 
   /**
-   * Parse suggestions response
+   * Retry failed provider calls with exponential backoff
    * @private
    */
-  _parseSuggestions(response) {
+  async _withRetries(provider, call, retryCount = 0) {
     try {
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) return [];
-
-      const parsed = JSON.parse(jsonMatch[0]);
-      return parsed.suggestions || [];
+      return await call();
     } catch (error) {
-      return [];
+      if (retryCount < this.maxRetries && error.code !== 'FIXTURE_NOT_FOUND') {
+        this.logger.warn(`${provider.name} API call failed, retrying (${retryCount + 1}/${this.maxRetries})`, {
+          error: error.message
+        });
+        await this._delay(Math.pow(2, retryCount) * 1000); // Exponential backoff
+        return this._withRetries(provider, call, retryCount + 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Provider and model for a call
+   * @private
+   */
+  async _resolveProvider(selection) {
+    if (this.provider) {
+      return { provider: this.provider, model: this.model || this.provider.model };
     }
+    return llm.resolveProvider(selection);
+  }
+
+  /**
+   * Account and user a request is made for
+   * @private
+   */
+  _selectionFor(context = {}) {
+    return {
+      accountId: context.accountId || context.account?.id,
+      userId: context.userId || context.user?.id
+    };
   }
 
   /**
@@ -337,6 +648,32 @@ Generate suggestions in JSON format:`;
     return Math.ceil(text.length / 4);
   }
 
+  /**
+   * Count prompt tokens with the selected provider
+   * @param {string} text - Prompt
+   * @param {Object} [context] - Monday.com context used to select the provider
+   */
+  async countTokens(text, context = {}) {
+    const { provider, model } = await this._resolveProvider(this._selectionFor(context));
+    return provider.countTokens({ prompt: text, model });
+  }
+
+  /**
+   * Stream a completion from the selected provider
+   * @param {string} prompt
+   * @param {Object} [context] - Monday.com context used to select the provider
+   * @returns {AsyncIterable<string>} Text chunks
+   */
+  async *streamCompletion(prompt, context = {}) {
+    const { provider, model } = await this._resolveProvider(this._selectionFor(context));
+    yield* provider.stream({
+      prompt,
+      model,
+      maxTokens: this.maxTokens,
+      temperature: this.temperature
+    });
+  }
+
   /**
    * Process user request and return operations (required by executeAction controller)
    * @param {string} userInput - Natural language request
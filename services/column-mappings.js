@@ -0,0 +1,110 @@
+// services/column-mappings.js
+const ColumnMappingModel = require('../models/ColumnMapping');
+const PersistentStore = require('../utils/persistent-store');
+
+/**
+ * Named column mappings saved for cross-board transfers
+ * A saved mapping pins column pairs and label translations; columns it does
+ * not mention are still matched automatically (see utils/column-mapping.js).
+ */
+class ColumnMappings {
+  constructor() {
+    this.store = new PersistentStore(ColumnMappingModel, { key: 'mappingId' });
+  }
+
+  /**
+   * Save a mapping, replacing one with the same name in the account
+   * @param {object} mapping - { name, accountId, sourceBoardId, targetBoardId, columns, labels, createdBy }
+   * @returns {Promise<object>} Stored mapping
+   */
+  async save(mapping) {
+    const existing = await this.findByName(mapping.accountId, mapping.name);
+    const doc = {
+      name: mapping.name,
+      accountId: mapping.accountId ? String(mapping.accountId) : undefined,
+      sourceBoardId: String(mapping.sourceBoardId),
+      targetBoardId: String(mapping.targetBoardId),
+      createdBy: mapping.createdBy ? String(mapping.createdBy) : undefined,
+      columns: (mapping.columns || []).map(column => ({
+        sourceColumnId: String(column.sourceColumnId),
+        targetColumnId: column.targetColumnId == null ? null : String(column.targetColumnId)
+      })),
+      labels: (mapping.labels || []).map(label => ({
+        columnId: String(label.columnId),
+        from: String(label.from),
+        to: String(label.to)
+      }))
+    };
+
+    if (existing) {
+      return this.store.update(existing.mappingId, { ...doc, updatedAt: new Date() });
+    }
+
+    return this.store.create({
+      ...doc,
+      mappingId: `map_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Get a mapping by ID
+   */
+  async get(mappingId) {
+    return this.store.get(mappingId);
+  }
+
+  /**
+   * Get a mapping by its name within an account
+   */
+  async findByName(accountId, name) {
+    const filter = { name };
+    if (accountId) filter.accountId = String(accountId);
+
+    const [mapping] = await this.store.find(filter, { limit: 1 });
+    return mapping || null;
+  }
+
+  /**
+   * List an account's mappings, optionally for one pair of boards
+   */
+  async list({ accountId, sourceBoardId, targetBoardId } = {}) {
+    const filter = {};
+    if (accountId) filter.accountId = String(accountId);
+    if (sourceBoardId) filter.sourceBoardId = String(sourceBoardId);
+    if (targetBoardId) filter.targetBoardId = String(targetBoardId);
+
+    return this.store.find(filter, { sort: { createdAt: -1 } });
+  }
+
+  /**
+   * Resolve the mapping option of a transfer
+   * @param {string|object} mapping - Mapping name or ID, or an inline { columns, labels }
+   * @param {object} [options]
+   * @param {string} [options.accountId] - Account the name belongs to
+   * @returns {Promise<object|null>} Saved mapping
+   */
+  async resolve(mapping, { accountId } = {}) {
+    if (!mapping) {
+      return null;
+    }
+    if (typeof mapping === 'object') {
+      return mapping;
+    }
+
+    const saved = await this.get(mapping) || await this.findByName(accountId, mapping);
+    if (!saved || (accountId && saved.accountId && saved.accountId !== String(accountId))) {
+      throw new Error(`Column mapping "${mapping}" not found`);
+    }
+    return saved;
+  }
+
+  /**
+   * Delete a mapping
+   */
+  async remove(mappingId) {
+    return this.store.remove(mappingId);
+  }
+}
+
+module.exports = new ColumnMappings();
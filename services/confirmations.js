@@ -0,0 +1,206 @@
+// services/confirmations.js
+const crypto = require('crypto');
+const AI_CONFIG = require('../config/ai');
+const ConfirmationTokenModel = require('../models/ConfirmationToken');
+const PersistentStore = require('../utils/persistent-store');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL_SECONDS = 600;
+
+// Operations behind each AI_CONFIG.validation.requireConfirmationFor category
+const CONFIRMATION_CATEGORIES = {
+  ITEM_DELETE: operation => operation.type === 'delete_item',
+  BOARD_DELETE: operation => operation.type === 'delete_board',
+  BULK_OPERATION: operation => operation.type === 'bulk_delete' ||
+    (operation.type === 'cross_board_transfer' &&
+      !!(operation.parameters?.criteria?.deleteFromSource || operation.parameters?.deleteFromSource))
+};
+
+/**
+ * Two-phase confirmation of destructive operations
+ *
+ * The first request for a destructive operation receives a token instead of
+ * a result; the operation runs when it is sent again with the token in
+ * parameters.confirmationToken. A token is HMAC-signed, expires after ten
+ * minutes, is bound to the hash of exactly that operation and to the user it
+ * was issued to, and can be spent once.
+ */
+class ConfirmationService {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.secret] - Signing key; CONFIRMATION_SECRET or JWT_SECRET by default
+   * @param {number} [options.ttlSeconds] - Lifetime of a token
+   */
+  constructor({
+    secret = process.env.CONFIRMATION_SECRET || process.env.JWT_SECRET,
+    ttlSeconds = DEFAULT_TTL_SECONDS
+  } = {}) {
+    if (!secret) {
+      logger.warn('No CONFIRMATION_SECRET or JWT_SECRET set; confirmation tokens only hold for this process');
+    }
+
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.ttlSeconds = ttlSeconds;
+    this.store = new PersistentStore(ConfirmationTokenModel, { key: 'tokenId' });
+  }
+
+  /**
+   * Whether an operation may only run with a confirmation token
+   * @param {object} operation - { type, parameters }
+   * @returns {boolean}
+   */
+  requiresConfirmation(operation) {
+    return AI_CONFIG.validation.requireConfirmationFor
+      .some(category => CONFIRMATION_CATEGORIES[category]?.(operation));
+  }
+
+  /**
+   * Hash of an operation's type and parameters, without its token
+   * @param {object} operation - { type, parameters }
+   * @returns {string}
+   */
+  operationHash(operation) {
+    const parameters = { ...operation.parameters };
+    delete parameters.confirmationToken;
+
+    return crypto.createHash('sha256')
+      .update(stableStringify({ type: operation.type, parameters }))
+      .digest('hex');
+  }
+
+  /**
+   * Issue a token for one operation and user
+   * @param {object} operation - { type, parameters }
+   * @param {object} context - { userId, accountId }
+   * @returns {Promise<{ token: string, expiresAt: Date, operationHash: string }>}
+   */
+  async issue(operation, { userId, accountId } = {}) {
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    const operationHash = this.operationHash(operation);
+    const expiresAt = new Date(Date.now() + this.ttlSeconds * 1000);
+
+    await this.store.create({
+      tokenId,
+      operationType: operation.type,
+      operationHash,
+      userId: userId ? String(userId) : undefined,
+      accountId: accountId ? String(accountId) : undefined,
+      expiresAt,
+      usedAt: null
+    });
+
+    const payload = Buffer.from(JSON.stringify({
+      tid: tokenId,
+      op: operationHash,
+      uid: userId ? String(userId) : null,
+      exp: expiresAt.getTime()
+    })).toString('base64url');
+
+    logger.info('Confirmation token issued', { tokenId, operation: operation.type, userId });
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      expiresAt,
+      operationHash
+    };
+  }
+
+  /**
+   * Check a token against an operation and user without spending it
+   * @param {string} token
+   * @param {object} operation - { type, parameters }
+   * @param {object} context - { userId }
+   * @returns {Promise<object>} Token record
+   * @throws {Error} With code CONFIRMATION_REQUIRED, CONFIRMATION_INVALID,
+   *   CONFIRMATION_EXPIRED, CONFIRMATION_MISMATCH or CONFIRMATION_USED
+   */
+  async verify(token, operation, { userId } = {}) {
+    if (!token) {
+      throw confirmationError('CONFIRMATION_REQUIRED', `${operation.type} requires a confirmation token`);
+    }
+
+    const [payload, signature] = String(token).split('.');
+    const expected = payload ? this.sign(payload) : '';
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw confirmationError('CONFIRMATION_INVALID', 'Confirmation token is invalid');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+    if (claims.exp <= Date.now()) {
+      throw confirmationError('CONFIRMATION_EXPIRED', 'Confirmation token has expired');
+    }
+    if (claims.op !== this.operationHash(operation)) {
+      throw confirmationError('CONFIRMATION_MISMATCH', 'Confirmation token was issued for a different operation');
+    }
+    if (claims.uid !== (userId ? String(userId) : null)) {
+      throw confirmationError('CONFIRMATION_MISMATCH', 'Confirmation token was issued to a different user');
+    }
+
+    const record = await this.store.get(claims.tid);
+    if (!record) {
+      throw confirmationError('CONFIRMATION_INVALID', 'Confirmation token is unknown');
+    }
+    if (record.usedAt) {
+      throw confirmationError('CONFIRMATION_USED', 'Confirmation token has already been used');
+    }
+
+    return record;
+  }
+
+  /**
+   * Verify a token and spend it
+   * @param {string} token
+   * @param {object} operation - { type, parameters }
+   * @param {object} context - { userId }
+   * @returns {Promise<object>} Spent token record
+   * @throws {Error} See verify
+   */
+  async consume(token, operation, context = {}) {
+    const record = await this.verify(token, operation, context);
+
+    const spent = await this.store.updateIf(record.tokenId, { usedAt: null }, { usedAt: new Date() });
+    if (!spent) {
+      throw confirmationError('CONFIRMATION_USED', 'Confirmation token has already been used');
+    }
+
+    logger.info('Confirmation token used', { tokenId: record.tokenId, operation: operation.type });
+    return spent;
+  }
+
+  /**
+   * @private
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+/**
+ * @private
+ */
+function confirmationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * JSON with object keys sorted, so equal operations hash equally
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+module.exports = new ConfirmationService();
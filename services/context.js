@@ -1,6 +1,17 @@
 // services/context.js
 const { Logger } = require('@mondaycom/apps-sdk');
 const AI_CONFIG = require('../config/ai');
+const { collectItems } = require('../utils/items-pager');
+
+const CONTEXT_ITEM_FIELDS = `
+  id
+  name
+  state
+  group {
+    id
+    title
+  }
+`;
 
 class ContextService {
   constructor(mondayClient) {
@@ -70,6 +81,17 @@ class ContextService {
     return fresh;
   }
 
+  /**
+   * Drop the cached structure of a board so the next lookup refetches it
+   * @param {string} boardId - Board ID
+   */
+  async refreshBoardContext(boardId) {
+    const cacheKey = `board_${boardId}`;
+    this.cache.delete(cacheKey);
+    this.cacheTimestamps.delete(cacheKey);
+    this.logger.info('Board context invalidated', { boardId });
+  }
+
   /**
    * Get account information
    * @private
@@ -122,6 +144,8 @@ class ContextService {
               is_admin
               is_guest
               enabled
+              time_zone_identifier
+              utc_hours_diff
               teams {
                 id
                 name
@@ -176,22 +200,12 @@ class ContextService {
                 settings_str
                 archived
               }
-              items_page(limit: ${Math.min(AI_CONFIG.context.maxItemsPerBoard, 25)}) {
+              items_count
+              ${specificBoardId ? '' : `items_page(limit: 5) {
                 items {
-                  id
-                  name
-                  state
-                  group {
-                    id
-                    title
-                  }
-                  column_values {
-                    id
-                    text
-                    type
-                  }
+                  ${CONTEXT_ITEM_FIELDS}
                 }
-              }
+              }`}
               permissions
               board_folder_id
               tags {
@@ -204,7 +218,20 @@ class ContextService {
         `;
 
         const response = await this.mondayClient.api(query);
-        return this._processBoardsData(response.data.boards);
+        const boards = response.data.boards;
+
+        // The board being worked on is paged up to the context limit rather
+        // than sampled
+        if (specificBoardId && boards[0]) {
+          boards[0].items_page = {
+            items: await collectItems(this.mondayClient, specificBoardId, {
+              fields: CONTEXT_ITEM_FIELDS,
+              maxItems: AI_CONFIG.context.maxItemsPerBoard
+            })
+          };
+        }
+
+        return this._processBoardsData(boards);
       } catch (error) {
         this.logger.error('Failed to fetch boards context', { error: error.message });
         return [];
@@ -257,15 +284,19 @@ class ContextService {
 
       // Sample items for context
       if (board.items_page?.items) {
-        processedBoard.sampleItems = board.items_page.items.slice(0, 5).map(item => ({
+        const items = board.items_page.items.map(item => ({
           id: item.id,
           name: item.name,
           state: item.state,
           groupId: item.group?.id,
           groupTitle: item.group?.title
         }));
-        processedBoard.totalItems = board.items_page.items.length;
+        processedBoard.sampleItems = items.slice(0, 5);
+        if (items.length > 5) {
+          processedBoard.items = items;
+        }
       }
+      processedBoard.totalItems = board.items_count ?? board.items_page?.items?.length;
 
       // Add tags for context
       processedBoard.tags = board.tags?.map(tag => ({
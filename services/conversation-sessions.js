@@ -0,0 +1,221 @@
+// services/conversation-sessions.js
+const ConversationSessionModel = require('../models/ConversationSession');
+const PersistentStore = require('../utils/persistent-store');
+const AI_CONFIG = require('../config/ai');
+
+const DEFAULT_TTL_MINUTES = 60;
+const DEFAULT_MAX_TURNS = 10;
+
+// Interpretations that say nothing about what the user referred to
+const NON_OPERATIONS = ['UNKNOWN', 'ERROR'];
+
+/**
+ * Server-side dialogue state of the assistant, per user and board
+ *
+ * A session keeps the latest turns (each request with the interpretation the
+ * model gave), the entities they referred to, the last operation and any
+ * clarification the assistant is waiting on. ClaudeService sends the turns as
+ * message history and the rest as conversation state, so follow-ups such as
+ * "now assign it to Maria" or "do the same for the Marketing board" resolve
+ * against what came before. Sessions expire after
+ * CONVERSATION_SESSION_TTL_MINUTES without activity.
+ */
+class ConversationSessions {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.ttlMinutes] - Idle minutes before a session expires
+   * @param {number} [options.maxTurns] - Request/interpretation pairs kept
+   */
+  constructor({
+    ttlMinutes = parseInt(process.env.CONVERSATION_SESSION_TTL_MINUTES) || DEFAULT_TTL_MINUTES,
+    maxTurns = parseInt(process.env.CONVERSATION_MAX_TURNS) || DEFAULT_MAX_TURNS
+  } = {}) {
+    this.ttlMinutes = ttlMinutes;
+    this.maxTurns = maxTurns;
+    this.store = new PersistentStore(ConversationSessionModel, { key: 'sessionId' });
+  }
+
+  /**
+   * Account, user and board a context belongs to
+   * @param {object} context - Monday.com context, gathered or from a request
+   * @returns {object|null} { sessionId, accountId, userId, boardId }, or null
+   *   without a user and board
+   */
+  keyFor(context = {}) {
+    const accountId = context.accountId || context.account?.id;
+    const userId = context.userId || context.user?.id;
+    const boardId = context.boardId || context.currentBoard?.id;
+
+    if (!userId || !boardId) return null;
+
+    return {
+      sessionId: [accountId || '-', userId, boardId].join(':'),
+      accountId: accountId ? String(accountId) : undefined,
+      userId: String(userId),
+      boardId: String(boardId)
+    };
+  }
+
+  /**
+   * Session of a context, empty when none is active
+   * @param {object} context
+   * @returns {Promise<object|null>} Session, or null when the context has no user and board
+   */
+  async load(context) {
+    const key = this.keyFor(context);
+    if (!key) return null;
+
+    const session = await this.store.get(key.sessionId);
+    if (session && new Date(session.expiresAt) > new Date()) {
+      return session;
+    }
+
+    return { ...key, turns: [], entities: {}, lastOperation: null, pendingClarification: null };
+  }
+
+  /**
+   * Record a request and its interpretation
+   * Entities named in the interpretation replace earlier ones of their kind.
+   * A low-confidence interpretation with clarifying questions leaves a
+   * pending clarification; any other clears it.
+   * @param {object} context
+   * @param {string} userInput - The user's message
+   * @param {object} interpretation - { operation, parameters, confidence, clarifyingQuestions }
+   * @returns {Promise<object|null>} Updated session
+   */
+  async recordTurn(context, userInput, interpretation) {
+    const session = await this.load(context);
+    if (!session) return null;
+
+    const at = new Date();
+    const isOperation = interpretation.operation && !NON_OPERATIONS.includes(interpretation.operation);
+    const questions = interpretation.clarifyingQuestions || [];
+
+    const turns = [
+      ...session.turns,
+      { role: 'user', content: userInput, at },
+      {
+        role: 'assistant',
+        content: JSON.stringify({
+          operation: interpretation.operation,
+          parameters: interpretation.parameters || {},
+          ...(questions.length ? { clarifyingQuestions: questions } : {})
+        }),
+        operation: interpretation.operation,
+        at
+      }
+    ].slice(-this.maxTurns * 2);
+
+    const awaitingAnswer = questions.length > 0 &&
+      interpretation.confidence < AI_CONFIG.confidence.thresholds.requireConfirmation;
+
+    return this.save(session, {
+      turns,
+      entities: isOperation ? mergeEntities(session.entities, interpretation.parameters) : session.entities,
+      lastOperation: isOperation
+        ? { operation: interpretation.operation, parameters: interpretation.parameters || {} }
+        : session.lastOperation,
+      pendingClarification: awaitingAnswer
+        ? {
+          originalInput: session.pendingClarification?.originalInput || userInput,
+          operation: interpretation.operation,
+          parameters: interpretation.parameters || {},
+          questions,
+          askedAt: at
+        }
+        : null
+    });
+  }
+
+  /**
+   * Mark a clarification as pending for a session that did not record the
+   * ambiguous request itself
+   * @param {object} context
+   * @param {object} ambiguousOperation - { originalInput, operation, parameters, clarifyingQuestions }
+   * @returns {Promise<object|null>} Updated session
+   */
+  async awaitClarification(context, ambiguousOperation) {
+    const session = await this.load(context);
+    if (!session) return null;
+
+    return this.save(session, {
+      pendingClarification: {
+        originalInput: ambiguousOperation.originalInput,
+        operation: ambiguousOperation.operation,
+        parameters: ambiguousOperation.parameters || {},
+        questions: ambiguousOperation.clarifyingQuestions || [],
+        askedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Remember entities resolved outside the interpretation, e.g. the item a
+   * name matched at execution time
+   * @param {object} context
+   * @param {object} parameters - Operation parameters naming the entities
+   * @returns {Promise<object|null>} Updated session
+   */
+  async rememberEntities(context, parameters) {
+    const session = await this.load(context);
+    if (!session) return null;
+
+    return this.save(session, { entities: mergeEntities(session.entities, parameters) });
+  }
+
+  /**
+   * End the session of a context
+   * @param {object} context
+   * @returns {Promise<boolean>} Whether a session was removed
+   */
+  async clear(context) {
+    const key = this.keyFor(context);
+    return key ? this.store.remove(key.sessionId) : false;
+  }
+
+  /**
+   * Store session changes and extend its expiry
+   * @private
+   */
+  async save(session, changes) {
+    const expiresAt = new Date(Date.now() + this.ttlMinutes * 60 * 1000);
+    const existing = await this.store.get(session.sessionId);
+
+    if (existing) {
+      return this.store.update(session.sessionId, { ...changes, expiresAt });
+    }
+
+    const { sessionId, accountId, userId, boardId, turns, entities, lastOperation, pendingClarification } = session;
+    return this.store.create({
+      sessionId, accountId, userId, boardId, turns, entities, lastOperation, pendingClarification,
+      ...changes,
+      expiresAt
+    });
+  }
+}
+
+/**
+ * Entities named by operation parameters, over the earlier ones
+ * @private
+ */
+function mergeEntities(entities = {}, parameters = {}) {
+  const merged = { ...entities };
+  const kinds = {
+    item: ['itemId', 'itemName'],
+    board: ['boardId', 'boardName'],
+    user: ['userId', 'userName'],
+    group: ['groupId', 'groupName']
+  };
+
+  for (const [kind, [idKey, nameKey]] of Object.entries(kinds)) {
+    const id = parameters[idKey];
+    const name = parameters[nameKey];
+    if (id || name) {
+      merged[kind] = { ...(id ? { id: String(id) } : {}), ...(name ? { name } : {}) };
+    }
+  }
+
+  return merged;
+}
+
+module.exports = new ConversationSessions();
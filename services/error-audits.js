@@ -0,0 +1,403 @@
+// services/error-audits.js
+const crypto = require('crypto');
+const ErrorAuditModel = require('../models/ErrorAudit');
+const PersistentStore = require('../utils/persistent-store');
+const logger = require('../utils/logger');
+
+const DEFAULT_RETENTION_DAYS = 90;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 1 for audits whose recovery succeeded, 0 otherwise, in aggregation pipelines
+const RECOVERED = { $cond: [{ $eq: ['$recovery.successful', true] }, 1, 0] };
+const UNRECOVERED = { $cond: [{ $eq: ['$recovery.successful', true] }, 0, 1] };
+
+/**
+ * Audit trail of failed operations and failure analytics
+ *
+ * ErrorRecoveryService records every failure it sees here together with the
+ * outcome of its recovery. Failures are aggregated by error type, operation
+ * type, board and prompt pattern (the user's command with names, numbers and
+ * dates masked, so similar commands are counted together). The weekly digest
+ * lists the commands that fail most often, to guide prompt and pattern tuning.
+ * With MongoDB connected the figures are computed by aggregation pipelines
+ * rather than by loading the audits of the period.
+ */
+class ErrorAudits {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.retentionDays] - Days an audit is kept
+   */
+  constructor({
+    retentionDays = parseInt(process.env.ERROR_AUDIT_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+  } = {}) {
+    this.retentionDays = retentionDays;
+    this.store = new PersistentStore(ErrorAuditModel, { key: 'auditId' });
+    this.timer = null;
+  }
+
+  /**
+   * Store an audit built by ErrorRecoveryService.createErrorAudit
+   * @param {object} audit
+   * @returns {Promise<object>} Stored audit
+   */
+  async record(audit) {
+    const occurredAt = audit.timestamp ? new Date(audit.timestamp) : new Date();
+
+    return this.store.create({
+      auditId: crypto.randomUUID(),
+      accountId: audit.context?.accountId ? String(audit.context.accountId) : undefined,
+      userId: audit.context?.userId ? String(audit.context.userId) : undefined,
+      boardId: audit.context?.boardId ? String(audit.context.boardId) : undefined,
+      operationType: audit.operation?.type,
+      operation: audit.operation,
+      command: audit.context?.command,
+      promptPattern: audit.context?.command ? this.patternOf(audit.context.command) : undefined,
+      error: audit.error,
+      recovery: audit.recovery,
+      attempt: audit.context?.attempt,
+      occurredAt,
+      expiresAt: new Date(occurredAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000)
+    });
+  }
+
+  /**
+   * Failures of a period grouped by error type, operation type, board and
+   * prompt pattern, most frequent first
+   * @param {object} [filter]
+   * @param {string} [filter.accountId]
+   * @param {Date} [filter.since] - Defaults to a week ago
+   * @param {Date} [filter.until] - Defaults to now
+   * @param {number} [filter.limit] - Groups per dimension
+   * @returns {Promise<object>}
+   */
+  async analytics({ accountId, since, until, limit = 10 } = {}) {
+    const end = until ? new Date(until) : new Date();
+    const start = since ? new Date(since) : new Date(end.getTime() - WEEK_MS);
+
+    if (this.store.isPersistent()) {
+      const [result] = await this.store.model.aggregate([
+        { $match: periodFilter(accountId, start, end) },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, total: { $sum: 1 }, recovered: { $sum: RECOVERED } } }],
+            byErrorType: groupsOf('error.type', limit),
+            byOperationType: groupsOf('operationType', limit),
+            byBoard: groupsOf('boardId', limit),
+            byPromptPattern: groupsOf('promptPattern', limit)
+          }
+        }
+      ]);
+
+      return {
+        since: start,
+        until: end,
+        total: result.totals[0]?.total || 0,
+        recovered: result.totals[0]?.recovered || 0,
+        byErrorType: result.byErrorType,
+        byOperationType: result.byOperationType,
+        byBoard: result.byBoard,
+        byPromptPattern: result.byPromptPattern
+      };
+    }
+
+    const audits = await this.between(accountId, start, end);
+
+    return {
+      since: start,
+      until: end,
+      total: audits.length,
+      recovered: audits.filter(audit => audit.recovery?.successful).length,
+      byErrorType: countBy(audits, audit => audit.error?.type, limit),
+      byOperationType: countBy(audits, audit => audit.operationType, limit),
+      byBoard: countBy(audits, audit => audit.boardId, limit),
+      byPromptPattern: countBy(audits, audit => audit.promptPattern, limit)
+    };
+  }
+
+  /**
+   * Commands that failed most often in the week before `now`
+   * Commands are grouped by prompt pattern and ranked by the failures
+   * recovery could not fix, with the previous week's count for comparison.
+   * @param {object} [options]
+   * @param {string} [options.accountId]
+   * @param {Date} [options.now]
+   * @param {number} [options.limit] - Commands in the digest
+   * @returns {Promise<object>}
+   */
+  async weeklyDigest({ accountId, now = new Date(), limit = 10 } = {}) {
+    const until = new Date(now);
+    const since = new Date(until.getTime() - WEEK_MS);
+    const summary = this.store.isPersistent()
+      ? await this.aggregateDigest(accountId, since, until, limit)
+      : await this.collectDigest(accountId, since, until, limit);
+
+    return {
+      accountId: accountId ? String(accountId) : undefined,
+      since,
+      until,
+      ...summary
+    };
+  }
+
+  /**
+   * Build and log the weekly digest of every account with failures
+   * @param {Date} [now]
+   * @returns {Promise<Array<object>>} Digests
+   */
+  async publishDigests(now = new Date()) {
+    const since = new Date(now.getTime() - WEEK_MS);
+    const accountIds = this.store.isPersistent()
+      ? (await this.store.model.aggregate([
+        { $match: { ...periodFilter(null, since, now), accountId: { $nin: [null, ''] } } },
+        { $group: { _id: '$accountId' } }
+      ])).map(group => group._id)
+      : [...new Set((await this.between(null, since, now)).map(audit => audit.accountId).filter(Boolean))];
+    const digests = [];
+
+    for (const accountId of accountIds) {
+      const digest = await this.weeklyDigest({ accountId, now });
+      digests.push(digest);
+
+      logger.info('Weekly failure digest', {
+        accountId,
+        totalFailures: digest.totalFailures,
+        unrecovered: digest.unrecovered,
+        topCommands: digest.topCommands.map(({ pattern, failures, unrecovered }) => ({ pattern, failures, unrecovered }))
+      });
+    }
+
+    return digests;
+  }
+
+  /**
+   * Publish the digests once a week
+   * @param {number} [interval] - Interval in ms
+   */
+  start(interval = WEEK_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.publishDigests().catch(error => {
+        logger.error('Weekly failure digest failed', { error: error.message });
+      });
+    }, interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop publishing digests
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Normalise a command so variations of it share one pattern
+   * Quoted text, dates, mentions and numbers are masked.
+   * @param {string} command
+   * @returns {string} e.g. 'set status of <text> to done by <date>'
+   */
+  patternOf(command) {
+    return String(command)
+      .toLowerCase()
+      .replace(/"[^"]*"|“[^”]*”/g, ' <text> ')
+      .replace(/\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b/g, ' <date> ')
+      .replace(/@[\w.-]+/g, ' <user> ')
+      .replace(/\d+(\.\d+)?/g, ' <number> ')
+      .replace(/[^\w<>\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .split(' ')
+      .slice(0, 16)
+      .join(' ');
+  }
+
+  /**
+   * Digest figures computed by MongoDB
+   * @private
+   */
+  async aggregateDigest(accountId, since, until, limit) {
+    const [result] = await this.store.model.aggregate([
+      { $match: periodFilter(accountId, since, until) },
+      {
+        $facet: {
+          totals: [{ $group: { _id: null, failures: { $sum: 1 }, unrecovered: { $sum: UNRECOVERED } } }],
+          commands: [
+            { $match: { promptPattern: { $nin: [null, ''] } } },
+            {
+              $group: {
+                _id: '$promptPattern',
+                failures: { $sum: 1 },
+                unrecovered: { $sum: UNRECOVERED },
+                users: { $addToSet: '$userId' },
+                examples: { $addToSet: '$command' }
+              }
+            },
+            { $sort: { unrecovered: -1, failures: -1, _id: 1 } },
+            { $limit: limit }
+          ],
+          errorTypes: patternGroupsOf('error.type'),
+          operationTypes: patternGroupsOf('operationType')
+        }
+      }
+    ]);
+
+    const patterns = result.commands.map(command => command._id);
+    const previous = patterns.length === 0 ? [] : await this.store.model.aggregate([
+      { $match: { ...periodFilter(accountId, new Date(since.getTime() - WEEK_MS), since), promptPattern: { $in: patterns } } },
+      { $group: { _id: '$promptPattern', failures: { $sum: 1 } } }
+    ]);
+    const previousCounts = new Map(previous.map(group => [group._id, group.failures]));
+
+    // Most frequent three per pattern; the groups arrive most frequent first
+    const topKeys = (groups, pattern) => groups
+      .filter(group => group._id.pattern === pattern)
+      .slice(0, 3)
+      .map(group => group._id.key);
+
+    return {
+      totalFailures: result.totals[0]?.failures || 0,
+      unrecovered: result.totals[0]?.unrecovered || 0,
+      topCommands: result.commands.map(command => ({
+        pattern: command._id,
+        failures: command.failures,
+        unrecovered: command.unrecovered,
+        users: command.users.filter(Boolean).length,
+        errorTypes: topKeys(result.errorTypes, command._id),
+        operationTypes: topKeys(result.operationTypes, command._id),
+        examples: command.examples.filter(Boolean).slice(0, 3),
+        previousWeek: previousCounts.get(command._id) || 0
+      }))
+    };
+  }
+
+  /**
+   * Digest figures computed from the audits in memory
+   * @private
+   */
+  async collectDigest(accountId, since, until, limit) {
+    const audits = await this.between(accountId, since, until);
+    const previous = await this.between(accountId, new Date(since.getTime() - WEEK_MS), since);
+
+    const previousCounts = new Map();
+    for (const audit of previous) {
+      if (audit.promptPattern) {
+        previousCounts.set(audit.promptPattern, (previousCounts.get(audit.promptPattern) || 0) + 1);
+      }
+    }
+
+    const commands = new Map();
+    for (const audit of audits) {
+      if (!audit.promptPattern) continue;
+
+      const command = commands.get(audit.promptPattern) || {
+        pattern: audit.promptPattern,
+        failures: 0,
+        unrecovered: 0,
+        users: new Set(),
+        audits: [],
+        examples: new Set()
+      };
+
+      command.failures++;
+      if (!audit.recovery?.successful) command.unrecovered++;
+      if (audit.userId) command.users.add(audit.userId);
+      command.audits.push(audit);
+      if (command.examples.size < 3 && audit.command) command.examples.add(audit.command);
+
+      commands.set(audit.promptPattern, command);
+    }
+
+    const topCommands = [...commands.values()]
+      .sort((a, b) => b.unrecovered - a.unrecovered || b.failures - a.failures)
+      .slice(0, limit)
+      .map(command => ({
+        pattern: command.pattern,
+        failures: command.failures,
+        unrecovered: command.unrecovered,
+        users: command.users.size,
+        errorTypes: countBy(command.audits, audit => audit.error?.type, 3).map(group => group.key),
+        operationTypes: countBy(command.audits, audit => audit.operationType, 3).map(group => group.key),
+        examples: [...command.examples],
+        previousWeek: previousCounts.get(command.pattern) || 0
+      }));
+
+    return {
+      totalFailures: audits.length,
+      unrecovered: audits.filter(audit => !audit.recovery?.successful).length,
+      topCommands
+    };
+  }
+
+  /**
+   * Audits of an account within (since, until]
+   * The end is included so failures recorded at the moment a period is
+   * requested count towards it.
+   * @private
+   */
+  async between(accountId, since, until) {
+    return this.store.find(periodFilter(accountId, since, until));
+  }
+}
+
+/**
+ * Filter for the audits of an account within (since, until]
+ * @private
+ */
+function periodFilter(accountId, since, until) {
+  const filter = { occurredAt: { $gt: since, $lte: until } };
+  if (accountId) filter.accountId = String(accountId);
+  return filter;
+}
+
+/**
+ * Pipeline counting audits per value of a field, most frequent first, in
+ * the { key, failures, recovered } shape of countBy()
+ * @private
+ */
+function groupsOf(field, limit) {
+  return [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, failures: { $sum: 1 }, recovered: { $sum: RECOVERED } } },
+    { $sort: { failures: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, key: '$_id', failures: 1, recovered: 1 } }
+  ];
+}
+
+/**
+ * Pipeline counting audits per prompt pattern and value of a field
+ * @private
+ */
+function patternGroupsOf(field) {
+  return [
+    { $match: { promptPattern: { $nin: [null, ''] }, [field]: { $nin: [null, ''] } } },
+    { $group: { _id: { pattern: '$promptPattern', key: `$${field}` }, failures: { $sum: 1 } } },
+    { $sort: { failures: -1 } }
+  ];
+}
+
+/**
+ * Count audits per key, most frequent first
+ * @private
+ */
+function countBy(audits, keyOf, limit) {
+  const groups = new Map();
+
+  for (const audit of audits) {
+    const key = keyOf(audit);
+    if (!key) continue;
+
+    const group = groups.get(key) || { key, failures: 0, recovered: 0 };
+    group.failures++;
+    if (audit.recovery?.successful) group.recovered++;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.failures - a.failures)
+    .slice(0, limit);
+}
+
+module.exports = new ErrorAudits();
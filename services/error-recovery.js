@@ -1,143 +1,169 @@
 // services/error-recovery.js
+const Joi = require('joi');
+const AI_CONFIG = require('../config/ai');
+const llm = require('./llm');
+const ValidationService = require('./validation');
+const defaultStrategies = require('./recovery-strategies');
+const errorAudits = require('./error-audits');
 const logger = require('../utils/logger');
 
+/**
+ * Recovers from failed operations through a registry of strategies
+ *
+ * An error is classified into an error type; the strategies registered for
+ * that type (and enabled for the operation's type) are tried in order until
+ * one makes the operation retryable. Parameters a strategy repaired are
+ * re-validated before the retry is allowed. Strategies live in
+ * services/recovery-strategies; more can be added with registerStrategy.
+ */
 class ErrorRecoveryService {
-  constructor() {
-    this.recoveryStrategies = new Map();
-    this.initializeStrategies();
+  /**
+   * @param {object} [options]
+   * @param {LLMProvider} [options.provider] - Fixed provider for error
+   *   classification and parameter repair; by default it is resolved per
+   *   account and user
+   * @param {ValidationService} [options.validator] - Validates repaired parameters
+   * @param {Array<object>} [options.strategies] - Strategies registered at start
+   * @param {ErrorAudits} [options.audits] - Audit trail failures are recorded in
+   */
+  constructor({
+    provider = null,
+    validator = new ValidationService(),
+    strategies = defaultStrategies,
+    audits = errorAudits
+  } = {}) {
+    this.provider = provider;
+    this.validator = validator;
+    this.audits = audits;
+    this.strategies = [];
+
+    for (const strategy of strategies) {
+      this.registerStrategy(strategy);
+    }
   }
 
   /**
-   * Initialize recovery strategies for different error types
-   * @private
+   * Register a recovery strategy, replacing one with the same name
+   * @param {object} strategy - { name, errorTypes, canRecover, recover } (see
+   *   services/recovery-strategies/index.js)
+   * @param {object} [options]
+   * @param {Array<string>|null} [options.operationTypes] - Operation types the
+   *   strategy is enabled for; AI_CONFIG.recovery.operationTypes by default,
+   *   null for all
    */
-  initializeStrategies() {
-    // Rate limit errors
-    this.recoveryStrategies.set('RATE_LIMIT_EXCEEDED', {
-      canRecover: true,
-      strategy: async (error, context) => {
-        const retryAfter = error.retryAfter || 60;
-        await this.delay(retryAfter * 1000);
-        return { retry: true, delay: 0 };
-      }
-    });
-
-    // Network errors
-    this.recoveryStrategies.set('NETWORK_ERROR', {
-      canRecover: true,
-      strategy: async (error, context) => {
-        // Exponential backoff
-        const attempt = context.attempt || 1;
-        const delay = Math.min(1000 * Math.pow(2, attempt), 30000);
-        await this.delay(delay);
-        return { retry: true, delay: 0 };
-      }
-    });
+  registerStrategy(strategy, {
+    operationTypes = AI_CONFIG.recovery.operationTypes[strategy.name] || strategy.operationTypes || null
+  } = {}) {
+    if (!strategy.name || !strategy.errorTypes?.length || typeof strategy.recover !== 'function') {
+      throw new Error('A recovery strategy needs a name, error types and a recover function');
+    }
 
-    // Permission errors
-    this.recoveryStrategies.set('PERMISSION_DENIED', {
-      canRecover: false,
-      strategy: async (error, context) => {
-        return {
-          retry: false,
-          suggestion: 'Check your permissions for this operation',
-          requiresUserAction: true
-        };
-      }
-    });
+    this.unregisterStrategy(strategy.name);
+    this.strategies.push({ canRecover: true, ...strategy, operationTypes });
+  }
 
-    // Invalid data errors
-    this.recoveryStrategies.set('INVALID_DATA', {
-      canRecover: true,
-      strategy: async (error, context) => {
-        // Attempt to fix common data issues
-        const fixed = await this.attemptDataFix(error, context);
-        return fixed ? { retry: true, newData: fixed } : { retry: false };
-      }
-    });
+  /**
+   * Remove a recovery strategy
+   * @param {string} name - Strategy name
+   * @returns {boolean} Whether a strategy was removed
+   */
+  unregisterStrategy(name) {
+    const index = this.strategies.findIndex(strategy => strategy.name === name);
+    if (index === -1) {
+      return false;
+    }
 
-    // Item not found
-    this.recoveryStrategies.set('ITEM_NOT_FOUND', {
-      canRecover: false,
-      strategy: async (error, context) => {
-        return {
-          retry: false,
-          suggestion: 'The item may have been deleted or moved',
-          alternatives: await this.findAlternatives(context)
-        };
-      }
-    });
+    this.strategies.splice(index, 1);
+    return true;
+  }
 
-    // Duplicate item
-    this.recoveryStrategies.set('DUPLICATE_ITEM', {
-      canRecover: true,
-      strategy: async (error, context) => {
-        // Suggest updating existing item instead
-        return {
-          retry: false,
-          suggestion: 'Item already exists. Would you like to update it instead?',
-          alternativeOperation: {
-            type: 'update_item',
-            parameters: {
-              ...context.operation.parameters,
-              itemId: error.existingItemId
-            }
-          }
-        };
-      }
-    });
+  /**
+   * Strategies that handle an error type for an operation type, in order
+   * @param {string} errorType
+   * @param {string} [operationType]
+   * @returns {Array<object>}
+   */
+  strategiesFor(errorType, operationType) {
+    return this.strategies.filter(strategy => strategy.errorTypes.includes(errorType) &&
+      (!strategy.operationTypes || strategy.operationTypes.includes(operationType)));
   }
 
   /**
    * Attempt to recover from an error
+   * The failure and the outcome are recorded in the error audit trail.
    * @param {Error} error - The error that occurred
-   * @param {object} context - Context about the operation
+   * @param {object} context - Context about the operation (operation, attempt,
+   *   accountId, userId, boardId, userInput)
    * @returns {object} Recovery result
    */
   async attemptRecovery(error, context) {
+    const recovery = await this.recover(error, context);
+    await this.recordErrorAudit(error, context, recovery);
+    return recovery;
+  }
+
+  /**
+   * Try the strategies registered for an error
+   * @private
+   */
+  async recover(error, context) {
     try {
-      const errorType = this.classifyError(error);
-      const strategy = this.recoveryStrategies.get(errorType);
+      let errorType = this.classifyError(error);
+      if (errorType === 'UNKNOWN_ERROR') {
+        errorType = await this.classifyWithModel(error, context);
+      }
+      const strategies = this.strategiesFor(errorType, context.operation?.type);
 
-      if (!strategy) {
+      if (strategies.length === 0) {
         return {
           successful: false,
           canRecover: false,
+          errorType,
           error: 'No recovery strategy available'
         };
       }
 
-      if (!strategy.canRecover) {
-        const result = await strategy.strategy(error, context);
-        return {
-          successful: false,
-          canRecover: false,
-          ...result
-        };
-      }
+      // The first strategy that cannot help explains the failure
+      let explanation = null;
 
-      // Attempt recovery
-      const recoveryResult = await strategy.strategy(error, context);
+      for (const strategy of strategies) {
+        const recoveryResult = await this.runStrategy(strategy, error, context);
 
-      if (recoveryResult.retry) {
-        // Log recovery attempt
-        logger.info('Error recovery successful', {
-          errorType,
-          operation: context.operation.type,
-          success: true
-        });
+        if (strategy.canRecover && recoveryResult?.retry) {
+          const rejected = recoveryResult.newData &&
+            await this.rejectedParameters(recoveryResult.newData, context);
+          if (rejected) {
+            explanation = explanation || { ...recoveryResult, retry: false, strategy: strategy.name, validationErrors: rejected };
+            continue;
+          }
 
-        return {
-          successful: true,
-          shouldRetry: true,
-          ...recoveryResult
-        };
+          // Log recovery attempt
+          logger.info('Error recovery successful', {
+            errorType,
+            strategy: strategy.name,
+            operation: context.operation.type,
+            success: true
+          });
+
+          return {
+            successful: true,
+            shouldRetry: true,
+            ...recoveryResult,
+            errorType,
+            strategy: strategy.name
+          };
+        }
+
+        if (recoveryResult) {
+          explanation = explanation || { ...recoveryResult, strategy: strategy.name };
+        }
       }
 
       return {
         successful: false,
         canRecover: false,
-        ...recoveryResult
+        ...explanation,
+        errorType
       };
 
     } catch (recoveryError) {
@@ -153,6 +179,72 @@ class ErrorRecoveryService {
     }
   }
 
+  /**
+   * Run one strategy; a strategy that throws is skipped
+   * @private
+   */
+  async runStrategy(strategy, error, context) {
+    try {
+      return await strategy.recover(error, context, this);
+    } catch (strategyError) {
+      logger.warn('Recovery strategy failed', {
+        strategy: strategy.name,
+        error: strategyError.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Validate repaired parameters before the operation is retried with them
+   * @private
+   * @returns {Promise<Array<string>|null>} Validation errors, or null when valid
+   */
+  async rejectedParameters(parameters, context) {
+    const validation = await this.validator.validateOperation(
+      { ...context.operation, parameters },
+      { userId: context.userId, boardId: parameters.boardId || context.boardId }
+    );
+
+    if (validation.valid) {
+      return null;
+    }
+
+    logger.warn('Repaired parameters failed validation', {
+      operation: context.operation.type,
+      errors: validation.errors
+    });
+    return validation.errors;
+  }
+
+  /**
+   * Whether a model may be called for recovery
+   * Without an explicit provider, test runs never reach a real model.
+   */
+  canUseModel() {
+    return !!this.provider || !AI_CONFIG.debugging.mockResponses;
+  }
+
+  /**
+   * Provider and model used for an operation's account and user
+   * @param {object} context - { accountId, userId }
+   * @returns {Promise<{ provider: LLMProvider, model: string }>}
+   */
+  async modelFor(context = {}) {
+    return this.provider
+      ? { provider: this.provider, model: this.provider.model }
+      : llm.resolveProvider({ accountId: context.accountId, userId: context.userId });
+  }
+
+  /**
+   * Error types some strategy handles
+   * @private
+   */
+  errorTypes() {
+    return [...new Set(this.strategies.flatMap(strategy => strategy.errorTypes))]
+      .filter(type => type !== 'UNKNOWN_ERROR');
+  }
+
   /**
    * Classify error type for recovery strategy
    * @private
@@ -161,7 +253,8 @@ class ErrorRecoveryService {
     const errorMessage = error.message || '';
 
     // Rate limit errors
-    if (errorMessage.includes('rate limit') ||
+    if (error.code === 'RATE_LIMIT_EXCEEDED' ||
+        errorMessage.includes('rate limit') ||
         errorMessage.includes('too many requests') ||
         error.status === 429) {
       return 'RATE_LIMIT_EXCEEDED';
@@ -204,119 +297,41 @@ class ErrorRecoveryService {
   }
 
   /**
-   * Attempt to fix common data issues
+   * Ask the LLM to map an unrecognised error onto a known error type
    * @private
    */
-  async attemptDataFix(error, context) {
-    const { operation } = context;
-    const fixes = {
-      // Fix date format issues
-      dateFormat: (value) => {
-        if (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}$/)) {
-          return value;
-        }
-        try {
-          const date = new Date(value);
-          return date.toISOString().split('T')[0];
-        } catch {
-          return null;
-        }
-      },
-
-      // Fix number format issues
-      numberFormat: (value) => {
-        if (typeof value === 'number') {
-          return value.toString();
-        }
-        const parsed = parseFloat(value);
-        return isNaN(parsed) ? null : parsed.toString();
-      },
-
-      // Fix status format issues
-      statusFormat: (value) => {
-        if (typeof value === 'string') {
-          return { label: value };
-        }
-        return value;
-      },
-
-      // Fix people format issues
-      peopleFormat: (value) => {
-        if (typeof value === 'number') {
-          return { personsAndTeams: [{ id: value, kind: 'person' }] };
-        }
-        if (Array.isArray(value)) {
-          return {
-            personsAndTeams: value.map(id => ({ id, kind: 'person' }))
-          };
-        }
-        return value;
-      }
-    };
-
-    // Try to fix column values
-    if (operation.parameters.columnValues) {
-      const fixed = {};
-      let hasChanges = false;
-
-      for (const [key, value] of Object.entries(operation.parameters.columnValues)) {
-        // Determine column type from error message or key
-        let fixedValue = value;
-
-        if (key.includes('date')) {
-          fixedValue = fixes.dateFormat(value);
-        } else if (key.includes('number') || key.includes('count')) {
-          fixedValue = fixes.numberFormat(value);
-        } else if (key.includes('status')) {
-          fixedValue = fixes.statusFormat(value);
-        } else if (key.includes('person') || key.includes('people')) {
-          fixedValue = fixes.peopleFormat(value);
-        }
-
-        if (fixedValue !== value) {
-          hasChanges = true;
-        }
-        fixed[key] = fixedValue;
-      }
-
-      if (hasChanges) {
-        return {
-          ...operation.parameters,
-          columnValues: fixed
-        };
-      }
+  async classifyWithModel(error, context = {}) {
+    if (!AI_CONFIG.llm.errorClassification || !this.canUseModel()) {
+      return 'UNKNOWN_ERROR';
     }
 
-    return null;
-  }
-
-  /**
-   * Find alternative operations or items
-   * @private
-   */
-  async findAlternatives(context) {
-    const alternatives = [];
-
-    // Suggest similar items
-    if (context.operation.parameters.itemId) {
-      alternatives.push({
-        type: 'search',
-        description: 'Search for similar items',
-        action: 'search_items'
-      });
-    }
+    const errorTypes = this.errorTypes();
+    const schema = Joi.object({
+      errorType: Joi.string().valid(...errorTypes, 'UNKNOWN_ERROR').required()
+    }).unknown(true);
 
-    // Suggest creating new item
-    if (context.operation.type.includes('update') ||
-        context.operation.type.includes('move')) {
-      alternatives.push({
-        type: 'create',
-        description: 'Create a new item instead',
-        action: 'create_item'
-      });
+    try {
+      const { provider, model } = await this.modelFor(context);
+
+      const { data } = await provider.completeJSON({
+        model,
+        system: 'You classify errors returned by the Monday.com API.',
+        prompt: `Classify this error from a "${context.operation?.type || 'unknown'}" operation.
+Error: ${error.message}
+Status: ${error.status || 'none'}
+
+Known error types: ${errorTypes.join(', ')}
+Use UNKNOWN_ERROR if none fits. Respond as {"errorType": "<type>"}.`,
+        maxTokens: 100,
+        temperature: 0
+      }, { schema });
+
+      logger.info('Error classified by model', { errorType: data.errorType, error: error.message });
+      return data.errorType;
+    } catch (classificationError) {
+      logger.warn('Error classification failed', { error: classificationError.message });
+      return 'UNKNOWN_ERROR';
     }
-
-    return alternatives;
   }
 
   /**
@@ -366,7 +381,7 @@ class ErrorRecoveryService {
     }
 
     if (errorGroups.RATE_LIMIT_EXCEEDED) {
-      suggestions.push('Reduce batch size or add delays between operations');
+      suggestions.push('Wait for the monday.com complexity budget to reset, or run the operation as a background job');
     }
 
     if (errorGroups.INVALID_DATA) {
@@ -405,7 +420,7 @@ class ErrorRecoveryService {
       timestamp: new Date().toISOString(),
       operation: context.operation,
       error: {
-        type: this.classifyError(error),
+        type: recovery?.errorType || this.classifyError(error),
         message: error.message,
         status: error.status
       },
@@ -415,12 +430,28 @@ class ErrorRecoveryService {
         strategy: recovery?.strategy || 'none'
       },
       context: {
+        accountId: context.accountId,
         userId: context.userId,
-        boardId: context.boardId
+        boardId: context.boardId || context.operation?.parameters?.boardId,
+        command: context.userInput,
+        attempt: context.attempt
       }
     };
   }
 
+  /**
+   * Persist the audit of a failure; a failing write is only logged
+   * @returns {Promise<object|null>} Stored audit
+   */
+  async recordErrorAudit(error, context, recovery) {
+    try {
+      return await this.audits.record(this.createErrorAudit(error, context, recovery));
+    } catch (auditError) {
+      logger.error('Error audit could not be stored', { error: auditError.message });
+      return null;
+    }
+  }
+
   /**
    * Delay helper
    * @private
@@ -0,0 +1,140 @@
+// services/item-actions.js
+const OperationMapper = require('../nlp/operation-mapper');
+
+/**
+ * Translates interpreted actions ("assign Sarah", "move to Done") into
+ * executor operations on one known item
+ * Used where the item is implied by where the request came from, such as an
+ * automation rule trigger or an item's update thread.
+ */
+class ItemActionTranslator {
+  constructor(mapper = new OperationMapper()) {
+    this.mapper = mapper;
+  }
+
+  /**
+   * Translate an interpretation into an executor operation
+   * @param {object} interpretation - OperationInterpreter result ({ operation, parameters })
+   * @param {object} board - Board structure (columns, groups)
+   * @param {object} context - Monday context (users)
+   * @param {object} target - { itemId, boardId } the action applies to
+   * @returns {object} Executor operation
+   */
+  toOperation({ operation, parameters = {} }, board, context, { itemId, boardId }) {
+    const groupName = parameters.targetGroupId || parameters.targetGroupName ||
+      parameters.groupId || parameters.groupName;
+
+    switch (operation) {
+    case 'STATUS_UPDATE': {
+      const column = this.findColumn(parameters.columnId || parameters.columnName, board, 'status');
+      const label = parameters.statusValue || parameters.status || parameters.value;
+      if (!column || !label) {
+        throw new Error('Status actions need a status column and a label');
+      }
+      return {
+        type: 'update_item',
+        parameters: { boardId, itemId, columnValues: { [column.id]: { label } } }
+      };
+    }
+
+    case 'USER_ASSIGN': {
+      const identifier = parameters.userId || parameters.userName || parameters.user || parameters.assignee;
+      const user = identifier ? this.mapper._findUser(String(identifier), context) : null;
+      const column = this.findColumn(parameters.columnId || parameters.columnName, board, 'people');
+      if (!user) {
+        throw new Error(`User "${identifier || ''}" could not be found`);
+      }
+      if (!column) {
+        throw new Error('The board has no people column to assign users to');
+      }
+      return {
+        type: 'assign_user',
+        parameters: { itemId, userId: user.id, columnId: column.id }
+      };
+    }
+
+    case 'ITEM_UPDATE':
+    case 'COLUMN_UPDATE': {
+      if (groupName && !parameters.columnValues) {
+        const group = this.mapper._findGroup(String(groupName), board);
+        if (!group) {
+          throw new Error(`Group "${groupName}" could not be found on board ${board.name}`);
+        }
+        return {
+          type: 'move_item',
+          parameters: { itemId, targetGroupId: group.id }
+        };
+      }
+      return {
+        type: 'update_item',
+        parameters: {
+          boardId,
+          itemId,
+          columnValues: this.columnValuesById(parameters.columnValues, board)
+        }
+      };
+    }
+
+    case 'ITEM_CREATE': {
+      const group = groupName ? this.mapper._findGroup(String(groupName), board) : null;
+      return {
+        type: 'create_item',
+        parameters: {
+          boardId,
+          groupId: group?.id,
+          itemName: parameters.itemName,
+          columnValues: this.columnValuesById(parameters.columnValues, board)
+        }
+      };
+    }
+
+    case 'ITEM_DELETE':
+      return {
+        type: 'delete_item',
+        parameters: { itemId }
+      };
+
+    default:
+      throw new Error(`${operation} is not supported for a single item`);
+    }
+  }
+
+  /**
+   * Find a column by ID or title, or the first column of a type
+   * @param {string} identifier - Column ID or title
+   * @param {object} board - Board structure
+   * @param {string} [fallbackType] - Column type to fall back to
+   * @returns {object|null} Column
+   */
+  findColumn(identifier, board, fallbackType = null) {
+    const columns = board.columns || [];
+
+    if (identifier) {
+      const name = String(identifier).trim()
+        .replace(/^(?:the|its|an?)\s+/i, '')
+        .replace(/\s+column$/i, '')
+        .replace(/^["']|["']$/g, '')
+        .toLowerCase();
+      const column = columns.find(c => c.id === identifier) ||
+        columns.find(c => c.title.toLowerCase() === name);
+      if (column) return column;
+    }
+
+    return fallbackType ? columns.find(c => c.type === fallbackType) || null : null;
+  }
+
+  /**
+   * Key column values by column ID
+   * @private
+   */
+  columnValuesById(values, board) {
+    const mapped = {};
+    for (const [key, value] of Object.entries(values || {})) {
+      const column = this.findColumn(key, board);
+      mapped[column ? column.id : key] = value;
+    }
+    return mapped;
+  }
+}
+
+module.exports = ItemActionTranslator;
@@ -0,0 +1,191 @@
+// services/item-resolver.js
+const { mondayClient } = require('../config/monday');
+const { iterateItems } = require('../utils/items-pager');
+const { normalizeText, similarity } = require('../utils/fuzzy-match');
+const logger = require('../utils/logger');
+
+// Better kinds of match rank first
+const MATCH_RANKS = {
+  id: 0,
+  exact: 1,
+  case_insensitive: 2,
+  fuzzy: 3
+};
+
+// Candidates of one kind this close in score are a tie
+const TIE_MARGIN = 0.05;
+
+const ITEM_FIELDS = `
+  id
+  name
+  group {
+    id
+    title
+  }
+`;
+
+/**
+ * Finds the item a name refers to on a board
+ *
+ * Numeric identifiers are item IDs. Names are looked up exactly through
+ * items_page_by_column_values first; without an exact hit the board is
+ * scanned page by page for case-insensitive and fuzzy matches. Candidates are
+ * ranked by kind of match, then similarity. When the best candidates tie the
+ * result is ambiguous and carries a disambiguation payload instead of a guess.
+ */
+class ItemResolver {
+  /**
+   * @param {object} [client] - Monday API client
+   * @param {object} [options]
+   * @param {number} [options.threshold] - Minimum similarity of a fuzzy match
+   * @param {number} [options.maxScan] - Items scanned per board
+   * @param {number} [options.maxCandidates] - Candidates returned
+   */
+  constructor(client = mondayClient, { threshold = 0.75, maxScan = 5000, maxCandidates = 5 } = {}) {
+    this.client = client;
+    this.threshold = threshold;
+    this.maxScan = maxScan;
+    this.maxCandidates = maxCandidates;
+  }
+
+  /**
+   * Resolve an item ID or name on a board
+   * @param {string|number} identifier - Item ID or name
+   * @param {string} boardId - Board to search
+   * @returns {Promise<object>} { status: 'resolved', item, match, score, candidates }
+   *   | { status: 'ambiguous', candidates, disambiguation }
+   *   | { status: 'not_found', candidates }
+   */
+  async resolve(identifier, boardId) {
+    const query = String(identifier ?? '').trim();
+
+    if (/^\d+$/.test(query)) {
+      return { status: 'resolved', item: { id: query }, match: 'id', score: 1, candidates: [] };
+    }
+    if (!query || !boardId) {
+      return { status: 'not_found', query, boardId, candidates: [] };
+    }
+
+    let candidates = (await this.findByName(boardId, query))
+      .map(item => toCandidate(item, 'exact', 1));
+    if (candidates.length === 0) {
+      candidates = await this.scan(boardId, query);
+    }
+
+    return this.decide(query, boardId, candidates);
+  }
+
+  /**
+   * Items whose name is exactly the query
+   * @private
+   */
+  async findByName(boardId, query) {
+    try {
+      const response = await this.client.api(`
+        query FindItemsByName($boardId: ID!, $columns: [ItemsPageByColumnValuesQuery!]) {
+          items_page_by_column_values(board_id: $boardId, limit: 50, columns: $columns) {
+            items {
+              ${ITEM_FIELDS}
+            }
+          }
+        }
+      `, {
+        boardId: String(boardId),
+        columns: [{ column_id: 'name', column_values: [query] }]
+      });
+
+      if (response.errors?.length) {
+        throw new Error(response.errors[0].message);
+      }
+
+      return (response.data?.items_page_by_column_values?.items || [])
+        .filter(item => item.name === query);
+    } catch (error) {
+      logger.warn('Item lookup by name failed; scanning the board', { boardId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Case-insensitive and fuzzy matches from a paged scan of the board
+   * @private
+   */
+  async scan(boardId, query) {
+    const normalized = normalizeText(query);
+    const candidates = [];
+
+    for await (const item of iterateItems(this.client, boardId, { fields: ITEM_FIELDS, maxItems: this.maxScan })) {
+      if (item.name === query) {
+        candidates.push(toCandidate(item, 'exact', 1));
+      } else if (normalizeText(item.name) === normalized) {
+        candidates.push(toCandidate(item, 'case_insensitive', 1));
+      } else {
+        const score = similarity(query, item.name);
+        if (score >= this.threshold) {
+          candidates.push(toCandidate(item, 'fuzzy', score));
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Pick the best candidate, or report a tie
+   * @private
+   */
+  decide(query, boardId, candidates) {
+    const ranked = [...candidates]
+      .sort((a, b) => MATCH_RANKS[a.match] - MATCH_RANKS[b.match] || b.score - a.score)
+      .slice(0, this.maxCandidates);
+
+    if (ranked.length === 0) {
+      return { status: 'not_found', query, boardId, candidates: [] };
+    }
+
+    const [best] = ranked;
+    const tied = ranked.filter(candidate => candidate.match === best.match && best.score - candidate.score < TIE_MARGIN);
+
+    if (tied.length === 1) {
+      return {
+        status: 'resolved',
+        item: { id: best.itemId, name: best.name, group: best.group },
+        match: best.match,
+        score: best.score,
+        candidates: ranked
+      };
+    }
+
+    return {
+      status: 'ambiguous',
+      query,
+      boardId,
+      candidates: ranked,
+      disambiguation: {
+        parameter: 'itemId',
+        query,
+        boardId: String(boardId),
+        question: `Several items match "${query}". Which one did you mean?`,
+        options: tied.map(candidate => ({
+          itemId: candidate.itemId,
+          label: candidate.group?.title ? `${candidate.name} (${candidate.group.title})` : candidate.name
+        }))
+      }
+    };
+  }
+}
+
+/**
+ * @private
+ */
+function toCandidate(item, match, score) {
+  return {
+    itemId: String(item.id),
+    name: item.name,
+    group: item.group ? { id: item.group.id, title: item.group.title } : undefined,
+    match,
+    score: Math.round(score * 1000) / 1000
+  };
+}
+
+module.exports = ItemResolver;
@@ -0,0 +1,392 @@
+// services/item-snapshots.js
+const { mondayClient } = require('../config/monday');
+const { collectItems } = require('../utils/items-pager');
+const logger = require('../utils/logger');
+
+// Columns monday.com computes itself; they cannot be written back on restore
+const READ_ONLY_COLUMN_TYPES = [
+  'auto_number',
+  'button',
+  'creation_log',
+  'formula',
+  'item_id',
+  'last_updated',
+  'lookup',
+  'mirror',
+  'progress',
+  'subtasks',
+  'time_tracking'
+];
+
+// Columns whose display text is the value the formatters expect
+const TEXT_VALUE_COLUMN_TYPES = ['text', 'long_text', 'numbers', 'name'];
+
+// Size limits of snapshots taken before deletions
+const MAX_SNAPSHOT_UPDATES = 100;
+const MAX_SNAPSHOT_BOARD_ITEMS = 1000;
+
+/**
+ * Captures item and board pre-images before mutations so they can be reverted
+ */
+class ItemSnapshotService {
+  constructor(client = mondayClient) {
+    this.client = client;
+  }
+
+  /**
+   * Fetch full snapshots of items
+   * @param {Array<string>} itemIds - Item IDs
+   * @returns {Promise<Array>} Item snapshots (id, name, board, group, column_values)
+   */
+  async captureItems(itemIds) {
+    const ids = (itemIds || []).filter(Boolean).map(String);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const query = `
+      query GetItemSnapshots($itemIds: [ID!]) {
+        items(ids: $itemIds) {
+          id
+          name
+          state
+          board {
+            id
+          }
+          group {
+            id
+            title
+          }
+          column_values {
+            id
+            type
+            text
+            value
+          }
+        }
+      }
+    `;
+
+    // items(ids:) accepts at most 100 IDs per call
+    const items = [];
+    for (let i = 0; i < ids.length; i += 100) {
+      const response = await this.client.api(query, { itemIds: ids.slice(i, i + 100) });
+      if (response.errors?.length) {
+        throw new Error(response.errors[0].message);
+      }
+      items.push(...(response.data?.items || []));
+    }
+
+    return items;
+  }
+
+  /**
+   * Fetch a single item snapshot
+   * @returns {Promise<object|null>}
+   */
+  async captureItem(itemId) {
+    const [item] = await this.captureItems([itemId]);
+    return item || null;
+  }
+
+  /**
+   * Fetch items with everything needed to recreate them: column values,
+   * subitems and updates
+   * @param {Array<string>} itemIds - Item IDs
+   * @returns {Promise<Array>} Item snapshots with subitems and updates
+   */
+  async captureFullItems(itemIds) {
+    const ids = (itemIds || []).filter(Boolean).map(String);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const query = `
+      query GetFullItemSnapshots($itemIds: [ID!]) {
+        items(ids: $itemIds) {
+          id
+          name
+          state
+          board {
+            id
+          }
+          group {
+            id
+            title
+          }
+          column_values {
+            id
+            type
+            text
+            value
+          }
+          subitems {
+            id
+            name
+            column_values {
+              id
+              type
+              text
+              value
+            }
+          }
+          updates(limit: ${MAX_SNAPSHOT_UPDATES}) {
+            id
+            body
+            created_at
+            creator {
+              id
+              name
+            }
+          }
+        }
+      }
+    `;
+
+    // Updates make these snapshots large; fetch fewer items per call
+    const items = [];
+    for (let i = 0; i < ids.length; i += 25) {
+      const response = await this.client.api(query, { itemIds: ids.slice(i, i + 25) });
+      if (response.errors?.length) {
+        throw new Error(response.errors[0].message);
+      }
+      items.push(...(response.data?.items || []));
+    }
+
+    return items;
+  }
+
+  /**
+   * Fetch a board's structure and items for recreating it
+   * @param {string} boardId - Board ID
+   * @returns {Promise<object|null>} Board snapshot (name, kind, workspace,
+   *   columns, groups, items)
+   */
+  async captureBoard(boardId) {
+    const query = `
+      query GetBoardSnapshot($boardId: [ID!]) {
+        boards(ids: $boardId) {
+          id
+          name
+          description
+          board_kind
+          workspace_id
+          columns {
+            id
+            title
+            type
+            settings_str
+          }
+          groups {
+            id
+            title
+            color
+            position
+          }
+        }
+      }
+    `;
+
+    const response = await this.client.api(query, { boardId: [String(boardId)] });
+    if (response.errors?.length) {
+      throw new Error(response.errors[0].message);
+    }
+
+    const board = response.data?.boards?.[0];
+    if (!board) {
+      return null;
+    }
+
+    return {
+      ...board,
+      items: await collectItems(this.client, boardId, { maxItems: MAX_SNAPSHOT_BOARD_ITEMS })
+    };
+  }
+
+  /**
+   * Recreate a snapshot's subitems and updates on a restored item
+   * Updates are posted by the app, so each one names its original author.
+   * @param {string} itemId - Restored item
+   * @param {object} snapshot - Full item snapshot (see captureFullItems)
+   * @returns {Promise<{ subitems: number, updates: number, errors: Array<string> }>}
+   */
+  async restoreChildren(itemId, snapshot) {
+    const restored = { subitems: 0, updates: 0, errors: [] };
+
+    for (const subitem of snapshot.subitems || []) {
+      try {
+        await this.request(`
+          mutation RestoreSubitem($parentItemId: ID!, $itemName: String!, $columnValues: JSON) {
+            create_subitem(parent_item_id: $parentItemId, item_name: $itemName, column_values: $columnValues) {
+              id
+            }
+          }
+        `, {
+          parentItemId: String(itemId),
+          itemName: subitem.name,
+          columnValues: JSON.stringify(this.restorableRawValues(subitem))
+        });
+        restored.subitems++;
+      } catch (error) {
+        restored.errors.push(`Subitem "${subitem.name}": ${error.message}`);
+      }
+    }
+
+    // Oldest first, so the thread reads in its original order
+    const updates = [...(snapshot.updates || [])].reverse();
+    for (const update of updates) {
+      try {
+        const author = update.creator?.name || 'unknown';
+        const date = update.created_at ? new Date(update.created_at).toISOString().slice(0, 10) : '';
+        await this.request(`
+          mutation RestoreUpdate($itemId: ID!, $body: String!) {
+            create_update(item_id: $itemId, body: $body) {
+              id
+            }
+          }
+        `, {
+          itemId: String(itemId),
+          body: `<p><em>Restored update by ${escapeHtml(author)}${date ? ` from ${date}` : ''}</em></p>${update.body || ''}`
+        });
+        restored.updates++;
+      } catch (error) {
+        restored.errors.push(`Update ${update.id}: ${error.message}`);
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Extract the current values of specific columns
+   * @param {object} snapshot - Item snapshot
+   * @param {Array<string>} columnIds - Columns about to change
+   * @returns {object} Column values keyed by column ID
+   */
+  previousValues(snapshot, columnIds) {
+    const values = {};
+
+    for (const columnId of columnIds) {
+      if (columnId === 'name') {
+        values.name = snapshot.name;
+        continue;
+      }
+
+      const column = snapshot.column_values?.find(c => c.id === columnId);
+      if (!column) {
+        logger.warn('Column missing from item snapshot', { itemId: snapshot.id, columnId });
+        continue;
+      }
+
+      values[columnId] = this.toColumnValue(column);
+    }
+
+    return values;
+  }
+
+  /**
+   * Convert a snapshot into writable column values for recreating the item
+   * @param {object} snapshot - Item snapshot
+   * @returns {object} Column values keyed by column ID
+   */
+  restorableValues(snapshot) {
+    const values = {};
+
+    for (const column of snapshot.column_values || []) {
+      if (READ_ONLY_COLUMN_TYPES.includes(column.type)) continue;
+
+      const value = this.toColumnValue(column);
+      if (value !== null) {
+        values[column.id] = value;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Columns of a board snapshot that can be added to a recreated board
+   * The name column exists on every board; computed columns cannot be written.
+   * @param {object} boardSnapshot - Board snapshot (see captureBoard)
+   * @returns {Array<object>} Columns with their parsed settings as defaults
+   */
+  restorableColumns(boardSnapshot) {
+    return (boardSnapshot.columns || [])
+      .filter(column => column.type !== 'name' && !READ_ONLY_COLUMN_TYPES.includes(column.type))
+      .map(column => {
+        let defaults = null;
+        try {
+          defaults = column.settings_str ? JSON.parse(column.settings_str) : null;
+        } catch (error) {
+          logger.warn('Ignoring unreadable column settings', { columnId: column.id });
+        }
+        return { ...column, defaults };
+      });
+  }
+
+  /**
+   * Raw column values of a snapshot, for mutations that take monday.com's
+   * JSON format directly (subitems are written without the formatters)
+   * @private
+   */
+  restorableRawValues(snapshot) {
+    const values = {};
+
+    for (const column of snapshot.column_values || []) {
+      if (READ_ONLY_COLUMN_TYPES.includes(column.type) || !column.value) continue;
+
+      try {
+        values[column.id] = JSON.parse(column.value);
+      } catch (error) {
+        values[column.id] = column.text;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Run a mutation, failing on GraphQL errors
+   * @private
+   */
+  async request(query, variables) {
+    const response = await this.client.api(query, variables);
+    if (response.errors?.length) {
+      throw new Error(response.errors[0].message);
+    }
+    return response.data;
+  }
+
+  /**
+   * Convert a snapshot column into the input shape the column formatters accept
+   * @private
+   */
+  toColumnValue(column) {
+    if (column.value === null || column.value === undefined) {
+      return null;
+    }
+
+    if (TEXT_VALUE_COLUMN_TYPES.includes(column.type)) {
+      return column.text;
+    }
+
+    if (column.type === 'status' || column.type === 'color') {
+      return column.text ? { label: column.text } : null;
+    }
+
+    try {
+      return JSON.parse(column.value);
+    } catch (error) {
+      return column.text;
+    }
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = ItemSnapshotService;
@@ -0,0 +1,115 @@
+// services/llm/anthropic.js
+const Anthropic = require('@anthropic-ai/sdk');
+const { LLMProvider, messagesFor, estimateTokens } = require('./provider');
+
+/**
+ * Anthropic Messages API provider
+ */
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiKey]
+   * @param {string} [options.model] - Default model
+   * @param {number} [options.timeoutMs]
+   * @param {object} [options.client] - Preconfigured SDK client
+   */
+  constructor({ apiKey, model, timeoutMs = 30000, client = null } = {}) {
+    super('anthropic', { model });
+    // Callers own the retry policy
+    this.client = client || new Anthropic({ apiKey, timeout: timeoutMs, maxRetries: 0 });
+  }
+
+  async complete(request) {
+    const message = await this.client.messages.create(this.toParams(request));
+    const response = this.toResponse(message);
+
+    if (!response.text) {
+      throw new Error('Empty response from Anthropic');
+    }
+
+    return response;
+  }
+
+  /**
+   * Native tool use; a single tool is forced, otherwise the model picks one
+   */
+  async completeTool(request, tools) {
+    const message = await this.client.messages.create({
+      ...this.toParams(request),
+      tools: tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.inputSchema })),
+      tool_choice: tools.length === 1 ? { type: 'tool', name: tools[0].name } : { type: 'any' }
+    });
+
+    const call = (message.content || []).find(block => block.type === 'tool_use');
+
+    return {
+      ...this.toResponse(message),
+      toolCall: call ? { name: call.name, input: call.input } : null,
+      toolError: call ? undefined : 'The response did not call a tool'
+    };
+  }
+
+  async *stream(request) {
+    const stream = this.client.messages.stream(this.toParams(request));
+
+    for await (const event of stream) {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+  }
+
+  /**
+   * Count tokens with the token counting endpoint, falling back to an
+   * estimate where it is unavailable
+   */
+  async countTokens(request) {
+    const { model, system, messages } = this.toParams(request);
+
+    try {
+      const result = await this.client.post('/v1/messages/count_tokens', {
+        body: { model, system, messages },
+        headers: { 'anthropic-beta': 'token-counting-2024-11-01' }
+      });
+      return result.input_tokens;
+    } catch (error) {
+      return estimateTokens(request);
+    }
+  }
+
+  /**
+   * @private
+   */
+  toResponse(message) {
+    return {
+      text: (message.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      model: message.model,
+      stopReason: message.stop_reason,
+      usage: {
+        inputTokens: message.usage?.input_tokens,
+        outputTokens: message.usage?.output_tokens
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  toParams(request) {
+    const params = {
+      model: this.modelFor(request),
+      max_tokens: request.maxTokens || 4000,
+      messages: messagesFor(request)
+    };
+
+    if (request.system) params.system = request.system;
+    if (request.temperature !== undefined) params.temperature = request.temperature;
+
+    return params;
+  }
+}
+
+module.exports = AnthropicProvider;
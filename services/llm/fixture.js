@@ -0,0 +1,88 @@
+// services/llm/fixture.js
+const crypto = require('crypto');
+const fs = require('fs');
+const { LLMProvider, messagesFor, estimateTokens } = require('./provider');
+
+/**
+ * Deterministic provider that replays recorded responses
+ * Fixtures are matched by the hash of the request (system prompt and
+ * messages) or by a substring of the last message. Requests without a
+ * fixture fail instead of reaching a real model.
+ *
+ * Fixture file format:
+ *   [{ "hash": "<requestHash>", "response": "..." },
+ *    { "match": "Respond with \"OK\"", "response": "OK" },
+ *    { "match": "USER REQUEST", "response": { "text": "", "toolCall": { "name": "ITEM_CREATE", "input": {...} } } }]
+ */
+class FixtureProvider extends LLMProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - JSON fixture file
+   * @param {Array<object>} [options.fixtures] - Inline fixtures
+   * @param {string} [options.model] - Model reported in responses
+   */
+  constructor({ path = null, fixtures = [], model = 'fixture' } = {}) {
+    super('fixture', { model });
+    this.fixtures = [];
+
+    if (path) {
+      JSON.parse(fs.readFileSync(path, 'utf8')).forEach(fixture => this.add(fixture));
+    }
+    fixtures.forEach(fixture => this.add(fixture));
+  }
+
+  /**
+   * Register a fixture
+   * @param {object} fixture - { hash | match, response }; response is text or { text, stopReason, usage }
+   */
+  add({ hash, match, response }) {
+    if (!hash && !match) {
+      throw new Error('Fixtures need a hash or a match string');
+    }
+    this.fixtures.push({ hash, match, response });
+  }
+
+  /**
+   * Stable hash identifying a request
+   * @param {object} request
+   * @returns {string}
+   */
+  hashRequest(request) {
+    const normalized = JSON.stringify({
+      system: request.system || null,
+      messages: messagesFor(request).map(({ role, content }) => ({ role, content }))
+    });
+
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  async complete(request) {
+    const hash = this.hashRequest(request);
+    const messages = messagesFor(request);
+    const lastMessage = String(messages[messages.length - 1]?.content || '');
+
+    const fixture = this.fixtures.find(f => f.hash === hash) ||
+      this.fixtures.find(f => f.match && lastMessage.includes(f.match));
+
+    if (!fixture) {
+      const error = new Error(`No fixture recorded for request ${hash}`);
+      error.code = 'FIXTURE_NOT_FOUND';
+      error.requestHash = hash;
+      throw error;
+    }
+
+    const response = typeof fixture.response === 'string' ? { text: fixture.response } : fixture.response;
+
+    return {
+      stopReason: 'end_turn',
+      usage: {
+        inputTokens: estimateTokens(request),
+        outputTokens: estimateTokens(response.text)
+      },
+      ...response,
+      model: this.modelFor(request)
+    };
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,160 @@
+// services/llm/index.js
+const AI_CONFIG = require('../../config/ai');
+const User = require('../../models/User');
+const { isDatabaseConnected } = require('../../config/database');
+const logger = require('../../utils/logger');
+const { LLMProvider } = require('./provider');
+const AnthropicProvider = require('./anthropic');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const FixtureProvider = require('./fixture');
+
+/**
+ * Provider registry and per-account/per-user model selection
+ * The model is resolved in this order:
+ *   1. User.preferences.aiModel ("provider:model" or a bare model name)
+ *   2. AI_CONFIG.llm.accounts[accountId]
+ *   3. AI_CONFIG.llm.provider / AI_CONFIG.llm.model
+ */
+const factories = new Map([
+  ['anthropic', () => new AnthropicProvider({
+    apiKey: AI_CONFIG.llm.providers.anthropic.apiKey,
+    model: AI_CONFIG.llm.model,
+    timeoutMs: AI_CONFIG.claude.timeoutMs
+  })],
+  ['openai', () => new OpenAICompatibleProvider({
+    baseUrl: AI_CONFIG.llm.providers.openai.baseUrl,
+    apiKey: AI_CONFIG.llm.providers.openai.apiKey,
+    model: AI_CONFIG.llm.providers.openai.model,
+    timeoutMs: AI_CONFIG.claude.timeoutMs
+  })],
+  ['fixture', () => new FixtureProvider({
+    path: AI_CONFIG.llm.providers.fixture.path
+  })]
+]);
+
+const instances = new Map();
+const preferenceCache = new Map();
+
+/**
+ * Register a provider factory, replacing any existing one with that name
+ * @param {string} name - Provider name used in config and preferences
+ * @param {Function} factory - () => LLMProvider
+ */
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Shared provider instance by name
+ * @param {string} [name] - Defaults to AI_CONFIG.llm.provider
+ * @returns {LLMProvider}
+ */
+function getProvider(name = AI_CONFIG.llm.provider) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}"`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Split a model preference into provider and model
+ * "openai:gpt-4o" names the provider explicitly; "gpt-4o" infers it from
+ * AI_CONFIG.llm.modelPrefixes.
+ * @param {string} value - Model preference
+ * @param {string} [fallbackProvider] - Provider when none can be inferred
+ * @returns {object} { provider, model }
+ */
+function parseModelPreference(value, fallbackProvider = AI_CONFIG.llm.provider) {
+  const [first, ...rest] = String(value).split(':');
+  if (rest.length > 0 && factories.has(first)) {
+    return { provider: first, model: rest.join(':') || null };
+  }
+
+  const prefix = Object.keys(AI_CONFIG.llm.modelPrefixes).find(p => value.startsWith(p));
+  return {
+    provider: prefix ? AI_CONFIG.llm.modelPrefixes[prefix] : fallbackProvider,
+    model: value
+  };
+}
+
+/**
+ * Provider and model to use for a request
+ * @param {object} [selection]
+ * @param {string} [selection.accountId] - Monday.com account ID
+ * @param {string} [selection.userId] - Monday.com user ID
+ * @returns {Promise<object>} { provider: LLMProvider, providerName, model }
+ */
+async function resolveProvider({ accountId, userId } = {}) {
+  const account = (accountId && AI_CONFIG.llm.accounts[String(accountId)]) || {};
+  let providerName = account.provider || AI_CONFIG.llm.provider;
+  let model = account.model || (account.provider ? null : AI_CONFIG.llm.model);
+
+  const preference = await getModelPreference(accountId, userId);
+  if (preference) {
+    const parsed = parseModelPreference(preference, providerName);
+    providerName = parsed.provider;
+    model = parsed.model;
+  }
+
+  const provider = getProvider(providerName);
+  return { provider, providerName, model: model || provider.model };
+}
+
+/**
+ * The user's stored aiModel preference, cached briefly
+ * @private
+ */
+async function getModelPreference(accountId, userId) {
+  if (!accountId || !userId || !isDatabaseConnected()) {
+    return null;
+  }
+
+  const key = `${accountId}:${userId}`;
+  const cached = preferenceCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  try {
+    const user = await User.findByMondayId(String(userId), String(accountId))
+      .select('preferences.aiModel')
+      .lean();
+    const value = user?.preferences?.aiModel || null;
+
+    preferenceCache.set(key, { value, expiresAt: Date.now() + AI_CONFIG.llm.preferenceCacheTTL });
+    return value;
+  } catch (error) {
+    logger.warn('Failed to load AI model preference', { accountId, userId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Forget cached preferences, e.g. after a user changes their model
+ * @param {string} [accountId]
+ * @param {string} [userId]
+ */
+function clearPreferenceCache(accountId, userId) {
+  if (accountId && userId) {
+    preferenceCache.delete(`${accountId}:${userId}`);
+  } else {
+    preferenceCache.clear();
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  registerProvider,
+  getProvider,
+  parseModelPreference,
+  resolveProvider,
+  clearPreferenceCache
+};
@@ -0,0 +1,163 @@
+// services/llm/openai-compatible.js
+const axios = require('axios');
+const { LLMProvider, messagesFor, parseJSONResponse } = require('./provider');
+
+/**
+ * Provider for any HTTP API compatible with OpenAI chat completions
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, LiteLLM, ...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} [options.apiKey]
+   * @param {string} [options.model] - Default model
+   * @param {number} [options.timeoutMs]
+   * @param {object} [options.http] - Preconfigured axios instance
+   */
+  constructor({ baseUrl, apiKey, model, timeoutMs = 30000, http = null } = {}) {
+    super('openai', { model });
+
+    if (!baseUrl && !http) {
+      throw new Error('OpenAI-compatible provider requires a base URL');
+    }
+
+    this.http = http || axios.create({
+      baseURL: baseUrl.replace(/\/+$/, ''),
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      }
+    });
+  }
+
+  async complete(request, extra = {}) {
+    const response = await this.post(this.toBody(request, extra));
+    const choice = response.data?.choices?.[0];
+    const text = choice?.message?.content;
+
+    if (!text) {
+      throw new Error('Empty response from OpenAI-compatible provider');
+    }
+
+    return {
+      text,
+      model: response.data.model,
+      stopReason: choice.finish_reason,
+      usage: {
+        inputTokens: response.data.usage?.prompt_tokens,
+        outputTokens: response.data.usage?.completion_tokens
+      }
+    };
+  }
+
+  async *stream(request) {
+    const response = await this.post(this.toBody(request, { stream: true }), { responseType: 'stream' });
+
+    // Server-sent events: "data: {...}" lines, terminated by "data: [DONE]"
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !data) continue;
+        if (data === '[DONE]') return;
+
+        const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  }
+
+  /**
+   * Ask for JSON mode so the server constrains the output
+   */
+  async completeJSON(request, { schema = null } = {}) {
+    const response = await this.complete({
+      ...request,
+      system: [request.system, 'Respond with a single valid JSON object.'].filter(Boolean).join('\n\n')
+    }, { response_format: { type: 'json_object' } });
+
+    return {
+      ...response,
+      data: parseJSONResponse(response.text, schema)
+    };
+  }
+
+  /**
+   * Native function calling; a single tool is forced, otherwise the model
+   * has to call one of them
+   */
+  async completeTool(request, tools) {
+    const response = await this.post(this.toBody(request, {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.inputSchema }
+      })),
+      tool_choice: tools.length === 1 ? { type: 'function', function: { name: tools[0].name } } : 'required'
+    }));
+
+    const choice = response.data?.choices?.[0];
+    const call = choice?.message?.tool_calls?.[0]?.function;
+    let toolCall = null;
+    let toolError;
+
+    if (!call) {
+      toolError = 'The response did not call a tool';
+    } else {
+      try {
+        toolCall = { name: call.name, input: JSON.parse(call.arguments || '{}') };
+      } catch (error) {
+        toolError = `The arguments of ${call.name} are not valid JSON: ${error.message}`;
+      }
+    }
+
+    return {
+      text: choice?.message?.content || '',
+      toolCall,
+      toolError,
+      model: response.data?.model,
+      stopReason: choice?.finish_reason,
+      usage: {
+        inputTokens: response.data?.usage?.prompt_tokens,
+        outputTokens: response.data?.usage?.completion_tokens
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  async post(body, config = {}) {
+    try {
+      return await this.http.post('/chat/completions', body, config);
+    } catch (error) {
+      // Keep the status so error recovery can classify rate limits and auth failures
+      const wrapped = new Error(error.response?.data?.error?.message || error.message);
+      wrapped.status = error.response?.status;
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * @private
+   */
+  toBody(request, extra = {}) {
+    const messages = messagesFor(request);
+
+    return {
+      model: this.modelFor(request),
+      messages: request.system ? [{ role: 'system', content: request.system }, ...messages] : messages,
+      max_tokens: request.maxTokens || 4000,
+      ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+      ...extra
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
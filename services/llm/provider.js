@@ -0,0 +1,225 @@
+// services/llm/provider.js
+
+/**
+ * Interface implemented by every LLM provider
+ * A request is { prompt | messages, system, model, maxTokens, temperature };
+ * completions resolve to { text, model, stopReason, usage: { inputTokens, outputTokens } }
+ * and tool calls additionally to { toolCall: { name, input }, toolError }.
+ * Subclasses implement complete() and may override the other methods with
+ * native support.
+ */
+class LLMProvider {
+  /**
+   * @param {string} name - Provider name used in config
+   * @param {object} [options]
+   * @param {string} [options.model] - Model used when a request names none
+   */
+  constructor(name, { model = null } = {}) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Generate a completion
+   * @param {object} request
+   * @returns {Promise<object>} { text, model, stopReason, usage }
+   */
+  async complete(_request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Stream a completion as text chunks
+   * Providers without native streaming yield the whole completion at once.
+   * @param {object} request
+   * @returns {AsyncIterable<string>}
+   */
+  async *stream(request) {
+    const { text } = await this.complete(request);
+    yield text;
+  }
+
+  /**
+   * Count the input tokens of a request
+   * @param {object} request
+   * @returns {Promise<number>}
+   */
+  async countTokens(request) {
+    return estimateTokens(request);
+  }
+
+  /**
+   * Generate a completion and parse it as JSON
+   * @param {object} request
+   * @param {object} [options]
+   * @param {object} [options.schema] - Joi schema the parsed value must satisfy
+   * @returns {Promise<object>} { data, text, model, usage }
+   */
+  async completeJSON(request, { schema = null } = {}) {
+    const response = await this.complete({
+      ...request,
+      system: [request.system, JSON_INSTRUCTION].filter(Boolean).join('\n\n')
+    });
+
+    return {
+      ...response,
+      data: parseJSONResponse(response.text, schema)
+    };
+  }
+
+  /**
+   * Generate a call of one of the given tools
+   * Providers without native tool use are asked to answer with
+   * {"tool", "input"} JSON. The call is not checked against the tool's
+   * schema; when the response holds no usable call, toolCall is null and
+   * toolError says why.
+   * @param {object} request
+   * @param {Array<object>} tools - [{ name, description, inputSchema }]
+   * @returns {Promise<object>} { toolCall: { name, input }, toolError, text, model, usage }
+   */
+  async completeTool(request, tools) {
+    const response = await this.complete({
+      ...request,
+      system: [request.system, toolInstruction(tools)].filter(Boolean).join('\n\n')
+    });
+
+    if (response.toolCall) {
+      return response;
+    }
+
+    try {
+      return { ...response, toolCall: parseToolCall(response.text) };
+    } catch (error) {
+      return { ...response, toolCall: null, toolError: error.message };
+    }
+  }
+
+  /**
+   * Model a request runs against
+   * @protected
+   */
+  modelFor(request) {
+    return request.model || this.model;
+  }
+}
+
+const JSON_INSTRUCTION = 'Respond with a single valid JSON value and no other text.';
+
+/**
+ * Instruction to answer with a tool call as JSON
+ * @private
+ */
+function toolInstruction(tools) {
+  const described = tools.map(tool => JSON.stringify({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.inputSchema
+  })).join('\n');
+
+  return `Answer by calling exactly one of these tools:\n${described}\n\n` +
+    'Respond with a single JSON object {"tool": "<tool name>", "input": <input matching its input_schema>} and no other text.';
+}
+
+/**
+ * Messages of a request, built from `prompt` when none are given
+ * @param {object} request
+ * @returns {Array<object>} [{ role, content }]
+ */
+function messagesFor({ prompt, messages }) {
+  if (messages && messages.length > 0) {
+    return messages;
+  }
+  return [{ role: 'user', content: prompt }];
+}
+
+/**
+ * Rough token estimate of ~4 characters per token
+ * @param {object|string} request - Request or text
+ * @returns {number}
+ */
+function estimateTokens(request) {
+  const text = typeof request === 'string'
+    ? request
+    : [request.system, ...messagesFor(request).map(m => m.content)].filter(Boolean).join('\n');
+
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Parse the JSON value in a model response
+ * The whole response, or a fenced code block holding all of it, has to be
+ * the JSON value; JSON-looking fragments inside prose are not picked out.
+ * @param {string} text - Model output
+ * @param {object} [schema] - Joi schema to validate against
+ * @returns {*} Parsed value
+ * @throws {Error} INVALID_MODEL_OUTPUT, with the response as error.text
+ */
+function parseJSONResponse(text, schema = null) {
+  let data;
+  try {
+    data = parseJSONText(text);
+  } catch (error) {
+    throw invalidOutput(`Invalid JSON in model response: ${error.message}`, text);
+  }
+
+  if (schema) {
+    const { error, value } = schema.validate(data);
+    if (error) {
+      throw invalidOutput(`Model response does not match schema: ${error.message}`, text);
+    }
+    return value;
+  }
+
+  return data;
+}
+
+/**
+ * Parse a tool call answered as text
+ * The whole response, or a fenced code block holding all of it, has to be
+ * the {"tool", "input"} object.
+ * @param {string} text - Model output
+ * @returns {object} { name, input }
+ * @throws {Error} When the text is not such an object
+ */
+function parseToolCall(text) {
+  let data;
+  try {
+    data = parseJSONText(text);
+  } catch (error) {
+    throw new Error(`The response is not a JSON tool call: ${error.message}`);
+  }
+
+  if (!data || typeof data.tool !== 'string' || !data.input || typeof data.input !== 'object') {
+    throw new Error('The response must be {"tool": "<tool name>", "input": {...}}');
+  }
+  return { name: data.tool, input: data.input };
+}
+
+/**
+ * Error for a response that is not the JSON asked for
+ * @private
+ */
+function invalidOutput(message, text) {
+  const error = new Error(message);
+  error.code = 'INVALID_MODEL_OUTPUT';
+  error.text = text;
+  return error;
+}
+
+/**
+ * Parse text that is a JSON value, bare or in a fenced code block
+ * @private
+ */
+function parseJSONText(text) {
+  const trimmed = String(text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : trimmed);
+}
+
+module.exports = {
+  LLMProvider,
+  messagesFor,
+  estimateTokens,
+  parseJSONResponse,
+  parseToolCall
+};
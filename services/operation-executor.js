@@ -1,55 +1,27 @@
 // services/operation-executor.js
 const logger = require('../utils/logger');
+const operationJournal = require('./operation-journal');
+const undoHistory = require('./undo-history');
+const ItemSnapshotService = require('./item-snapshots');
+const Transaction = require('./transaction');
+const confirmations = require('./confirmations');
+const recycleBin = require('./recycle-bin');
+const ItemResolver = require('./item-resolver');
+const ItemOperations = require('./operations/item');
+const BoardOperations = require('./operations/board');
+const UserOperations = require('./operations/user');
+const BulkOperations = require('./operations/bulk');
+const { runWithMondayContext } = require('../utils/monday-api');
+const { timezoneFor } = require('../utils/date-expressions');
 
-// Create fallback operations if files don't exist
-let itemOperations, boardOperations, userOperations, bulkOperations, automationOperations;
+// Item, board, user and bulk operations run on the shared monday.com client
+const itemOperations = new ItemOperations();
+const boardOperations = new BoardOperations();
+const userOperations = new UserOperations();
+const bulkOperations = new BulkOperations({ itemOperations });
 
-try {
-  itemOperations = require('../operations/item-operations');
-} catch (e) {
-  itemOperations = {
-    createItem: async () => ({ success: false, error: 'Item operations not implemented' }),
-    updateItem: async () => ({ success: false, error: 'Item operations not implemented' }),
-    deleteItem: async () => ({ success: false, error: 'Item operations not implemented' }),
-    duplicateItem: async () => ({ success: false, error: 'Item operations not implemented' }),
-    moveItem: async () => ({ success: false, error: 'Item operations not implemented' })
-  };
-}
-
-try {
-  boardOperations = require('../operations/board-operations');
-} catch (e) {
-  boardOperations = {
-    createBoard: async () => ({ success: false, error: 'Board operations not implemented' }),
-    updateBoard: async () => ({ success: false, error: 'Board operations not implemented' }),
-    deleteBoard: async () => ({ success: false, error: 'Board operations not implemented' }),
-    duplicateBoard: async () => ({ success: false, error: 'Board operations not implemented' }),
-    addColumn: async () => ({ success: false, error: 'Board operations not implemented' }),
-    addGroup: async () => ({ success: false, error: 'Board operations not implemented' })
-  };
-}
-
-try {
-  userOperations = require('../operations/user-operations');
-} catch (e) {
-  userOperations = {
-    assignUser: async () => ({ success: false, error: 'User operations not implemented' }),
-    removeUser: async () => ({ success: false, error: 'User operations not implemented' }),
-    bulkAssign: async () => ({ success: false, error: 'User operations not implemented' })
-  };
-}
-
-try {
-  bulkOperations = require('../operations/bulk-operations');
-} catch (e) {
-  bulkOperations = {
-    bulkUpdate: async () => ({ success: false, error: 'Bulk operations not implemented' }),
-    bulkMove: async () => ({ success: false, error: 'Bulk operations not implemented' }),
-    bulkDuplicate: async () => ({ success: false, error: 'Bulk operations not implemented' }),
-    bulkDelete: async () => ({ success: false, error: 'Bulk operations not implemented' }),
-    crossBoardTransfer: async () => ({ success: false, error: 'Bulk operations not implemented' })
-  };
-}
+// Create fallback automation operations if the module doesn't exist
+let automationOperations;
 
 try {
   automationOperations = require('../operations/automation-operations');
@@ -60,8 +32,16 @@ try {
   };
 }
 
+// Operations on one existing item, which may name it instead of giving its ID
+const NAMED_ITEM_TYPES = ['update_item', 'delete_item', 'duplicate_item', 'move_item', 'assign_user', 'remove_user'];
+
 class OperationExecutor {
-  constructor() {
+  constructor(options = {}) {
+    this.journal = options.journal || operationJournal;
+    this.undoHistory = options.undoHistory || undoHistory;
+    this.snapshots = options.snapshots || new ItemSnapshotService();
+    this.recycleBin = options.recycleBin || recycleBin;
+    this.itemResolver = options.itemResolver || new ItemResolver();
     this.operations = {
       item: itemOperations,
       board: boardOperations,
@@ -70,75 +50,662 @@ class OperationExecutor {
       automation: automationOperations
     };
 
-    this.transactionStack = [];
-    this.isInTransaction = false;
+    // Compensating actions registered by the operation modules
+    this.compensations = new Map();
+    for (const operations of Object.values(this.operations)) {
+      if (typeof operations.registerCompensations === 'function') {
+        operations.registerCompensations(this.registerCompensation.bind(this));
+      }
+    }
+  }
+
+  /**
+   * Register the compensating action for an operation type
+   * @param {string} type - Operation type
+   * @param {function} build - (parameters, result, preImage) => operation, array of operations or null
+   */
+  registerCompensation(type, build) {
+    this.compensations.set(type, build);
   }
 
   /**
    * Main execution entry point
+   * Resolves, validates and confirms the operation, runs it and records it in
+   * the journal, the undo history and the transaction it belongs to.
    * @param {object} operation - Operation to execute
+   * @param {object} context - Execution context (accountId, userId, boardId, requestId, timezone,
+   *   transaction, job, confirmed)
    * @returns {object} Execution result
    */
-  async execute(operation) {
+  async execute(operation, context = {}) {
     const startTime = Date.now();
+    const operationId = context.operationId || this.generateOperationId();
+
+    // A transactional operation on its own is wrapped in a private transaction
+    // so partial bulk mutations are reverted when it fails
+    const ownTransaction = operation.transactional && !context.transaction
+      ? this.beginTransaction(context, operationId)
+      : null;
+    const transaction = context.transaction || ownTransaction;
+
+    await this.updateJournal('record', operationId, operation, context);
 
     try {
+      // Honour cancellations that arrived while the operation was queued
+      if (await this.isCancelled(operationId)) {
+        return this.cancelledResult(operation, operationId, null, startTime);
+      }
+
+      await this.updateJournal('markRunning', operationId);
+
+      // monday.com calls count against the account's budget, behind
+      // interactive calls when run as a job
+      const mondayContext = { accountId: context.accountId, priority: context.job ? 'background' : 'interactive' };
+
+      // Tokens are issued for the operation as requested, before item names
+      // are replaced by IDs
+      const requested = operation;
+      operation = await runWithMondayContext(mondayContext, () => this.resolveItems(operation, context));
+
       // Validate operation before execution
       const validation = await this.validateOperation(operation);
       if (!validation.valid) {
         throw new Error(`Invalid operation: ${validation.errors.join(', ')}`);
       }
 
-      // Start transaction if operation supports it
-      if (operation.transactional) {
-        this.beginTransaction();
+      // Destructive operations need a token issued for exactly this operation
+      // and user; compensations, undo steps and saved rules run confirmed
+      let confirmed = !!context.confirmed;
+      if (!confirmed && confirmations.requiresConfirmation(operation)) {
+        await confirmations.consume(requested.parameters?.confirmationToken, requested, context);
+        confirmed = true;
       }
 
+      // Capture pre-images before anything is mutated
+      const preImage = await runWithMondayContext(mondayContext, () =>
+        this.capturePreImage(operation, { bulk: !!transaction }));
+
       // Execute based on operation type
-      const result = await this.executeOperation(operation);
+      const result = await runWithMondayContext(mondayContext, () => this.executeOperation(operation, {
+        operationId,
+        userId: context.userId,
+        accountId: context.accountId,
+        // Dates such as "next Friday" resolve in the user's timezone
+        timezone: timezoneFor(context),
+        confirmed,
+        cursor: context.job?.cursor,
+        shouldPause: context.job?.shouldPause,
+        onProgress: context.job?.onProgress,
+        shouldCancel: async () => await this.isCancelled(operationId) ||
+          (!!context.batchId && await this.isCancelled(context.batchId)) ||
+          (!!context.job?.shouldCancel && await context.job.shouldCancel())
+      }));
+
+      if (result.success || result.results?.length) {
+        await this.recordRemovals(operation, result, preImage, operationId, context);
+      }
 
-      // Commit transaction if successful
-      if (operation.transactional && result.success) {
-        await this.commitTransaction();
+      // Partial results of failed bulk operations are compensated as well
+      if (transaction && (result.success || result.results?.length)) {
+        transaction.record(operationId, operation, this.compensationFor(operation, result, preImage));
       }
 
-      // Log successful operation
-      logger.info('Operation executed successfully', {
+      // Snapshots of removed items are kept in the recycle bin, not the result
+      delete result.removedItems;
+
+      // A paused run keeps what it did; the job resumes from its cursor
+      if (ownTransaction && !result.success && !result.paused) {
+        result.rollback = await ownTransaction.rollback();
+      } else if (ownTransaction) {
+        ownTransaction.commit();
+      }
+
+      if (result.cancelled) {
+        return this.cancelledResult(operation, operationId, result, startTime);
+      }
+
+      let undoData = null;
+      if (result.success || result.paused) {
+        undoData = this.createUndoData(operation, result, preImage);
+        await this.updateJournal(result.paused ? 'markPaused' : 'markSucceeded', operationId, result, undoData);
+
+        if (undoData && context.userId && !context.skipUndoHistory) {
+          await this.recordUndo(operationId, operation, undoData, context);
+        }
+      } else {
+        await this.updateJournal('markFailed', operationId, result.error, result);
+      }
+
+      // Log operation outcome
+      logger.info('Operation executed', {
         type: operation.type,
-        success: true,
+        success: result.success,
         duration: Date.now() - startTime,
-        operationId: result.operationId
+        operationId
       });
 
       return {
         ...result,
+        undoAvailable: !!undoData,
         duration: Date.now() - startTime,
-        operationId: this.generateOperationId()
+        operationId
       };
 
     } catch (error) {
-      // Rollback transaction on error
-      if (operation.transactional && this.isInTransaction) {
-        await this.rollbackTransaction();
-      }
+      logger.error('Operation execution failed', { error: error.message, operation, operationId });
 
-      logger.error('Operation execution failed', { error: error.message, operation });
+      await this.updateJournal('markFailed', operationId, error);
+
+      const rollback = ownTransaction?.status === 'open' ? await ownTransaction.rollback() : undefined;
 
       return {
         success: false,
         error: error.message,
+        code: error.code,
+        disambiguation: error.disambiguation,
         operation: operation.type,
-        duration: Date.now() - startTime
+        rollback,
+        duration: Date.now() - startTime,
+        operationId
+      };
+    }
+  }
+
+  /**
+   * Get the journaled status of an operation
+   * @param {string} operationId - Operation ID
+   * @returns {object|null} Status or null when unknown
+   */
+  async getStatus(operationId) {
+    const entry = await this.journal.get(operationId);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      operationId: entry.operationId,
+      type: entry.type,
+      status: entry.status,
+      parameters: entry.parameters,
+      result: entry.result,
+      error: entry.error,
+      cancelRequested: entry.cancelRequested,
+      undoAvailable: !!entry.undoData,
+      accountId: entry.context?.accountId,
+      userId: entry.context?.userId,
+      timings: {
+        queuedAt: entry.queuedAt,
+        startedAt: entry.startedAt,
+        finishedAt: entry.finishedAt,
+        duration: entry.duration
+      }
+    };
+  }
+
+  /**
+   * Request cancellation of a queued or running operation
+   * Running operations stop cooperatively at their next checkpoint (between
+   * batches for bulk operations, between operations for batches).
+   * @param {string} operationId - Operation ID
+   * @returns {object} { found, cancelled, status, message }
+   */
+  async cancel(operationId) {
+    return this.journal.requestCancel(operationId);
+  }
+
+  /**
+   * Get the inverse operation stored for a completed operation
+   * @param {string} operationId - Operation ID
+   * @returns {object|null} Inverse operation
+   */
+  async getUndoData(operationId) {
+    const entry = await this.journal.get(operationId);
+    return entry?.undoData || null;
+  }
+
+  /**
+   * Replace item names with the IDs of the items they match
+   * Names come as parameters.itemName or an itemId that is not numeric.
+   * @param {object} operation - Operation to execute
+   * @param {object} context - Execution context; context.boardId is the fallback board
+   * @returns {Promise<object>} The operation, or a copy with parameters.itemId resolved
+   * @throws {Error} ITEM_AMBIGUOUS with a disambiguation payload when several
+   *   items match equally well
+   */
+  async resolveItems(operation, context = {}) {
+    const parameters = operation.parameters || {};
+    const identifier = parameters.itemId || parameters.itemName;
+
+    if (!NAMED_ITEM_TYPES.includes(operation.type) || !identifier || /^\d+$/.test(String(identifier))) {
+      return operation;
+    }
+
+    const boardId = parameters.boardId || parameters.sourceBoardId || context.boardId;
+    const resolution = await this.itemResolver.resolve(identifier, boardId);
+
+    if (resolution.status === 'ambiguous') {
+      const error = new Error(resolution.disambiguation.question);
+      error.code = 'ITEM_AMBIGUOUS';
+      error.disambiguation = resolution.disambiguation;
+      throw error;
+    }
+    if (resolution.status !== 'resolved') {
+      const error = new Error(`No item named "${identifier}" found on board ${boardId}`);
+      error.code = 'ITEM_NOT_FOUND';
+      throw error;
+    }
+
+    logger.info('Item resolved by name', {
+      query: String(identifier),
+      itemId: resolution.item.id,
+      match: resolution.match
+    });
+
+    return {
+      ...operation,
+      parameters: { ...parameters, itemId: resolution.item.id }
+    };
+  }
+
+  /**
+   * Snapshot the items an operation is about to change
+   * Without a pre-image the operation still runs, it just cannot be reverted.
+   * Bulk pre-images cost an extra items query, so they are only captured when
+   * a transaction needs them; deletions are always captured in full
+   * (subitems and updates, or the whole board) for the recycle bin.
+   * @private
+   */
+  async capturePreImage(operation, { bulk = false } = {}) {
+    const { type, parameters = {} } = operation;
+    const itemTypes = ['update_item', 'move_item'];
+    const bulkTypes = ['bulk_update', 'bulk_move'];
+
+    try {
+      if (type === 'delete_item' && parameters.itemId) {
+        const [item] = await this.snapshots.captureFullItems([parameters.itemId]);
+        return item ? { item } : null;
+      }
+
+      if (type === 'bulk_delete' && parameters.itemIds?.length) {
+        return { items: await this.snapshots.captureFullItems(parameters.itemIds) };
+      }
+
+      if (type === 'delete_board' && parameters.boardId) {
+        const board = await this.snapshots.captureBoard(parameters.boardId);
+        return board ? { board } : null;
+      }
+
+      if (itemTypes.includes(type) && parameters.itemId) {
+        const item = await this.snapshots.captureItem(parameters.itemId);
+        if (!item) {
+          return null;
+        }
+
+        return {
+          item,
+          previousValues: type === 'update_item'
+            ? this.snapshots.previousValues(item, Object.keys(parameters.columnValues || {}))
+            : undefined
+        };
+      }
+
+      if (bulk && bulkTypes.includes(type) && parameters.itemIds?.length) {
+        const items = await this.snapshots.captureItems(parameters.itemIds);
+        const columnIds = Object.keys(parameters.columnValues || {});
+
+        return {
+          items,
+          previousValuesByItem: type === 'bulk_update'
+            ? Object.fromEntries(items.map(item => [item.id, this.snapshots.previousValues(item, columnIds)]))
+            : undefined
+        };
+      }
+    } catch (error) {
+      logger.warn('Failed to capture item pre-image', {
+        type,
+        itemId: parameters.itemId,
+        boardId: parameters.boardId,
+        error: error.message
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the compensating action for an executed operation
+   * Types without a registered compensation fall back to their undo data.
+   * @private
+   */
+  compensationFor(operation, result, preImage) {
+    const build = this.compensations.get(operation.type);
+    if (build) {
+      return build(operation.parameters, result, preImage) || null;
+    }
+    return this.createUndoData(operation, result, preImage);
+  }
+
+  /**
+   * Push a completed operation onto the user's undo stack
+   * Operations of one batch or request share an entry so they are undone as
+   * a unit; compensations and undo steps run with context.skipUndoHistory.
+   * @private
+   */
+  async recordUndo(operationId, operation, undoData, context) {
+    try {
+      await this.undoHistory.record(context, {
+        operationId,
+        type: operation.type,
+        forward: { type: operation.type, parameters: operation.parameters },
+        inverse: undoData
+      });
+    } catch (error) {
+      logger.error('Undo history update failed', { operationId, error: error.message });
+    }
+  }
+
+  /**
+   * Drop an undo entry whose mutations were rolled back
+   * @private
+   */
+  async discardUndo(entryId) {
+    try {
+      await this.undoHistory.discard(entryId);
+    } catch (error) {
+      logger.error('Undo history update failed', { entryId, error: error.message });
+    }
+  }
+
+  /**
+   * Record the items and boards an operation removed in the recycle bin
+   * Each entry keeps the snapshot restore_item or restore_board recreates the
+   * entity from. A failure here does not fail the operation that already ran.
+   * @private
+   */
+  async recordRemovals(operation, result, preImage, operationId, context) {
+    const removals = this.removalsFor(operation, result, preImage);
+    if (removals.length === 0) {
+      return;
+    }
+
+    // Transfers take their options with the criteria
+    const options = operation.type === 'cross_board_transfer'
+      ? operation.parameters?.criteria
+      : operation.parameters;
+    const mode = options?.mode === 'delete' ? 'delete' : 'archive';
+    const entryIds = [];
+
+    try {
+      for (const removal of removals) {
+        const entry = await this.recycleBin.record({ ...removal, mode, operationId }, context);
+        entryIds.push(entry.entryId);
+      }
+    } catch (error) {
+      logger.error('Recycle bin update failed', { operationId, error: error.message });
+    }
+
+    if (['bulk_delete', 'cross_board_transfer'].includes(operation.type)) {
+      result.recycleBinEntryIds = entryIds;
+    } else if (entryIds.length) {
+      result.recycleBinEntryId = entryIds[0];
+    }
+  }
+
+  /**
+   * Items and boards an operation removed, with their snapshots
+   * @private
+   */
+  removalsFor(operation, result, preImage) {
+    switch (operation.type) {
+    case 'delete_item':
+      return preImage?.item ? [itemRemoval(preImage.item)] : [];
+    case 'bulk_delete': {
+      const removed = new Set((result.results || []).filter(r => r.success).map(r => String(r.itemId)));
+      return (preImage?.items || [])
+        .filter(item => removed.has(String(item.id)))
+        .map(itemRemoval);
+    }
+    case 'cross_board_transfer':
+      return (result.removedItems || []).map(itemRemoval);
+    case 'delete_board':
+      return preImage?.board
+        ? [{
+          entityType: 'board',
+          entityId: preImage.board.id,
+          boardId: preImage.board.id,
+          name: preImage.board.name,
+          snapshot: preImage.board
+        }]
+        : [];
+    default:
+      return [];
+    }
+  }
+
+  /**
+   * Look up the snapshot of a recycle bin entry
+   * @private
+   */
+  async recycledSnapshot(entryId, entityType) {
+    const entry = await this.recycleBin.get(entryId);
+    if (!entry || entry.entityType !== entityType) {
+      throw new Error(`Recycle bin entry ${entryId} not found or expired`);
+    }
+    if (entry.restoredAt) {
+      throw new Error(`Recycle bin entry ${entryId} was already restored`);
+    }
+    return entry;
+  }
+
+  /**
+   * Recreate a deleted item from its snapshot
+   * The snapshot comes from parameters.itemData or the recycle bin entry
+   * parameters.entryId; its subitems and updates are recreated as well.
+   * @private
+   */
+  async restoreItem(parameters) {
+    const entry = parameters.entryId
+      ? await this.recycledSnapshot(parameters.entryId, 'item')
+      : null;
+    const itemData = entry ? entry.snapshot : parameters.itemData;
+    const boardId = parameters.boardId || entry?.boardId || itemData.board?.id;
+
+    const result = await this.operations.item.createItem(
+      boardId,
+      itemData.group?.id,
+      itemData.name,
+      this.snapshots.restorableValues(itemData)
+    );
+
+    if (!result.success || !result.item?.id) {
+      return { ...result, operation: 'restore' };
+    }
+
+    const children = await this.snapshots.restoreChildren(result.item.id, itemData);
+    await this.markRestored('item', itemData.id, result.item.id);
+
+    return {
+      ...result,
+      restoredFrom: itemData.id,
+      restoredSubitems: children.subitems,
+      restoredUpdates: children.updates,
+      warnings: children.errors.length ? children.errors : undefined,
+      operation: 'restore'
+    };
+  }
+
+  /**
+   * Recreate a deleted board from its snapshot
+   * The board gets the snapshot's groups and writable columns, then its
+   * items, with column and group IDs mapped onto the new board. The snapshot
+   * comes from parameters.boardData or the recycle bin entry parameters.entryId.
+   * @private
+   */
+  async restoreBoard(parameters) {
+    const entry = parameters.entryId
+      ? await this.recycledSnapshot(parameters.entryId, 'board')
+      : null;
+    const boardData = entry ? entry.snapshot : parameters.boardData;
+    const board = this.operations.board;
+    const warnings = [];
+
+    const created = await board.createBoard(
+      boardData.workspace_id,
+      boardData.name,
+      boardData.board_kind || 'public'
+    );
+    if (!created.success || !created.board?.id) {
+      return { ...created, operation: 'restore_board' };
+    }
+    const boardId = created.board.id;
+
+    const groupIds = new Map();
+    let previousGroupId = null;
+    for (const group of boardData.groups || []) {
+      const added = await board.addGroup(boardId, group.title, 'after', previousGroupId);
+      if (added.success) {
+        groupIds.set(group.id, added.group.id);
+        previousGroupId = added.group.id;
+      } else {
+        warnings.push(`Group "${group.title}": ${added.error}`);
+      }
+    }
+
+    // The groups of a blank board are replaced by the restored ones
+    if (groupIds.size > 0) {
+      for (const group of created.board.groups || []) {
+        await board.deleteGroup(boardId, group.id);
+      }
+    }
+
+    const columnIds = new Map();
+    for (const column of this.snapshots.restorableColumns(boardData)) {
+      const added = await board.addColumn(boardId, column.title, column.type, column.defaults);
+      if (added.success) {
+        columnIds.set(column.id, added.column.id);
+      } else {
+        warnings.push(`Column "${column.title}": ${added.error}`);
+      }
+    }
+
+    let items = 0;
+    for (const item of boardData.items || []) {
+      const remapped = {
+        ...item,
+        column_values: (item.column_values || [])
+          .filter(column => columnIds.has(column.id))
+          .map(column => ({ ...column, id: columnIds.get(column.id) }))
       };
+
+      const added = await this.operations.item.createItem(
+        boardId,
+        groupIds.get(item.group?.id),
+        item.name,
+        this.snapshots.restorableValues(remapped)
+      );
+      if (added.success) {
+        items++;
+      } else {
+        warnings.push(`Item "${item.name}": ${added.error}`);
+      }
+    }
+
+    await this.markRestored('board', boardData.id, boardId);
+
+    return {
+      success: true,
+      board: created.board,
+      restoredFrom: boardData.id,
+      restoredGroups: groupIds.size,
+      restoredColumns: columnIds.size,
+      restoredItems: items,
+      warnings: warnings.length ? warnings : undefined,
+      operation: 'restore_board'
+    };
+  }
+
+  /**
+   * Take restored entities out of the recycle bin listing
+   * @private
+   */
+  async markRestored(entityType, entityId, restoredId) {
+    try {
+      await this.recycleBin.markEntityRestored(entityType, entityId, restoredId);
+    } catch (error) {
+      logger.error('Recycle bin update failed', { entityType, entityId, error: error.message });
+    }
+  }
+
+  /**
+   * Check whether an operation has been asked to stop
+   * @private
+   */
+  async isCancelled(operationId) {
+    try {
+      return await this.journal.isCancelRequested(operationId);
+    } catch (error) {
+      logger.warn('Cancellation check failed', { operationId, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Journal a cancelled operation and build its result
+   * @private
+   */
+  async cancelledResult(operation, operationId, partialResult, startTime) {
+    await this.updateJournal('markCancelled', operationId, partialResult);
+
+    logger.info('Operation cancelled', { type: operation.type, operationId });
+
+    return {
+      ...(partialResult || {}),
+      success: false,
+      cancelled: true,
+      error: 'Operation cancelled',
+      operation: operation.type,
+      duration: Date.now() - startTime,
+      operationId
+    };
+  }
+
+  /**
+   * Write to the operation journal without letting journal failures
+   * break the operation itself
+   * Every execution is journaled so it can be polled through getStatus() and
+   * stopped through cancel().
+   * @private
+   */
+  async updateJournal(method, ...args) {
+    try {
+      return await this.journal[method](...args);
+    } catch (error) {
+      logger.error('Operation journal update failed', { method, error: error.message });
+      return null;
     }
   }
 
   /**
    * Execute specific operation based on type
+   * Background jobs pass their cursor and shouldPause, shouldCancel and
+   * onProgress hooks; bulk operations checkpoint against them between batches.
    * @private
    */
-  async executeOperation(operation) {
+  async executeOperation(operation, execution = {}) {
     const { type, parameters } = operation;
+    const bulkOptions = {
+      shouldCancel: execution.shouldCancel,
+      shouldPause: execution.shouldPause,
+      onProgress: execution.onProgress,
+      cursor: execution.cursor,
+      userId: execution.userId,
+      accountId: execution.accountId,
+      timezone: execution.timezone,
+      confirmed: execution.confirmed
+    };
+
+    // Deletions archive unless the operation asks for a permanent delete
+    const archive = parameters?.mode !== 'delete';
 
     // Map operation types to handlers
     const operationMap = {
@@ -147,15 +714,18 @@ class OperationExecutor {
         parameters.boardId,
         parameters.groupId,
         parameters.itemName,
-        parameters.columnValues
+        parameters.columnValues,
+        { timezone: execution.timezone }
       ),
       'update_item': () => this.operations.item.updateItem(
         parameters.boardId,
         parameters.itemId,
-        parameters.columnValues
+        parameters.columnValues,
+        { timezone: execution.timezone }
       ),
       'delete_item': () => this.operations.item.deleteItem(
-        parameters.itemId
+        parameters.itemId,
+        { confirmed: execution.confirmed, archive }
       ),
       'duplicate_item': () => this.operations.item.duplicateItem(
         parameters.boardId,
@@ -167,6 +737,7 @@ class OperationExecutor {
         parameters.targetGroupId,
         parameters.targetBoardId
       ),
+      'restore_item': () => this.restoreItem(parameters),
 
       // Board operations
       'create_board': () => this.operations.board.createBoard(
@@ -180,8 +751,10 @@ class OperationExecutor {
         parameters.updates
       ),
       'delete_board': () => this.operations.board.deleteBoard(
-        parameters.boardId
+        parameters.boardId,
+        { confirmed: execution.confirmed, archive }
       ),
+      'restore_board': () => this.restoreBoard(parameters),
       'duplicate_board': () => this.operations.board.duplicateBoard(
         parameters.boardId,
         parameters.targetWorkspaceId,
@@ -199,6 +772,14 @@ class OperationExecutor {
         parameters.position,
         parameters.relativeTo
       ),
+      'delete_column': () => this.operations.board.deleteColumn(
+        parameters.boardId,
+        parameters.columnId
+      ),
+      'delete_group': () => this.operations.board.deleteGroup(
+        parameters.boardId,
+        parameters.groupId
+      ),
 
       // User operations
       'assign_user': () => this.operations.user.assignUser(
@@ -220,25 +801,29 @@ class OperationExecutor {
       // Bulk operations
       'bulk_update': () => this.operations.bulk.bulkUpdate(
         parameters.itemIds,
-        parameters.columnValues
+        parameters.columnValues,
+        bulkOptions
       ),
       'bulk_move': () => this.operations.bulk.bulkMove(
         parameters.itemIds,
         parameters.targetGroupId,
-        parameters.targetBoardId
+        parameters.targetBoardId,
+        bulkOptions
       ),
       'bulk_duplicate': () => this.operations.bulk.bulkDuplicate(
         parameters.itemIds,
-        parameters.targetBoardId
+        parameters.targetBoardId,
+        bulkOptions
       ),
       'bulk_delete': () => this.operations.bulk.bulkDelete(
         parameters.itemIds,
-        parameters.confirmationToken
+        { ...bulkOptions, archive }
       ),
       'cross_board_transfer': () => this.operations.bulk.crossBoardTransfer(
         parameters.sourceBoardId,
         parameters.targetBoardId,
-        parameters.criteria
+        parameters.criteria,
+        { ...bulkOptions, mapping: parameters.mapping }
       ),
 
       // Automation operations
@@ -292,13 +877,20 @@ class OperationExecutor {
       'delete_item': (params) => {
         if (!params.itemId) errors.push('Item ID is required');
       },
+      'restore_item': (params) => {
+        if (params.entryId) return;
+        if (!params.boardId && !params.itemData?.board?.id) errors.push('Board ID is required');
+        if (!params.itemData?.name) errors.push('Item snapshot or recycle bin entry is required');
+      },
+      'restore_board': (params) => {
+        if (!params.entryId && !params.boardData?.name) {
+          errors.push('Board snapshot or recycle bin entry is required');
+        }
+      },
       'bulk_delete': (params) => {
         if (!params.itemIds || params.itemIds.length === 0) {
           errors.push('Item IDs are required');
         }
-        if (!params.confirmationToken) {
-          errors.push('Confirmation token is required for bulk delete');
-        }
       },
       'assign_user': (params) => {
         if (!params.itemId) errors.push('Item ID is required');
@@ -337,51 +929,24 @@ class OperationExecutor {
   }
 
   /**
-   * Begin a transaction for rollback capability
-   * @private
-   */
-  beginTransaction() {
-    this.isInTransaction = true;
-    this.transactionStack = [];
-  }
-
-  /**
-   * Commit transaction
-   * @private
+   * Begin a request-scoped transaction
+   * Pass it to execute() as context.transaction; it rolls back every recorded
+   * mutation through its compensating actions.
+   * @param {object} context - Execution context used for compensations
+   * @param {string} [id] - Transaction ID
+   * @returns {Transaction}
    */
-  async commitTransaction() {
-    this.isInTransaction = false;
-    this.transactionStack = [];
-  }
-
-  /**
-   * Rollback transaction
-   * @private
-   */
-  async rollbackTransaction() {
-    try {
-      // Execute rollback operations in reverse order
-      for (let i = this.transactionStack.length - 1; i >= 0; i--) {
-        const rollbackOp = this.transactionStack[i];
-        await this.executeOperation(rollbackOp);
+  beginTransaction(context = {}, id = null) {
+    return new Transaction(this, {
+      id: id || `txn_${this.generateOperationId()}`,
+      context: {
+        accessToken: context.accessToken,
+        accountId: context.accountId,
+        userId: context.userId,
+        boardId: context.boardId,
+        requestId: context.requestId
       }
-    } catch (error) {
-      logger.error('Rollback transaction failed', { error: error.message });
-      throw new Error('Failed to rollback transaction completely');
-    } finally {
-      this.isInTransaction = false;
-      this.transactionStack = [];
-    }
-  }
-
-  /**
-   * Add operation to transaction stack for potential rollback
-   * @private
-   */
-  addToTransaction(operation, rollbackOperation) {
-    if (this.isInTransaction) {
-      this.transactionStack.push(rollbackOperation);
-    }
+    });
   }
 
   /**
@@ -394,77 +959,165 @@ class OperationExecutor {
 
   /**
    * Create undo data for operation
+   * @param {object} operation - Executed operation
+   * @param {object} result - Operation result
+   * @param {object} preImage - Item state captured before execution
+   * @returns {object|null} Inverse operation
    */
-  createUndoData(operation, result) {
+  createUndoData(operation, result, preImage = null) {
+    const item = preImage?.item;
+
     const undoMap = {
-      'create_item': {
+      'create_item': () => result.item?.id && {
+        type: 'delete_item',
+        parameters: {
+          itemId: result.item.id
+        }
+      },
+      'restore_item': () => result.item?.id && {
         type: 'delete_item',
         parameters: {
-          itemId: result.item?.id
+          itemId: result.item.id
         }
       },
-      'delete_item': {
+      'delete_item': () => item && {
         type: 'restore_item',
         parameters: {
-          itemData: result.deletedItem
+          boardId: item.board?.id,
+          itemData: item
+        }
+      },
+      'delete_board': () => preImage?.board && {
+        type: 'restore_board',
+        parameters: {
+          boardData: preImage.board
+        }
+      },
+      'restore_board': () => result.board?.id && {
+        type: 'delete_board',
+        parameters: {
+          boardId: result.board.id
         }
       },
-      'update_item': {
+      'update_item': () => (preImage?.previousValues || result.previousValues) && {
         type: 'update_item',
         parameters: {
           boardId: operation.parameters.boardId,
           itemId: operation.parameters.itemId,
-          columnValues: result.previousValues
+          columnValues: preImage?.previousValues || result.previousValues
         }
       },
-      'move_item': {
+      'move_item': () => (item?.group?.id || result.previousGroupId) && {
         type: 'move_item',
         parameters: {
           itemId: operation.parameters.itemId,
-          targetGroupId: result.previousGroupId,
-          targetBoardId: result.previousBoardId
+          targetGroupId: item?.group?.id || result.previousGroupId,
+          targetBoardId: operation.parameters.targetBoardId
+            ? (item?.board?.id || result.previousBoardId)
+            : undefined
         }
       }
     };
 
-    return undoMap[operation.type] || null;
+    const build = undoMap[operation.type];
+    return (build && build()) || null;
   }
 
   /**
    * Execute batch of operations
+   * The batch is journaled under its own ID; cancelling that ID stops the
+   * batch before its next operation and interrupts a running bulk operation.
+   * In all-or-nothing mode the batch stops at the first failure (or
+   * cancellation) and rolls back every earlier mutation.
+   * @param {array} operations - Operations to execute in order
+   * @param {object} context - Execution context shared by all operations
+   * @param {object} options
+   * @param {boolean} options.allOrNothing - Roll back the whole batch on failure
    */
-  async executeBatch(operations) {
+  async executeBatch(operations, context = {}, { allOrNothing = false } = {}) {
+    const batchId = context.operationId || this.generateOperationId();
+    const transaction = allOrNothing ? this.beginTransaction(context, batchId) : null;
     const results = [];
     const errors = [];
+    let cancelled = false;
+    let rollback;
+
+    await this.updateJournal('record', batchId, {
+      type: 'batch',
+      parameters: { operations: operations.map(op => op.type) }
+    }, context);
+    await this.updateJournal('markRunning', batchId);
 
     for (const operation of operations) {
+      if (await this.isCancelled(batchId)) {
+        cancelled = true;
+        break;
+      }
+
       try {
-        const result = await this.execute(operation);
+        const result = await this.execute(operation, {
+          ...context,
+          operationId: undefined,
+          batchId,
+          transaction
+        });
         results.push(result);
 
+        if (result.cancelled) {
+          cancelled = true;
+          break;
+        }
+
         if (!result.success) {
           errors.push({
             operation: operation.type,
+            operationId: result.operationId,
             error: result.error
           });
+
+          if (allOrNothing) break;
         }
       } catch (error) {
         errors.push({
           operation: operation.type,
           error: error.message
         });
+
+        if (allOrNothing) break;
       }
     }
 
+    if (transaction && (cancelled || errors.length > 0)) {
+      rollback = await transaction.rollback();
+      await this.discardUndo(batchId);
+    } else if (transaction) {
+      transaction.commit();
+    }
+
+    const summary = {
+      total: operations.length,
+      successful: results.filter(r => r.success).length,
+      failed: errors.length,
+      skipped: operations.length - results.length
+    };
+
+    if (cancelled) {
+      await this.updateJournal('markCancelled', batchId, { summary, rollback });
+    } else if (errors.length > 0) {
+      await this.updateJournal('markFailed', batchId, `${errors.length} operation(s) failed`, { summary, errors, rollback });
+    } else {
+      await this.updateJournal('markSucceeded', batchId, { summary });
+    }
+
     return {
-      success: errors.length === 0,
+      success: errors.length === 0 && !cancelled,
+      cancelled,
+      batchId,
       results,
       errors,
-      summary: {
-        total: operations.length,
-        successful: results.filter(r => r.success).length,
-        failed: errors.length
-      }
+      summary,
+      rolledBack: !!rollback,
+      rollback
     };
   }
 
@@ -486,4 +1139,18 @@ class OperationExecutor {
   }
 }
 
-module.exports = OperationExecutor;
\ No newline at end of file
+/**
+ * Recycle bin record of a removed item
+ * @private
+ */
+function itemRemoval(item) {
+  return {
+    entityType: 'item',
+    entityId: item.id,
+    boardId: item.board?.id,
+    name: item.name,
+    snapshot: item
+  };
+}
+
+module.exports = OperationExecutor;
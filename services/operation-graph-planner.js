@@ -0,0 +1,388 @@
+// services/operation-graph-planner.js
+const ClaudeService = require('./claude');
+const OperationExecutor = require('./operation-executor');
+const ItemActionTranslator = require('./item-actions');
+const confirmations = require('./confirmations');
+const OperationMapper = require('../nlp/operation-mapper');
+const { normalizeGraph, bindingsOf, bindParameters, outputsOf } = require('../utils/operation-graph');
+const logger = require('../utils/logger');
+
+/**
+ * Plans and runs requests that need several dependent operations
+ *
+ * One model call turns the request into an operation graph (see
+ * utils/operation-graph): steps in the interpreter's vocabulary
+ * (BOARD_CREATE, COLUMN_CREATE, ...) whose parameters may bind to the output
+ * of earlier steps, as in "create a board X and add a Status column to it".
+ * Steps run through OperationExecutor in topological order, each with the
+ * outputs of the steps before it bound in. A step whose dependency did not
+ * succeed is skipped; in all-or-nothing mode the first failure stops the run
+ * and rolls back every earlier step.
+ */
+class OperationGraphPlanner {
+  /**
+   * @param {object} [options]
+   * @param {OperationExecutor} [options.executor]
+   * @param {ClaudeService} [options.claudeService]
+   * @param {OperationMapper} [options.mapper] - Resolves board, group and user names
+   */
+  constructor({
+    executor = new OperationExecutor(),
+    claudeService = new ClaudeService(),
+    mapper = new OperationMapper()
+  } = {}) {
+    this.executor = executor;
+    this.claudeService = claudeService;
+    this.mapper = mapper;
+    this.columns = new ItemActionTranslator(mapper);
+  }
+
+  /**
+   * Plan a request with a single model call
+   * @param {string} userInput - Natural language request
+   * @param {object} context - Monday.com context (boards, users, currentBoard)
+   * @param {object} [session] - Conversation session
+   * @returns {Promise<object>} { steps, order, confidence, clarifyingQuestions, warnings };
+   *   no steps when the request could not be planned
+   */
+  async plan(userInput, context, session = null) {
+    const plan = await this.claudeService.planOperations(userInput, context, session);
+    if (plan.steps.length === 0) {
+      return { ...plan, order: [] };
+    }
+
+    return { ...plan, ...normalizeGraph(plan.steps) };
+  }
+
+  /**
+   * Executor operations of a plan, for review before it runs
+   * Destructive steps that do not depend on other steps get a confirmation
+   * token, which is spent when the plan runs.
+   * @param {object} graph - { steps }
+   * @param {object} context - Monday.com context
+   * @param {object} user - { userId, accountId } tokens are issued for
+   * @returns {Promise<object>} { steps, order, warnings }
+   */
+  async preview(graph, context, user = {}) {
+    const { steps, order } = normalizeGraph(graph);
+    const warnings = [...(graph.warnings || [])];
+
+    for (const step of steps) {
+      // Bound parameters are only known once the steps before have run
+      if (bindingsOf(step.parameters).size > 0) {
+        step.executorOperation = null;
+        if (step.operation === 'ITEM_DELETE') {
+          warnings.push(`Step "${step.id}" deletes an item chosen by an earlier step, so it cannot be confirmed in advance`);
+        }
+        continue;
+      }
+
+      try {
+        step.executorOperation = this.toOperation(step, context);
+      } catch (error) {
+        step.error = error.message;
+        continue;
+      }
+
+      if (confirmations.requiresConfirmation(step.executorOperation)) {
+        const confirmation = await confirmations.issue(step.executorOperation, user);
+        step.parameters = { ...step.parameters, confirmationToken: confirmation.token };
+        step.executorOperation.parameters.confirmationToken = confirmation.token;
+      }
+    }
+
+    return { steps, order, warnings };
+  }
+
+  /**
+   * Run a plan
+   * The run is journaled under its own ID; cancelling that ID stops it before
+   * its next step.
+   * @param {object} graph - { steps }
+   * @param {object} context - Execution context (accountId, userId, boardId, requestId) and
+   *   Monday.com context used to resolve names
+   * @param {object} [options]
+   * @param {boolean} [options.allOrNothing] - Stop at the first failure and roll back
+   * @returns {Promise<object>} { success, graphId, steps, summary, rollback }
+   */
+  async execute(graph, context = {}, { allOrNothing = false } = {}) {
+    const { steps, order } = normalizeGraph(graph);
+    const graphId = context.operationId || this.executor.generateOperationId();
+    const transaction = allOrNothing ? this.executor.beginTransaction(context, graphId) : null;
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const outputs = {};
+    const results = [];
+    let failed = false;
+    let cancelled = false;
+
+    await this.executor.updateJournal('record', graphId, {
+      type: 'plan',
+      parameters: { steps: order.map(id => byId.get(id).operation) }
+    }, context);
+    await this.executor.updateJournal('markRunning', graphId);
+
+    for (const id of order) {
+      const step = byId.get(id);
+      const summary = { id, operation: step.operation, description: step.description };
+
+      if (!cancelled && await this.executor.isCancelled(graphId)) {
+        cancelled = true;
+      }
+
+      const blockedBy = step.dependsOn.find(dependency => !outputs[dependency]);
+      if (cancelled || (failed && allOrNothing) || blockedBy) {
+        results.push({
+          ...summary,
+          status: 'skipped',
+          reason: cancelled ? 'The plan was cancelled'
+            : blockedBy ? `Step "${blockedBy}" did not succeed` : 'An earlier step failed'
+        });
+        continue;
+      }
+
+      try {
+        const operation = this.toOperation({ ...step, parameters: bindParameters(step.parameters, outputs) }, context);
+        const result = await this.executor.execute(operation, {
+          ...context,
+          operationId: undefined,
+          batchId: graphId,
+          transaction
+        });
+
+        if (!result.success) {
+          failed = true;
+          results.push({
+            ...summary,
+            type: operation.type,
+            status: 'failed',
+            operationId: result.operationId,
+            error: result.error,
+            code: result.code,
+            disambiguation: result.disambiguation
+          });
+          continue;
+        }
+
+        outputs[id] = outputsOf(result);
+        results.push({
+          ...summary,
+          type: operation.type,
+          status: 'succeeded',
+          operationId: result.operationId,
+          outputs: pickIds(outputs[id])
+        });
+      } catch (error) {
+        failed = true;
+        results.push({ ...summary, status: 'failed', error: error.message, code: error.code });
+      }
+    }
+
+    let rollback;
+    if (transaction && (failed || cancelled)) {
+      rollback = await transaction.rollback();
+      await this.executor.discardUndo(graphId);
+    } else if (transaction) {
+      transaction.commit();
+    }
+
+    const summary = {
+      total: steps.length,
+      succeeded: results.filter(result => result.status === 'succeeded').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      skipped: results.filter(result => result.status === 'skipped').length
+    };
+
+    if (cancelled) {
+      await this.executor.updateJournal('markCancelled', graphId, { summary, rollback });
+    } else if (failed) {
+      await this.executor.updateJournal('markFailed', graphId, `${summary.failed} step(s) failed`, { summary, rollback });
+    } else {
+      await this.executor.updateJournal('markSucceeded', graphId, { summary });
+    }
+
+    logger.info('Operation plan executed', { graphId, ...summary, rolledBack: !!rollback });
+
+    return {
+      success: !failed && !cancelled,
+      cancelled,
+      graphId,
+      steps: results,
+      summary,
+      rollback
+    };
+  }
+
+  /**
+   * Translate a planned step into an executor operation
+   * Board, group, user and column names are resolved against the context;
+   * items named rather than identified are resolved by the executor.
+   * @param {object} step - { operation, parameters } with bindings already replaced
+   * @param {object} context - Monday.com context
+   * @returns {object} Executor operation
+   */
+  toOperation({ operation, parameters = {} }, context = {}) {
+    const build = (type, typeParameters) => ({
+      type,
+      parameters: compact({ ...typeParameters, confirmationToken: parameters.confirmationToken })
+    });
+
+    // The board of a new board step is the one it creates
+    if (operation === 'BOARD_CREATE') {
+      return build('create_board', {
+        workspaceId: parameters.workspaceId,
+        boardName: parameters.boardName || parameters.name,
+        boardKind: parameters.boardKind || 'public',
+        templateId: parameters.templateId
+      });
+    }
+
+    const boardId = this.boardIdFor(parameters.boardId || parameters.boardName, context);
+    const board = (context.boards || []).find(b => String(b.id) === String(boardId)) || { columns: [], groups: [] };
+    const itemId = parameters.itemId || parameters.itemName;
+    const groupName = parameters.targetGroupId || parameters.targetGroupName;
+
+    switch (operation) {
+    case 'ITEM_CREATE':
+      return build('create_item', {
+        boardId,
+        groupId: this.groupIdFor(parameters.groupId || parameters.groupName, board),
+        itemName: parameters.itemName || parameters.name,
+        columnValues: this.columns.columnValuesById(parameters.columnValues, board)
+      });
+
+    case 'ITEM_UPDATE':
+    case 'COLUMN_UPDATE':
+      if (groupName && !parameters.columnValues) {
+        return build('move_item', {
+          boardId,
+          itemId,
+          targetGroupId: this.groupIdFor(groupName, board)
+        });
+      }
+      return build('update_item', {
+        boardId,
+        itemId,
+        columnValues: this.columns.columnValuesById(parameters.columnValues || parameters.updates, board)
+      });
+
+    case 'STATUS_UPDATE': {
+      const column = this.columns.findColumn(parameters.columnId || parameters.columnName, board, 'status');
+      return build('update_item', {
+        boardId,
+        itemId,
+        columnValues: {
+          [column?.id || parameters.columnId || 'status']: { label: parameters.statusValue || parameters.status }
+        }
+      });
+    }
+
+    case 'ITEM_DELETE':
+      return build('delete_item', { boardId, itemId });
+
+    case 'BOARD_UPDATE':
+      return build('update_board', {
+        boardId,
+        updates: parameters.updates || compact({ name: parameters.newName, description: parameters.description })
+      });
+
+    case 'COLUMN_CREATE':
+      return build('add_column', {
+        boardId,
+        title: parameters.columnTitle || parameters.title || parameters.columnName,
+        columnType: parameters.columnType || 'text',
+        defaults: parameters.defaults
+      });
+
+    case 'USER_ASSIGN': {
+      const identifier = parameters.userId || parameters.userName || parameters.userEmail;
+      const user = identifier && !isNumeric(identifier)
+        ? this.mapper._findUser(String(identifier), context)
+        : { id: identifier };
+      if (!user?.id) {
+        throw stepError(`User "${identifier || ''}" could not be found`);
+      }
+      const column = this.columns.findColumn(parameters.columnId || parameters.columnName, board, 'people');
+      return build('assign_user', {
+        boardId,
+        itemId,
+        userId: String(user.id),
+        columnId: column?.id || parameters.columnId
+      });
+    }
+
+    case 'AUTOMATION_CREATE':
+      return build('create_automation', {
+        boardId,
+        trigger: parameters.trigger,
+        actions: parameters.actions || (parameters.action ? [parameters.action] : undefined),
+        name: parameters.name
+      });
+
+    default:
+      throw stepError(`${operation} cannot be part of a multi-step plan`);
+    }
+  }
+
+  /**
+   * Board ID for an ID, a bound ID or a board name
+   * @private
+   */
+  boardIdFor(identifier, context) {
+    if (identifier && isNumeric(identifier)) return String(identifier);
+
+    const board = this.mapper._findBoard(identifier, context);
+    if (!board && identifier) {
+      throw stepError(`Board "${identifier}" could not be found`);
+    }
+    return board ? String(board.id) : undefined;
+  }
+
+  /**
+   * Group ID for an ID or title; unknown groups are passed on as given
+   * @private
+   */
+  groupIdFor(identifier, board) {
+    if (!identifier) return undefined;
+    return this.mapper._findGroup(String(identifier), board)?.id || identifier;
+  }
+}
+
+/**
+ * @private
+ */
+function isNumeric(value) {
+  return /^\d+$/.test(String(value));
+}
+
+/**
+ * Parameters without undefined values
+ * @private
+ */
+function compact(parameters) {
+  return Object.fromEntries(Object.entries(parameters).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * IDs among a step's outputs
+ * @private
+ */
+function pickIds(outputs) {
+  return compact({
+    boardId: outputs.boardId,
+    itemId: outputs.itemId,
+    columnId: outputs.columnId,
+    groupId: outputs.groupId,
+    automationId: outputs.automationId
+  });
+}
+
+/**
+ * @private
+ */
+function stepError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_STEP';
+  return error;
+}
+
+module.exports = OperationGraphPlanner;
@@ -0,0 +1,185 @@
+// services/operation-journal.js
+const OperationJournalModel = require('../models/OperationJournal');
+const PersistentStore = require('../utils/persistent-store');
+const logger = require('../utils/logger');
+
+// A paused run ends its entry; resuming the job journals a new operation
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled', 'paused'];
+
+class OperationJournal {
+  constructor() {
+    this.store = new PersistentStore(OperationJournalModel, { key: 'operationId' });
+    this.memoryRetention = 24 * 60 * 60 * 1000; // 24 hours
+  }
+
+  /**
+   * Record a newly submitted operation
+   * @param {string} operationId - Operation ID
+   * @param {object} operation - Operation being executed
+   * @param {object} context - Execution context
+   * @returns {Promise<object>} Journal entry
+   */
+  async record(operationId, operation, context = {}) {
+    if (!this.store.isPersistent()) {
+      await this.pruneMemory();
+    }
+
+    return this.store.create({
+      operationId,
+      type: operation.type,
+      status: 'queued',
+      parameters: operation.parameters || {},
+      context: {
+        accountId: context.accountId ? String(context.accountId) : undefined,
+        userId: context.userId ? String(context.userId) : undefined,
+        boardId: context.boardId ? String(context.boardId) : operation.parameters?.boardId,
+        requestId: context.requestId
+      },
+      cancelRequested: false,
+      queuedAt: new Date()
+    });
+  }
+
+  /**
+   * Move an entry to running
+   */
+  async markRunning(operationId) {
+    return this.store.update(operationId, {
+      status: 'running',
+      startedAt: new Date()
+    });
+  }
+
+  /**
+   * Move an entry to succeeded and store its result and undo data
+   */
+  async markSucceeded(operationId, result, undoData = null) {
+    return this.finish(operationId, 'succeeded', { result, undoData });
+  }
+
+  /**
+   * Move an entry to paused, keeping the partial result and its undo data
+   */
+  async markPaused(operationId, result, undoData = null) {
+    return this.finish(operationId, 'paused', { result, undoData });
+  }
+
+  /**
+   * Move an entry to failed
+   */
+  async markFailed(operationId, error, result = null) {
+    return this.finish(operationId, 'failed', {
+      error: error?.message || error,
+      result
+    });
+  }
+
+  /**
+   * Move an entry to cancelled, keeping any partial result
+   */
+  async markCancelled(operationId, result = null) {
+    return this.finish(operationId, 'cancelled', { result });
+  }
+
+  /**
+   * Request cooperative cancellation of an operation
+   * Queued operations are cancelled immediately; running operations stop at
+   * their next checkpoint.
+   * @returns {Promise<object>} { found, cancelled, status, message }
+   */
+  async requestCancel(operationId) {
+    const entry = await this.store.get(operationId);
+
+    if (!entry) {
+      return { found: false, cancelled: false, message: 'Operation not found' };
+    }
+
+    if (TERMINAL_STATUSES.includes(entry.status)) {
+      return {
+        found: true,
+        cancelled: entry.status === 'cancelled',
+        status: entry.status,
+        message: `Operation already ${entry.status}`
+      };
+    }
+
+    if (entry.status === 'queued') {
+      await this.store.update(operationId, { cancelRequested: true });
+      await this.markCancelled(operationId);
+      return { found: true, cancelled: true, status: 'cancelled', message: 'Operation cancelled' };
+    }
+
+    await this.store.update(operationId, { cancelRequested: true });
+
+    logger.info('Cancellation requested', { operationId, type: entry.type });
+
+    return {
+      found: true,
+      cancelled: true,
+      status: entry.status,
+      message: 'Cancellation requested; the operation will stop at its next checkpoint'
+    };
+  }
+
+  /**
+   * Check whether cancellation has been requested for an operation
+   */
+  async isCancelRequested(operationId) {
+    const entry = await this.store.get(operationId);
+    return !!entry?.cancelRequested;
+  }
+
+  /**
+   * Get a journal entry
+   */
+  async get(operationId) {
+    return this.store.get(operationId);
+  }
+
+  /**
+   * List recent entries for an account or user
+   * @param {object} filter - { accountId, userId, status }
+   * @param {number} limit
+   */
+  async list({ accountId, userId, status } = {}, limit = 50) {
+    const filter = {};
+    if (accountId) filter['context.accountId'] = String(accountId);
+    if (userId) filter['context.userId'] = String(userId);
+    if (status) filter.status = status;
+
+    return this.store.find(filter, { sort: { queuedAt: -1 }, limit });
+  }
+
+  /**
+   * Close an entry with a terminal status
+   * @private
+   */
+  async finish(operationId, status, fields) {
+    const entry = await this.store.get(operationId);
+    if (!entry) return null;
+
+    const finishedAt = new Date();
+    const startedAt = entry.startedAt ? new Date(entry.startedAt) : new Date(entry.queuedAt);
+
+    return this.store.update(operationId, {
+      ...fields,
+      status,
+      finishedAt,
+      duration: finishedAt.getTime() - startedAt.getTime()
+    });
+  }
+
+  /**
+   * Drop finished in-memory entries past the retention window
+   * @private
+   */
+  async pruneMemory() {
+    const cutoff = new Date(Date.now() - this.memoryRetention);
+    await this.store.removeWhere({
+      status: { $in: TERMINAL_STATUSES },
+      finishedAt: { $lt: cutoff }
+    });
+  }
+}
+
+module.exports = new OperationJournal();
@@ -0,0 +1,832 @@
+// services/operation-planner.js
+const { mondayClient } = require('../config/monday');
+const OperationMapper = require('../nlp/operation-mapper');
+const ItemSnapshotService = require('./item-snapshots');
+const columnMappings = require('./column-mappings');
+const { buildColumnMapping, previewMapping } = require('../utils/column-mapping');
+const logger = require('../utils/logger');
+
+/**
+ * Dry-run planner for executor operations
+ * Resolves names, reads the current state of everything an operation would
+ * touch and returns a field-by-field diff. It only ever sends GraphQL
+ * queries; mutations are rejected before they reach monday.com.
+ */
+class OperationPlanner {
+  constructor(client = mondayClient) {
+    this.client = client;
+    this.mapper = new OperationMapper();
+    this.snapshots = new ItemSnapshotService({
+      api: (query, variables) => this.request(query, variables)
+    });
+  }
+
+  /**
+   * Plan a list of operations
+   * @param {Array} operations - Executor operations ({ type, parameters })
+   * @param {object} context - Monday context (boards, users, currentBoard)
+   * @returns {Promise<object>} Plan with one diff per operation
+   */
+  async planAll(operations, context = {}) {
+    const plans = [];
+    for (const operation of operations) {
+      plans.push(await this.plan(operation, context));
+    }
+
+    return {
+      mode: 'plan',
+      mutationsExecuted: 0,
+      operations: plans,
+      summary: {
+        operations: plans.length,
+        itemsAffected: plans.reduce((total, plan) => total + (plan.itemsAffected || 0), 0),
+        fieldChanges: plans.reduce((total, plan) => total + countChanges(plan), 0),
+        errors: plans.filter(plan => plan.error).length,
+        warnings: plans.reduce((total, plan) => total + plan.warnings.length, 0)
+      }
+    };
+  }
+
+  /**
+   * Plan a single executor operation
+   * @param {object} operation - { type, parameters }
+   * @param {object} context - Monday context
+   * @returns {Promise<object>} Diff: { operation, action, target, changes, items, itemsAffected, warnings }
+   */
+  async plan(operation, context = {}) {
+    const { parameters, warnings } = this.resolveNames(operation.parameters || {}, context);
+    const planner = this.getPlanner(operation.type);
+
+    if (!planner) {
+      return {
+        operation: operation.type,
+        action: 'unknown',
+        supported: false,
+        changes: [],
+        warnings: [...warnings, `Plan mode does not support ${operation.type}`]
+      };
+    }
+
+    try {
+      const diff = await planner.call(this, parameters, context);
+      return {
+        operation: operation.type,
+        supported: true,
+        parameters,
+        itemsAffected: 0,
+        changes: [],
+        ...diff,
+        warnings: [...warnings, ...(diff.warnings || [])]
+      };
+    } catch (error) {
+      logger.warn('Operation planning failed', { type: operation.type, error: error.message });
+      return {
+        operation: operation.type,
+        supported: true,
+        parameters,
+        error: error.message,
+        changes: [],
+        warnings
+      };
+    }
+  }
+
+  /**
+   * Plan an operation produced by OperationMapper.mapToAPI()
+   * @param {object} apiOperation - Mapped operation ({ method, variables })
+   * @param {object} context - Monday context
+   * @returns {Promise<object>} Plan
+   */
+  async planAPIOperation(apiOperation, context = {}) {
+    const operation = this.fromAPIOperation(apiOperation);
+    if (!operation) {
+      return this.planAll([{ type: apiOperation?.method || 'unknown', parameters: {} }], context);
+    }
+    return this.planAll([operation], context);
+  }
+
+  /**
+   * Translate a mapped GraphQL operation into an executor operation
+   * @private
+   */
+  fromAPIOperation(apiOperation) {
+    const variables = apiOperation?.variables || {};
+    const parseValues = (values) => {
+      if (!values) return {};
+      return typeof values === 'string' ? JSON.parse(values) : values;
+    };
+
+    switch (apiOperation?.method) {
+    case 'create_item':
+      return {
+        type: 'create_item',
+        parameters: {
+          boardId: String(variables.board_id),
+          groupId: variables.group_id,
+          itemName: variables.item_name,
+          columnValues: parseValues(variables.column_values)
+        }
+      };
+    case 'change_multiple_column_values':
+      return {
+        type: 'update_item',
+        parameters: {
+          boardId: String(variables.board_id),
+          itemId: String(variables.item_id),
+          columnValues: parseValues(variables.column_values)
+        }
+      };
+    case 'change_simple_column_value':
+      return {
+        type: 'update_item',
+        parameters: {
+          boardId: String(variables.board_id),
+          itemId: String(variables.item_id),
+          columnValues: { [variables.column_id]: parseJSON(variables.value) }
+        }
+      };
+    case 'create_board':
+      return {
+        type: 'create_board',
+        parameters: {
+          boardName: variables.board_name,
+          boardKind: variables.board_kind,
+          workspaceId: variables.workspace_id
+        }
+      };
+    case 'create_column':
+      return {
+        type: 'add_column',
+        parameters: {
+          boardId: String(variables.board_id),
+          title: variables.title,
+          columnType: variables.column_type
+        }
+      };
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Resolve board, group and user names to IDs through OperationMapper
+   * @private
+   */
+  resolveNames(original, context) {
+    const parameters = { ...original };
+    const warnings = [];
+
+    const resolveBoard = (idKey, nameKey) => {
+      const identifier = parameters[idKey] || parameters[nameKey];
+      if (!identifier || (parameters[idKey] && isNumeric(parameters[idKey]))) return;
+
+      const board = this.mapper._findBoard(identifier, { ...context, currentBoard: null });
+      if (board) {
+        parameters[idKey] = board.id;
+      } else {
+        warnings.push(`Board "${identifier}" could not be resolved`);
+      }
+    };
+
+    const resolveGroup = (idKey, nameKey, boardId) => {
+      const identifier = parameters[nameKey] || parameters[idKey];
+      const board = context.boards?.find(b => String(b.id) === String(boardId));
+      if (!identifier || !board) return;
+
+      const group = this.mapper._findGroup(identifier, board);
+      if (group) {
+        parameters[idKey] = group.id;
+      } else if (!parameters[idKey]) {
+        warnings.push(`Group "${identifier}" could not be resolved`);
+      }
+    };
+
+    resolveBoard('boardId', 'boardName');
+    resolveBoard('targetBoardId', 'targetBoardName');
+    resolveBoard('sourceBoardId', 'sourceBoardName');
+    resolveGroup('groupId', 'groupName', parameters.boardId);
+    resolveGroup('targetGroupId', 'targetGroupName', parameters.targetBoardId || parameters.boardId);
+
+    const userIdentifier = parameters.userName || parameters.userEmail ||
+      (parameters.userId && !isNumeric(parameters.userId) ? parameters.userId : null);
+    if (userIdentifier) {
+      const user = this.mapper._findUser(String(userIdentifier), context);
+      if (user) {
+        parameters.userId = user.id;
+      } else {
+        warnings.push(`User "${userIdentifier}" could not be resolved`);
+      }
+    }
+
+    const itemIdentifier = parameters.itemId || parameters.itemName;
+    if (itemIdentifier && !isNumeric(itemIdentifier)) {
+      warnings.push(`Item "${itemIdentifier}" is matched by name at execution time; current values are not available`);
+    }
+
+    return { parameters, warnings };
+  }
+
+  /**
+   * Get the planner for an operation type
+   * @private
+   */
+  getPlanner(type) {
+    const planners = {
+      // Item operations
+      'create_item': this.planCreateItem,
+      'update_item': this.planUpdateItem,
+      'delete_item': this.planDeleteItem,
+      'duplicate_item': this.planDuplicateItem,
+      'move_item': this.planMoveItem,
+
+      // Board operations
+      'create_board': this.planCreateBoard,
+      'update_board': this.planUpdateBoard,
+      'delete_board': this.planDeleteBoard,
+      'duplicate_board': this.planDuplicateBoard,
+      'add_column': this.planAddColumn,
+      'add_group': this.planAddGroup,
+
+      // User operations
+      'assign_user': this.planAssignUser,
+      'remove_user': this.planRemoveUser,
+      'bulk_assign': this.planBulkAssign,
+
+      // Bulk operations
+      'bulk_update': this.planBulkUpdate,
+      'bulk_move': this.planBulkMove,
+      'bulk_duplicate': this.planBulkDuplicate,
+      'bulk_delete': this.planBulkDelete,
+      'cross_board_transfer': this.planCrossBoardTransfer,
+
+      // Automation operations
+      'create_automation': this.planCreateAutomation
+    };
+
+    return planners[type];
+  }
+
+  // Item operations
+
+  async planCreateItem(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    const group = findById(board.groups, parameters.groupId) || board.groups?.[0];
+    const { changes, warnings } = this.diffColumns(board, null, parameters.columnValues, context);
+
+    return {
+      action: 'create',
+      target: { boardId: board.id, boardName: board.name, groupId: group?.id, groupTitle: group?.title },
+      itemsAffected: 1,
+      changes: [
+        { field: 'Name', columnId: 'name', before: null, after: parameters.itemName, changed: true },
+        ...changes
+      ],
+      warnings
+    };
+  }
+
+  async planUpdateItem(parameters, context) {
+    const item = await this.getItem(parameters.itemId);
+    const board = await this.getBoard(parameters.boardId || item?.board?.id, context);
+    const { changes, warnings } = this.diffColumns(board, item, parameters.columnValues, context);
+
+    return {
+      action: 'update',
+      target: itemTarget(board, item, parameters.itemId),
+      itemsAffected: changes.some(c => c.changed) ? 1 : 0,
+      changes,
+      warnings
+    };
+  }
+
+  async planDeleteItem(parameters) {
+    const item = await this.requireItem(parameters.itemId);
+
+    return {
+      action: 'delete',
+      target: itemTarget(item.board, item, item.id),
+      itemsAffected: 1,
+      changes: snapshotFields(item, 'delete')
+    };
+  }
+
+  async planDuplicateItem(parameters, context) {
+    const item = await this.requireItem(parameters.itemId);
+    const board = await this.getBoard(parameters.boardId || item.board?.id, context);
+    const group = findById(board.groups, parameters.targetGroupId) || item.group;
+
+    return {
+      action: 'create',
+      target: { ...itemTarget(board, item, item.id), groupId: group?.id, groupTitle: group?.title },
+      itemsAffected: 1,
+      changes: snapshotFields(item, 'create')
+    };
+  }
+
+  async planMoveItem(parameters, context) {
+    const item = await this.requireItem(parameters.itemId);
+    return {
+      action: 'move',
+      target: itemTarget(item.board, item, item.id),
+      itemsAffected: 1,
+      changes: await this.diffLocation(item, parameters.targetGroupId, parameters.targetBoardId, context)
+    };
+  }
+
+  // Board operations
+
+  async planCreateBoard(parameters) {
+    return {
+      action: 'create',
+      target: { workspaceId: parameters.workspaceId },
+      changes: [
+        { field: 'Board', before: null, after: parameters.boardName, changed: true },
+        { field: 'Kind', before: null, after: parameters.boardKind || 'public', changed: true },
+        ...(parameters.templateId
+          ? [{ field: 'Template', before: null, after: String(parameters.templateId), changed: true }]
+          : [])
+      ]
+    };
+  }
+
+  async planUpdateBoard(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    const fields = { name: 'Name', description: 'Description', communication: 'Communication' };
+
+    return {
+      action: 'update',
+      target: { boardId: board.id, boardName: board.name },
+      changes: Object.entries(parameters.updates || {}).map(([attribute, value]) => {
+        const before = board[attribute] ?? null;
+        return {
+          field: fields[attribute] || attribute,
+          before,
+          after: value,
+          changed: before !== value
+        };
+      })
+    };
+  }
+
+  async planDeleteBoard(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    return {
+      action: 'delete',
+      target: { boardId: board.id, boardName: board.name },
+      itemsAffected: board.itemsCount || 0,
+      changes: [{ field: 'Board', before: board.name, after: null, changed: true }],
+      warnings: ['Deleting a board removes all of its items, groups and columns']
+    };
+  }
+
+  async planDuplicateBoard(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    return {
+      action: 'create',
+      target: { boardId: board.id, boardName: board.name, workspaceId: parameters.targetWorkspaceId },
+      changes: [{
+        field: 'Board',
+        before: null,
+        after: parameters.duplicateName || `Duplicate of ${board.name}`,
+        changed: true
+      }]
+    };
+  }
+
+  async planAddColumn(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    const existing = board.columns?.find(c => c.title.toLowerCase() === String(parameters.title).toLowerCase());
+
+    return {
+      action: 'create',
+      target: { boardId: board.id, boardName: board.name },
+      changes: [{
+        field: 'Column',
+        before: null,
+        after: `${parameters.title} (${parameters.columnType})`,
+        changed: true
+      }],
+      warnings: existing ? [`Board already has a column named "${existing.title}"`] : []
+    };
+  }
+
+  async planAddGroup(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    const existing = board.groups?.find(g => g.title.toLowerCase() === String(parameters.groupName).toLowerCase());
+
+    return {
+      action: 'create',
+      target: { boardId: board.id, boardName: board.name },
+      changes: [{ field: 'Group', before: null, after: parameters.groupName, changed: true }],
+      warnings: existing ? [`Board already has a group named "${existing.title}"`] : []
+    };
+  }
+
+  // User operations
+
+  async planAssignUser(parameters, context) {
+    const item = await this.requireItem(parameters.itemId);
+    return this.planPeopleChange([item], parameters, context, () => [Number(parameters.userId)]);
+  }
+
+  async planRemoveUser(parameters, context) {
+    const item = await this.requireItem(parameters.itemId);
+    return this.planPeopleChange([item], parameters, context, (current) =>
+      current.filter(id => id !== Number(parameters.userId)));
+  }
+
+  async planBulkAssign(parameters, context) {
+    const items = await this.snapshots.captureItems(parameters.itemIds);
+    return this.planPeopleChange(items, parameters, context, () => [Number(parameters.userId)]);
+  }
+
+  /**
+   * Diff a people column across items
+   * assignUser replaces the column value, so the new value is just that user.
+   * @private
+   */
+  planPeopleChange(items, parameters, context, nextAssignees) {
+    const results = items.map(item => {
+      const column = item.column_values?.find(c => c.id === parameters.columnId);
+      const current = (parseJSON(column?.value)?.personsAndTeams || []).map(p => Number(p.id));
+      const next = nextAssignees(current);
+      const before = column?.text || null;
+      const after = this.peopleNames(next, context) || null;
+
+      return {
+        itemId: item.id,
+        itemName: item.name,
+        changes: [{ field: 'People', columnId: parameters.columnId, before, after, changed: before !== after }]
+      };
+    });
+
+    return this.bulkResult(items.length === 1 ? 'update' : 'bulk_update', results, items[0]);
+  }
+
+  // Bulk operations
+
+  async planBulkUpdate(parameters, context) {
+    const items = await this.snapshots.captureItems(parameters.itemIds);
+    const board = await this.getBoard(items[0]?.board?.id, context);
+    const warnings = new Set();
+
+    const results = items.map(item => {
+      const diff = this.diffColumns(board, item, parameters.columnValues, context);
+      diff.warnings.forEach(w => warnings.add(w));
+      return { itemId: item.id, itemName: item.name, changes: diff.changes };
+    });
+
+    return {
+      ...this.bulkResult('bulk_update', results, items[0]),
+      warnings: [...warnings, ...missingItems(parameters.itemIds, items)]
+    };
+  }
+
+  async planBulkMove(parameters, context) {
+    const items = await this.snapshots.captureItems(parameters.itemIds);
+    const results = [];
+    for (const item of items) {
+      results.push({
+        itemId: item.id,
+        itemName: item.name,
+        changes: await this.diffLocation(item, parameters.targetGroupId, parameters.targetBoardId, context)
+      });
+    }
+
+    return {
+      ...this.bulkResult('bulk_move', results, items[0]),
+      warnings: missingItems(parameters.itemIds, items)
+    };
+  }
+
+  async planBulkDuplicate(parameters) {
+    const items = await this.snapshots.captureItems(parameters.itemIds);
+    return {
+      ...this.bulkResult('bulk_create', items.map(item => ({
+        itemId: item.id,
+        itemName: item.name,
+        changes: snapshotFields(item, 'create')
+      })), items[0]),
+      warnings: missingItems(parameters.itemIds, items)
+    };
+  }
+
+  async planBulkDelete(parameters) {
+    const items = await this.snapshots.captureItems(parameters.itemIds);
+    return {
+      ...this.bulkResult('bulk_delete', items.map(item => ({
+        itemId: item.id,
+        itemName: item.name,
+        changes: snapshotFields(item, 'delete')
+      })), items[0]),
+      warnings: missingItems(parameters.itemIds, items)
+    };
+  }
+
+  async planCrossBoardTransfer(parameters, context) {
+    const source = await this.getBoard(parameters.sourceBoardId, context);
+    const target = await this.getBoard(parameters.targetBoardId, context);
+    const saved = await columnMappings.resolve(parameters.mapping, {
+      accountId: context.accountId || context.account?.id
+    });
+    const mapping = previewMapping(buildColumnMapping(source.columns, target.columns, { saved }));
+
+    return {
+      action: parameters.criteria?.deleteFromSource ? 'move' : 'create',
+      target: {
+        sourceBoardId: source.id,
+        sourceBoardName: source.name,
+        targetBoardId: target.id,
+        targetBoardName: target.name
+      },
+      itemsAffected: source.itemsCount || 0,
+      changes: [{ field: 'Board', before: source.name, after: target.name, changed: true }],
+      mapping,
+      warnings: [
+        'Items are matched against the transfer criteria at execution time',
+        ...mapping.unmapped.map(column => `"${column.column}" will not be transferred: ${column.reason}`),
+        ...mapping.lossy.map(column => `"${column.column}" to "${column.target}": ${column.reason}`)
+      ]
+    };
+  }
+
+  // Automation operations
+
+  async planCreateAutomation(parameters, context) {
+    const board = await this.getBoard(parameters.boardId, context);
+    return {
+      action: 'create',
+      target: { boardId: board.id, boardName: board.name },
+      changes: [{
+        field: 'Automation',
+        before: null,
+        after: parameters.name || parameters.trigger?.type || 'Automation',
+        changed: true
+      }]
+    };
+  }
+
+  /**
+   * Diff requested column values against an item's current values
+   * @private
+   */
+  diffColumns(board, item, columnValues = {}, context = {}) {
+    const changes = [];
+    const warnings = [];
+
+    for (const [key, value] of Object.entries(columnValues || {})) {
+      if (key === 'name') {
+        const before = item?.name ?? null;
+        changes.push({ field: 'Name', columnId: 'name', before, after: value, changed: before !== value });
+        continue;
+      }
+
+      const column = board.columns?.find(c =>
+        c.id === key || c.title.toLowerCase() === String(key).toLowerCase()
+      );
+      if (!column) {
+        warnings.push(`Column "${key}" does not exist on board ${board.name || board.id}`);
+        continue;
+      }
+
+      const current = item?.column_values?.find(c => c.id === column.id);
+      const before = current?.text || null;
+      const after = this.displayValue(value, column, context);
+
+      changes.push({
+        field: column.title,
+        columnId: column.id,
+        columnType: column.type,
+        before,
+        after,
+        changed: before !== after
+      });
+    }
+
+    return { changes, warnings };
+  }
+
+  /**
+   * Diff an item's group and board against a move target
+   * @private
+   */
+  async diffLocation(item, targetGroupId, targetBoardId, context) {
+    const changes = [];
+    const targetBoard = targetBoardId && String(targetBoardId) !== String(item.board?.id)
+      ? await this.getBoard(targetBoardId, context)
+      : null;
+
+    if (targetBoard) {
+      changes.push({ field: 'Board', before: item.board?.name || item.board?.id, after: targetBoard.name, changed: true });
+    }
+
+    const groups = targetBoard?.groups || (await this.getBoard(item.board?.id, context)).groups;
+    const targetGroup = findById(groups, targetGroupId);
+    const after = targetGroup?.title || targetGroupId;
+
+    changes.push({
+      field: 'Group',
+      before: item.group?.title || null,
+      after,
+      changed: !!targetBoard || item.group?.id !== targetGroupId
+    });
+
+    return changes;
+  }
+
+  /**
+   * Render a requested value the way monday.com would display it
+   * @private
+   */
+  displayValue(value, column, context) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (column.type === 'people') {
+      const ids = value.personsAndTeams
+        ? value.personsAndTeams.map(p => p.id)
+        : [].concat(value);
+      return this.peopleNames(ids.map(Number), context);
+    }
+
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value)) return value.join(', ');
+    if (value.label !== undefined) return String(value.label);
+    if (value.labels) return value.labels.join(', ');
+    if (value.date) return value.time ? `${value.date} ${value.time}` : value.date;
+    if (value.from && value.to) return `${value.from} - ${value.to}`;
+    if (value.text !== undefined) return String(value.text);
+    if (value.url) return value.text || value.url;
+    if (value.email) return value.email;
+    if (value.phone) return value.phone;
+    if (value.checked !== undefined) return String(value.checked) === 'true' ? 'v' : null;
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * @private
+   */
+  peopleNames(ids, context) {
+    return ids
+      .map(id => context.users?.find(u => String(u.id) === String(id))?.name || String(id))
+      .join(', ');
+  }
+
+  /**
+   * Aggregate per-item diffs
+   * @private
+   */
+  bulkResult(action, results, sample) {
+    return {
+      action,
+      target: sample ? { boardId: sample.board?.id } : {},
+      itemsAffected: results.filter(r => r.changes.some(c => c.changed)).length,
+      items: results,
+      changes: results.length === 1 ? results[0].changes : []
+    };
+  }
+
+  /**
+   * Get board structure from context, falling back to a query
+   * @private
+   */
+  async getBoard(boardId, context = {}) {
+    if (!boardId) {
+      throw new Error('Board ID is required to plan this operation');
+    }
+
+    const query = `
+      query GetPlanBoard($boardId: [ID!]) {
+        boards(ids: $boardId) {
+          id
+          name
+          description
+          items_count
+          columns {
+            id
+            title
+            type
+            settings_str
+          }
+          groups {
+            id
+            title
+          }
+        }
+      }
+    `;
+
+    const cached = context.boards?.find(b => String(b.id) === String(boardId));
+    if (cached?.columns && cached?.groups) {
+      return cached;
+    }
+
+    const response = await this.request(query, { boardId: [String(boardId)] });
+    const board = response.data?.boards?.[0];
+    if (!board) {
+      throw new Error(`Board ${boardId} not found`);
+    }
+
+    return { ...board, itemsCount: board.items_count };
+  }
+
+  /**
+   * Get an item snapshot; placeholders for names return null
+   * @private
+   */
+  async getItem(itemId) {
+    if (!itemId || !isNumeric(itemId)) {
+      return null;
+    }
+    return this.snapshots.captureItem(itemId);
+  }
+
+  /**
+   * @private
+   */
+  async requireItem(itemId) {
+    const item = await this.getItem(itemId);
+    if (!item) {
+      throw new Error(`Item ${itemId} not found`);
+    }
+    return item;
+  }
+
+  /**
+   * Send a read-only GraphQL request
+   * @private
+   */
+  async request(query, variables = {}) {
+    if (/^\s*mutation\b/i.test(query)) {
+      throw new Error('Plan mode cannot send GraphQL mutations');
+    }
+
+    const response = await this.client.api(query, variables);
+    if (response.errors?.length) {
+      throw new Error(response.errors[0].message);
+    }
+
+    return response;
+  }
+}
+
+function isNumeric(value) {
+  return value !== null && value !== '' && !isNaN(value);
+}
+
+function parseJSON(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function findById(collection, id) {
+  return id ? collection?.find(entry => String(entry.id) === String(id)) : undefined;
+}
+
+function itemTarget(board, item, itemId) {
+  return {
+    boardId: board?.id,
+    boardName: board?.name,
+    itemId: item?.id || itemId,
+    itemName: item?.name,
+    groupId: item?.group?.id,
+    groupTitle: item?.group?.title
+  };
+}
+
+// Every populated field of an item appears or disappears as a whole
+function snapshotFields(item, action) {
+  const fields = [{ field: 'Name', columnId: 'name', value: item.name }]
+    .concat((item.column_values || [])
+      .filter(column => column.text)
+      .map(column => ({ field: column.id, columnId: column.id, value: column.text })));
+
+  return fields.map(({ field, columnId, value }) => ({
+    field,
+    columnId,
+    before: action === 'delete' ? value : null,
+    after: action === 'delete' ? null : value,
+    changed: true
+  }));
+}
+
+function missingItems(requested = [], found = []) {
+  const foundIds = new Set(found.map(item => String(item.id)));
+  return requested
+    .filter(id => !foundIds.has(String(id)))
+    .map(id => `Item ${id} was not found and will be skipped`);
+}
+
+function countChanges(plan) {
+  const own = (plan.changes || []).filter(c => c.changed).length;
+  if (!plan.items || plan.items.length === 1) {
+    return own;
+  }
+  return plan.items.reduce((total, item) => total + item.changes.filter(c => c.changed).length, 0);
+}
+
+module.exports = OperationPlanner;
@@ -1,10 +1,14 @@
-// operations/board-operations.js
-import { mondayClient } from '../config/monday-client.js';
-import { logOperation, logError } from '../utils/logger.js';
+// services/operations/board.js
+const logger = require('../../utils/logger');
+const { mondayClient } = require('../../config/monday');
 
 class BoardOperations {
-  constructor() {
-    this.client = mondayClient;
+  /**
+   * @param {object} [options]
+   * @param {object} [options.client] - monday.com API client
+   */
+  constructor({ client = mondayClient } = {}) {
+    this.client = client;
     this.columnTypes = [
       'text', 'numbers', 'status', 'person', 'date', 'timeline',
       'tags', 'email', 'phone', 'link', 'rating', 'checkbox',
@@ -57,7 +61,7 @@ class BoardOperations {
             }
           }
         `;
-        
+
         variables = {
           boardName,
           boardKind,
@@ -91,7 +95,7 @@ class BoardOperations {
             }
           }
         `;
-        
+
         variables = {
           boardName,
           boardKind,
@@ -142,7 +146,6 @@ class BoardOperations {
         throw new Error('Board ID and updates are required');
       }
 
-      const mutations = [];
       const results = {};
 
       // Update board name
@@ -155,7 +158,7 @@ class BoardOperations {
             }
           }
         `;
-        
+
         const nameResult = await this.client.request(nameMutation, {
           boardId,
           name: updates.name
@@ -173,7 +176,7 @@ class BoardOperations {
             }
           }
         `;
-        
+
         const descResult = await this.client.request(descMutation, {
           boardId,
           description: updates.description
@@ -206,17 +209,25 @@ class BoardOperations {
   /**
    * Delete a board
    * @param {string} boardId - Board ID to delete
+   * @param {object} options
+   * @param {boolean} options.confirmed - Set once the deletion's confirmation
+   *   token was spent (see services/confirmations.js)
+   * @param {boolean} options.archive - Archive the board instead of deleting it
    * @returns {object} Deletion result
    */
-  async deleteBoard(boardId) {
+  async deleteBoard(boardId, options = {}) {
     try {
       if (!boardId) {
         throw new Error('Board ID is required');
       }
+      if (!options.confirmed) {
+        throw new Error('Deleting a board requires confirmation');
+      }
 
+      const field = options.archive ? 'archive_board' : 'delete_board';
       const mutation = `
         mutation DeleteBoard($boardId: ID!) {
-          delete_board(board_id: $boardId) {
+          ${field}(board_id: $boardId) {
             id
             name
             state
@@ -225,15 +236,17 @@ class BoardOperations {
       `;
 
       const result = await this.client.request(mutation, { boardId });
-      
+
       logOperation('deleteBoard', {
         boardId,
+        archived: !!options.archive,
         success: true
       });
 
       return {
         success: true,
-        deletedBoard: result.data.delete_board,
+        deletedBoard: result.data[field],
+        archived: !!options.archive,
         operation: 'delete_board'
       };
 
@@ -295,7 +308,7 @@ class BoardOperations {
       };
 
       const result = await this.client.request(mutation, variables);
-      
+
       logOperation('duplicateBoard', {
         sourceBoardId: boardId,
         newBoardId: result.data.duplicate_board.board.id,
@@ -360,7 +373,7 @@ class BoardOperations {
       };
 
       const result = await this.client.request(mutation, variables);
-      
+
       logOperation('addColumn', {
         boardId,
         columnId: result.data.add_column.id,
@@ -388,7 +401,7 @@ class BoardOperations {
    * Add a group to a board
    * @param {string} boardId - Board ID
    * @param {string} groupName - Group name
-   * @param {string} position - Position (start/end or relative_to_group)
+   * @param {string} position - Position (start/end, or before/after relativeTo)
    * @param {string} relativeTo - Group ID to position relative to
    * @returns {object} Created group details
    */
@@ -417,11 +430,11 @@ class BoardOperations {
             }
           }
         `;
-        
+
         variables = {
           boardId,
           groupName,
-          position: 'after_at',
+          position: position === 'before' ? 'before_at' : 'after_at',
           relativeTo
         };
       } else {
@@ -438,7 +451,7 @@ class BoardOperations {
             }
           }
         `;
-        
+
         variables = {
           boardId,
           groupName
@@ -446,7 +459,7 @@ class BoardOperations {
       }
 
       const result = await this.client.request(mutation, variables);
-      
+
       logOperation('addGroup', {
         boardId,
         groupId: result.data.create_group.id,
@@ -470,6 +483,125 @@ class BoardOperations {
     }
   }
 
+  /**
+   * Delete a column from a board
+   * @param {string} boardId - Board ID
+   * @param {string} columnId - Column ID to delete
+   * @returns {object} Deletion result
+   */
+  async deleteColumn(boardId, columnId) {
+    try {
+      if (!boardId || !columnId) {
+        throw new Error('Board ID and column ID are required');
+      }
+
+      const mutation = `
+        mutation DeleteColumn($boardId: ID!, $columnId: String!) {
+          delete_column(board_id: $boardId, column_id: $columnId) {
+            id
+          }
+        }
+      `;
+
+      const result = await this.client.request(mutation, { boardId, columnId });
+
+      logOperation('deleteColumn', {
+        boardId,
+        columnId,
+        success: true
+      });
+
+      return {
+        success: true,
+        column: result.data.delete_column,
+        operation: 'delete_column'
+      };
+
+    } catch (error) {
+      logError('deleteColumn', error, { boardId, columnId });
+      return {
+        success: false,
+        error: this.formatError(error),
+        operation: 'delete_column'
+      };
+    }
+  }
+
+  /**
+   * Delete a group and its items from a board
+   * @param {string} boardId - Board ID
+   * @param {string} groupId - Group ID to delete
+   * @returns {object} Deletion result
+   */
+  async deleteGroup(boardId, groupId) {
+    try {
+      if (!boardId || !groupId) {
+        throw new Error('Board ID and group ID are required');
+      }
+
+      const mutation = `
+        mutation DeleteGroup($boardId: ID!, $groupId: String!) {
+          delete_group(board_id: $boardId, group_id: $groupId) {
+            id
+            deleted
+          }
+        }
+      `;
+
+      const result = await this.client.request(mutation, { boardId, groupId });
+
+      logOperation('deleteGroup', {
+        boardId,
+        groupId,
+        success: true
+      });
+
+      return {
+        success: true,
+        group: result.data.delete_group,
+        operation: 'delete_group'
+      };
+
+    } catch (error) {
+      logError('deleteGroup', error, { boardId, groupId });
+      return {
+        success: false,
+        error: this.formatError(error),
+        operation: 'delete_group'
+      };
+    }
+  }
+
+  /**
+   * Register compensating actions used to roll back board mutations
+   * Deleting a column or group is not reversible and registers nothing.
+   * @param {function} register - (type, build) where build receives (parameters, result, preImage)
+   */
+  registerCompensations(register) {
+    const deleteCreatedBoard = (parameters, result) => result.board?.id && {
+      type: 'delete_board',
+      parameters: { boardId: result.board.id }
+    };
+
+    register('create_board', deleteCreatedBoard);
+    register('duplicate_board', deleteCreatedBoard);
+
+    register('add_column', (parameters, result) => result.column?.id && {
+      type: 'delete_column',
+      parameters: { boardId: parameters.boardId, columnId: result.column.id }
+    });
+
+    register('add_group', (parameters, result) => result.group?.id && {
+      type: 'delete_group',
+      parameters: { boardId: parameters.boardId, groupId: result.group.id }
+    });
+
+    register('delete_board', (parameters, result, preImage) => preImage?.board && {
+      type: 'restore_board',
+      parameters: { boardData: preImage.board }
+    });
+  }
+
   /**
    * Get board structure (columns and groups)
    * @param {string} boardId - Board ID
@@ -519,4 +651,18 @@ class BoardOperations {
   }
 }
 
-export default new BoardOperations();
\ No newline at end of file
+/**
+ * @private
+ */
+function logOperation(operation, details) {
+  logger.info(`Board operation ${operation} completed`, details);
+}
+
+/**
+ * @private
+ */
+function logError(operation, error, details) {
+  logger.error(`Board operation ${operation} failed`, { error: error.message, ...details });
+}
+
+module.exports = BoardOperations;
@@ -1,23 +1,54 @@
-// operations/bulk-operations.js
-import { mondayClient } from '../config/monday-client.js';
-import { formatColumnValue } from '../utils/column-formatters.js';
-import { logOperation, logError } from '../utils/logger.js';
-import itemOperations from './item-operations.js';
+// services/operations/bulk.js
+const logger = require('../../utils/logger');
+const { mondayClient } = require('../../config/monday');
+const { formatColumnValue } = require('../../utils/column-formatters');
+const { normalizeCriteria, compileCriteria, filterItems } = require('../../utils/item-criteria');
+const { iterateItemPages } = require('../../utils/items-pager');
+const { buildColumnMapping, convertColumnValues, previewMapping } = require('../../utils/column-mapping');
+const { buildAliasedMutation, splitAliasedResponse } = require('../../utils/aliased-mutations');
+const columnMappings = require('../column-mappings');
+const ItemSnapshotService = require('../item-snapshots');
 
 class BulkOperations {
-  constructor() {
-    this.client = mondayClient;
-    this.batchSize = 25; // Monday.com recommended batch size
-    this.rateLimitDelay = 200; // Delay between batches in ms
+  /**
+   * @param {object} [options]
+   * @param {object} [options.client] - monday.com API client
+   * @param {object} [options.itemOperations] - Single-item operations that
+   *   moves, duplicates, deletes and transfers are made of
+   * @param {object} [options.snapshots] - Snapshots of source items a
+   *   transfer removes (see services/item-snapshots.js)
+   */
+  constructor({ client = mondayClient, itemOperations = null, snapshots = new ItemSnapshotService(client) } = {}) {
+    this.client = client;
+    this.itemOperations = itemOperations;
+    this.snapshots = snapshots;
+    // Items per batch and progress checkpoint; the client paces the calls
+    // against the account's complexity budget
+    this.batchSize = 25;
+    // bulkUpdate combines up to this many item mutations into one request
+    this.maxAliases = 50;
+    // Complexity of one change_multiple_column_values until a response
+    // reports the actual cost
+    this.mutationCost = 10000;
   }
 
   /**
    * Bulk update multiple items
    * @param {array} itemIds - Array of item IDs to update
    * @param {object} columnValues - Column values to apply to all items
+   * @param {object} options - Execution options
+   * @param {function} options.shouldCancel - Async check run before each batch
+   * @param {function} options.shouldPause - Async check run before each batch;
+   *   a paused operation returns { paused: true, cursor }
+   * @param {function} options.onProgress - Called after each batch with
+   *   { cursor, total, successful, failed }
+   * @param {object} options.cursor - Cursor of a paused run to resume from
+   * @param {string} options.accountId - Account whose complexity budget sizes
+   *   the aliased mutations
+   * @param {string} options.timezone - User's timezone, for dates such as "next Friday"
    * @returns {object} Bulk update results
    */
-  async bulkUpdate(itemIds, columnValues) {
+  async bulkUpdate(itemIds, columnValues, options = {}) {
     try {
       if (!itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
         throw new Error('Item IDs array is required');
@@ -29,41 +60,48 @@ class BulkOperations {
       const results = [];
       const errors = [];
       const startTime = Date.now();
+      let cancelled = false;
+      let pausedAt = null;
+      const start = this.startIndex(options);
 
       // Get board ID from first item to fetch column info
       const boardId = await this.getBoardIdFromItem(itemIds[0]);
-      const formattedValues = await this.formatColumnValues(boardId, columnValues);
+      const formattedValues = await this.formatColumnValues(boardId, columnValues, options);
+
+      // Each batch is sent as one aliased mutation sized to the budget left
+      let i = start;
+      while (i < itemIds.length) {
+        if (await this.isCancelled(options)) {
+          cancelled = true;
+          break;
+        }
+        if (await this.isPaused(options)) {
+          pausedAt = i;
+          break;
+        }
 
-      // Process items in batches
-      for (let i = 0; i < itemIds.length; i += this.batchSize) {
-        const batch = itemIds.slice(i, i + this.batchSize);
-        
-        // Use Promise.allSettled to handle partial failures
-        const batchResults = await Promise.allSettled(
-          batch.map(itemId => this.updateSingleItem(itemId, formattedValues, boardId))
-        );
+        const batch = itemIds.slice(i, i + this.mutationsPerRequest(options.accountId));
+        const outcomes = await this.updateItemsBatch(batch, formattedValues, boardId);
 
-        // Process batch results
-        batchResults.forEach((result, index) => {
-          const itemId = batch[index];
-          if (result.status === 'fulfilled' && result.value.success) {
+        outcomes.forEach(({ itemId, error }) => {
+          if (error) {
+            errors.push({ itemId, error });
+          } else {
             results.push({
               itemId,
               success: true,
               updatedColumns: Object.keys(columnValues)
             });
-          } else {
-            errors.push({
-              itemId,
-              error: result.reason || result.value?.error || 'Unknown error'
-            });
           }
         });
 
-        // Rate limit protection
-        if (i + this.batchSize < itemIds.length) {
-          await this.delay(this.rateLimitDelay);
-        }
+        i += batch.length;
+        await this.reportProgress(options, {
+          cursor: { index: i },
+          total: itemIds.length,
+          successful: results.length,
+          failed: errors.length
+        });
       }
 
       const duration = Date.now() - startTime;
@@ -77,13 +115,17 @@ class BulkOperations {
       });
 
       return {
-        success: errors.length === 0,
+        success: errors.length === 0 && !cancelled && pausedAt === null,
+        cancelled,
+        paused: pausedAt !== null,
+        cursor: pausedAt !== null ? { ...options.cursor, index: pausedAt } : undefined,
         results,
         errors,
         summary: {
           total: itemIds.length,
           successful: results.length,
           failed: errors.length,
+          skipped: itemIds.length - start - results.length - errors.length,
           duration
         },
         operation: 'bulk_update'
@@ -104,9 +146,10 @@ class BulkOperations {
    * @param {array} itemIds - Array of item IDs to move
    * @param {string} targetGroupId - Target group ID
    * @param {string} targetBoardId - Target board ID (optional)
+   * @param {object} options - Execution options (see bulkUpdate)
    * @returns {object} Bulk move results
    */
-  async bulkMove(itemIds, targetGroupId, targetBoardId = null) {
+  async bulkMove(itemIds, targetGroupId, targetBoardId = null, options = {}) {
     try {
       if (!itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
         throw new Error('Item IDs array is required');
@@ -117,6 +160,9 @@ class BulkOperations {
 
       const results = [];
       const errors = [];
+      let cancelled = false;
+      let pausedAt = null;
+      const start = this.startIndex(options);
 
       // Validate target exists
       if (targetBoardId) {
@@ -124,11 +170,20 @@ class BulkOperations {
       }
 
       // Process moves in batches
-      for (let i = 0; i < itemIds.length; i += this.batchSize) {
+      for (let i = start; i < itemIds.length; i += this.batchSize) {
+        if (await this.isCancelled(options)) {
+          cancelled = true;
+          break;
+        }
+        if (await this.isPaused(options)) {
+          pausedAt = i;
+          break;
+        }
+
         const batch = itemIds.slice(i, i + this.batchSize);
-        
-        const batchPromises = batch.map(itemId => 
-          itemOperations.moveItem(itemId, targetGroupId, targetBoardId)
+
+        const batchPromises = batch.map(itemId =>
+          this.itemOperations.moveItem(itemId, targetGroupId, targetBoardId)
             .then(result => {
               if (result.success) {
                 results.push({ itemId, success: true });
@@ -142,11 +197,13 @@ class BulkOperations {
         );
 
         await Promise.all(batchPromises);
-        
-        // Rate limit protection
-        if (i + this.batchSize < itemIds.length) {
-          await this.delay(this.rateLimitDelay);
-        }
+
+        await this.reportProgress(options, {
+          cursor: { index: i + batch.length },
+          total: itemIds.length,
+          successful: results.length,
+          failed: errors.length
+        });
       }
 
       logOperation('bulkMove', {
@@ -158,13 +215,17 @@ class BulkOperations {
       });
 
       return {
-        success: errors.length === 0,
+        success: errors.length === 0 && !cancelled && pausedAt === null,
+        cancelled,
+        paused: pausedAt !== null,
+        cursor: pausedAt !== null ? { ...options.cursor, index: pausedAt } : undefined,
         results,
         errors,
         summary: {
           total: itemIds.length,
           successful: results.length,
-          failed: errors.length
+          failed: errors.length,
+          skipped: itemIds.length - start - results.length - errors.length
         },
         operation: 'bulk_move'
       };
@@ -183,9 +244,10 @@ class BulkOperations {
    * Bulk duplicate items
    * @param {array} itemIds - Array of item IDs to duplicate
    * @param {string} targetBoardId - Target board ID (optional)
+   * @param {object} options - Execution options (see bulkUpdate)
    * @returns {object} Bulk duplication results
    */
-  async bulkDuplicate(itemIds, targetBoardId = null) {
+  async bulkDuplicate(itemIds, targetBoardId = null, options = {}) {
     try {
       if (!itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
         throw new Error('Item IDs array is required');
@@ -194,22 +256,34 @@ class BulkOperations {
       const results = [];
       const errors = [];
       const newItemIds = [];
+      let cancelled = false;
+      let pausedAt = null;
+      const start = this.startIndex(options);
 
       // Get source board ID if not moving to different board
       const sourceBoardId = targetBoardId || await this.getBoardIdFromItem(itemIds[0]);
 
       // Process duplications in batches
-      for (let i = 0; i < itemIds.length; i += this.batchSize) {
+      for (let i = start; i < itemIds.length; i += this.batchSize) {
+        if (await this.isCancelled(options)) {
+          cancelled = true;
+          break;
+        }
+        if (await this.isPaused(options)) {
+          pausedAt = i;
+          break;
+        }
+
         const batch = itemIds.slice(i, i + this.batchSize);
-        
-        const batchPromises = batch.map(itemId => 
-          itemOperations.duplicateItem(sourceBoardId, itemId)
+
+        const batchPromises = batch.map(itemId =>
+          this.itemOperations.duplicateItem(sourceBoardId, itemId)
             .then(result => {
               if (result.success) {
-                results.push({ 
-                  originalItemId: itemId, 
+                results.push({
+                  originalItemId: itemId,
                   newItemId: result.item.id,
-                  success: true 
+                  success: true
                 });
                 newItemIds.push(result.item.id);
               } else {
@@ -222,11 +296,13 @@ class BulkOperations {
         );
 
         await Promise.all(batchPromises);
-        
-        // Rate limit protection
-        if (i + this.batchSize < itemIds.length) {
-          await this.delay(this.rateLimitDelay);
-        }
+
+        await this.reportProgress(options, {
+          cursor: { index: i + batch.length },
+          total: itemIds.length,
+          successful: results.length,
+          failed: errors.length
+        });
       }
 
       logOperation('bulkDuplicate', {
@@ -237,14 +313,18 @@ class BulkOperations {
       });
 
       return {
-        success: errors.length === 0,
+        success: errors.length === 0 && !cancelled && pausedAt === null,
+        cancelled,
+        paused: pausedAt !== null,
+        cursor: pausedAt !== null ? { ...options.cursor, index: pausedAt } : undefined,
         results,
         errors,
         newItemIds,
         summary: {
           total: itemIds.length,
           successful: results.length,
-          failed: errors.length
+          failed: errors.length,
+          skipped: itemIds.length - start - results.length - errors.length
         },
         operation: 'bulk_duplicate'
       };
@@ -262,30 +342,42 @@ class BulkOperations {
   /**
    * Bulk delete items with confirmation
    * @param {array} itemIds - Array of item IDs to delete
-   * @param {string} confirmationToken - Confirmation token for safety
+   * @param {object} options - Execution options (see bulkUpdate)
+   * @param {boolean} options.confirmed - Set once the deletion's confirmation
+   *   token was spent (see services/confirmations.js)
+   * @param {boolean} options.archive - Archive the items instead of deleting them
    * @returns {object} Bulk deletion results
    */
-  async bulkDelete(itemIds, confirmationToken) {
+  async bulkDelete(itemIds, options = {}) {
     try {
       if (!itemIds || !Array.isArray(itemIds) || itemIds.length === 0) {
         throw new Error('Item IDs array is required');
       }
-      
-      // Validate confirmation token
-      const expectedToken = this.generateConfirmationToken(itemIds);
-      if (confirmationToken !== expectedToken) {
-        throw new Error('Invalid confirmation token. Deletion aborted for safety.');
+      if (!options.confirmed) {
+        throw new Error('Deleting items requires confirmation');
       }
 
       const results = [];
       const errors = [];
+      let cancelled = false;
+      let pausedAt = null;
+      const start = this.startIndex(options);
 
       // Process deletions in batches
-      for (let i = 0; i < itemIds.length; i += this.batchSize) {
+      for (let i = start; i < itemIds.length; i += this.batchSize) {
+        if (await this.isCancelled(options)) {
+          cancelled = true;
+          break;
+        }
+        if (await this.isPaused(options)) {
+          pausedAt = i;
+          break;
+        }
+
         const batch = itemIds.slice(i, i + this.batchSize);
-        
-        const batchPromises = batch.map(itemId => 
-          itemOperations.deleteItem(itemId)
+
+        const batchPromises = batch.map(itemId =>
+          this.itemOperations.deleteItem(itemId, { confirmed: true, archive: !!options.archive })
             .then(result => {
               if (result.success) {
                 results.push({ itemId, success: true });
@@ -299,11 +391,13 @@ class BulkOperations {
         );
 
         await Promise.all(batchPromises);
-        
-        // Rate limit protection
-        if (i + this.batchSize < itemIds.length) {
-          await this.delay(this.rateLimitDelay);
-        }
+
+        await this.reportProgress(options, {
+          cursor: { index: i + batch.length },
+          total: itemIds.length,
+          successful: results.length,
+          failed: errors.length
+        });
       }
 
       logOperation('bulkDelete', {
@@ -313,13 +407,17 @@ class BulkOperations {
       });
 
       return {
-        success: errors.length === 0,
+        success: errors.length === 0 && !cancelled && pausedAt === null,
+        cancelled,
+        paused: pausedAt !== null,
+        cursor: pausedAt !== null ? { ...options.cursor, index: pausedAt } : undefined,
         results,
         errors,
         summary: {
           total: itemIds.length,
           successful: results.length,
-          failed: errors.length
+          failed: errors.length,
+          skipped: itemIds.length - start - results.length - errors.length
         },
         operation: 'bulk_delete'
       };
@@ -338,19 +436,38 @@ class BulkOperations {
    * Transfer items between boards based on criteria
    * @param {string} sourceBoardId - Source board ID
    * @param {string} targetBoardId - Target board ID
-   * @param {object} criteria - Filter criteria
-   * @returns {object} Transfer results
+   * @param {object|string} criteria - Filter criteria (see utils/item-criteria.js)
+   *   plus the deleteFromSource option; source items are archived unless
+   *   criteria.mode is 'delete'
+   * @param {object} options - Execution options (see bulkUpdate)
+   * @param {string} options.userId - User that "me" refers to in criteria
+   * @param {string} options.accountId - Account saved mappings are looked up in
+   * @param {string|object} options.mapping - Saved mapping name or ID, or an
+   *   inline { columns, labels } (see services/column-mappings.js)
+   * @param {boolean} options.preview - Only report how columns would map
+   * @param {boolean} options.confirmed - Required with deleteFromSource; set
+   *   once the confirmation token was spent (see services/confirmations.js)
+   * @returns {object} Transfer results; removedItems holds the snapshots of
+   *   the source items that were removed
    */
-  async crossBoardTransfer(sourceBoardId, targetBoardId, criteria) {
+  async crossBoardTransfer(sourceBoardId, targetBoardId, criteria, options = {}) {
     try {
       if (!sourceBoardId || !targetBoardId) {
         throw new Error('Source and target board IDs are required');
       }
+      if (criteria?.deleteFromSource && !options.preview && !options.confirmed) {
+        throw new Error('Deleting transferred items from the source board requires confirmation');
+      }
+
+      // A resumed transfer continues with the items matched on its first run
+      const start = this.startIndex(options);
+      const resumedIds = options.cursor?.itemIds;
+      const matchingItems = resumedIds
+        ? await this.getItemsByIds(resumedIds.slice(start))
+        : await this.findItemsByCriteria(sourceBoardId, criteria, options);
+      const itemIds = resumedIds || matchingItems.map(item => String(item.id));
 
-      // Get items that match criteria
-      const matchingItems = await this.findItemsByCriteria(sourceBoardId, criteria);
-      
-      if (matchingItems.length === 0) {
+      if (itemIds.length === 0) {
         return {
           success: true,
           message: 'No items matched the specified criteria',
@@ -358,50 +475,111 @@ class BulkOperations {
         };
       }
 
-      // Get target board structure
-      const targetStructure = await this.getBoardStructure(targetBoardId);
-      const targetGroupId = targetStructure.groups[0]?.id;
+      // Create mapping for columns between boards
+      const { mapping: columnMapping, target: targetStructure } =
+        await this.createColumnMapping(sourceBoardId, targetBoardId, options);
 
+      if (options.preview) {
+        return {
+          success: true,
+          preview: true,
+          itemsMatched: matchingItems.length,
+          mapping: previewMapping(columnMapping, matchingItems),
+          operation: 'cross_board_transfer'
+        };
+      }
+
+      const targetGroupId = targetStructure.groups[0]?.id;
       if (!targetGroupId) {
         throw new Error('Target board has no groups');
       }
 
-      // Create mapping for columns between boards
-      const columnMapping = await this.createColumnMapping(sourceBoardId, targetBoardId);
-
       const results = [];
       const errors = [];
+      const removedItems = [];
+      let cancelled = false;
+      let pausedAt = null;
+
+      const itemsById = new Map(matchingItems.map(item => [String(item.id), item]));
 
       // Process transfers
-      for (const item of matchingItems) {
+      for (let i = start; i < itemIds.length; i++) {
+        if (await this.isCancelled(options)) {
+          cancelled = true;
+          break;
+        }
+        if (await this.isPaused(options)) {
+          pausedAt = i;
+          break;
+        }
+
+        if ((i - start) % this.batchSize === 0 && i > start) {
+          await this.reportProgress(options, {
+            cursor: { index: i, itemIds },
+            total: itemIds.length,
+            successful: results.length,
+            failed: errors.length
+          });
+        }
+
+        const item = itemsById.get(String(itemIds[i]));
+        if (!item) {
+          errors.push({ itemId: itemIds[i], error: 'Item no longer exists' });
+          continue;
+        }
+
         try {
+          // A source item is only removed once it has a snapshot to restore from
+          let snapshot = null;
+          if (criteria.deleteFromSource) {
+            [snapshot] = await this.snapshots.captureFullItems([item.id]);
+            if (!snapshot) {
+              throw new Error('Source item could not be snapshotted');
+            }
+          }
+
           // Create new item in target board
-          const mappedValues = this.mapColumnValues(item.column_values, columnMapping);
-          const createResult = await itemOperations.createItem(
+          const { values, losses } = await this.mapColumnValues(item.column_values, columnMapping, targetBoardId);
+          const createResult = await this.itemOperations.createItem(
             targetBoardId,
             targetGroupId,
             item.name,
-            mappedValues
+            values
           );
 
-          if (createResult.success) {
-            results.push({
-              sourceItemId: item.id,
-              newItemId: createResult.item.id,
-              itemName: item.name
-            });
-
-            // Optionally delete from source
-            if (criteria.deleteFromSource) {
-              await itemOperations.deleteItem(item.id);
-            }
-          } else {
+          if (!createResult.success) {
             errors.push({
               itemId: item.id,
               itemName: item.name,
               error: createResult.error
             });
+            continue;
           }
+
+          // Optionally remove from source
+          if (criteria.deleteFromSource) {
+            const removal = await this.itemOperations.deleteItem(item.id, {
+              confirmed: true,
+              archive: criteria.mode !== 'delete'
+            });
+            if (!removal.success) {
+              errors.push({
+                itemId: item.id,
+                itemName: item.name,
+                newItemId: createResult.item.id,
+                error: removal.error
+              });
+              continue;
+            }
+            removedItems.push(snapshot);
+          }
+
+          results.push({
+            sourceItemId: item.id,
+            newItemId: createResult.item.id,
+            itemName: item.name,
+            ...(losses.length ? { losses } : {})
+          });
         } catch (error) {
           errors.push({
             itemId: item.id,
@@ -414,20 +592,26 @@ class BulkOperations {
       logOperation('crossBoardTransfer', {
         sourceBoardId,
         targetBoardId,
-        totalItems: matchingItems.length,
+        totalItems: itemIds.length,
         successful: results.length,
         failed: errors.length
       });
 
       return {
-        success: errors.length === 0,
+        success: errors.length === 0 && !cancelled && pausedAt === null,
+        cancelled,
+        paused: pausedAt !== null,
+        cursor: pausedAt !== null ? { index: pausedAt, itemIds } : undefined,
         results,
         errors,
+        removedItems,
         summary: {
-          total: matchingItems.length,
+          total: itemIds.length,
           successful: results.length,
-          failed: errors.length
+          failed: errors.length,
+          skipped: itemIds.length - start - results.length - errors.length
         },
+        mapping: previewMapping(columnMapping),
         operation: 'cross_board_transfer'
       };
 
@@ -442,38 +626,173 @@ class BulkOperations {
   }
 
   /**
-   * Generate confirmation token for dangerous operations
+   * Register compensating actions used to roll back bulk mutations
+   * Compensations cover only the items that were actually changed. Updates,
+   * moves and deletes need the item snapshots captured before execution.
+   * @param {function} register - (type, build) where build receives (parameters, result, preImage)
    */
-  generateConfirmationToken(itemIds) {
-    const sortedIds = [...itemIds].sort().join(',');
-    return `DELETE-${itemIds.length}-${sortedIds.substring(0, 10)}`;
+  registerCompensations(register) {
+    const changedItems = (result, preImage) => {
+      const changed = new Set((result.results || []).map(r => String(r.itemId)));
+      return (preImage?.items || []).filter(item => changed.has(String(item.id)));
+    };
+
+    register('bulk_update', (parameters, result, preImage) => preImage?.previousValuesByItem &&
+      changedItems(result, preImage).map(item => ({
+        type: 'update_item',
+        parameters: {
+          boardId: item.board?.id,
+          itemId: item.id,
+          columnValues: preImage.previousValuesByItem[item.id]
+        }
+      })));
+
+    register('bulk_move', (parameters, result, preImage) => preImage?.items &&
+      changedItems(result, preImage).map(item => ({
+        type: 'move_item',
+        parameters: {
+          itemId: item.id,
+          targetGroupId: item.group?.id,
+          targetBoardId: parameters.targetBoardId ? item.board?.id : null
+        }
+      })));
+
+    register('bulk_delete', (parameters, result, preImage) => preImage?.items &&
+      changedItems(result, preImage).map(item => ({
+        type: 'restore_item',
+        parameters: {
+          boardId: item.board?.id,
+          itemData: item
+        }
+      })));
+
+    register('bulk_duplicate', (parameters, result) => (result.newItemIds || []).map(itemId => ({
+      type: 'delete_item',
+      parameters: { itemId }
+    })));
+
+    // Copies are deleted from the target board, removed source items are
+    // recreated from their snapshots
+    register('cross_board_transfer', (parameters, result) => [
+      ...[...(result.results || []), ...(result.errors || [])]
+        .filter(({ newItemId }) => newItemId)
+        .map(({ newItemId }) => ({
+          type: 'delete_item',
+          parameters: { itemId: newItemId }
+        })),
+      ...(result.removedItems || []).map(item => ({
+        type: 'restore_item',
+        parameters: {
+          boardId: item.board?.id,
+          itemData: item
+        }
+      }))
+    ]);
+  }
+
+  /**
+   * Check the caller's cancellation hook between batches
+   * @private
+   */
+  async isCancelled(options) {
+    if (typeof options?.shouldCancel !== 'function') {
+      return false;
+    }
+    return !!(await options.shouldCancel());
+  }
+
+  /**
+   * Check whether a background job asked the operation to pause
+   * A paused operation returns its cursor; passing it back as options.cursor
+   * resumes where it stopped.
+   * @private
+   */
+  async isPaused(options) {
+    if (typeof options?.shouldPause !== 'function') {
+      return false;
+    }
+    return !!(await options.shouldPause());
+  }
+
+  /**
+   * Index to start from when resuming
+   * @private
+   */
+  startIndex(options) {
+    return Math.max(0, parseInt(options?.cursor?.index) || 0);
+  }
+
+  /**
+   * Report progress after a batch; reporting failures never stop the operation
+   * @private
+   */
+  async reportProgress(options, progress) {
+    if (typeof options?.onProgress !== 'function') {
+      return;
+    }
+    try {
+      await options.onProgress(progress);
+    } catch (error) {
+      logError('reportProgress', error, { cursor: progress.cursor });
+    }
   }
 
   /**
    * Helper methods
    * @private
    */
-  async updateSingleItem(itemId, columnValues, boardId) {
-    const mutation = `
-      mutation UpdateItem($itemId: ID!, $columnValues: String!) {
-        change_multiple_column_values(
-          item_id: $itemId,
-          board_id: $boardId,
-          column_values: $columnValues
-        ) {
-          id
-        }
-      }
-    `;
+  async updateItemsBatch(itemIds, columnValues, boardId) {
+    // One aliased mutation for all items; returns { itemId, error } per item
+    const variableTypes = { boardId: 'ID!', columnValues: 'JSON!' };
+    const variables = { boardId, columnValues: JSON.stringify(columnValues) };
+
+    const fields = itemIds.map((itemId, index) => {
+      variableTypes[`item${index}`] = 'ID!';
+      variables[`item${index}`] = String(itemId);
+      return `change_multiple_column_values(item_id: $item${index}, board_id: $boardId, column_values: $columnValues) { id }`;
+    });
 
-    const variables = {
-      itemId: parseInt(itemId),
-      boardId,
-      columnValues: JSON.stringify(columnValues)
-    };
+    const { mutation, aliases } = buildAliasedMutation('BulkUpdate', variableTypes, fields);
 
-    const result = await this.client.request(mutation, variables);
-    return { success: true, itemId };
+    let result;
+    try {
+      result = await this.client.request(mutation, variables);
+    } catch (error) {
+      const message = this.formatError(error);
+      return itemIds.map(itemId => ({ itemId, error: message }));
+    }
+
+    this.recordMutationCost(result, itemIds.length);
+
+    return splitAliasedResponse(result, aliases)
+      .map(({ error }, index) => ({ itemId: itemIds[index], error }));
+  }
+
+  /**
+   * Aliased mutations per request: up to maxAliases, fewer when the
+   * account's remaining complexity budget would not cover them
+   * @private
+   */
+  mutationsPerRequest(accountId) {
+    const remaining = this.client.budget?.(accountId)?.remaining;
+    if (remaining === null || remaining === undefined) {
+      return this.maxAliases;
+    }
+
+    // Leave half of what is left for other requests of the account
+    const affordable = Math.floor(remaining / 2 / this.mutationCost);
+    return Math.max(1, Math.min(this.maxAliases, affordable));
+  }
+
+  /**
+   * Learn the complexity of one mutation from a batched response
+   * @private
+   */
+  recordMutationCost(result, count) {
+    const cost = result?.data?.complexity?.query;
+    if (cost) {
+      this.mutationCost = Math.ceil(cost / count);
+    }
   }
 
   async getBoardIdFromItem(itemId) {
@@ -491,17 +810,46 @@ class BulkOperations {
     return result.data.items[0]?.board?.id;
   }
 
-  async formatColumnValues(boardId, columnValues) {
+  async getItemsByIds(itemIds) {
+    const query = `
+      query GetItems($itemIds: [ID!]) {
+        items(ids: $itemIds) {
+          id
+          name
+          group {
+            id
+            title
+          }
+          column_values {
+            id
+            type
+            text
+            value
+          }
+        }
+      }
+    `;
+
+    // items(ids:) accepts at most 100 IDs per request
+    const items = [];
+    for (let i = 0; i < itemIds.length; i += 100) {
+      const result = await this.client.request(query, { itemIds: itemIds.slice(i, i + 100) });
+      items.push(...(result.data.items || []));
+    }
+    return items;
+  }
+
+  async formatColumnValues(boardId, columnValues, options = {}) {
     const boardColumns = await this.getBoardColumns(boardId);
     const formatted = {};
-    
+
     for (const [columnId, value] of Object.entries(columnValues)) {
       const column = boardColumns.find(c => c.id === columnId);
       if (column) {
-        formatted[columnId] = formatColumnValue(column.type, value);
+        formatted[columnId] = formatColumnValue(column.type, value, options);
       }
     }
-    
+
     return formatted;
   }
 
@@ -535,35 +883,34 @@ class BulkOperations {
 
     const result = await this.client.request(query, { boardId });
     const groups = result.data.boards[0]?.groups || [];
-    
+
     if (!groups.find(g => g.id === groupId)) {
       throw new Error(`Group ${groupId} not found in board ${boardId}`);
     }
   }
 
-  async findItemsByCriteria(boardId, criteria) {
-    // Implementation would depend on specific criteria structure
-    // For now, returning all items as placeholder
-    const query = `
-      query GetBoardItems($boardId: ID!) {
-        boards(ids: [$boardId]) {
-          items_page(limit: 500) {
-            items {
-              id
-              name
-              column_values {
-                id
-                text
-                value
-              }
-            }
-          }
-        }
-      }
-    `;
+  /**
+   * Find the items of a board matching criteria
+   * Conditions monday.com can filter on are sent as items_page query_params;
+   * the remaining ones are evaluated on the returned items.
+   * @param {string} boardId - Board ID
+   * @param {object|string} criteria - Criteria tree, text or shorthand object
+   * @param {object} options - { userId, users } used to resolve people values
+   * @returns {array} Matching items with group and column values
+   */
+  async findItemsByCriteria(boardId, criteria, options = {}) {
+    const tree = normalizeCriteria(criteria);
+    const board = await this.getBoardStructure(boardId);
+    const { queryParams, residual } = compileCriteria(tree, board, options);
+
+    // Page through the whole board; conditions items_page cannot express are
+    // applied to each page as it arrives
+    const matches = [];
+    for await (const { items } of iterateItemPages(this.client, boardId, { queryParams })) {
+      matches.push(...filterItems(items, residual, { ...options, board }));
+    }
 
-    const result = await this.client.request(query, { boardId });
-    return result.data.boards[0].items_page.items;
+    return matches;
   }
 
   async getBoardStructure(boardId) {
@@ -578,6 +925,7 @@ class BulkOperations {
             id
             title
             type
+            settings_str
           }
         }
       }
@@ -587,36 +935,57 @@ class BulkOperations {
     return result.data.boards[0];
   }
 
-  async createColumnMapping(sourceBoardId, targetBoardId) {
-    // Get columns from both boards
-    const [sourceColumns, targetColumns] = await Promise.all([
-      this.getBoardColumns(sourceBoardId),
-      this.getBoardColumns(targetBoardId)
+  /**
+   * Map the source board's columns onto the target board
+   * @returns {object} { mapping, source, target } - mapping from
+   *   utils/column-mapping.js and both board structures
+   */
+  async createColumnMapping(sourceBoardId, targetBoardId, options = {}) {
+    const [source, target, saved] = await Promise.all([
+      this.getBoardStructure(sourceBoardId),
+      this.getBoardStructure(targetBoardId),
+      columnMappings.resolve(options.mapping, { accountId: options.accountId })
     ]);
 
-    // Create mapping based on column titles and types
-    const mapping = {};
-    sourceColumns.forEach(sourceCol => {
-      const targetCol = targetColumns.find(
-        tc => tc.title === sourceCol.title && tc.type === sourceCol.type
-      );
-      if (targetCol) {
-        mapping[sourceCol.id] = targetCol.id;
-      }
-    });
+    if (!source || !target) {
+      throw new Error(`Board ${source ? targetBoardId : sourceBoardId} not found`);
+    }
 
-    return mapping;
+    return {
+      mapping: buildColumnMapping(source.columns, target.columns, { saved }),
+      source,
+      target
+    };
   }
 
-  mapColumnValues(columnValues, columnMapping) {
-    const mapped = {};
-    columnValues.forEach(cv => {
-      const targetColumnId = columnMapping[cv.id];
-      if (targetColumnId && cv.value) {
-        mapped[targetColumnId] = cv.value;
+  /**
+   * Convert an item's column values for the target board
+   * Dropdown labels mapped to a tags column are turned into tag IDs.
+   * @returns {object} { values, losses }
+   */
+  async mapColumnValues(columnValues, columnMapping, targetBoardId) {
+    const { values, tagNames, losses } = convertColumnValues(columnValues, columnMapping);
+
+    for (const [columnId, names] of Object.entries(tagNames)) {
+      values[columnId] = {
+        tag_ids: await Promise.all(names.map(name => this.getTagId(name, targetBoardId)))
+      };
+    }
+
+    return { values, losses };
+  }
+
+  async getTagId(name, boardId) {
+    const mutation = `
+      mutation GetTag($name: String!, $boardId: ID!) {
+        create_or_get_tag(tag_name: $name, board_id: $boardId) {
+          id
+        }
       }
-    });
-    return mapped;
+    `;
+
+    const result = await this.client.request(mutation, { name, boardId });
+    return parseInt(result.data.create_or_get_tag.id);
   }
 
   formatError(error) {
@@ -625,10 +994,20 @@ class BulkOperations {
     }
     return error.message || 'An unexpected error occurred';
   }
+}
 
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+/**
+ * @private
+ */
+function logOperation(operation, details) {
+  logger.info(`Bulk operation ${operation} completed`, details);
+}
+
+/**
+ * @private
+ */
+function logError(operation, error, details) {
+  logger.error(`Bulk operation ${operation} failed`, { error: error.message, ...details });
 }
 
-export default new BulkOperations();
\ No newline at end of file
+module.exports = BulkOperations;
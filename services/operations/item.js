@@ -1,13 +1,15 @@
-// operations/item-operations.js
-import { mondayClient } from '../config/monday-client.js';
-import { formatColumnValue, validateColumnValues } from '../utils/column-formatters.js';
-import { logOperation, logError } from '../utils/logger.js';
+// services/operations/item.js
+const logger = require('../../utils/logger');
+const { mondayClient } = require('../../config/monday');
+const { formatColumnValue } = require('../../utils/column-formatters');
 
 class ItemOperations {
-  constructor() {
-    this.client = mondayClient;
-    this.retryLimit = 3;
-    this.retryDelay = 1000;
+  /**
+   * @param {object} [options]
+   * @param {object} [options.client] - monday.com API client
+   */
+  constructor({ client = mondayClient } = {}) {
+    this.client = client;
   }
 
   /**
@@ -16,9 +18,10 @@ class ItemOperations {
    * @param {string} groupId - Target group ID (optional)
    * @param {string} itemName - Name of the new item
    * @param {object} columnValues - Column values to set
+   * @param {object} [options] - { timezone } of the user, for dates such as "next Friday"
    * @returns {object} Created item details
    */
-  async createItem(boardId, groupId, itemName, columnValues = {}) {
+  async createItem(boardId, groupId, itemName, columnValues = {}, options = {}) {
     try {
       // Validate inputs
       if (!boardId || !itemName) {
@@ -26,8 +29,8 @@ class ItemOperations {
       }
 
       // Format column values according to Monday.com requirements
-      const formattedValues = await this.formatColumnValues(boardId, columnValues);
-      
+      const formattedValues = await this.formatColumnValues(boardId, columnValues, options);
+
       // Build the mutation
       const mutation = `
         mutation CreateItem($boardId: ID!, $itemName: String!, $columnValues: String, $groupId: String) {
@@ -60,9 +63,8 @@ class ItemOperations {
         groupId
       };
 
-      // Execute with retry logic
-      const result = await this.executeWithRetry(mutation, variables);
-      
+      const result = await this.request(mutation, variables);
+
       logOperation('createItem', {
         boardId,
         itemName,
@@ -91,17 +93,18 @@ class ItemOperations {
    * @param {string} boardId - Board ID containing the item
    * @param {string} itemId - Item ID to update
    * @param {object} columnValues - Column values to update
+   * @param {object} [options] - { timezone } of the user, for dates such as "next Friday"
    * @returns {object} Updated item details
    */
-  async updateItem(boardId, itemId, columnValues) {
+  async updateItem(boardId, itemId, columnValues, options = {}) {
     try {
       if (!boardId || !itemId || !columnValues) {
         throw new Error('Board ID, item ID, and column values are required');
       }
 
       // Format column values
-      const formattedValues = await this.formatColumnValues(boardId, columnValues);
-      
+      const formattedValues = await this.formatColumnValues(boardId, columnValues, options);
+
       const mutation = `
         mutation UpdateItem($boardId: ID!, $itemId: ID!, $columnValues: String!) {
           change_multiple_column_values(
@@ -127,8 +130,8 @@ class ItemOperations {
         columnValues: JSON.stringify(formattedValues)
       };
 
-      const result = await this.executeWithRetry(mutation, variables);
-      
+      const result = await this.request(mutation, variables);
+
       logOperation('updateItem', {
         boardId,
         itemId,
@@ -155,17 +158,25 @@ class ItemOperations {
   /**
    * Delete an item
    * @param {string} itemId - Item ID to delete
+   * @param {object} options
+   * @param {boolean} options.confirmed - Set once the deletion's confirmation
+   *   token was spent (see services/confirmations.js)
+   * @param {boolean} options.archive - Archive the item instead of deleting it
    * @returns {object} Deletion result
    */
-  async deleteItem(itemId) {
+  async deleteItem(itemId, options = {}) {
     try {
       if (!itemId) {
         throw new Error('Item ID is required');
       }
+      if (!options.confirmed) {
+        throw new Error('Deleting an item requires confirmation');
+      }
 
+      const field = options.archive ? 'archive_item' : 'delete_item';
       const mutation = `
         mutation DeleteItem($itemId: ID!) {
-          delete_item(item_id: $itemId) {
+          ${field}(item_id: $itemId) {
             id
             name
             state
@@ -177,16 +188,18 @@ class ItemOperations {
         itemId: parseInt(itemId)
       };
 
-      const result = await this.executeWithRetry(mutation, variables);
-      
+      const result = await this.request(mutation, variables);
+
       logOperation('deleteItem', {
         itemId,
+        archived: !!options.archive,
         success: true
       });
 
       return {
         success: true,
-        deletedItem: result.data.delete_item,
+        deletedItem: result.data[field],
+        archived: !!options.archive,
         operation: 'delete'
       };
 
@@ -242,7 +255,7 @@ class ItemOperations {
         withUpdates: true
       };
 
-      const result = await this.executeWithRetry(mutation, variables);
+      const result = await this.request(mutation, variables);
       const duplicatedItem = result.data.duplicate_item;
 
       // Move to target group if specified
@@ -314,8 +327,8 @@ class ItemOperations {
           groupId: targetGroupId
         };
 
-        const result = await this.executeWithRetry(mutation, variables);
-        
+        const result = await this.request(mutation, variables);
+
         logOperation('moveItem', {
           itemId,
           targetBoardId,
@@ -351,8 +364,8 @@ class ItemOperations {
           groupId: targetGroupId
         };
 
-        const result = await this.executeWithRetry(mutation, variables);
-        
+        const result = await this.request(mutation, variables);
+
         logOperation('moveItem', {
           itemId,
           targetGroupId,
@@ -376,23 +389,63 @@ class ItemOperations {
     }
   }
 
+  /**
+   * Register compensating actions used to roll back item mutations
+   * @param {function} register - (type, build) where build receives (parameters, result, preImage)
+   */
+  registerCompensations(register) {
+    const deleteCreated = (parameters, result) => result.item?.id && {
+      type: 'delete_item',
+      parameters: { itemId: result.item.id }
+    };
+
+    register('create_item', deleteCreated);
+    register('duplicate_item', deleteCreated);
+
+    register('update_item', (parameters, result, preImage) => preImage?.previousValues && {
+      type: 'update_item',
+      parameters: {
+        boardId: parameters.boardId,
+        itemId: parameters.itemId,
+        columnValues: preImage.previousValues
+      }
+    });
+
+    register('move_item', (parameters, result, preImage) => preImage?.item && {
+      type: 'move_item',
+      parameters: {
+        itemId: parameters.itemId,
+        targetGroupId: preImage.item.group?.id,
+        targetBoardId: parameters.targetBoardId ? preImage.item.board?.id : null
+      }
+    });
+
+    register('delete_item', (parameters, result, preImage) => preImage?.item && {
+      type: 'restore_item',
+      parameters: {
+        boardId: preImage.item.board?.id,
+        itemData: preImage.item
+      }
+    });
+  }
+
   /**
    * Format column values according to Monday.com requirements
    * @private
    */
-  async formatColumnValues(boardId, columnValues) {
+  async formatColumnValues(boardId, columnValues, options = {}) {
     const formatted = {};
-    
+
     // Get board columns for proper formatting
     const boardColumns = await this.getBoardColumns(boardId);
-    
+
     for (const [columnId, value] of Object.entries(columnValues)) {
       const column = boardColumns.find(c => c.id === columnId);
       if (column) {
-        formatted[columnId] = formatColumnValue(column.type, value);
+        formatted[columnId] = formatColumnValue(column.type, value, options);
       }
     }
-    
+
     return formatted;
   }
 
@@ -414,33 +467,24 @@ class ItemOperations {
       }
     `;
 
-    const result = await this.client.request(query, { boardId });
+    const result = await this.request(query, { boardId });
     return result.data.boards[0].columns;
   }
 
   /**
-   * Execute GraphQL request with retry logic
+   * Run a query or mutation through the shared client
+   * The client paces calls against the account's complexity budget and
+   * retries rate-limited ones; GraphQL errors in the response are thrown.
    * @private
    */
-  async executeWithRetry(query, variables, attempt = 1) {
-    try {
-      return await this.client.request(query, variables);
-    } catch (error) {
-      if (attempt < this.retryLimit && this.isRetryableError(error)) {
-        await this.delay(this.retryDelay * attempt);
-        return this.executeWithRetry(query, variables, attempt + 1);
-      }
+  async request(query, variables) {
+    const result = await this.client.request(query, variables);
+    if (result?.errors?.length) {
+      const error = new Error(result.errors[0].message);
+      error.response = result;
       throw error;
     }
-  }
-
-  /**
-   * Check if error is retryable
-   * @private
-   */
-  isRetryableError(error) {
-    const retryableErrors = ['RATE_LIMIT_EXCEEDED', 'TIMEOUT', 'NETWORK_ERROR'];
-    return retryableErrors.some(e => error.message?.includes(e));
+    return result;
   }
 
   /**
@@ -453,14 +497,20 @@ class ItemOperations {
     }
     return error.message || 'An unexpected error occurred';
   }
+}
 
-  /**
-   * Delay helper
-   * @private
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+/**
+ * @private
+ */
+function logOperation(operation, details) {
+  logger.info(`Item operation ${operation} completed`, details);
+}
+
+/**
+ * @private
+ */
+function logError(operation, error, details) {
+  logger.error(`Item operation ${operation} failed`, { error: error.message, ...details });
 }
 
-export default new ItemOperations();
\ No newline at end of file
+module.exports = ItemOperations;
@@ -1,10 +1,14 @@
-// operations/user-operations.js
-import { mondayClient } from '../config/monday-client.js';
-import { logOperation, logError } from '../utils/logger.js';
+// services/operations/user.js
+const logger = require('../../utils/logger');
+const { mondayClient } = require('../../config/monday');
 
 class UserOperations {
-  constructor() {
-    this.client = mondayClient;
+  /**
+   * @param {object} [options]
+   * @param {object} [options.client] - monday.com API client
+   */
+  constructor({ client = mondayClient } = {}) {
+    this.client = client;
     this.cache = new Map(); // Cache user data for performance
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
@@ -24,7 +28,7 @@ class UserOperations {
 
       // Ensure userId is a number
       const numericUserId = parseInt(userId);
-      
+
       // Format the people column value
       const columnValue = {
         [columnId]: {
@@ -60,7 +64,7 @@ class UserOperations {
       };
 
       const result = await this.client.request(mutation, variables);
-      
+
       logOperation('assignUser', {
         itemId,
         userId,
@@ -99,7 +103,7 @@ class UserOperations {
 
       // First, get current assignees
       const currentAssignees = await this.getCurrentAssignees(itemId, columnId);
-      
+
       // Filter out the user to remove
       const numericUserId = parseInt(userId);
       const updatedAssignees = currentAssignees.filter(
@@ -136,7 +140,7 @@ class UserOperations {
       };
 
       const result = await this.client.request(mutation, variables);
-      
+
       logOperation('removeUser', {
         itemId,
         userId,
@@ -184,8 +188,8 @@ class UserOperations {
       const batchSize = 10;
       for (let i = 0; i < itemIds.length; i += batchSize) {
         const batch = itemIds.slice(i, i + batchSize);
-        
-        const batchPromises = batch.map(itemId => 
+
+        const batchPromises = batch.map(itemId =>
           this.assignUser(itemId, numericUserId, columnId)
             .then(result => {
               if (result.success) {
@@ -200,7 +204,7 @@ class UserOperations {
         );
 
         await Promise.all(batchPromises);
-        
+
         // Add delay between batches to respect rate limits
         if (i + batchSize < itemIds.length) {
           await this.delay(200);
@@ -237,6 +241,39 @@ class UserOperations {
     }
   }
 
+  /**
+   * Register compensating actions used to roll back assignments
+   * @param {function} register - (type, build) where build receives (parameters, result, preImage)
+   */
+  registerCompensations(register) {
+    register('assign_user', (parameters) => ({
+      type: 'remove_user',
+      parameters: {
+        itemId: parameters.itemId,
+        userId: parameters.userId,
+        columnId: parameters.columnId
+      }
+    }));
+
+    register('remove_user', (parameters) => ({
+      type: 'assign_user',
+      parameters: {
+        itemId: parameters.itemId,
+        userId: parameters.userId,
+        columnId: parameters.columnId
+      }
+    }));
+
+    register('bulk_assign', (parameters, result) => (result.results || []).map(({ itemId }) => ({
+      type: 'remove_user',
+      parameters: {
+        itemId,
+        userId: parameters.userId,
+        columnId: parameters.columnId
+      }
+    })));
+  }
+
   /**
    * Get available users for a board
    * @param {string} boardId - Board ID
@@ -290,10 +327,10 @@ class UserOperations {
 
       const result = await this.client.request(query, { boardId });
       const board = result.data.boards[0];
-      
+
       // Combine board subscribers and workspace users
       const allUsers = new Map();
-      
+
       // Add board subscribers
       board.subscribers.forEach(user => {
         allUsers.set(user.id, {
@@ -301,7 +338,7 @@ class UserOperations {
           source: 'board_subscriber'
         });
       });
-      
+
       // Add workspace users
       if (board.workspace?.users_subscribers) {
         board.workspace.users_subscribers.forEach(user => {
@@ -315,7 +352,7 @@ class UserOperations {
       }
 
       const users = Array.from(allUsers.values());
-      
+
       // Cache the result
       this.setCache(cacheKey, users);
 
@@ -384,15 +421,15 @@ class UserOperations {
       const result = await this.client.request(query, { boardId });
       const board = result.data.boards[0];
       const currentUser = result.data.me;
-      
+
       // Check if user is the current user
       const isCurrentUser = currentUser.id === parseInt(userId);
-      
+
       // Find user in subscribers
       const userSubscriber = board.subscribers.find(
         sub => sub.id === parseInt(userId)
       );
-      
+
       // Determine permissions based on operation
       const permissions = {
         canRead: true, // All subscribers can read
@@ -459,12 +496,12 @@ class UserOperations {
 
     const result = await this.client.request(query, { itemId: parseInt(itemId) });
     const columnValue = result.data.items[0]?.column_values[0];
-    
+
     if (columnValue?.value) {
       const parsedValue = JSON.parse(columnValue.value);
       return parsedValue.personsAndTeams || [];
     }
-    
+
     return [];
   }
 
@@ -508,4 +545,18 @@ class UserOperations {
   }
 }
 
-export default new UserOperations();
\ No newline at end of file
+/**
+ * @private
+ */
+function logOperation(operation, details) {
+  logger.info(`User operation ${operation} completed`, details);
+}
+
+/**
+ * @private
+ */
+function logError(operation, error, details) {
+  logger.error(`User operation ${operation} failed`, { error: error.message, ...details });
+}
+
+module.exports = UserOperations;
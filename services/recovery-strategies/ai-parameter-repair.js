@@ -0,0 +1,106 @@
+// services/recovery-strategies/ai-parameter-repair.js
+const Joi = require('joi');
+const AI_CONFIG = require('../../config/ai');
+const logger = require('../../utils/logger');
+
+// Parameters that choose what an operation acts on; a repair may not change them
+const PROTECTED_PARAMETERS = ['boardId', 'itemId', 'itemIds', 'sourceBoardId', 'targetBoardId', 'confirmationToken'];
+
+const repairSchema = Joi.object({
+  parameters: Joi.object().allow(null).required(),
+  changes: Joi.array().items(Joi.string()).default([])
+}).unknown(true);
+
+/**
+ * Asks the model to correct the parameters monday.com rejected
+ *
+ * The model sees the error together with the board's columns (IDs, types,
+ * status and dropdown labels), so it can pick the nearest valid label or the
+ * column ID a title referred to. The service re-validates the repaired
+ * parameters before the operation is retried.
+ */
+module.exports = {
+  name: 'ai-parameter-repair',
+  errorTypes: ['INVALID_DATA', 'UNKNOWN_ERROR'],
+  canRecover: true,
+
+  async recover(error, context, service) {
+    const { operation } = context;
+    const boardId = operation.parameters?.boardId || context.boardId;
+
+    if (!AI_CONFIG.llm.parameterRepair || !service.canUseModel() || !boardId) {
+      return { retry: false };
+    }
+
+    const columns = await service.validator.getBoardColumns(boardId);
+    const { provider, model } = await service.modelFor(context);
+
+    const { data } = await provider.completeJSON({
+      model,
+      system: 'You repair the parameters of Monday.com API operations that were rejected.',
+      prompt: `A "${operation.type}" operation failed.
+Error: ${error.message}${graphQLDetails(error)}
+
+Parameters:
+${JSON.stringify(operation.parameters, null, 2)}
+
+Board columns:
+${JSON.stringify(columns.map(describeColumn), null, 2)}
+
+Correct only what the error points at, e.g. use the nearest valid status label or the ID of the column that was meant.
+Respond as {"parameters": <corrected parameters>, "changes": ["<what you changed>"]}, or {"parameters": null} if the error cannot be fixed by changing the parameters.`,
+      maxTokens: 1000,
+      temperature: 0
+    }, { schema: repairSchema });
+
+    if (!data.parameters) {
+      return { retry: false };
+    }
+
+    const repaired = { ...data.parameters };
+    for (const key of PROTECTED_PARAMETERS) {
+      if (operation.parameters[key] === undefined) {
+        delete repaired[key];
+      } else {
+        repaired[key] = operation.parameters[key];
+      }
+    }
+
+    logger.info('Operation parameters repaired by model', {
+      operation: operation.type,
+      changes: data.changes
+    });
+
+    return { retry: true, newData: repaired, changes: data.changes };
+  }
+};
+
+/**
+ * Column as shown to the model, with the labels a value has to match
+ * @private
+ */
+function describeColumn(column) {
+  const description = { id: column.id, title: column.title, type: column.type };
+
+  try {
+    const settings = column.settings_str ? JSON.parse(column.settings_str) : {};
+    if (Array.isArray(settings.labels)) {
+      description.labels = settings.labels.map(label => label.name);
+    } else if (settings.labels) {
+      description.labels = Object.values(settings.labels);
+    }
+  } catch (error) {
+    // Columns without readable settings are described without labels
+  }
+
+  return description;
+}
+
+/**
+ * GraphQL errors attached to a failed request, if any
+ * @private
+ */
+function graphQLDetails(error) {
+  const errors = error.response?.errors || error.response?.data?.errors || error.errors;
+  return errors?.length ? `\nGraphQL errors: ${JSON.stringify(errors)}` : '';
+}
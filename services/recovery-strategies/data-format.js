@@ -0,0 +1,95 @@
+// services/recovery-strategies/data-format.js
+
+// Rewrites column values whose format monday.com rejects, guessing the
+// column type from the column ID
+module.exports = {
+  name: 'data-format',
+  errorTypes: ['INVALID_DATA'],
+  canRecover: true,
+
+  async recover(error, context) {
+    const fixed = attemptDataFix(context.operation);
+    return fixed ? { retry: true, newData: fixed } : { retry: false };
+  }
+};
+
+const fixes = {
+  // Fix date format issues
+  dateFormat: (value) => {
+    if (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}$/)) {
+      return value;
+    }
+    try {
+      const date = new Date(value);
+      return date.toISOString().split('T')[0];
+    } catch {
+      return null;
+    }
+  },
+
+  // Fix number format issues
+  numberFormat: (value) => {
+    if (typeof value === 'number') {
+      return value.toString();
+    }
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed.toString();
+  },
+
+  // Fix status format issues
+  statusFormat: (value) => {
+    if (typeof value === 'string') {
+      return { label: value };
+    }
+    return value;
+  },
+
+  // Fix people format issues
+  peopleFormat: (value) => {
+    if (typeof value === 'number') {
+      return { personsAndTeams: [{ id: value, kind: 'person' }] };
+    }
+    if (Array.isArray(value)) {
+      return {
+        personsAndTeams: value.map(id => ({ id, kind: 'person' }))
+      };
+    }
+    return value;
+  }
+};
+
+/**
+ * Attempt to fix common data issues
+ * @private
+ */
+function attemptDataFix(operation) {
+  if (!operation.parameters.columnValues) {
+    return null;
+  }
+
+  const fixed = {};
+  let hasChanges = false;
+
+  for (const [key, value] of Object.entries(operation.parameters.columnValues)) {
+    let fixedValue = value;
+
+    if (key.includes('date')) {
+      fixedValue = fixes.dateFormat(value);
+    } else if (key.includes('number') || key.includes('count')) {
+      fixedValue = fixes.numberFormat(value);
+    } else if (key.includes('status')) {
+      fixedValue = fixes.statusFormat(value);
+    } else if (key.includes('person') || key.includes('people')) {
+      fixedValue = fixes.peopleFormat(value);
+    }
+
+    if (fixedValue !== value) {
+      hasChanges = true;
+    }
+    fixed[key] = fixedValue;
+  }
+
+  return hasChanges
+    ? { ...operation.parameters, columnValues: fixed }
+    : null;
+}
@@ -0,0 +1,22 @@
+// services/recovery-strategies/duplicate-item.js
+
+// Suggests updating the existing item instead
+module.exports = {
+  name: 'duplicate-item',
+  errorTypes: ['DUPLICATE_ITEM'],
+  canRecover: true,
+
+  async recover(error, context) {
+    return {
+      retry: false,
+      suggestion: 'Item already exists. Would you like to update it instead?',
+      alternativeOperation: {
+        type: 'update_item',
+        parameters: {
+          ...context.operation.parameters,
+          itemId: error.existingItemId
+        }
+      }
+    };
+  }
+};
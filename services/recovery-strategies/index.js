@@ -0,0 +1,19 @@
+// services/recovery-strategies/index.js
+
+/**
+ * Recovery strategies registered by default, in the order they are tried
+ * for an error type. Each strategy is a module exporting:
+ *   name          - Unique name, also the key in AI_CONFIG.recovery.operationTypes
+ *   errorTypes    - Error types (see ErrorRecoveryService.classifyError) it handles
+ *   canRecover    - false for strategies that only explain the failure
+ *   recover       - async (error, context, service) => { retry, newData, ... }
+ */
+module.exports = [
+  require('./rate-limit'),
+  require('./network'),
+  require('./permission-denied'),
+  require('./data-format'),
+  require('./ai-parameter-repair'),
+  require('./item-not-found'),
+  require('./duplicate-item')
+];
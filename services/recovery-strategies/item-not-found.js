@@ -0,0 +1,44 @@
+// services/recovery-strategies/item-not-found.js
+
+module.exports = {
+  name: 'item-not-found',
+  errorTypes: ['ITEM_NOT_FOUND'],
+  canRecover: false,
+
+  async recover(error, context) {
+    return {
+      retry: false,
+      suggestion: 'The item may have been deleted or moved',
+      alternatives: findAlternatives(context)
+    };
+  }
+};
+
+/**
+ * Find alternative operations or items
+ * @private
+ */
+function findAlternatives(context) {
+  const alternatives = [];
+
+  // Suggest similar items
+  if (context.operation.parameters.itemId) {
+    alternatives.push({
+      type: 'search',
+      description: 'Search for similar items',
+      action: 'search_items'
+    });
+  }
+
+  // Suggest creating new item
+  if (context.operation.type.includes('update') ||
+      context.operation.type.includes('move')) {
+    alternatives.push({
+      type: 'create',
+      description: 'Create a new item instead',
+      action: 'create_item'
+    });
+  }
+
+  return alternatives;
+}
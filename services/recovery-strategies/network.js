@@ -0,0 +1,15 @@
+// services/recovery-strategies/network.js
+
+// Retries with exponential backoff
+module.exports = {
+  name: 'network',
+  errorTypes: ['NETWORK_ERROR'],
+  canRecover: true,
+
+  async recover(error, context, service) {
+    const attempt = context.attempt || 1;
+    const delay = Math.min(1000 * Math.pow(2, attempt), 30000);
+    await service.delay(delay);
+    return { retry: true, delay: 0 };
+  }
+};
@@ -0,0 +1,15 @@
+// services/recovery-strategies/permission-denied.js
+
+module.exports = {
+  name: 'permission-denied',
+  errorTypes: ['PERMISSION_DENIED'],
+  canRecover: false,
+
+  async recover() {
+    return {
+      retry: false,
+      suggestion: 'Check your permissions for this operation',
+      requiresUserAction: true
+    };
+  }
+};
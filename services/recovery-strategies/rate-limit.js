@@ -0,0 +1,17 @@
+// services/recovery-strategies/rate-limit.js
+const { mondayClient } = require('../../config/monday');
+
+// Waits out the delay monday.com reported, else the time until the
+// account's complexity budget resets, then retries
+module.exports = {
+  name: 'rate-limit',
+  errorTypes: ['RATE_LIMIT_EXCEEDED'],
+  canRecover: true,
+
+  async recover(error, context, service) {
+    const retryAfter = error.retryInSeconds ?? error.retryAfter ??
+      (mondayClient.budget(context.accountId).resetInSeconds || 60);
+    await service.delay(retryAfter * 1000);
+    return { retry: true, delay: 0 };
+  }
+};
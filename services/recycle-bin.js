@@ -0,0 +1,117 @@
+// services/recycle-bin.js
+const crypto = require('crypto');
+const RecycleBinEntryModel = require('../models/RecycleBinEntry');
+const PersistentStore = require('../utils/persistent-store');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Recently removed items and boards
+ *
+ * Every item or board an operation archives or deletes is recorded with a
+ * snapshot taken just before, so restore_item and restore_board can bring it
+ * back. Entries stay listed for the retention period
+ * (RECYCLE_BIN_RETENTION_DAYS) and are dropped afterwards.
+ */
+class RecycleBin {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.retentionDays] - Days an entry stays restorable
+   */
+  constructor({
+    retentionDays = parseInt(process.env.RECYCLE_BIN_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+  } = {}) {
+    this.retentionDays = retentionDays;
+    this.store = new PersistentStore(RecycleBinEntryModel, { key: 'entryId' });
+  }
+
+  /**
+   * Record a removed item or board
+   * @param {object} removal - { entityType, entityId, boardId, name, mode, snapshot, operationId }
+   * @param {object} context - Execution context (accountId, userId)
+   * @returns {Promise<object>} Recycle bin entry
+   */
+  async record(removal, context = {}) {
+    const removedAt = new Date();
+
+    return this.store.create({
+      entryId: crypto.randomUUID(),
+      entityType: removal.entityType,
+      entityId: String(removal.entityId),
+      boardId: removal.boardId ? String(removal.boardId) : undefined,
+      accountId: context.accountId ? String(context.accountId) : undefined,
+      userId: context.userId ? String(context.userId) : undefined,
+      name: removal.name,
+      mode: removal.mode || 'archive',
+      snapshot: removal.snapshot,
+      operationId: removal.operationId,
+      removedAt,
+      expiresAt: new Date(removedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000),
+      restoredAt: null
+    });
+  }
+
+  /**
+   * List restorable entries, newest first
+   * Restored and expired entries are left out.
+   * @param {object} filter - { accountId, boardId, entityType }
+   * @param {number} [limit]
+   * @returns {Promise<Array>}
+   */
+  async list({ accountId, boardId, entityType } = {}, limit = 50) {
+    const filter = { restoredAt: null, expiresAt: { $gt: new Date() } };
+    if (accountId) filter.accountId = String(accountId);
+    if (boardId) filter.boardId = String(boardId);
+    if (entityType) filter.entityType = entityType;
+
+    return this.store.find(filter, { sort: { removedAt: -1 }, limit });
+  }
+
+  /**
+   * Get an entry by ID, unless it has expired
+   * @returns {Promise<object|null>}
+   */
+  async get(entryId) {
+    const entry = await this.store.get(entryId);
+    if (!entry || new Date(entry.expiresAt) <= new Date()) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Mark an entry restored, once
+   * @param {string} entryId
+   * @param {string} restoredId - ID of the recreated item or board
+   * @returns {Promise<object|null>} Updated entry, or null when it was already restored
+   */
+  async markRestored(entryId, restoredId) {
+    return this.store.updateIf(entryId, { restoredAt: null }, {
+      restoredAt: new Date(),
+      restoredId: String(restoredId)
+    });
+  }
+
+  /**
+   * Mark every unrestored entry of an entity restored
+   * Undo and rollbacks restore from the snapshot directly, not by entry.
+   * @param {string} entityType - 'item' or 'board'
+   * @param {string} entityId - Original ID of the item or board
+   * @param {string} restoredId - ID of the recreated item or board
+   * @returns {Promise<number>} Number of updated entries
+   */
+  async markEntityRestored(entityType, entityId, restoredId) {
+    const entries = await this.store.find({ entityType, entityId: String(entityId), restoredAt: null });
+    let updated = 0;
+
+    for (const entry of entries) {
+      if (await this.markRestored(entry.entryId, restoredId)) {
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new RecycleBin();
@@ -0,0 +1,541 @@
+// services/rules-engine.js
+const OperationInterpreter = require('../nlp/operation-interpreter');
+const OperationMapper = require('../nlp/operation-mapper');
+const ItemActionTranslator = require('./item-actions');
+const AI_CONFIG = require('../config/ai');
+const automationRules = require('./automation-rules');
+const confirmations = require('./confirmations');
+const logger = require('../utils/logger');
+
+const ITEM_PLACEHOLDER = '{{itemId}}';
+const BOARD_PLACEHOLDER = '{{boardId}}';
+
+const SUPPORTED_EVENTS = ['create_item', 'change_column_value'];
+
+// "When <trigger>, <actions>" / "If <trigger> then <actions>"
+const RULE_PATTERN = /^\s*(?:when(?:ever)?|if|once|as soon as)\s+(.+?)(?:\s*,\s*(?:then\s+)?|\s+then\s+)(.+)$/is;
+
+const CREATED_PATTERN = /^(?:an?\s+|any\s+)?(?:new\s+)?(?:item|task|row|pulse)s?\s+(?:is\s+|are\s+|gets\s+)?(?:created|added)/i;
+
+// Checked in order; the first match wins
+const CONDITION_PATTERNS = [
+  { operator: 'empty', regex: /^(.+?)\s+(?:is|gets|becomes)\s+(?:cleared|emptied|empty|removed)$/i },
+  { operator: 'changes_from', regex: /^(.+?)\s+changes\s+from\s+(.+?)(?:\s+to\s+(.+))?$/i },
+  { operator: 'not_equals', regex: /^(.+?)\s+(?:is no longer|is not|isn't|stops being)\s+(.+)$/i },
+  { operator: 'equals', regex: /^(.+?)\s+(?:becomes|changes to|is changed to|is set to|gets set to|is updated to|turns|is|=)\s+(.+)$/i },
+  { operator: 'any', regex: /^(.+?)\s+(?:changes|is changed|is updated|is edited)$/i }
+];
+
+/**
+ * Natural language automation rules
+ * A rule such as "when Priority becomes Critical, assign Dana and move to
+ * Urgent" is compiled once into a trigger, a condition and a list of
+ * executor operations with item placeholders. Webhook events are matched
+ * against the compiled rules without another AI call. A rule whose actions
+ * delete is only saved with a confirmation token issued for exactly its
+ * compiled recipe, and only runs while the recipe is the one approved.
+ */
+class RulesEngine {
+  /**
+   * @param {OperationExecutor} executor - Executor used to run rule actions
+   * @param {object} [options]
+   * @param {OperationInterpreter} [options.interpreter]
+   * @param {AutomationRules} [options.rules] - Rule store
+   */
+  constructor(executor, { interpreter = null, rules = automationRules } = {}) {
+    this.executor = executor;
+    this.interpreter = interpreter || new OperationInterpreter();
+    this.mapper = new OperationMapper();
+    this.translator = new ItemActionTranslator(this.mapper);
+    this.rules = rules;
+
+    // Loop protection: items recently written by rules, keyed by item ID
+    this.chains = new Map();
+    this.chainTtl = 60 * 1000;
+    this.maxChainDepth = 3;
+  }
+
+  /**
+   * Compile and store a rule
+   * @param {string} instruction - Natural language rule
+   * @param {object} options
+   * @param {string} options.accountId
+   * @param {string} options.boardId - Board the rule watches
+   * @param {string} options.userId - Rule owner; actions run on their behalf
+   * @param {object} options.context - Monday context including the board structure
+   * @param {string} [options.confirmationToken] - Token approving destructive actions
+   * @returns {Promise<object>} { success, rule }, { success: false, error, clarifyingQuestions }
+   *   or, for destructive actions without a valid token, { success: false, error, code, confirmation }
+   */
+  async createRule(instruction, { accountId, boardId, userId, context = {}, confirmationToken = null }) {
+    try {
+      const recipe = await this.compile(instruction, { boardId, context });
+      const approval = await this.approve({ boardId, ...recipe }, { accountId, userId, confirmationToken });
+      const rule = await this.rules.create({
+        ruleId: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        accountId,
+        boardId,
+        createdBy: userId,
+        instruction,
+        ...recipe,
+        approval
+      });
+
+      logger.info('Automation rule created', {
+        ruleId: rule.ruleId,
+        boardId,
+        event: rule.trigger.event,
+        operations: rule.operations.map(op => op.type)
+      });
+
+      return { success: true, rule };
+    } catch (error) {
+      if (error.code?.startsWith('CONFIRMATION_')) {
+        return { success: false, error: error.message, code: error.code, confirmation: error.confirmation };
+      }
+
+      logger.warn('Automation rule could not be compiled', { boardId, error: error.message });
+      return {
+        success: false,
+        error: error.message,
+        clarifyingQuestions: error.clarifyingQuestions || []
+      };
+    }
+  }
+
+  /**
+   * Compile a rule into { trigger, condition, operations }
+   * @param {string} instruction - Natural language rule
+   * @param {object} options - { boardId, context }
+   * @returns {Promise<object>} Compiled recipe
+   */
+  async compile(instruction, { boardId, context = {} }) {
+    const match = (instruction || '').match(RULE_PATTERN);
+    if (!match) {
+      throw new Error('Rules must have the form "when <trigger>, <actions>"');
+    }
+
+    const board = context.boards?.find(b => String(b.id) === String(boardId)) || context.currentBoard;
+    if (!board) {
+      throw new Error(`Board ${boardId} not found in context`);
+    }
+
+    const [, triggerText, actionText] = match;
+    const { trigger, condition } = this.compileTrigger(triggerText.trim(), board, context);
+    const operations = await this.compileActions(actionText.trim(), board, context);
+
+    return { trigger, condition, operations };
+  }
+
+  /**
+   * Approval of a recipe's destructive actions by the rule's author
+   * Without a token the error carries a new one for exactly this recipe.
+   * @param {object} recipe - { boardId, trigger, condition, operations }
+   * @param {object} user - { accountId, userId, confirmationToken }
+   * @returns {Promise<object|null>} Approval to store on the rule; null when nothing is destructive
+   * @throws {Error} With code CONFIRMATION_* when the actions are not approved
+   */
+  async approve(recipe, { accountId, userId, confirmationToken }) {
+    if (!isDestructive(recipe)) {
+      return null;
+    }
+
+    const operation = approvalOperation(recipe);
+
+    if (!confirmationToken) {
+      const error = new Error('The rule deletes; save it again with confirmationToken to approve its actions');
+      error.code = 'CONFIRMATION_REQUIRED';
+      error.confirmation = await confirmations.issue(operation, { userId, accountId });
+      throw error;
+    }
+
+    const token = await confirmations.consume(confirmationToken, operation, { userId });
+    return {
+      approvedBy: String(userId),
+      approvedAt: new Date(),
+      tokenId: token.tokenId,
+      operationHash: token.operationHash
+    };
+  }
+
+  /**
+   * Handle a monday.com webhook event
+   * @param {object} event - Webhook event ({ type, ... })
+   * @param {object} [data] - Webhook data (board_id, item_id, column_id, ...)
+   * @returns {Promise<object>} { matched, executed, skipped }
+   */
+  async handleEvent(event, data = {}) {
+    const normalized = normalizeEvent(event, data);
+    const outcome = { event: normalized.type, matched: 0, executed: [], skipped: [] };
+
+    if (!SUPPORTED_EVENTS.includes(normalized.type) || !normalized.boardId || !normalized.itemId) {
+      return outcome;
+    }
+
+    const rules = (await this.rules.findMatching(normalized.boardId, normalized.type))
+      .filter(rule => this.matchesCondition(rule, normalized));
+    outcome.matched = rules.length;
+
+    if (rules.length === 0) {
+      return outcome;
+    }
+
+    // Events caused by our own rule actions continue the chain that caused them
+    const origin = this.chainFor(normalized);
+    const depth = origin ? origin.depth + 1 : 0;
+
+    for (const rule of rules) {
+      if (depth > this.maxChainDepth) {
+        outcome.skipped.push({ ruleId: rule.ruleId, reason: 'chain_depth_exceeded' });
+        continue;
+      }
+      if (origin?.rules.has(rule.ruleId)) {
+        outcome.skipped.push({ ruleId: rule.ruleId, reason: 'self_triggered' });
+        continue;
+      }
+
+      outcome.executed.push(await this.runRule(rule, normalized, { depth, origin }));
+    }
+
+    if (outcome.skipped.length > 0) {
+      logger.warn('Automation rules skipped by loop protection', {
+        itemId: normalized.itemId,
+        skipped: outcome.skipped
+      });
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Execute a rule's operations for the item that triggered it
+   * @private
+   */
+  async runRule(rule, event, { depth, origin }) {
+    const destructive = isDestructive(rule);
+    if (destructive && !isApproved(rule)) {
+      const error = 'The rule deletes but its actions were not approved with a confirmation token';
+      await this.rules.recordRun(rule, error);
+      logger.warn('Unapproved destructive automation rule not run', { ruleId: rule.ruleId, itemId: event.itemId });
+      return { ruleId: rule.ruleId, success: false, errors: [{ error, code: 'CONFIRMATION_REQUIRED' }] };
+    }
+
+    const recipe = rule.operations.map(({ type, parameters }) => ({ type, parameters }));
+    const operations = substitute(recipe, {
+      [ITEM_PLACEHOLDER]: String(event.itemId),
+      [BOARD_PLACEHOLDER]: String(event.boardId)
+    });
+    const firedRules = new Set([...(origin?.rules || []), rule.ruleId]);
+
+    // Register the writes before executing; monday.com may deliver the
+    // resulting webhooks before the mutations return
+    this.markChain(event.itemId, { depth, rules: firedRules, columns: writtenColumns(operations) });
+
+    const batch = await this.executor.executeBatch(operations, {
+      accountId: rule.accountId,
+      userId: rule.createdBy,
+      boardId: rule.boardId,
+      // One undo entry per run, on the stack of the rule's author
+      requestId: `${rule.ruleId}_${event.itemId}_${Date.now()}`,
+      // Destructive actions were approved with a token when the rule was saved
+      confirmed: destructive
+    }, { allOrNothing: operations.length > 1 });
+
+    for (const result of batch.results) {
+      if (result.item?.id) {
+        this.markChain(result.item.id, { depth, rules: firedRules, created: true });
+      }
+    }
+
+    const error = batch.success ? null : (batch.errors[0]?.error || 'Rule actions failed');
+    await this.rules.recordRun(rule, error);
+
+    logger.info('Automation rule executed', {
+      ruleId: rule.ruleId,
+      itemId: event.itemId,
+      success: batch.success,
+      depth,
+      rolledBack: batch.rolledBack
+    });
+
+    return {
+      ruleId: rule.ruleId,
+      success: batch.success,
+      batchId: batch.batchId,
+      errors: batch.errors
+    };
+  }
+
+  /**
+   * Check a compiled condition against an event
+   * @private
+   */
+  matchesCondition(rule, event) {
+    if (rule.trigger.event === 'create_item') {
+      return true;
+    }
+
+    if (String(rule.trigger.columnId) !== String(event.columnId)) {
+      return false;
+    }
+
+    const { operator, value, from } = rule.condition || {};
+    const current = valueTexts(event.value);
+
+    switch (operator) {
+    case 'equals':
+      return current.some(v => sameText(v, value));
+    case 'not_equals':
+      return !current.some(v => sameText(v, value));
+    case 'changes_from':
+      return valueTexts(event.previousValue).some(v => sameText(v, from)) &&
+        (value === undefined || value === null || current.some(v => sameText(v, value)));
+    case 'empty':
+      return current.length === 0;
+    default:
+      return true;
+    }
+  }
+
+  /**
+   * Compile the trigger clause of a rule
+   * @private
+   */
+  compileTrigger(text, board, context) {
+    if (CREATED_PATTERN.test(text)) {
+      return {
+        trigger: { event: 'create_item' },
+        condition: { operator: 'any' }
+      };
+    }
+
+    for (const { operator, regex } of CONDITION_PATTERNS) {
+      const match = text.match(regex);
+      if (!match) continue;
+
+      const column = this.translator.findColumn(match[1], board);
+      if (!column) continue;
+
+      const trigger = {
+        event: 'change_column_value',
+        columnId: column.id,
+        columnTitle: column.title,
+        columnType: column.type
+      };
+
+      const condition = { operator };
+      if (operator === 'changes_from') {
+        condition.from = this.conditionValue(match[2], column, context);
+        if (match[3]) condition.value = this.conditionValue(match[3], column, context);
+      } else if (operator === 'equals' || operator === 'not_equals') {
+        condition.value = this.conditionValue(match[2], column, context);
+      }
+
+      return { trigger, condition };
+    }
+
+    const error = new Error(`Could not understand the trigger "${text}"`);
+    error.clarifyingQuestions = [
+      `Which column should trigger this rule? Available columns: ${(board.columns || []).map(c => c.title).join(', ')}`
+    ];
+    throw error;
+  }
+
+  /**
+   * Compile the action clause into executor operations
+   * @private
+   */
+  async compileActions(text, board, context) {
+    const interpretations = await this.interpreter.detectMultipleOperations(text, {
+      ...context,
+      currentBoard: board
+    });
+
+    return interpretations.map(interpretation => {
+      if (interpretation.operation === 'ERROR' ||
+          interpretation.confidence < AI_CONFIG.confidence.thresholds.reject) {
+        const error = new Error(`Could not understand the action "${text}"`);
+        error.clarifyingQuestions = interpretation.clarifyingQuestions || [];
+        throw error;
+      }
+
+      return this.translator.toOperation(interpretation, board, context, {
+        itemId: ITEM_PLACEHOLDER,
+        boardId: BOARD_PLACEHOLDER
+      });
+    });
+  }
+
+  /**
+   * Normalise a condition value; people are stored by user ID
+   * @private
+   */
+  conditionValue(raw, column, context) {
+    const value = raw.trim().replace(/^["']|["']$/g, '');
+
+    if (column.type === 'people') {
+      const user = this.mapper._findUser(value, context);
+      if (user) return String(user.id);
+    }
+
+    return value;
+  }
+
+  /**
+   * Loop protection entry for an event, if a rule caused it
+   * @private
+   */
+  chainFor(event) {
+    const chain = this.chains.get(String(event.itemId));
+    if (!chain) return null;
+
+    if (chain.expiresAt < Date.now()) {
+      this.chains.delete(String(event.itemId));
+      return null;
+    }
+
+    const selfTriggered = event.type === 'create_item'
+      ? chain.created
+      : chain.columns.has(String(event.columnId));
+
+    return selfTriggered ? chain : null;
+  }
+
+  /**
+   * Remember writes made by a rule so the resulting events are recognised
+   * @private
+   */
+  markChain(itemId, { depth, rules, columns = [], created = false }) {
+    const now = Date.now();
+    for (const [key, chain] of this.chains) {
+      if (chain.expiresAt < now) this.chains.delete(key);
+    }
+
+    const existing = this.chains.get(String(itemId));
+    this.chains.set(String(itemId), {
+      depth: Math.max(depth, existing?.depth || 0),
+      rules: new Set([...(existing?.rules || []), ...rules]),
+      columns: new Set([...(existing?.columns || []), ...columns]),
+      created: created || !!existing?.created,
+      expiresAt: now + this.chainTtl
+    });
+  }
+}
+
+/**
+ * Accept both the documented { event, data } shape and monday.com's
+ * camelCase event payload
+ * @private
+ */
+function normalizeEvent(event = {}, data = {}) {
+  return {
+    type: event.type,
+    boardId: data.board_id || event.boardId,
+    itemId: data.item_id || data.pulse_id || event.pulseId || event.itemId,
+    columnId: data.column_id || event.columnId,
+    userId: data.user_id || event.userId,
+    value: data.value !== undefined ? data.value : event.value,
+    previousValue: data.previous_value !== undefined ? data.previous_value : event.previousValue
+  };
+}
+
+/**
+ * Comparable texts of a webhook column value
+ * @private
+ */
+function valueTexts(value) {
+  if (value === null || value === undefined || value === '') return [];
+  if (typeof value !== 'object') return [String(value)];
+
+  if (value.label !== undefined) {
+    return valueTexts(typeof value.label === 'object' ? value.label?.text : value.label);
+  }
+  if (Array.isArray(value.personsAndTeams)) {
+    return value.personsAndTeams.map(p => String(p.id));
+  }
+  if (Array.isArray(value.chosenValues)) {
+    return value.chosenValues.map(v => v.name);
+  }
+  if (value.date !== undefined) return valueTexts(value.date);
+  if (value.checked !== undefined) return [String(value.checked)];
+  if (value.value !== undefined) return valueTexts(value.value);
+  if (value.text !== undefined) return valueTexts(value.text);
+
+  return [];
+}
+
+function sameText(a, b) {
+  return a !== undefined && b !== undefined && b !== null &&
+    String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+/**
+ * Whether any of a recipe's actions needs a confirmation token
+ * @private
+ */
+function isDestructive(recipe) {
+  return (recipe.operations || []).some(operation => confirmations.requiresConfirmation(operation));
+}
+
+/**
+ * Whether a rule's recipe is still the one its author approved
+ * @private
+ */
+function isApproved(rule) {
+  return !!rule.approval?.operationHash &&
+    rule.approval.operationHash === confirmations.operationHash(approvalOperation(rule));
+}
+
+/**
+ * The operation confirmation tokens for a rule are issued for: its board and
+ * compiled recipe
+ * @private
+ */
+function approvalOperation({ boardId, trigger = {}, condition = {}, operations = [] }) {
+  return {
+    type: 'create_rule',
+    parameters: {
+      boardId: String(boardId),
+      trigger: {
+        event: trigger.event,
+        columnId: trigger.columnId,
+        columnTitle: trigger.columnTitle,
+        columnType: trigger.columnType
+      },
+      condition: { operator: condition.operator, value: condition.value, from: condition.from },
+      operations: operations.map(({ type, parameters }) => ({ type, parameters }))
+    }
+  };
+}
+
+/**
+ * Replace placeholders in operation parameters
+ * @private
+ */
+function substitute(value, replacements) {
+  if (typeof value === 'string') {
+    return replacements[value] !== undefined ? replacements[value] : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => substitute(v, replacements));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substitute(v, replacements)]));
+  }
+  return value;
+}
+
+/**
+ * Columns an operation list writes, for loop detection
+ * @private
+ */
+function writtenColumns(operations) {
+  const columns = [];
+  for (const { type, parameters = {} } of operations) {
+    if (type === 'update_item') columns.push(...Object.keys(parameters.columnValues || {}));
+    if (type === 'assign_user') columns.push(parameters.columnId);
+  }
+  return columns.filter(Boolean).map(String);
+}
+
+module.exports = RulesEngine;
@@ -0,0 +1,160 @@
+// services/transaction.js
+const logger = require('../utils/logger');
+
+/**
+ * Request-scoped transaction
+ * Records the compensating actions of every mutation executed inside it so a
+ * failure can roll earlier mutations back in reverse order. Each request
+ * creates its own Transaction, so concurrent requests never share state.
+ */
+class Transaction {
+  /**
+   * @param {OperationExecutor} executor - Executor used to run compensations
+   * @param {object} options
+   * @param {string} options.id - Transaction ID
+   * @param {object} options.context - Execution context for compensations
+   */
+  constructor(executor, { id, context = {} }) {
+    this.executor = executor;
+    this.id = id;
+    this.context = context;
+    this.steps = [];
+    this.status = 'open';
+  }
+
+  /**
+   * Register an executed mutation and its compensating action(s)
+   * @param {string} operationId - Operation ID
+   * @param {object} operation - Executed operation
+   * @param {object|Array|null} compensation - Operation(s) that reverse it; null when irreversible
+   */
+  record(operationId, operation, compensation) {
+    if (this.status !== 'open') {
+      throw new Error(`Transaction ${this.id} is already ${this.status}`);
+    }
+
+    this.steps.push({
+      operationId,
+      type: operation.type,
+      compensations: compensation ? [].concat(compensation) : [],
+      reversible: !!compensation
+    });
+  }
+
+  /**
+   * Mark the transaction as completed; recorded compensations are discarded
+   */
+  commit() {
+    this.status = 'committed';
+    this.steps = [];
+  }
+
+  /**
+   * Run every recorded compensation in reverse order
+   * A failed compensation does not stop the rollback; the report lists what
+   * could not be reverted so it can be fixed by hand.
+   * @returns {Promise<object>} Rollback report
+   */
+  async rollback() {
+    if (this.status !== 'open') {
+      throw new Error(`Transaction ${this.id} is already ${this.status}`);
+    }
+
+    const report = await this.compensate(this.steps);
+    this.status = 'rolled_back';
+
+    logger.info('Transaction rolled back', {
+      transactionId: this.id,
+      status: report.status,
+      compensated: report.compensated,
+      failed: report.failed,
+      irreversible: report.irreversible
+    });
+
+    return report;
+  }
+
+  /**
+   * Number of mutations recorded so far, to roll back to later
+   * @returns {number}
+   */
+  checkpoint() {
+    return this.steps.length;
+  }
+
+  /**
+   * Roll back the mutations recorded after a checkpoint and forget them
+   * The transaction stays open, so an operation that is about to be retried
+   * can undo its partial changes without leaving their compensations behind.
+   * @param {number} checkpoint - Value of checkpoint() before the mutations
+   * @returns {Promise<object>} Rollback report of those mutations
+   */
+  async rollbackTo(checkpoint) {
+    if (this.status !== 'open') {
+      throw new Error(`Transaction ${this.id} is already ${this.status}`);
+    }
+
+    const undone = this.steps.slice(checkpoint);
+    this.steps = this.steps.slice(0, checkpoint);
+
+    return this.compensate(undone);
+  }
+
+  /**
+   * Run the compensations of steps in reverse order
+   * @private
+   */
+  async compensate(recorded) {
+    const steps = [];
+
+    for (const step of [...recorded].reverse()) {
+      if (!step.reversible) {
+        steps.push({
+          operationId: step.operationId,
+          type: step.type,
+          status: 'irreversible',
+          compensations: []
+        });
+        continue;
+      }
+
+      const compensations = [];
+      for (const compensation of step.compensations) {
+        const result = await this.executor.execute(compensation, {
+          ...this.context,
+          operationId: undefined,
+          batchId: undefined,
+          transaction: undefined,
+          skipUndoHistory: true,
+          // Compensations reverse this transaction's own mutations
+          confirmed: true
+        });
+
+        compensations.push({
+          type: compensation.type,
+          operationId: result.operationId,
+          success: result.success,
+          error: result.error
+        });
+      }
+
+      steps.push({
+        operationId: step.operationId,
+        type: step.type,
+        status: compensations.every(c => c.success) ? 'compensated' : 'compensation_failed',
+        compensations
+      });
+    }
+
+    return {
+      transactionId: this.id,
+      status: steps.every(s => s.status === 'compensated') ? 'rolled_back' : 'partially_rolled_back',
+      compensated: steps.filter(s => s.status === 'compensated').length,
+      failed: steps.filter(s => s.status === 'compensation_failed').length,
+      irreversible: steps.filter(s => s.status === 'irreversible').length,
+      steps
+    };
+  }
+}
+
+module.exports = Transaction;
@@ -0,0 +1,182 @@
+// services/undo-history.js
+const UndoEntryModel = require('../models/UndoEntry');
+const PersistentStore = require('../utils/persistent-store');
+
+/**
+ * Per-user undo/redo stacks
+ * Operations executed for the same AI request (or batch) are grouped into
+ * one entry so they are undone and redone as a unit.
+ */
+class UndoHistory {
+  constructor() {
+    this.store = new PersistentStore(UndoEntryModel, { key: 'entryId' });
+    this.maxDepth = 50;
+  }
+
+  /**
+   * Push a completed operation onto the user's undo stack
+   * Recording new work discards the user's redo stack.
+   * @param {object} context - Execution context (accountId, userId, boardId, requestId, batchId)
+   * @param {object} step - { operationId, type, forward, inverse }
+   * @returns {Promise<object>} Undo entry
+   */
+  async record(context, step) {
+    const owner = this.ownerFilter(context);
+    const entryId = String(context.batchId || context.requestId || step.operationId);
+
+    const existing = await this.store.get(entryId);
+    if (existing && existing.state === 'done') {
+      return this.store.update(entryId, {
+        steps: [...existing.steps, { ...step, undone: false }]
+      });
+    }
+
+    await this.store.removeWhere({ ...owner, state: 'undone', entryId: { $ne: entryId } });
+
+    const fields = {
+      ...owner,
+      boardId: context.boardId ? String(context.boardId) : undefined,
+      steps: [{ ...step, undone: false }],
+      state: 'done',
+      recordedAt: new Date()
+    };
+
+    // An undone entry with this ID (its request is recorded again after an
+    // undo) starts over in place; entry IDs are unique
+    const entry = existing
+      ? await this.store.update(entryId, { ...fields, undoneAt: null })
+      : await this.store.create({ entryId, ...fields });
+
+    await this.trim(owner);
+
+    return entry;
+  }
+
+  /**
+   * Most recent entry that can be undone
+   */
+  async nextUndo(context) {
+    const [entry] = await this.store.find(
+      { ...this.ownerFilter(context), state: 'done' },
+      { sort: { recordedAt: -1 }, limit: 1 }
+    );
+    return entry || null;
+  }
+
+  /**
+   * Most recently undone entry
+   */
+  async nextRedo(context) {
+    const [entry] = await this.store.find(
+      { ...this.ownerFilter(context), state: 'undone' },
+      { sort: { undoneAt: -1 }, limit: 1 }
+    );
+    return entry || null;
+  }
+
+  /**
+   * Get an entry by ID
+   */
+  async get(entryId) {
+    return this.store.get(entryId);
+  }
+
+  /**
+   * Save step progress without changing the entry state
+   */
+  async saveSteps(entryId, steps) {
+    return this.store.update(entryId, { steps });
+  }
+
+  /**
+   * Move an entry to the redo stack
+   */
+  async markUndone(entryId, steps) {
+    return this.store.update(entryId, { steps, state: 'undone', undoneAt: new Date() });
+  }
+
+  /**
+   * Move an entry back to the undo stack
+   */
+  async markDone(entryId, steps) {
+    return this.store.update(entryId, { steps, state: 'done' });
+  }
+
+  /**
+   * Remove an entry, e.g. after its mutations were rolled back
+   */
+  async discard(entryId) {
+    return this.store.remove(entryId);
+  }
+
+  /**
+   * List a user's entries, newest first
+   */
+  async list(context, limit = 20) {
+    return this.store.find(this.ownerFilter(context), { sort: { recordedAt: -1 }, limit });
+  }
+
+  /**
+   * Point a user's stored operations at an item's new ID
+   * Restoring a deleted item recreates it under a new ID, so older entries
+   * referencing the original item have to follow it.
+   * @returns {Promise<number>} Number of updated entries
+   */
+  async remapItemId(context, oldItemId, newItemId) {
+    const entries = await this.store.find(this.ownerFilter(context));
+    let updated = 0;
+
+    for (const entry of entries) {
+      if (remapSteps(entry.steps, oldItemId, newItemId)) {
+        await this.store.update(entry.entryId, { steps: entry.steps });
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Keep only the newest maxDepth entries for a user
+   * @private
+   */
+  async trim(owner) {
+    const entries = await this.store.find(owner, { sort: { recordedAt: -1 } });
+    for (const entry of entries.slice(this.maxDepth)) {
+      await this.store.remove(entry.entryId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  ownerFilter(context) {
+    const filter = { userId: String(context.userId) };
+    if (context.accountId) {
+      filter.accountId = String(context.accountId);
+    }
+    return filter;
+  }
+}
+
+/**
+ * Replace an item ID inside undo steps in place
+ * @private
+ * @returns {boolean} Whether anything changed
+ */
+function remapSteps(steps, oldItemId, newItemId) {
+  let changed = false;
+
+  for (const step of steps || []) {
+    for (const operation of [step.forward, step.inverse]) {
+      if (operation?.parameters && String(operation.parameters.itemId) === String(oldItemId)) {
+        operation.parameters.itemId = String(newItemId);
+        changed = true;
+      }
+    }
+  }
+
+  return changed;
+}
+
+module.exports = new UndoHistory();
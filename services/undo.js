@@ -0,0 +1,177 @@
+// services/undo.js
+const undoHistory = require('./undo-history');
+const logger = require('../utils/logger');
+
+/**
+ * Multi-step undo/redo on top of OperationExecutor
+ * Entries are undone step by step in reverse order and redone in the
+ * original order. Each executed step stores the inverse of what it just did,
+ * so an entry can be flipped back and forth any number of times.
+ */
+class UndoService {
+  /**
+   * @param {OperationExecutor} executor - Executor used to run inverse operations
+   * @param {object} [history] - Undo history store
+   */
+  constructor(executor, history = undoHistory) {
+    this.executor = executor;
+    this.history = history;
+  }
+
+  /**
+   * Undo the user's most recent entry
+   * @param {object} context - Execution context (accountId, userId, accessToken)
+   * @returns {Promise<object>} Undo result
+   */
+  async undo(context) {
+    const entry = await this.history.nextUndo(context);
+    if (!entry) {
+      return { success: false, code: 'NOTHING_TO_UNDO', message: 'Nothing to undo' };
+    }
+
+    const pending = entry.steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => !step.undone)
+      .reverse();
+
+    const outcome = await this.runSteps(entry, pending, 'inverse', context);
+
+    if (outcome.success) {
+      await this.history.markUndone(entry.entryId, outcome.steps);
+    } else {
+      await this.history.saveSteps(entry.entryId, outcome.steps);
+    }
+
+    logger.info('Undo executed', {
+      entryId: entry.entryId,
+      userId: context.userId,
+      steps: outcome.results.length,
+      success: outcome.success
+    });
+
+    return {
+      success: outcome.success,
+      entryId: entry.entryId,
+      results: outcome.results,
+      error: outcome.error,
+      message: outcome.success
+        ? `Undid ${outcome.results.length} operation(s)`
+        : 'Undo stopped before completing; run undo again to retry the remaining operations'
+    };
+  }
+
+  /**
+   * Redo the user's most recently undone entry
+   * @param {object} context - Execution context (accountId, userId, accessToken)
+   * @returns {Promise<object>} Redo result
+   */
+  async redo(context) {
+    const entry = await this.history.nextRedo(context);
+    if (!entry) {
+      return { success: false, code: 'NOTHING_TO_REDO', message: 'Nothing to redo' };
+    }
+
+    const pending = entry.steps
+      .map((step, index) => ({ step, index }))
+      .filter(({ step }) => step.undone);
+
+    const outcome = await this.runSteps(entry, pending, 'forward', context);
+
+    if (outcome.success) {
+      await this.history.markDone(entry.entryId, outcome.steps);
+    } else {
+      await this.history.saveSteps(entry.entryId, outcome.steps);
+    }
+
+    logger.info('Redo executed', {
+      entryId: entry.entryId,
+      userId: context.userId,
+      steps: outcome.results.length,
+      success: outcome.success
+    });
+
+    return {
+      success: outcome.success,
+      entryId: entry.entryId,
+      results: outcome.results,
+      error: outcome.error,
+      message: outcome.success
+        ? `Redid ${outcome.results.length} operation(s)`
+        : 'Redo stopped before completing; run redo again to retry the remaining operations'
+    };
+  }
+
+  /**
+   * Get the user's undo/redo history, newest first
+   */
+  async getHistory(context, limit = 20) {
+    const entries = await this.history.list(context, limit);
+
+    return entries.map(entry => ({
+      entryId: entry.entryId,
+      state: entry.state,
+      boardId: entry.boardId,
+      operations: entry.steps.map(step => step.type),
+      recordedAt: entry.recordedAt,
+      undoneAt: entry.undoneAt
+    }));
+  }
+
+  /**
+   * Execute one side of each pending step, stopping at the first failure
+   * @private
+   */
+  async runSteps(entry, pending, side, context) {
+    const other = side === 'inverse' ? 'forward' : 'inverse';
+    const results = [];
+    let steps = entry.steps;
+
+    for (const { index } of pending) {
+      // Re-read the step; a restore earlier in the loop may have remapped its item ID
+      const step = steps[index];
+      const operation = step[side];
+      if (!operation) {
+        return { success: false, steps, results, error: `Operation ${step.type} cannot be reverted` };
+      }
+
+      const result = await this.executor.execute(operation, {
+        ...context,
+        operationId: undefined,
+        requestId: undefined,
+        batchId: undefined,
+        skipUndoHistory: true,
+        // Undo reverts, and redo repeats, operations that already ran
+        confirmed: true
+      });
+
+      results.push({
+        type: operation.type,
+        operationId: result.operationId,
+        success: result.success,
+        error: result.error
+      });
+
+      if (!result.success) {
+        return { success: false, steps, results, error: result.error };
+      }
+
+      // What was just executed has its own inverse; it becomes the other side
+      const reverse = await this.executor.getUndoData(result.operationId);
+      steps[index] = {
+        ...step,
+        undone: side === 'inverse',
+        [other]: reverse || step[other]
+      };
+
+      if (result.restoredFrom && result.item?.id) {
+        await this.history.saveSteps(entry.entryId, steps);
+        await this.history.remapItemId(context, result.restoredFrom, result.item.id);
+        steps = (await this.history.get(entry.entryId)).steps;
+      }
+    }
+
+    return { success: true, steps, results };
+  }
+}
+
+module.exports = UndoService;
@@ -0,0 +1,411 @@
+// services/update-commands.js
+const OperationInterpreter = require('../nlp/operation-interpreter');
+const OperationMapper = require('../nlp/operation-mapper');
+const ItemActionTranslator = require('./item-actions');
+const ItemSnapshotService = require('./item-snapshots');
+const ContextService = require('./context');
+const confirmations = require('./confirmations');
+const PendingCommandModel = require('../models/PendingCommand');
+const PersistentStore = require('../utils/persistent-store');
+const AI_CONFIG = require('../config/ai');
+const { mondayClient, mondayConfig } = require('../config/monday');
+const { runWithMondayContext } = require('../utils/monday-api');
+const logger = require('../utils/logger');
+
+const CONFIRM_COMMAND = /^confirm\b/i;
+
+// Shared by all instances, like the MongoDB collection behind it
+const pendingCommands = new PersistentStore(PendingCommandModel, { key: 'pendingId' });
+
+/**
+ * @mention commands in item updates
+ * "@AIWorkflow move this to Done and assign Sarah" posted on an item is
+ * interpreted with that item as context, executed, and answered with a reply
+ * in the same update thread. Destructive commands wait until the same user
+ * replies "@AIWorkflow confirm" on the item; waiting commands are stored, so
+ * a confirmation still finds them after a restart until their tokens expire.
+ */
+class UpdateCommandService {
+  /**
+   * @param {OperationExecutor} executor - Executor used to run commands
+   * @param {object} [options]
+   * @param {OperationInterpreter} [options.interpreter]
+   * @param {object} [options.client] - Monday API client
+   * @param {ContextService} [options.contextService]
+   * @param {string} [options.mentionHandle] - Name users @mention
+   */
+  constructor(executor, {
+    interpreter = null,
+    client = mondayClient,
+    contextService = null,
+    mentionHandle = mondayConfig.mentionHandle
+  } = {}) {
+    this.executor = executor;
+    this.interpreter = interpreter || new OperationInterpreter();
+    this.client = client;
+    this.contextService = contextService || new ContextService(client);
+    this.snapshots = new ItemSnapshotService(client);
+    this.mapper = new OperationMapper();
+    this.translator = new ItemActionTranslator(this.mapper);
+    this.mentionHandle = mentionHandle;
+
+    // Replies we posted also arrive as create_update events
+    this.postedReplies = new Set();
+    this.maxTrackedReplies = 500;
+
+    // Destructive commands awaiting confirmation, by item and user
+    this.pendingConfirmations = pendingCommands;
+  }
+
+  /**
+   * Extract the command following the app mention
+   * @param {string} body - Update body (HTML or plain text)
+   * @returns {string|null} Command text, or null when the app is not mentioned
+   */
+  extractCommand(body) {
+    const text = htmlToText(body);
+    const handle = this.mentionHandle.replace(/^@/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const mention = new RegExp(`(^|\\s)@${handle}\\b[:,]?`, 'i');
+
+    if (!mention.test(text)) {
+      return null;
+    }
+
+    const command = text.replace(mention, ' ').replace(/\s+/g, ' ').trim();
+    return command || null;
+  }
+
+  /**
+   * Handle a create_update webhook
+   * @param {object} event - Webhook event
+   * @param {object} [data] - Webhook data (update_id, item_id, board_id, user_id, body)
+   * @returns {Promise<object>} { handled, executed, questions, results }
+   */
+  async handleUpdate(event = {}, data = {}) {
+    const update = normalizeUpdate(event, data);
+
+    if (this.postedReplies.has(String(update.updateId))) {
+      return { handled: false, reason: 'own_reply' };
+    }
+
+    const command = this.extractCommand(update.body);
+    if (!command || !update.itemId) {
+      return { handled: false, reason: 'no_command' };
+    }
+
+    // Item lookups and replies count against the budget of the author's account
+    return runWithMondayContext({ accountId: update.accountId }, () => (CONFIRM_COMMAND.test(command)
+      ? this.runConfirmed(update)
+      : this.runCommand(update, command)));
+  }
+
+  /**
+   * Interpret a command on its item and run it, or ask about it
+   * @private
+   */
+  async runCommand(update, command) {
+    logger.info('Processing update command', {
+      updateId: update.updateId,
+      itemId: update.itemId,
+      userId: update.userId
+    });
+
+    const item = await this.snapshots.captureItem(update.itemId);
+    if (!item) {
+      await this.reply(update, [`I couldn't load item ${update.itemId}, so nothing was changed.`]);
+      return { handled: true, executed: false, error: 'Item not found' };
+    }
+
+    const boardId = String(update.boardId || item.board?.id);
+    const context = await this.contextService.gatherContext({
+      accountId: update.accountId,
+      boardId,
+      userId: update.userId
+    });
+    context.currentItem = item;
+
+    const board = context.currentBoard || context.boards?.find(b => String(b.id) === boardId);
+    if (!board) {
+      await this.reply(update, [`I couldn't load board ${boardId}, so nothing was changed.`]);
+      return { handled: true, executed: false, error: 'Board not found' };
+    }
+
+    const interpretations = await this.interpreter.detectMultipleOperations(command, {
+      ...context,
+      currentBoard: board
+    });
+
+    const { operations, questions } = this.translate(interpretations, board, context, {
+      itemId: String(item.id),
+      boardId
+    });
+
+    if (questions.length > 0) {
+      await this.reply(update, ['I need a bit more information before making changes:', ...questions]);
+      return { handled: true, executed: false, questions };
+    }
+
+    if (operations.some(operation => confirmations.requiresConfirmation(operation))) {
+      return this.requestConfirmation(update, operations, board, context);
+    }
+
+    return this.run(update, operations, board, context);
+  }
+
+  /**
+   * Execute a command's operations and reply with the outcome
+   * @private
+   */
+  async run(update, operations, board, context) {
+    const batch = await this.executor.executeBatch(operations, {
+      accountId: update.accountId,
+      userId: update.userId,
+      boardId: String(board.id),
+      requestId: `update_${update.updateId}`
+    }, { allOrNothing: operations.length > 1 });
+
+    await this.reply(update, this.summarize(operations, batch, board, context));
+
+    logger.info('Update command executed', {
+      updateId: update.updateId,
+      itemId: update.itemId,
+      operations: operations.map(op => op.type),
+      success: batch.success
+    });
+
+    return { handled: true, executed: true, success: batch.success, batchId: batch.batchId, results: batch.results };
+  }
+
+  /**
+   * Hold a destructive command until its author confirms it
+   * Each destructive operation gets its confirmation token now; the tokens
+   * are spent when the command runs.
+   * @private
+   */
+  async requestConfirmation(update, operations, board, context) {
+    const user = { userId: update.userId, accountId: update.accountId };
+    let expiresAt = null;
+
+    const pending = [];
+    for (const operation of operations) {
+      if (!confirmations.requiresConfirmation(operation)) {
+        pending.push(operation);
+        continue;
+      }
+
+      const confirmation = await confirmations.issue(operation, user);
+      expiresAt = confirmation.expiresAt;
+      pending.push({
+        ...operation,
+        parameters: { ...operation.parameters, confirmationToken: confirmation.token }
+      });
+    }
+
+    // A new command replaces the one the user had not confirmed yet
+    const pendingId = pendingKey(update);
+    await this.pendingConfirmations.removeWhere({ expiresAt: { $lte: new Date() } });
+    await this.pendingConfirmations.remove(pendingId);
+    await this.pendingConfirmations.create({
+      pendingId,
+      accountId: update.accountId ? String(update.accountId) : undefined,
+      itemId: String(update.itemId),
+      userId: String(update.userId),
+      operations: pending,
+      board,
+      users: context.users || [],
+      expiresAt
+    });
+
+    const minutes = Math.round((expiresAt - Date.now()) / 60000);
+    await this.reply(update, [
+      `This cannot be undone from monday.com: ${operations.map(op => op.type.replace(/_/g, ' ')).join(', ')}.`,
+      `Reply "@${this.mentionHandle.replace(/^@/, '')} confirm" within ${minutes} minutes to go ahead.`
+    ]);
+
+    return { handled: true, executed: false, awaitingConfirmation: true, expiresAt };
+  }
+
+  /**
+   * Run the command the user is confirming
+   * @private
+   */
+  async runConfirmed(update) {
+    const key = pendingKey(update);
+    const pending = await this.pendingConfirmations.get(key);
+
+    // Only the confirmation that removes the command runs it
+    const taken = pending ? await this.pendingConfirmations.remove(key) : false;
+
+    if (!taken || new Date(pending.expiresAt) <= new Date()) {
+      await this.reply(update, ['Nothing on this item is waiting for your confirmation.']);
+      return { handled: true, executed: false, reason: 'nothing_to_confirm' };
+    }
+
+    return this.run(update, pending.operations, pending.board, { users: pending.users });
+  }
+
+  /**
+   * Turn interpretations into executor operations, collecting anything that
+   * needs clarification instead
+   * @private
+   */
+  translate(interpretations, board, context, target) {
+    const operations = [];
+    const questions = [];
+
+    for (const interpretation of interpretations) {
+      if (interpretation.operation === 'ERROR' ||
+          interpretation.confidence < AI_CONFIG.confidence.thresholds.requestClarification) {
+        questions.push(...(interpretation.clarifyingQuestions?.length
+          ? interpretation.clarifyingQuestions
+          : ['Could you please rephrase your request?']));
+        continue;
+      }
+
+      try {
+        operations.push(this.translator.toOperation(interpretation, board, context, target));
+      } catch (error) {
+        questions.push(error.message);
+      }
+    }
+
+    return { operations, questions };
+  }
+
+  /**
+   * Describe the outcome of each executed operation
+   * @private
+   */
+  summarize(operations, batch, board, context) {
+    const lines = [];
+
+    operations.forEach((operation, index) => {
+      const result = batch.results[index];
+      const action = this.describe(operation, board, context);
+
+      if (!result) {
+        lines.push(`Skipped: ${action}`);
+      } else if (result.success) {
+        lines.push(`Done: ${action}`);
+      } else {
+        lines.push(`Failed: ${action} (${result.error || 'unknown error'})`);
+      }
+    });
+
+    if (batch.rolledBack) {
+      lines.push('Because a step failed, the completed steps were rolled back.');
+    } else if (batch.success) {
+      lines.push('Use undo in the app to revert these changes.');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Human readable description of an operation
+   * @private
+   */
+  describe({ type, parameters }, board, context) {
+    const columnTitle = id => (board.columns || []).find(c => c.id === id)?.title || id;
+
+    switch (type) {
+    case 'update_item':
+      return `updated ${Object.keys(parameters.columnValues || {}).map(columnTitle).join(', ')}`;
+    case 'move_item':
+      return `moved to ${(board.groups || []).find(g => g.id === parameters.targetGroupId)?.title || parameters.targetGroupId}`;
+    case 'assign_user':
+      return `assigned ${(context.users || []).find(u => String(u.id) === String(parameters.userId))?.name || parameters.userId}`;
+    case 'create_item':
+      return `created item "${parameters.itemName}"`;
+    case 'delete_item':
+      return 'deleted this item';
+    default:
+      return type;
+    }
+  }
+
+  /**
+   * Post a reply in the command's update thread
+   * @private
+   */
+  async reply(update, lines) {
+    const mutation = `
+      mutation ReplyToUpdate($itemId: ID!, $parentId: ID, $body: String!) {
+        create_update(item_id: $itemId, parent_id: $parentId, body: $body) {
+          id
+        }
+      }
+    `;
+
+    try {
+      const response = await this.client.api(mutation, {
+        itemId: String(update.itemId),
+        parentId: (update.parentId || update.updateId) ? String(update.parentId || update.updateId) : null,
+        body: lines.map(line => `<p>${escapeHtml(line)}</p>`).join('')
+      });
+
+      if (response.errors?.length) {
+        throw new Error(response.errors[0].message);
+      }
+
+      const replyId = response.data?.create_update?.id;
+      if (replyId) {
+        this.postedReplies.add(String(replyId));
+        if (this.postedReplies.size > this.maxTrackedReplies) {
+          this.postedReplies.delete(this.postedReplies.values().next().value);
+        }
+      }
+
+      return replyId;
+    } catch (error) {
+      logger.error('Failed to post update reply', { itemId: update.itemId, error: error.message });
+      return null;
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function pendingKey(update) {
+  return `${update.itemId}:${update.userId}`;
+}
+
+/**
+ * Accept both the documented { event, data } shape and monday.com's
+ * camelCase event payload
+ * @private
+ */
+function normalizeUpdate(event, data) {
+  return {
+    updateId: data.update_id || event.updateId || event.replyId,
+    parentId: data.parent_id || event.parentId,
+    itemId: data.item_id || data.pulse_id || event.pulseId || event.itemId,
+    boardId: data.board_id || event.boardId,
+    userId: data.user_id || event.userId,
+    accountId: data.account_id || event.accountId,
+    body: data.text_body || data.body || event.textBody || event.body || ''
+  };
+}
+
+function htmlToText(body) {
+  return String(body || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<\/p>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = UpdateCommandService;
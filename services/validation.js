@@ -1,5 +1,6 @@
 // services/validation-service.js
 const { mondayClient } = require('../config/monday');
+const { iterateItems } = require('../utils/items-pager');
 
 class ValidationService {
   constructor() {
@@ -616,20 +617,21 @@ class ValidationService {
 
   async checkDuplicateItem(boardId, itemName) {
     try {
-      const query = `
-        query CheckDuplicate($boardId: [ID!]) {
-          boards(ids: $boardId) {
-            items_page(limit: 10) {
-              items {
-                name
-              }
-            }
-          }
+      // Narrow to names containing the new one, then page through every match
+      const target = itemName.toLowerCase();
+      const items = iterateItems(mondayClient, boardId, {
+        queryParams: {
+          rules: [{ column_id: 'name', compare_value: [itemName], operator: 'contains_text' }]
+        },
+        fields: 'id name'
+      });
+
+      for await (const item of items) {
+        if (item.name.toLowerCase() === target) {
+          return true;
         }
-      `;
-      const result = await mondayClient.request(query, { boardId: [boardId] });
-      const items = result.data.boards[0]?.items_page?.items || [];
-      return items.some(item => item.name.toLowerCase() === itemName.toLowerCase());
+      }
+      return false;
     } catch {
       return false;
     }
@@ -661,7 +663,7 @@ class ValidationService {
       'assign_user': ['itemId', 'userId', 'columnId'],
       'create_board': ['boardName'],
       'bulk_update': ['itemIds', 'columnValues'],
-      'bulk_delete': ['itemIds', 'confirmationToken'],
+      'bulk_delete': ['itemIds'],
       'create_automation': ['boardId', 'trigger', 'actions', 'name']
     };
 
@@ -680,8 +682,10 @@ class ValidationService {
       'move_item': ['canWrite'],
       'duplicate_item': ['canWrite'],
       'assign_user': ['canWrite'],
+      'restore_item': ['canWrite'],
       'create_board': ['canManageBoard'],
       'delete_board': ['canManageBoard'],
+      'restore_board': ['canManageBoard'],
       'bulk_update': ['canWrite'],
       'bulk_delete': ['canDelete'],
       'create_automation': ['canManageBoard']
@@ -0,0 +1,384 @@
+// services/webhook-inbox.js
+const crypto = require('crypto');
+const WebhookEventModel = require('../models/WebhookEvent');
+const WebhookDeadLetterModel = require('../models/WebhookDeadLetter');
+const PersistentStore = require('../utils/persistent-store');
+const logger = require('../utils/logger');
+
+const FINAL_STATUSES = ['processed', 'dead_lettered'];
+
+/**
+ * Persisted inbox for monday.com webhooks
+ * Events are stored before they are acknowledged, deduplicated by event ID,
+ * processed asynchronously with exponential backoff, and moved to a
+ * dead-letter collection once they run out of attempts. An attempt holds a
+ * lease on its event; an event whose lease ran out (the process crashed or
+ * restarted mid-attempt) is picked up again by the retry sweep.
+ */
+class WebhookInbox {
+  /**
+   * @param {Function} handler - async (payload) => void; throws when processing fails
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts] - Attempts before an event is dead-lettered
+   * @param {number} [options.retryDelay] - Delay before the first retry (ms)
+   * @param {number} [options.maxRetryDelay] - Upper bound for the backoff (ms)
+   * @param {number} [options.processingTimeout] - Lease of an attempt (ms)
+   */
+  constructor(handler, {
+    maxAttempts = 5,
+    retryDelay = 5000,
+    maxRetryDelay = 5 * 60 * 1000,
+    processingTimeout = 5 * 60 * 1000
+  } = {}) {
+    this.handler = handler;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.processingTimeout = processingTimeout;
+
+    this.inbox = new PersistentStore(WebhookEventModel, { key: 'eventId' });
+    this.deadLetters = new PersistentStore(WebhookDeadLetterModel, { key: 'eventId' });
+    this.memoryRetention = 24 * 60 * 60 * 1000; // 24 hours
+
+    this.inFlight = new Set();
+    this.timers = new Map();
+    this.sweeper = null;
+  }
+
+  /**
+   * Identify an event; redeliveries of the same event get the same ID
+   * @param {object} body - Webhook request body
+   * @returns {string} Event ID
+   */
+  eventIdFor(body = {}) {
+    const explicit = body.event?.triggerUuid || body.event?.id || body.event_id || body.data?.event_id;
+    if (explicit) {
+      return String(explicit);
+    }
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+    return `sha256:${hash}`;
+  }
+
+  /**
+   * Store an incoming event
+   * @param {object} body - Webhook request body
+   * @returns {Promise<object>} { entry, duplicate }
+   */
+  async receive(body) {
+    if (!this.inbox.isPersistent()) {
+      await this.pruneMemory();
+    }
+
+    const eventId = this.eventIdFor(body);
+    const existing = await this.inbox.get(eventId);
+
+    if (existing) {
+      await this.inbox.update(eventId, { duplicates: (existing.duplicates || 0) + 1 });
+      logger.info('Duplicate webhook ignored', { eventId, status: existing.status });
+      return { entry: existing, duplicate: true };
+    }
+
+    try {
+      const entry = await this.inbox.create({
+        eventId,
+        type: body.event?.type,
+        boardId: stringOrUndefined(body.data?.board_id || body.event?.boardId),
+        itemId: stringOrUndefined(body.data?.item_id || body.event?.pulseId),
+        payload: body,
+        status: 'received',
+        attempts: 0,
+        failures: [],
+        duplicates: 0,
+        receivedAt: new Date()
+      });
+
+      return { entry, duplicate: false };
+    } catch (error) {
+      // Concurrent redelivery won the insert
+      if (error.code === 11000) {
+        return { entry: await this.inbox.get(eventId), duplicate: true };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Process an event in the background
+   * @param {string} eventId - Event ID
+   * @param {number} [delay] - Delay in ms
+   */
+  schedule(eventId, delay = 0) {
+    clearTimeout(this.timers.get(eventId));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(eventId);
+      this.process(eventId).catch(error => {
+        logger.error('Webhook processing crashed', { eventId, error: error.message });
+      });
+    }, delay);
+    timer.unref?.();
+
+    this.timers.set(eventId, timer);
+  }
+
+  /**
+   * Run one processing attempt
+   * @param {string} eventId - Event ID
+   * @returns {Promise<object|null>} Updated inbox entry, or null when the
+   *   attempt is already running here or another instance claimed it
+   */
+  async process(eventId) {
+    if (this.inFlight.has(eventId)) {
+      return null;
+    }
+    this.inFlight.add(eventId);
+
+    try {
+      const entry = await this.inbox.get(eventId);
+      if (!entry || FINAL_STATUSES.includes(entry.status)) {
+        return entry;
+      }
+
+      // Claim the attempt only if no other instance took the event since it
+      // was read
+      const attempts = (entry.attempts || 0) + 1;
+      const claimed = await this.inbox.updateIf(eventId, { status: entry.status, attempts: entry.attempts }, {
+        status: 'processing',
+        attempts,
+        startedAt: new Date(),
+        nextAttemptAt: null
+      });
+      if (!claimed) {
+        logger.info('Webhook already claimed by another worker', { eventId });
+        return null;
+      }
+
+      try {
+        await this.handler(entry.payload);
+      } catch (error) {
+        return this.recordFailure(entry, attempts, error);
+      }
+
+      logger.info('Webhook processed', { eventId, type: entry.type, attempts });
+
+      return this.inbox.update(eventId, {
+        status: 'processed',
+        processedAt: new Date(),
+        lastError: null
+      });
+    } finally {
+      this.inFlight.delete(eventId);
+    }
+  }
+
+  /**
+   * Reset a failed or dead-lettered event and process it again
+   * @param {string} eventId - Event ID
+   * @returns {Promise<object|null>} Inbox entry after the replay attempt
+   */
+  async replay(eventId) {
+    const entry = await this.inbox.get(eventId);
+    if (!entry) {
+      return null;
+    }
+
+    // A stored 'processing' status may be left over from a crash
+    if (this.inFlight.has(eventId)) {
+      throw new Error(`Webhook ${eventId} is currently being processed`);
+    }
+
+    clearTimeout(this.timers.get(eventId));
+    this.timers.delete(eventId);
+
+    await this.inbox.update(eventId, {
+      status: 'received',
+      attempts: 0,
+      nextAttemptAt: null,
+      replayedAt: new Date()
+    });
+    await this.deadLetters.remove(eventId);
+
+    logger.info('Replaying webhook', { eventId, previousStatus: entry.status });
+
+    return this.process(eventId);
+  }
+
+  /**
+   * Inbox entry with its dead letter, if any
+   */
+  async inspect(eventId) {
+    const entry = await this.inbox.get(eventId);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      ...entry,
+      deadLetter: await this.deadLetters.get(eventId)
+    };
+  }
+
+  /**
+   * List inbox entries, newest first
+   * @param {object} filter - { status, type }
+   * @param {number} limit
+   */
+  async list({ status, type } = {}, limit = 50) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    return this.inbox.find(filter, { sort: { receivedAt: -1 }, limit });
+  }
+
+  /**
+   * List dead-lettered events, newest first
+   */
+  async listDeadLetters(limit = 50) {
+    return this.deadLetters.find({}, { sort: { deadLetteredAt: -1 }, limit });
+  }
+
+  /**
+   * Periodically pick up retries that are due, including those scheduled
+   * before a restart
+   * @param {number} [interval] - Sweep interval in ms
+   */
+  start(interval = 30000) {
+    if (this.sweeper) return;
+
+    this.sweeper = setInterval(() => {
+      this.retryDue().catch(error => {
+        logger.error('Webhook retry sweep failed', { error: error.message });
+      });
+    }, interval);
+    this.sweeper.unref?.();
+  }
+
+  /**
+   * Stop the sweeper and pending retries
+   */
+  stop() {
+    clearInterval(this.sweeper);
+    this.sweeper = null;
+
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Process events whose retry is due, that were never picked up, or whose
+   * processing lease ran out
+   * @private
+   */
+  async retryDue() {
+    const now = new Date();
+    const due = [
+      ...await this.inbox.find({ status: 'failed', nextAttemptAt: { $lte: now } }),
+      ...await this.inbox.find({ status: 'received', receivedAt: { $lte: new Date(now.getTime() - 60000) } }),
+      ...await this.inbox.find({
+        status: 'processing',
+        startedAt: { $lte: new Date(now.getTime() - this.processingTimeout) }
+      })
+    ];
+
+    for (const entry of due) {
+      if (!this.inFlight.has(entry.eventId) && !this.timers.has(entry.eventId)) {
+        if (entry.status === 'processing') {
+          logger.warn('Webhook processing lease expired; processing again', {
+            eventId: entry.eventId,
+            attempts: entry.attempts
+          });
+        }
+        await this.process(entry.eventId);
+      }
+    }
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the event when attempts are exhausted
+   * @private
+   */
+  async recordFailure(entry, attempts, error) {
+    const failures = [
+      ...(entry.failures || []),
+      { attempt: attempts, error: error.message, failedAt: new Date() }
+    ];
+
+    if (attempts >= this.maxAttempts) {
+      return this.deadLetter(entry, attempts, failures, error);
+    }
+
+    const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+
+    logger.warn('Webhook processing failed; retry scheduled', {
+      eventId: entry.eventId,
+      type: entry.type,
+      attempts,
+      retryInMs: delay,
+      error: error.message
+    });
+
+    const updated = await this.inbox.update(entry.eventId, {
+      status: 'failed',
+      lastError: error.message,
+      failures,
+      nextAttemptAt: new Date(Date.now() + delay)
+    });
+
+    this.schedule(entry.eventId, delay);
+
+    return updated;
+  }
+
+  /**
+   * Move a poison event to the dead-letter collection
+   * @private
+   */
+  async deadLetter(entry, attempts, failures, error) {
+    await this.deadLetters.remove(entry.eventId);
+    await this.deadLetters.create({
+      eventId: entry.eventId,
+      type: entry.type,
+      payload: entry.payload,
+      attempts,
+      lastError: error.message,
+      failures,
+      deadLetteredAt: new Date()
+    });
+
+    logger.error('Webhook moved to dead-letter queue', {
+      eventId: entry.eventId,
+      type: entry.type,
+      attempts,
+      error: error.message
+    });
+
+    return this.inbox.update(entry.eventId, {
+      status: 'dead_lettered',
+      lastError: error.message,
+      failures,
+      deadLetteredAt: new Date()
+    });
+  }
+
+  /**
+   * Drop processed in-memory entries past the retention window
+   * @private
+   */
+  async pruneMemory() {
+    const cutoff = new Date(Date.now() - this.memoryRetention);
+    await this.inbox.removeWhere({
+      status: 'processed',
+      processedAt: { $lt: cutoff }
+    });
+  }
+}
+
+function stringOrUndefined(value) {
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+module.exports = WebhookInbox;
@@ -0,0 +1,106 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../../server');
+const AIRoutes = require('../../routes/ai');
+const conversationSessions = require('../../services/conversation-sessions');
+const cache = require('../../utils/cache');
+const aiMiddleware = require('../../middleware/ai');
+
+const interpretation = { operation: 'ITEM_CREATE', confidence: 90, parameters: { itemName: 'Launch plan' } };
+
+// The AI routes behind a signed-in session of user 7 in account 1
+function signedIn(routes) {
+  const signed = express();
+  signed.use(express.json());
+  signed.use((req, res, next) => {
+    req.session = { accountId: '1', userId: '7' };
+    next();
+  });
+  signed.use('/api/ai', routes.getRouter());
+  return signed;
+}
+
+describe('AI routes', () => {
+  beforeEach(() => {
+    conversationSessions.store.clearMemory();
+    cache.set('monday_token_1_7', 'token');
+  });
+
+  afterEach(() => {
+    cache.del('monday_token_1_7');
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    if (aiMiddleware && typeof aiMiddleware.cleanup === 'function') {
+      aiMiddleware.cleanup();
+    }
+  });
+
+  test('are mounted under /api/ai and keep conversations behind authentication', async () => {
+    const health = await request(app).get('/api/ai/health');
+    expect([200, 503]).toContain(health.status);
+    expect(health.body.services).toBeDefined();
+
+    await request(app).get('/api/ai/conversation/123?accountId=1&userId=7').expect(401);
+    await request(app).delete('/api/ai/conversation/123?accountId=1&userId=7').expect(401);
+  });
+
+  test('read and clear only the signed-in user\'s conversation', async () => {
+    await conversationSessions.recordTurn({ accountId: '1', userId: '7', boardId: '123' }, 'Create Launch plan', interpretation);
+    await conversationSessions.recordTurn({ accountId: '1', userId: '8', boardId: '123' }, 'Create Budget', interpretation);
+    const signed = signedIn(new AIRoutes({}));
+
+    // IDs in the query string are ignored
+    const own = await request(signed).get('/api/ai/conversation/123?accountId=1&userId=8').expect(200);
+    expect(own.body.turns[0].content).toBe('Create Launch plan');
+
+    await request(signed).delete('/api/ai/conversation/123?accountId=1&userId=8').expect(200, { cleared: true });
+    expect((await conversationSessions.load({ accountId: '1', userId: '7', boardId: '123' })).turns).toEqual([]);
+    expect((await conversationSessions.load({ accountId: '1', userId: '8', boardId: '123' })).turns).toHaveLength(2);
+  });
+
+  test('plan mode dry-runs the mapped operation against the board', async () => {
+    const item = {
+      id: '55',
+      name: 'Launch plan',
+      board: { id: '123' },
+      group: { id: 'topics' },
+      column_values: [{ id: 'text', type: 'text', text: 'Draft', value: '"Draft"' }]
+    };
+    const board = { id: '123', name: 'Roadmap', columns: [{ id: 'text', title: 'Notes', type: 'text' }], groups: [] };
+    const client = { api: jest.fn().mockResolvedValue({ data: { items: [item], boards: [board] } }) };
+
+    const routes = new AIRoutes(client);
+    jest.spyOn(routes.contextService, 'gatherContext').mockResolvedValue({ boards: [board], users: [] });
+    jest.spyOn(routes.interpreter, 'interpret').mockResolvedValue({
+      operation: 'ITEM_UPDATE',
+      confidence: 95,
+      parameters: { itemId: '55', columnValues: { text: 'Final' } }
+    });
+    jest.spyOn(routes.mapper, 'mapToAPI').mockResolvedValue({
+      method: 'change_multiple_column_values',
+      variables: { board_id: '123', item_id: '55', column_values: { text: 'Final' } }
+    });
+
+    const response = await request(signedIn(routes))
+      .post('/api/ai/analyze-request')
+      .send({ userInput: 'set the notes of Launch plan to Final', boardId: '123', mode: 'plan' })
+      .expect(200);
+
+    expect(response.body.plan).toMatchObject({ mode: 'plan', mutationsExecuted: 0, summary: { operations: 1 } });
+    expect(response.body.plan.operations[0]).toMatchObject({
+      operation: 'update_item',
+      action: 'update',
+      changes: [expect.objectContaining({ columnId: 'text', before: 'Draft', after: 'Final', changed: true })]
+    });
+    expect(client.api.mock.calls.some(([query]) => /^\s*mutation\b/.test(query))).toBe(false);
+
+    // Without plan mode nothing is dry-run
+    const analyzed = await request(signedIn(routes))
+      .post('/api/ai/analyze-request')
+      .send({ userInput: 'set the notes of Launch plan to Final', boardId: '123' })
+      .expect(200);
+    expect(analyzed.body.plan).toBeUndefined();
+  });
+});
@@ -0,0 +1,69 @@
+const express = require('express');
+const request = require('supertest');
+const OperationExecutor = require('../../services/operation-executor');
+const ValidationService = require('../../services/validation');
+const apiRoutes = require('../../routes/api');
+const cache = require('../../utils/cache');
+const aiMiddleware = require('../../middleware/ai');
+
+// The API routes behind a signed-in session of user 7 in account 1
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.session = { accountId: '1', userId: '7' };
+  next();
+});
+app.use('/api', apiRoutes);
+
+// The executor and validation service the routes were loaded with
+const [executor] = OperationExecutor.mock.results.map(({ value }) => value);
+const [validation] = ValidationService.mock.results.map(({ value }) => value);
+
+describe('API routes', () => {
+  beforeEach(() => {
+    cache.set('monday_token_1_7', 'token');
+    validation.validateOperation = jest.fn().mockResolvedValue({ isValid: true, errors: [] });
+    executor.execute.mockResolvedValue({ success: true, operationId: 'op_1' });
+  });
+
+  afterEach(() => {
+    cache.del('monday_token_1_7');
+  });
+
+  afterAll(() => {
+    if (aiMiddleware && typeof aiMiddleware.cleanup === 'function') {
+      aiMiddleware.cleanup();
+    }
+  });
+
+  test('execute takes only the board and timezone from the request context', async () => {
+    await request(app)
+      .post('/api/execute')
+      .set('Authorization', 'Bearer session-token')
+      .send({
+        operation: { type: 'create_item', parameters: { boardId: '123', itemName: 'Launch plan' } },
+        context: {
+          boardId: '123',
+          timezone: 'Europe/Berlin',
+          operationId: 'op_someone_else',
+          transaction: { steps: [] },
+          job: { cursor: 5 },
+          accountId: '2',
+          confirmed: true
+        }
+      })
+      .expect(200);
+
+    const [, context] = executor.execute.mock.calls[0];
+    expect(context).toEqual(expect.objectContaining({
+      boardId: '123',
+      timezone: 'Europe/Berlin',
+      accountId: '1',
+      userId: '7',
+      confirmed: false
+    }));
+    expect(context).not.toHaveProperty('operationId');
+    expect(context).not.toHaveProperty('transaction');
+    expect(context).not.toHaveProperty('job');
+  });
+});
@@ -208,7 +208,7 @@ describe('Monday.com Integration Tests', () => {
 
       expect([200, 400, 401, 500]).toContain(response.status);
       if (response.status === 200) {
-        expect(Array.isArray(response.body)).toBe(true);
+        expect(Array.isArray(response.body.options)).toBe(true);
       }
     });
 
@@ -54,6 +54,8 @@ jest.mock('../services/operation-executor', () => {
       itemId: '789',
       message: 'Operation completed successfully'
     }),
+    generateOperationId: jest.fn().mockReturnValue('op_test'),
+    discardUndo: jest.fn().mockResolvedValue(undefined),
     isHealthy: jest.fn().mockResolvedValue(true)
   }));
 });
@@ -0,0 +1,31 @@
+const { buildAliasedMutation, splitAliasedResponse } = require('../../utils/aliased-mutations');
+
+describe('aliased mutations', () => {
+  test('combines fields under aliases with shared variable declarations', () => {
+    const { mutation, aliases } = buildAliasedMutation('BulkUpdate', { boardId: 'ID!', item0: 'ID!', item1: 'ID!' }, [
+      'change_multiple_column_values(item_id: $item0, board_id: $boardId, column_values: "{}") { id }',
+      'change_multiple_column_values(item_id: $item1, board_id: $boardId, column_values: "{}") { id }'
+    ]);
+
+    expect(aliases).toEqual(['m0', 'm1']);
+    expect(mutation).toContain('mutation BulkUpdate($boardId: ID!, $item0: ID!, $item1: ID!) {');
+    expect(mutation).toContain('m0: change_multiple_column_values(item_id: $item0');
+    expect(mutation).toContain('m1: change_multiple_column_values(item_id: $item1');
+  });
+
+  test('maps errors back to their alias and keeps the other results', () => {
+    const outcomes = splitAliasedResponse({
+      data: { m0: { id: '1' }, m1: null, m2: null },
+      errors: [
+        { message: 'Item not found', path: ['m1'] },
+        { message: 'Request partially failed' }
+      ]
+    }, ['m0', 'm1', 'm2']);
+
+    expect(outcomes).toEqual([
+      { alias: 'm0', data: { id: '1' }, error: null },
+      { alias: 'm1', data: null, error: 'Item not found' },
+      { alias: 'm2', data: null, error: 'Request partially failed' }
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+const BulkJobRunner = require('../../services/bulk-jobs');
+
+// Processes itemIds two at a time, honouring the job hooks like BulkOperations
+function fakeExecutor({ onBatch = async () => {} } = {}) {
+  return {
+    calls: [],
+    async execute(operation, context) {
+      this.calls.push({ operationId: context.operationId, cursor: context.job.cursor });
+      const { itemIds } = operation.parameters;
+      const start = context.job.cursor?.index || 0;
+      const results = [];
+
+      for (let i = start; i < itemIds.length; i += 2) {
+        if (await context.job.shouldCancel()) {
+          return { success: false, cancelled: true, results, errors: [], summary: summary(itemIds, results) };
+        }
+        if (await context.job.shouldPause()) {
+          return { success: false, paused: true, cursor: { index: i }, results, errors: [], summary: summary(itemIds, results) };
+        }
+
+        results.push(...itemIds.slice(i, i + 2).map(itemId => ({ itemId })));
+        await context.job.onProgress({ cursor: { index: i + 2 }, total: itemIds.length, successful: results.length, failed: 0 });
+        await onBatch(i, context.batchId);
+      }
+
+      return { success: true, results, errors: [], summary: summary(itemIds, results) };
+    }
+  };
+}
+
+function summary(itemIds, results) {
+  return { total: itemIds.length, successful: results.length, failed: 0 };
+}
+
+// Resolves with the job once it reaches one of the statuses
+function settled(runner, jobId, statuses) {
+  return new Promise(resolve => {
+    const check = job => {
+      if (job && statuses.includes(job.status)) {
+        unsubscribe();
+        resolve(job);
+      }
+    };
+    const unsubscribe = runner.subscribe(jobId, check);
+    runner.get(jobId).then(check);
+  });
+}
+
+const operation = {
+  type: 'bulk_update',
+  parameters: { itemIds: ['1', '2', '3', '4', '5', '6'], columnValues: { status: 'Done' } }
+};
+
+describe('BulkJobRunner', () => {
+  test('runs a job in the background and publishes its progress', async () => {
+    const runner = new BulkJobRunner(fakeExecutor());
+    const updates = [];
+
+    const job = await runner.enqueue(operation, { accountId: '1', userId: '7' });
+    runner.subscribe(job.jobId, update => updates.push(update.progress.processed));
+    const done = await settled(runner, job.jobId, ['succeeded']);
+
+    expect(done.progress).toEqual({ total: 6, processed: 6, successful: 6, failed: 0 });
+    expect(updates).toEqual(expect.arrayContaining([2, 4, 6]));
+    expect(done.operationIds).toEqual([`${job.jobId}_run1`]);
+  });
+
+  test('pauses at a batch boundary and resumes from the stored cursor', async () => {
+    const executor = fakeExecutor({
+      onBatch: async (index, jobId) => {
+        if (index === 0 && executor.calls.length === 1) await runner.pause(jobId);
+      }
+    });
+    const runner = new BulkJobRunner(executor);
+
+    const { jobId } = await runner.enqueue(operation, { accountId: '1' });
+    const paused = await settled(runner, jobId, ['paused']);
+
+    expect(paused.cursor).toEqual({ index: 2 });
+    expect(paused.progress).toMatchObject({ processed: 2, successful: 2 });
+
+    await runner.resume(jobId);
+    const done = await settled(runner, jobId, ['succeeded']);
+
+    expect(executor.calls.map(call => call.cursor)).toEqual([null, { index: 2 }]);
+    expect(done.progress).toMatchObject({ processed: 6, successful: 6 });
+    expect(done.operationIds).toHaveLength(2);
+  });
+
+  test('cancels running and paused jobs and rejects other operations', async () => {
+    const runner = new BulkJobRunner(fakeExecutor({ onBatch: async (index, jobId) => runner.cancel(jobId) }));
+
+    let { jobId } = await runner.enqueue(operation);
+    const cancelled = await settled(runner, jobId, ['cancelled']);
+    expect(cancelled.progress.processed).toBe(2);
+
+    // Paused before its first batch
+    ({ jobId } = await runner.enqueue(operation));
+    const paused = settled(runner, jobId, ['paused']);
+    await runner.pause(jobId);
+    await paused;
+    expect((await runner.cancel(jobId)).status).toBe('cancelled');
+
+    await expect(runner.enqueue({ type: 'create_item', parameters: {} })).rejects.toThrow('cannot run as a background job');
+  });
+
+  test('requeues jobs left running by a previous process', async () => {
+    const runner = new BulkJobRunner(fakeExecutor());
+    await runner.store.create({
+      jobId: 'job_stale',
+      type: 'bulk_update',
+      status: 'running',
+      operation,
+      context: {},
+      cursor: { index: 4 },
+      progress: { total: 6, processed: 4, successful: 4, failed: 0 },
+      failures: [],
+      operationIds: ['job_stale_run1']
+    });
+
+    const done = settled(runner, 'job_stale', ['succeeded']);
+    expect(await runner.recover()).toBe(1);
+
+    expect((await done).progress).toEqual({ total: 6, processed: 6, successful: 6, failed: 0 });
+    expect(runner.executor.calls[0].cursor).toEqual({ index: 4 });
+  });
+});
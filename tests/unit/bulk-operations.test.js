@@ -0,0 +1,137 @@
+const operationJournal = require('../../services/operation-journal');
+const undoHistory = require('../../services/undo-history');
+const BulkOperations = require('../../services/operations/bulk');
+const ItemOperations = require('../../services/operations/item');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+const { MondayApiClient } = require('../../utils/monday-api');
+
+const items = ['1', '2', '3'].map(id => ({
+  id,
+  name: `Task ${id}`,
+  board: { id: '123' },
+  group: { id: 'topics' },
+  column_values: [{ id: 'text', type: 'text', text: 'old', value: '"old"' }]
+}));
+
+describe('Bulk operations', () => {
+  let executor;
+  let client;
+  let failing;
+
+  // monday.com answers for the board of the items, its columns and the aliased mutations
+  const respond = async (query, variables) => {
+    if (/GetItemBoard/.test(query)) {
+      return { data: { items: [{ board: { id: '123' } }] } };
+    }
+    if (/GetBoardColumns/.test(query)) {
+      return { data: { boards: [{ columns: [{ id: 'text', title: 'Notes', type: 'text' }] }] } };
+    }
+    if (/MoveItemToGroup/.test(query)) {
+      return { data: { move_item_to_group: { id: String(variables.itemId), group: { id: variables.groupId } } } };
+    }
+
+    const aliases = Object.keys(variables).filter(name => /^item\d+$/.test(name));
+    const data = { complexity: { query: 20000 * aliases.length } };
+    const errors = [];
+    aliases.forEach((name, index) => {
+      if (failing.includes(variables[name])) {
+        data[`m${index}`] = null;
+        errors.push({ message: 'Item not found', path: [`m${index}`] });
+      } else {
+        data[`m${index}`] = { id: variables[name] };
+      }
+    });
+    return errors.length ? { data, errors } : { data };
+  };
+
+  beforeEach(() => {
+    operationJournal.store.clearMemory();
+    undoHistory.store.clearMemory();
+    failing = [];
+
+    executor = new OperationExecutor();
+    client = {
+      request: jest.fn(respond),
+      // Half of what is left covers two mutations at the initial estimate
+      budget: jest.fn(() => ({ remaining: 40000 }))
+    };
+    executor.operations.bulk.client = client;
+    executor.snapshots.client = new MondayApiClient({
+      transport: async (query, { itemIds }) => ({
+        data: {
+          complexity: { query: 1000, after: 9000000, reset_in_x_seconds: 30 },
+          items: items.filter(item => itemIds.includes(item.id))
+        }
+      })
+    });
+    executor.operations.item = { updateItem: jest.fn().mockResolvedValue({ success: true }) };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the executor runs bulk updates as aliased mutations sized to the budget', async () => {
+    expect(executor.operations.bulk).toBeInstanceOf(BulkOperations);
+
+    const result = await executor.execute({
+      type: 'bulk_update',
+      parameters: { itemIds: ['1', '2', '3'], columnValues: { text: 'new' } }
+    }, { accountId: '1', userId: '7' });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      operation: 'bulk_update',
+      summary: expect.objectContaining({ total: 3, successful: 3, failed: 0 })
+    }));
+
+    const mutations = client.request.mock.calls.filter(([query]) => /mutation BulkUpdate/.test(query));
+    expect(mutations.map(([, variables]) => Object.keys(variables).filter(name => /^item/.test(name)).length))
+      .toEqual([2, 1]);
+    expect(mutations[0][1]).toEqual({ boardId: '123', columnValues: JSON.stringify({ text: 'new' }), item0: '1', item1: '2' });
+    expect(client.budget).toHaveBeenCalledWith('1');
+    // The reported cost of a mutation sizes the next request
+    expect(executor.operations.bulk.mutationCost).toBe(20000);
+  });
+
+  test('a transactional bulk update reverts the items it changed when others fail', async () => {
+    failing = ['2'];
+
+    const result = await executor.execute({
+      type: 'bulk_update',
+      transactional: true,
+      parameters: { itemIds: ['1', '2', '3'], columnValues: { text: 'new' } }
+    }, { accountId: '1', userId: '7' });
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([{ itemId: '2', error: 'Item not found' }]);
+    expect(result.results.map(({ itemId }) => itemId)).toEqual(['1', '3']);
+
+    // Pre-images are read against the account's budget too
+    expect(executor.snapshots.client.budget('1').remaining).toBe(9000000);
+    expect(executor.snapshots.client.budget('default').remaining).toBeNull();
+
+    expect(result.rollback.steps).toHaveLength(1);
+    expect(executor.operations.item.updateItem.mock.calls.map(([boardId, itemId, values]) => [boardId, itemId, values]))
+      .toEqual([['123', '1', { text: 'old' }], ['123', '3', { text: 'old' }]]);
+  });
+
+  test('the executor moves items in bulk through the item operations', async () => {
+    const itemOperations = executor.operations.bulk.itemOperations;
+    expect(itemOperations).toBeInstanceOf(ItemOperations);
+    jest.replaceProperty(itemOperations, 'client', client);
+
+    const result = await executor.execute({
+      type: 'bulk_move',
+      parameters: { itemIds: ['1', '2'], targetGroupId: 'done' }
+    }, { accountId: '1', userId: '7' });
+
+    expect(result).toEqual(expect.objectContaining({
+      success: true,
+      operation: 'bulk_move',
+      summary: expect.objectContaining({ total: 2, successful: 2, failed: 0 })
+    }));
+    expect(client.request.mock.calls.filter(([query]) => /MoveItemToGroup/.test(query)).map(([, variables]) => variables))
+      .toEqual([{ itemId: 1, groupId: 'done' }, { itemId: 2, groupId: 'done' }]);
+  });
+});
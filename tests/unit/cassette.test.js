@@ -0,0 +1,87 @@
+jest.unmock('../../services/claude');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cassette, insertCassette, ejectCassette } = require('../../utils/cassette');
+const OperationInterpreter = require('../../nlp/operation-interpreter');
+const ClaudeService = require('../../services/claude');
+
+const context = {
+  accountId: '101112',
+  userId: '7',
+  boards: [{
+    id: '123',
+    name: 'Roadmap',
+    columns: [
+      { id: 'status', title: 'Status', type: 'status' },
+      { id: 'person', title: 'Owner', type: 'people' }
+    ],
+    groups: [{ id: 'topics', title: 'This week' }]
+  }],
+  users: [{ id: '7', name: 'Dana Reyes', email: 'dana@example.com' }]
+};
+
+describe('Cassette', () => {
+  afterEach(() => {
+    try {
+      ejectCassette();
+    } catch (error) {
+      // Drift is asserted by the tests themselves
+    }
+  });
+
+  test('replays the recorded interpretation without a live model', async () => {
+    // npm run test:record refreshes this cassette against the configured model
+    insertCassette('interpreter-create-item');
+
+    const interpreter = new OperationInterpreter();
+    const result = await interpreter.interpret('Create an item called "Launch checklist" in This week', context);
+
+    expect(result.operation).toBe('ITEM_CREATE');
+    expect(result.parameters).toMatchObject({ boardId: '123', itemName: 'Launch checklist', groupId: 'topics' });
+
+    const cassette = ejectCassette();
+    expect(cassette.unused()).toHaveLength(0);
+  });
+
+  test('fails loudly when the prompt drifts from the recording', async () => {
+    insertCassette('interpreter-create-item', { mode: 'replay' });
+
+    const interpreter = new OperationInterpreter();
+    const result = await interpreter.interpret('Create an item called "Launch plan" in This week', context);
+
+    // The interpreter swallows the error, so ejecting reports it
+    expect(result.operation).toBe('ERROR');
+    expect(() => ejectCassette()).toThrow(/USER REQUEST: "Create an item called "Launch plan"/);
+  });
+
+  test('records requests and errors and replays them in order', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+    const query = 'query { boards(ids: [1]) { name } }';
+
+    const recorder = new Cassette('boards', { mode: 'record', dir });
+    await recorder.intercept('monday', { query, variables: {} }, async () => ({ data: { boards: [{ name: 'A' }] } }));
+    await recorder.intercept('monday', { query, variables: {} }, async () => ({ data: { boards: [{ name: 'B' }] } }));
+    await expect(recorder.intercept('llm', { prompt: 'hi' }, async () => {
+      throw Object.assign(new Error('rate limit'), { status: 429 });
+    })).rejects.toThrow('rate limit');
+    recorder.save();
+
+    const player = new Cassette('boards', { mode: 'replay', dir });
+    const reformatted = 'query {\n  boards(ids: [1]) { name }\n}';
+    const perform = jest.fn();
+
+    expect(await player.intercept('monday', { query: reformatted, variables: {} }, perform)).toEqual({ data: { boards: [{ name: 'A' }] } });
+    expect(await player.intercept('monday', { query, variables: {} }, perform)).toEqual({ data: { boards: [{ name: 'B' }] } });
+    await expect(player.intercept('llm', { prompt: 'hi' }, perform)).rejects.toMatchObject({ status: 429 });
+    expect(perform).not.toHaveBeenCalled();
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('refuses live calls while mock responses are enabled', async () => {
+    const service = new ClaudeService();
+    await expect(service._callClaude('hello')).rejects.toThrow(/mockResponses/);
+  });
+});
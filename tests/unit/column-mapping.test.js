@@ -0,0 +1,97 @@
+const {
+  buildColumnMapping,
+  convertColumnValues,
+  previewMapping
+} = require('../../utils/column-mapping');
+
+const source = [
+  { id: 'name', title: 'Name', type: 'name' },
+  { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done","2":"Blocked"}}' },
+  { id: 'notes', title: 'Notes', type: 'long_text' },
+  { id: 'due', title: 'Due date', type: 'date' },
+  { id: 'category', title: 'Category', type: 'dropdown', settings_str: '{"labels":[{"id":1,"name":"Web"}]}' },
+  { id: 'sprint', title: 'Sprint', type: 'timeline' },
+  { id: 'score', title: 'Score', type: 'formula' },
+  { id: 'budget', title: 'Budget', type: 'numbers' }
+];
+
+const target = [
+  { id: 'name', title: 'Name', type: 'name' },
+  { id: 'state', title: 'Stauts', type: 'status', settings_str: '{"labels":{"0":"In progress","1":"done"}}' },
+  { id: 'summary', title: 'notes', type: 'text' },
+  { id: 'window', title: 'Due Date', type: 'timeline' },
+  { id: 'tags', title: 'Categories', type: 'tags' },
+  { id: 'sprint_date', title: 'Sprint', type: 'date' },
+  { id: 'budget', title: 'Budget', type: 'checkbox' }
+];
+
+const item = {
+  id: '11',
+  name: 'Launch',
+  column_values: [
+    { id: 'status', text: 'Blocked', value: '{"index":2}' },
+    { id: 'notes', text: 'First line\nSecond line', value: '{"text":"First line\\nSecond line"}' },
+    { id: 'due', text: '2026-10-01', value: '{"date":"2026-10-01"}' },
+    { id: 'category', text: 'Web', value: '{"ids":[1]}' },
+    { id: 'sprint', text: '', value: '{"from":"2026-10-01","to":"2026-10-14"}' }
+  ]
+};
+
+describe('column mapping', () => {
+  test('pairs columns by fuzzy title and compatible type', () => {
+    const mapping = buildColumnMapping(source, target);
+    const pairs = mapping.columns.map(entry => [entry.source.id, entry.target.id, entry.conversion]);
+
+    expect(pairs).toEqual([
+      ['status', 'state', 'labels'],
+      ['notes', 'summary', 'text'],
+      ['due', 'window', 'date_to_timeline'],
+      ['category', 'tags', 'tags'],
+      ['sprint', 'sprint_date', 'timeline_to_date']
+    ]);
+    expect(mapping.columns[0].labels).toEqual({ 'Working on it': null, Done: 'done', Blocked: null });
+    expect(mapping.unmapped.map(u => [u.source.id, u.reason])).toEqual([
+      ['score', 'formula columns cannot be copied'],
+      ['budget', '"Budget" on the target board is a checkbox column']
+    ]);
+  });
+
+  test('applies saved column pairs and label translations', () => {
+    const mapping = buildColumnMapping(source, target, {
+      saved: {
+        columns: [{ sourceColumnId: 'notes', targetColumnId: null }],
+        labels: [{ columnId: 'status', from: 'Blocked', to: 'In progress' }]
+      }
+    });
+
+    expect(mapping.columns.find(entry => entry.source.id === 'status').labels.Blocked).toBe('In progress');
+    expect(mapping.unmapped.find(u => u.source.id === 'notes').reason).toBe('Skipped by the saved mapping');
+    expect(mapping.unusedTargets.map(c => c.id)).toEqual(['summary', 'budget']);
+  });
+
+  test('converts values and reports what is lost', () => {
+    const mapping = buildColumnMapping(source, target);
+    const { values, tagNames, losses } = convertColumnValues(item.column_values, mapping);
+
+    expect(values).toEqual({
+      summary: 'First line Second line',
+      window: { from: '2026-10-01', to: '2026-10-01' },
+      sprint_date: { date: '2026-10-01' }
+    });
+    expect(tagNames).toEqual({ tags: ['Web'] });
+    expect(losses.map(loss => loss.columnId)).toEqual(['status', 'notes', 'sprint']);
+  });
+
+  test('previews unmapped and lossy fields for the matched items', () => {
+    const preview = previewMapping(buildColumnMapping(source, target), [item]);
+
+    expect(preview.mapped).toHaveLength(5);
+    expect(preview.unmapped.map(u => u.column)).toEqual(['Score', 'Budget']);
+    expect(preview.lossy.map(l => [l.column, l.itemsAffected])).toEqual([
+      ['Status', 1],
+      ['Notes', 1],
+      ['Sprint', 1]
+    ]);
+    expect(preview.lossy[0].examples[0]).toMatchObject({ itemId: '11', reason: 'No target label for "Blocked"' });
+  });
+});
@@ -0,0 +1,75 @@
+const confirmations = require('../../services/confirmations');
+const ItemOperations = require('../../services/operations/item');
+const BoardOperations = require('../../services/operations/board');
+
+const operation = { type: 'bulk_delete', parameters: { itemIds: ['1', '2'] } };
+const user = { userId: '7', accountId: '42' };
+
+describe('confirmations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('requires tokens for the configured destructive operations only', () => {
+    expect(confirmations.requiresConfirmation({ type: 'delete_item', parameters: { itemId: '1' } })).toBe(true);
+    expect(confirmations.requiresConfirmation({ type: 'delete_board', parameters: { boardId: '1' } })).toBe(true);
+    expect(confirmations.requiresConfirmation(operation)).toBe(true);
+    expect(confirmations.requiresConfirmation({
+      type: 'cross_board_transfer',
+      parameters: { criteria: { status: 'Done', deleteFromSource: true } }
+    })).toBe(true);
+    expect(confirmations.requiresConfirmation({
+      type: 'cross_board_transfer',
+      parameters: { criteria: { status: 'Done' } }
+    })).toBe(false);
+    expect(confirmations.requiresConfirmation({ type: 'bulk_update', parameters: {} })).toBe(false);
+  });
+
+  test('spends a token once for exactly the operation it was issued for', async () => {
+    const { token } = await confirmations.issue(operation, user);
+    const confirmed = { ...operation, parameters: { itemIds: ['1', '2'], confirmationToken: token } };
+
+    await expect(confirmations.verify(token, { ...operation, parameters: { itemIds: ['1', '3'] } }, user))
+      .rejects.toMatchObject({ code: 'CONFIRMATION_MISMATCH' });
+    await expect(confirmations.verify(token, operation, { userId: '8' }))
+      .rejects.toMatchObject({ code: 'CONFIRMATION_MISMATCH' });
+
+    await expect(confirmations.consume(token, confirmed, user)).resolves.toMatchObject({ operationType: 'bulk_delete' });
+    await expect(confirmations.consume(token, confirmed, user)).rejects.toMatchObject({ code: 'CONFIRMATION_USED' });
+  });
+
+  test('rejects missing, tampered and expired tokens', async () => {
+    const { token } = await confirmations.issue(operation, user);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(payload, 'base64url').toString()),
+      uid: '8'
+    })).toString('base64url');
+
+    await expect(confirmations.verify(undefined, operation, user)).rejects.toMatchObject({ code: 'CONFIRMATION_REQUIRED' });
+    await expect(confirmations.verify(`${forged}.${signature}`, operation, { userId: '8' }))
+      .rejects.toMatchObject({ code: 'CONFIRMATION_INVALID' });
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 11 * 60 * 1000);
+    await expect(confirmations.verify(token, operation, user)).rejects.toMatchObject({ code: 'CONFIRMATION_EXPIRED' });
+  });
+
+  test('item and board operations refuse deletions that were not confirmed', async () => {
+    const client = { request: jest.fn() };
+    const items = new ItemOperations({ client });
+    const boards = new BoardOperations({ client });
+
+    await expect(items.deleteItem('55')).resolves.toEqual({
+      success: false,
+      error: 'Deleting an item requires confirmation',
+      operation: 'delete'
+    });
+    await expect(boards.deleteBoard('123', { archive: true })).resolves.toEqual({
+      success: false,
+      error: 'Deleting a board requires confirmation',
+      operation: 'delete_board'
+    });
+    expect(client.request).not.toHaveBeenCalled();
+  });
+});
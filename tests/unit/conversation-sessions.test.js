@@ -0,0 +1,118 @@
+jest.unmock('../../services/claude');
+
+const OperationInterpreter = require('../../nlp/operation-interpreter');
+const ClaudeService = require('../../services/claude');
+const ConversationSessions = require('../../services/conversation-sessions').constructor;
+
+const context = {
+  accountId: '1',
+  userId: '7',
+  boardId: '123',
+  boards: [{ id: '123', name: 'Roadmap' }, { id: '456', name: 'Marketing' }],
+  users: [{ id: '7', name: 'Dana Reyes' }, { id: '8', name: 'Maria Lopez' }]
+};
+
+// Answers analysis prompts with tool calls of the queued interpretations in order
+function fakeProvider(interpretations) {
+  const queue = [...interpretations];
+  return {
+    name: 'fake',
+    model: 'test-model',
+    complete: jest.fn(async ({ prompt }) => {
+      if (prompt.includes('alternative interpretations')) {
+        return { text: '{"suggestions": []}' };
+      }
+      const { operation, ...input } = queue.shift();
+      return { text: JSON.stringify({ tool: operation, input }) };
+    })
+  };
+}
+
+const analysisCalls = provider => provider.complete.mock.calls
+  .map(([request]) => request)
+  .filter(request => request.prompt.includes('USER REQUEST'));
+
+describe('Conversation sessions', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = new ConversationSessions({ ttlMinutes: 60, maxTurns: 2 });
+    sessions.store.clearMemory();
+  });
+
+  const interpreterFor = provider => new OperationInterpreter({
+    claudeService: new ClaudeService({ provider }),
+    sessions
+  });
+
+  test('sends earlier turns as message history and resolves references against them', async () => {
+    const provider = fakeProvider([
+      { operation: 'ITEM_CREATE', confidence: 90, parameters: { boardId: '123', itemName: 'Launch plan' } },
+      { operation: 'USER_ASSIGN', confidence: 90, parameters: { boardId: '123', itemName: 'Launch plan', userId: '8' } }
+    ]);
+    const interpreter = interpreterFor(provider);
+
+    await interpreter.interpret('Create an item called Launch plan', context);
+    const [first] = analysisCalls(provider);
+    expect(first.messages).toBeUndefined();
+    expect(first.prompt).not.toContain('CONVERSATION STATE');
+
+    await interpreter.interpret('now assign it to Maria', context);
+    const [, followUp] = analysisCalls(provider);
+    expect(followUp.messages).toHaveLength(3);
+    expect(followUp.messages[0]).toEqual({ role: 'user', content: 'Create an item called Launch plan' });
+    expect(followUp.messages[1].role).toBe('assistant');
+    expect(JSON.parse(followUp.messages[1].content)).toMatchObject({ operation: 'ITEM_CREATE' });
+    expect(followUp.messages[2]).toEqual({ role: 'user', content: followUp.prompt });
+    expect(followUp.prompt).toContain('CONVERSATION STATE');
+    expect(followUp.prompt).toContain('"name": "Launch plan"');
+
+    const session = await sessions.load(context);
+    expect(session.entities).toMatchObject({ item: { name: 'Launch plan' }, user: { id: '8' } });
+    expect(session.lastOperation.operation).toBe('USER_ASSIGN');
+  });
+
+  test('answers a pending clarification as the next turn', async () => {
+    const provider = fakeProvider([
+      {
+        operation: 'ITEM_UPDATE',
+        confidence: 40,
+        parameters: { boardId: '123' },
+        clarifyingQuestions: ['Which item should be updated?']
+      },
+      { operation: 'ITEM_UPDATE', confidence: 80, parameters: { boardId: '123', itemName: 'Hiring' } }
+    ]);
+    const interpreter = interpreterFor(provider);
+
+    const ambiguous = await interpreter.interpret('mark it finished', context);
+    const pending = (await sessions.load(context)).pendingClarification;
+    expect(pending).toMatchObject({ originalInput: 'mark it finished', questions: ['Which item should be updated?'] });
+
+    const resolved = await interpreter.resolveAmbiguity(ambiguous, 'the Hiring item', context);
+    expect(resolved.confidence).toBe(95);
+
+    const [, answer] = analysisCalls(provider);
+    expect(answer.prompt).toContain('USER REQUEST: "the Hiring item"');
+    expect(answer.prompt).toContain('"originalInput": "mark it finished"');
+    expect((await sessions.load(context)).pendingClarification).toBeNull();
+  });
+
+  test('keeps one session per user and board and only the latest turns', async () => {
+    const interpretation = { operation: 'ITEM_CREATE', confidence: 90, parameters: { itemName: 'A' } };
+
+    for (const input of ['first', 'second', 'third']) {
+      await sessions.recordTurn(context, input, interpretation);
+    }
+
+    const session = await sessions.load(context);
+    expect(session.turns.map(turn => turn.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+    expect(session.turns[0].content).toBe('second');
+
+    expect((await sessions.load({ ...context, boardId: '456' })).turns).toEqual([]);
+    expect((await sessions.load({ ...context, userId: '8' })).turns).toEqual([]);
+    expect(await sessions.load({ accountId: '1', userId: '7' })).toBeNull();
+
+    expect(await sessions.clear(context)).toBe(true);
+    expect((await sessions.load(context)).turns).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  parseDateExpression,
+  resolveDate,
+  resolveTimeline,
+  timezoneFor
+} = require('../../utils/date-expressions');
+const OperationMapper = require('../../nlp/operation-mapper');
+
+// Sunday evening in New York, already Monday in UTC
+const now = new Date('2026-10-19T03:30:00Z');
+const options = { now, timezone: 'America/New_York' };
+const parse = text => parseDateExpression(text, options);
+
+describe('Date expressions', () => {
+  test('resolves relative dates against the user\'s day, not the server\'s', () => {
+    expect(parse('today')).toEqual({ type: 'date', date: '2026-10-18' });
+    expect(parseDateExpression('today', { now, timezone: 'Asia/Tokyo' })).toEqual({ type: 'date', date: '2026-10-19' });
+    expect(parse('Friday').date).toBe('2026-10-23');
+    expect(parse('next Friday').date).toBe('2026-10-23');
+    expect(parse('last Friday').date).toBe('2026-10-16');
+    expect(parse('in 2 weeks').date).toBe('2026-11-01');
+    expect(parse('3 business days from now').date).toBe('2026-10-21');
+    expect(parse('next business day').date).toBe('2026-10-19');
+    expect(parse('end of next month').date).toBe('2026-11-30');
+    expect(parse('end of Q3 2026').date).toBe('2026-09-30');
+    expect(parse('the 15th').date).toBe('2026-11-15');
+    expect(parse('March 15').date).toBe('2027-03-15');
+    expect(parse('banana')).toBeNull();
+    expect(parse('February 30 2027')).toBeNull();
+  });
+
+  test('converts times of day in the user\'s timezone to UTC', () => {
+    expect(parse('tomorrow at 3pm')).toEqual({ type: 'date', date: '2026-10-19', time: '19:00:00' });
+    // US daylight saving time ends on November 1st
+    expect(parse('2026-11-02 at 9:00')).toEqual({ type: 'date', date: '2026-11-02', time: '14:00:00' });
+    expect(parse('2026-12-01T10:00:00Z')).toEqual({ type: 'date', date: '2026-12-01', time: '10:00:00' });
+  });
+
+  test('parses ranges and recurrences', () => {
+    expect(parse('from Monday to the 15th')).toEqual({ type: 'range', from: '2026-10-19', to: '2026-11-15' });
+    expect(parse('next week')).toEqual({ type: 'range', from: '2026-10-19', to: '2026-10-25' });
+    expect(parse('every other Monday')).toEqual({
+      type: 'recurrence', interval: 2, unit: 'week', weekday: 1, date: '2026-10-19'
+    });
+
+    expect(resolveDate('every other Monday', options)).toEqual({ date: '2026-10-19' });
+    expect(resolveTimeline('Q4', options)).toEqual({ from: '2026-10-01', to: '2026-12-31' });
+    expect(resolveTimeline({ from: 'tomorrow', to: 'Friday' }, options)).toEqual({ from: '2026-10-19', to: '2026-10-23' });
+    expect(resolveTimeline('every Monday', options)).toBeNull();
+  });
+
+  test('maps date and timeline columns in the timezone of the monday.com user', () => {
+    const mapper = new OperationMapper({ itemResolver: {} });
+    const context = { user: { id: 7, time_zone_identifier: 'America/New_York' } };
+
+    expect(timezoneFor(context)).toBe('America/New_York');
+    expect(timezoneFor({ user: { utc_hours_diff: 5.5 } })).toBe('UTC+05:30');
+    expect(timezoneFor({ user: { time_zone_identifier: 'Not/AZone' } })).toBeNull();
+
+    jest.useFakeTimers({ now });
+    try {
+      expect(mapper._mapValueByColumnType('end of the week', { type: 'date' }, context)).toEqual({ date: '2026-10-18' });
+      expect(mapper._mapValueByColumnType('from Monday to the 15th', { type: 'timeline' }, context))
+        .toEqual({ from: '2026-10-19', to: '2026-11-15' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
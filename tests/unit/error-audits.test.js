@@ -0,0 +1,184 @@
+const errorAudits = require('../../services/error-audits');
+const ErrorRecoveryService = require('../../services/error-recovery').constructor;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Error audits', () => {
+  let recovery;
+
+  beforeEach(() => {
+    errorAudits.store.clearMemory();
+
+    recovery = new ErrorRecoveryService({
+      strategies: [{
+        name: 'retry-network',
+        errorTypes: ['NETWORK_ERROR'],
+        recover: async () => ({ retry: true })
+      }]
+    });
+  });
+
+  const fail = (message, { command, boardId = '123', type = 'update_item', userId = 7 } = {}) =>
+    recovery.attemptRecovery(new Error(message), {
+      accountId: 1,
+      userId,
+      userInput: command,
+      attempt: 1,
+      operation: { type, parameters: { boardId } }
+    });
+
+  test('masks names, dates and numbers in prompt patterns', () => {
+    expect(errorAudits.patternOf('Set "Launch plan" to Done by 2026-10-01, assign @sam 3 points'))
+      .toBe('set <text> to done by <date> assign <user> <number> points');
+  });
+
+  test('persists every recovery attempt and aggregates failures', async () => {
+    await fail('network timeout', { command: 'Move "Alpha" to Done' });
+    await fail('permission denied', { command: 'Move "Beta" to Done', boardId: '456' });
+    await fail('permission denied', { command: 'Delete "Gamma"', type: 'delete_item', userId: 8 });
+
+    const [audit] = await errorAudits.store.find({ 'recovery.successful': true });
+    expect(audit).toMatchObject({
+      accountId: '1',
+      boardId: '123',
+      operationType: 'update_item',
+      command: 'Move "Alpha" to Done',
+      error: { type: 'NETWORK_ERROR', message: 'network timeout' },
+      recovery: { attempted: true, successful: true, strategy: 'retry-network' }
+    });
+
+    const analytics = await errorAudits.analytics({ accountId: 1 });
+    expect(analytics.total).toBe(3);
+    expect(analytics.recovered).toBe(1);
+    expect(analytics.byErrorType).toEqual([
+      { key: 'PERMISSION_DENIED', failures: 2, recovered: 0 },
+      { key: 'NETWORK_ERROR', failures: 1, recovered: 1 }
+    ]);
+    expect(analytics.byBoard[0]).toEqual({ key: '123', failures: 2, recovered: 1 });
+    expect(analytics.byPromptPattern[0]).toEqual({ key: 'move <text> to done', failures: 2, recovered: 1 });
+    expect((await errorAudits.analytics({ accountId: 2 })).total).toBe(0);
+  });
+
+  test('ranks the week\'s failing commands by unrecovered failures', async () => {
+    await fail('permission denied', { command: 'Delete "Gamma"', type: 'delete_item' });
+    await fail('permission denied', { command: 'Delete "Delta"', type: 'delete_item', userId: 8 });
+    await fail('network timeout', { command: 'Move "Alpha" to Done' });
+    await fail('network timeout', { command: 'Move "Beta" to Done' });
+    await fail('network timeout', { command: 'Move "Beta" to Done' });
+
+    // Last week's failures only count as the comparison
+    const [old] = await errorAudits.store.find({ command: 'Move "Alpha" to Done' });
+    await errorAudits.store.update(old.auditId, { occurredAt: new Date(Date.now() - 8 * DAY_MS) });
+
+    const digest = await errorAudits.weeklyDigest({ accountId: 1 });
+
+    expect(digest.totalFailures).toBe(4);
+    expect(digest.unrecovered).toBe(2);
+    expect(digest.topCommands).toEqual([
+      {
+        pattern: 'delete <text>',
+        failures: 2,
+        unrecovered: 2,
+        users: 2,
+        errorTypes: ['PERMISSION_DENIED'],
+        operationTypes: ['delete_item'],
+        examples: ['Delete "Gamma"', 'Delete "Delta"'],
+        previousWeek: 0
+      },
+      expect.objectContaining({ pattern: 'move <text> to done', failures: 2, unrecovered: 0, previousWeek: 1 })
+    ]);
+
+    const [published] = await errorAudits.publishDigests();
+    expect(published.accountId).toBe('1');
+  });
+
+  describe('with MongoDB connected', () => {
+    let aggregate;
+    let find;
+
+    beforeEach(() => {
+      jest.spyOn(errorAudits.store, 'isPersistent').mockReturnValue(true);
+      find = jest.spyOn(errorAudits.store, 'find');
+      aggregate = jest.fn();
+      errorAudits.store.model.aggregate = aggregate;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete errorAudits.store.model.aggregate;
+    });
+
+    test('groups failures in the database instead of loading them', async () => {
+      aggregate.mockResolvedValue([{
+        totals: [{ _id: null, total: 3, recovered: 1 }],
+        byErrorType: [{ key: 'PERMISSION_DENIED', failures: 2, recovered: 0 }],
+        byOperationType: [],
+        byBoard: [],
+        byPromptPattern: []
+      }]);
+
+      const analytics = await errorAudits.analytics({ accountId: 1, until: '2026-10-08T00:00:00Z' });
+
+      expect(analytics).toEqual(expect.objectContaining({
+        total: 3,
+        recovered: 1,
+        byErrorType: [{ key: 'PERMISSION_DENIED', failures: 2, recovered: 0 }]
+      }));
+      const [[[match, { $facet: facet }]]] = aggregate.mock.calls;
+      expect(match.$match).toEqual({
+        accountId: '1',
+        occurredAt: { $gt: new Date('2026-10-01T00:00:00Z'), $lte: new Date('2026-10-08T00:00:00Z') }
+      });
+      expect(facet.byBoard).toEqual(expect.arrayContaining([
+        { $group: { _id: '$boardId', failures: { $sum: 1 }, recovered: { $sum: expect.any(Object) } } },
+        { $limit: 10 }
+      ]));
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    test('builds the weekly digest and its accounts from aggregations', async () => {
+      aggregate
+        .mockResolvedValueOnce([{
+          totals: [{ _id: null, failures: 4, unrecovered: 2 }],
+          commands: [{
+            _id: 'delete <text>',
+            failures: 2,
+            unrecovered: 2,
+            users: ['7', '8', null],
+            examples: ['Delete "Gamma"', 'Delete "Delta"', 'Delete "Eta"', 'Delete "Zeta"']
+          }],
+          errorTypes: [
+            { _id: { pattern: 'move <text> to done', key: 'NETWORK_ERROR' }, failures: 2 },
+            { _id: { pattern: 'delete <text>', key: 'PERMISSION_DENIED' }, failures: 2 }
+          ],
+          operationTypes: [{ _id: { pattern: 'delete <text>', key: 'delete_item' }, failures: 2 }]
+        }])
+        .mockResolvedValueOnce([{ _id: 'delete <text>', failures: 1 }]);
+
+      const digest = await errorAudits.weeklyDigest({ accountId: 1 });
+
+      expect(digest).toEqual(expect.objectContaining({ accountId: '1', totalFailures: 4, unrecovered: 2 }));
+      expect(digest.topCommands).toEqual([{
+        pattern: 'delete <text>',
+        failures: 2,
+        unrecovered: 2,
+        users: 2,
+        errorTypes: ['PERMISSION_DENIED'],
+        operationTypes: ['delete_item'],
+        examples: ['Delete "Gamma"', 'Delete "Delta"', 'Delete "Eta"'],
+        previousWeek: 1
+      }]);
+      // Last week is only counted for the commands in the digest
+      expect(aggregate.mock.calls[1][0][0].$match.promptPattern).toEqual({ $in: ['delete <text>'] });
+
+      aggregate.mockReset();
+      aggregate
+        .mockResolvedValueOnce([{ _id: '1' }])
+        .mockResolvedValue([{ totals: [], commands: [], errorTypes: [], operationTypes: [] }]);
+      const [published] = await errorAudits.publishDigests();
+      expect(published).toEqual(expect.objectContaining({ accountId: '1', totalFailures: 0, topCommands: [] }));
+      expect(aggregate.mock.calls[0][0][1]).toEqual({ $group: { _id: '$accountId' } });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const ErrorRecoveryService = require('../../services/error-recovery').constructor;
+
+const context = {
+  accountId: 1,
+  userId: 7,
+  operation: {
+    type: 'update_item',
+    parameters: { boardId: '123', itemId: '100', columnValues: { status: 'Finished' } }
+  }
+};
+
+const columns = [
+  { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done"}}' }
+];
+
+describe('ErrorRecoveryService', () => {
+  let provider;
+  let validator;
+
+  beforeEach(() => {
+    provider = {
+      model: 'test-model',
+      completeJSON: jest.fn().mockResolvedValue({
+        data: {
+          parameters: { boardId: '999', itemId: '100', columnValues: { status: { label: 'Done' } } },
+          changes: ['Used the status label "Done"']
+        }
+      })
+    };
+
+    // Only the label the board defines passes validation
+    validator = {
+      getBoardColumns: jest.fn().mockResolvedValue(columns),
+      validateOperation: jest.fn(async operation => {
+        const valid = operation.parameters.columnValues?.status?.label === 'Done';
+        return { valid, errors: valid ? [] : ['Status: unknown label'] };
+      })
+    };
+  });
+
+  test('repairs rejected parameters with the board schema once simpler fixes fail validation', async () => {
+    const service = new ErrorRecoveryService({ provider, validator });
+
+    const result = await service.attemptRecovery(new Error('invalid status label "Finished"'), context);
+
+    expect(result).toMatchObject({ successful: true, shouldRetry: true, strategy: 'ai-parameter-repair' });
+    // The target of the operation is kept from the original parameters
+    expect(result.newData).toEqual({ boardId: '123', itemId: '100', columnValues: { status: { label: 'Done' } } });
+    expect(provider.completeJSON.mock.calls[0][0].prompt).toContain('"Working on it"');
+    expect(validator.validateOperation).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry with repaired parameters that fail validation', async () => {
+    provider.completeJSON.mockResolvedValue({
+      data: { parameters: { columnValues: { status: { label: 'Finished!' } } } }
+    });
+    const service = new ErrorRecoveryService({ provider, validator });
+
+    const result = await service.attemptRecovery(new Error('invalid status label "Finished"'), context);
+
+    expect(result.successful).toBe(false);
+    expect(result.shouldRetry).toBeUndefined();
+    expect(result.validationErrors).toEqual(['Status: unknown label']);
+  });
+
+  test('enables strategies per operation type and replaces them by name', async () => {
+    const service = new ErrorRecoveryService({ provider, validator, strategies: [] });
+    const recover = jest.fn().mockResolvedValue({ retry: true });
+
+    service.registerStrategy({ name: 'retry-moves', errorTypes: ['NETWORK_ERROR'], recover }, {
+      operationTypes: ['move_item']
+    });
+
+    expect(service.strategiesFor('NETWORK_ERROR', 'move_item')).toHaveLength(1);
+    expect(service.strategiesFor('NETWORK_ERROR', 'update_item')).toHaveLength(0);
+
+    const skipped = await service.attemptRecovery(new Error('network down'), context);
+    expect(skipped.successful).toBe(false);
+    expect(recover).not.toHaveBeenCalled();
+
+    service.registerStrategy({ name: 'retry-moves', errorTypes: ['NETWORK_ERROR'], recover }, { operationTypes: null });
+    expect(service.strategies).toHaveLength(1);
+    expect((await service.attemptRecovery(new Error('network down'), context)).strategy).toBe('retry-moves');
+
+    expect(service.unregisterStrategy('retry-moves')).toBe(true);
+    expect(service.strategiesFor('NETWORK_ERROR', 'move_item')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,113 @@
+const operationJournal = require('../../services/operation-journal');
+const undoHistory = require('../../services/undo-history');
+const errorRecovery = require('../../services/error-recovery');
+const ClaudeService = require('../../services/claude');
+const MockedExecutor = require('../../services/operation-executor');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+
+// The controller builds its services when it is loaded
+const executor = new OperationExecutor();
+const claude = { processUserRequest: jest.fn() };
+MockedExecutor.mockImplementationOnce(() => executor);
+ClaudeService.mockImplementationOnce(() => claude);
+const { executeAction } = require('../../controllers/monday/executeAction');
+
+// Owner of the context the mocked ContextService gathers
+const owner = { accountId: '101112', userId: '789' };
+
+function response() {
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+const actionRequest = () => ({
+  mondayAccessToken: 'token',
+  body: {
+    payload: {
+      inputFields: { user_input: 'Add a kickoff item and mark both items done', allOrNothing: true },
+      boardId: '123',
+      ...owner
+    }
+  }
+});
+
+describe('Monday.com execute action', () => {
+  beforeEach(() => {
+    operationJournal.store.clearMemory();
+    undoHistory.store.clearMemory();
+
+    executor.snapshots.client = {
+      api: jest.fn().mockResolvedValue({
+        data: {
+          items: [
+            { id: '1', name: 'A', board: { id: '123' }, group: { id: 'g' }, column_values: [{ id: 'text', type: 'text', text: 'old', value: '"old"' }] },
+            { id: '2', name: 'B', board: { id: '123' }, group: { id: 'g' }, column_values: [{ id: 'text', type: 'text', text: 'old', value: '"old"' }] }
+          ]
+        }
+      })
+    };
+    executor.operations.item = {
+      createItem: jest.fn().mockResolvedValue({ success: true, item: { id: '900' } }),
+      updateItem: jest.fn().mockResolvedValue({ success: true }),
+      deleteItem: jest.fn().mockResolvedValue({ success: true })
+    };
+    executor.operations.bulk = {
+      bulkUpdate: jest.fn().mockResolvedValue({
+        success: false,
+        results: [{ itemId: '1', success: true }],
+        errors: [{ itemId: '2', error: 'Column not found' }],
+        error: '1 item failed'
+      })
+    };
+    executor.registerCompensation('bulk_update', (parameters, result, preImage) =>
+      result.results.map(({ itemId }) => ({
+        type: 'update_item',
+        parameters: { boardId: '123', itemId, columnValues: preImage.previousValuesByItem[itemId] }
+      })));
+
+    claude.processUserRequest.mockResolvedValue({
+      success: true,
+      operations: [
+        { type: 'create_item', parameters: { boardId: '123', itemName: 'Kickoff' } },
+        { type: 'bulk_update', parameters: { itemIds: ['1', '2'], columnValues: { text: 'new' } } }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an all-or-nothing rollback leaves nothing on the undo stack', async () => {
+    jest.spyOn(errorRecovery, 'attemptRecovery').mockResolvedValue({ successful: false, attempted: true });
+    const res = response();
+
+    await executeAction(actionRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    const body = res.json.mock.calls[0][0];
+    expect(body.code).toBe('TRANSACTION_ROLLED_BACK');
+    expect(body.rollback.steps.map(step => step.type)).toEqual(['bulk_update', 'create_item']);
+    expect(executor.operations.item.deleteItem).toHaveBeenCalledWith('900', { confirmed: true, archive: true });
+
+    expect(await undoHistory.nextUndo(owner)).toBeNull();
+  });
+
+  test('partial changes of a retried attempt are compensated once, before the retry', async () => {
+    jest.spyOn(errorRecovery, 'attemptRecovery')
+      .mockResolvedValueOnce({ successful: true, shouldRetry: true, strategy: 'retry' })
+      .mockResolvedValue({ successful: false, attempted: true });
+    const res = response();
+
+    await executeAction(actionRequest(), res);
+
+    const body = res.json.mock.calls[0][0];
+    expect(executor.operations.bulk.bulkUpdate).toHaveBeenCalledTimes(2);
+    expect(body.executionResults[1]).toEqual(expect.objectContaining({ success: false, attempts: 2 }));
+    // One compensation for the first attempt when it was retried, one in the rollback
+    expect(body.rollback.steps.map(step => step.type)).toEqual(['bulk_update', 'create_item']);
+    expect(executor.operations.item.updateItem).toHaveBeenCalledTimes(2);
+    expect(executor.operations.item.updateItem).toHaveBeenCalledWith('123', '1', { text: 'old' }, { timezone: null });
+  });
+});
@@ -0,0 +1,149 @@
+const {
+  parseCriteria,
+  normalizeCriteria,
+  compileCriteria,
+  filterItems
+} = require('../../utils/item-criteria');
+const OperationMapper = require('../../nlp/operation-mapper');
+
+const board = {
+  id: '123',
+  columns: [
+    { id: 'name', title: 'Name', type: 'name' },
+    { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done","2":"Stuck"}}' },
+    { id: 'due', title: 'Due date', type: 'date' },
+    { id: 'prio', title: 'Priority', type: 'numbers' },
+    { id: 'owner', title: 'Owner', type: 'people' }
+  ],
+  groups: [
+    { id: 'topics', title: 'This week' },
+    { id: 'archive', title: 'Archive' }
+  ]
+};
+
+const items = [
+  {
+    id: '1',
+    name: 'Launch plan',
+    group: { id: 'topics', title: 'This week' },
+    column_values: [
+      { id: 'status', text: 'Working on it' },
+      { id: 'due', text: '2026-10-10', value: '{"date":"2026-10-10"}' },
+      { id: 'prio', text: '3' },
+      { id: 'owner', text: 'Bob Smith', value: '{"personsAndTeams":[{"id":7,"kind":"person"}]}' }
+    ]
+  },
+  {
+    id: '2',
+    name: 'Retro',
+    group: { id: 'archive', title: 'Archive' },
+    column_values: [
+      { id: 'status', text: 'Done' },
+      { id: 'due', text: '', value: null },
+      { id: 'prio', text: '8' },
+      { id: 'owner', text: '', value: null }
+    ]
+  }
+];
+
+const options = { board, userId: '7', now: new Date('2026-10-18T12:00:00') };
+const matching = text => filterItems(items, parseCriteria(text), options).map(item => item.id);
+
+describe('item criteria', () => {
+  test('parses boolean expressions with grouping and multi-word fields', () => {
+    expect(parseCriteria('status = Done AND (due date < today OR priority > 5) AND NOT group = "Archive"')).toEqual({
+      and: [
+        { field: 'status', operator: 'equals', value: 'Done' },
+        {
+          or: [
+            { field: 'due date', operator: 'lt', value: 'today' },
+            { field: 'priority', operator: 'gt', value: 5 }
+          ]
+        },
+        { not: { field: 'group', operator: 'equals', value: 'Archive' } }
+      ]
+    });
+
+    expect(() => parseCriteria('status Done')).toThrow('Expected an operator');
+  });
+
+  test('evaluates column, group, name and people conditions', () => {
+    expect(matching('due date < today and status != Done')).toEqual(['1']);
+    expect(matching('owner contains me')).toEqual(['1']);
+    expect(matching('owner is empty')).toEqual(['2']);
+    expect(matching('priority > 5 or name contains launch')).toEqual(['1', '2']);
+    expect(matching('not group = "This week"')).toEqual(['2']);
+  });
+
+  test('sends server-side filters to items_page and keeps the rest local', () => {
+    const tree = parseCriteria('status in (Done, Stuck) AND owner contains me AND (priority > 5 OR name contains retro)');
+    const { queryParams, residual } = compileCriteria(tree, board, options);
+
+    expect(queryParams).toEqual({
+      operator: 'and',
+      rules: [
+        { column_id: 'status', compare_value: [1, 2], operator: 'any_of' },
+        { column_id: 'owner', compare_value: ['person-7'], operator: 'any_of' }
+      ]
+    });
+    expect(residual).toEqual(tree.and[2]);
+  });
+
+  test('reads shorthand criteria and ignores transfer options', () => {
+    expect(normalizeCriteria({ status: 'Done', deleteFromSource: true })).toEqual({
+      field: 'status', operator: 'equals', value: 'Done'
+    });
+    expect(normalizeCriteria({ deleteFromSource: true })).toBeNull();
+  });
+
+  test('reads selections phrased in natural language against the board', async () => {
+    const mapper = new OperationMapper();
+    const shipping = {
+      ...board,
+      columns: board.columns.map(column => column.id === 'status'
+        ? { ...column, settings_str: '{"labels":{"0":"Working on it","1":"Shipped","2":"Stuck"},"done_colors":[1]}' }
+        : column)
+    };
+    const context = {
+      boards: [shipping],
+      users: [{ id: '7', name: 'Bob Smith', email: 'bob@example.com' }, { id: '8', name: 'Ann Lee', email: 'ann@example.com' }]
+    };
+    const criteriaFor = async phrase => (await mapper.mapToAPI({
+      operation: 'BULK_OPERATION',
+      parameters: { boardId: '123', criteria: phrase }
+    }, context)).criteria;
+
+    expect(await criteriaFor('all overdue items assigned to bob that need a review')).toEqual({
+      and: [
+        { field: 'due', operator: 'lt', value: 'today' },
+        { field: 'status', operator: 'not_equals', value: 'Shipped' },
+        { field: 'owner', operator: 'contains', value: '7' }
+      ]
+    });
+    expect(await criteriaFor('items owned by Bob Smith in This week')).toEqual({
+      and: [
+        { field: 'owner', operator: 'contains', value: '7' },
+        { field: 'group', operator: 'equals', value: 'topics' }
+      ]
+    });
+    expect(await criteriaFor('everything assigned to me that is not done')).toEqual({
+      and: [
+        { field: 'owner', operator: 'contains', value: 'me' },
+        { field: 'status', operator: 'not_equals', value: 'Shipped' }
+      ]
+    });
+    expect(await criteriaFor('shipped items')).toEqual({ field: 'status', operator: 'equals', value: 'Shipped' });
+
+    // Names that match nobody are asked about rather than filtered on
+    const unknown = await mapper.mapToAPI({
+      operation: 'BULK_OPERATION',
+      parameters: { boardId: '123', criteria: 'items assigned to Carol in This week' }
+    }, context);
+    expect(unknown).toEqual(expect.objectContaining({ method: 'ERROR', code: 'USER_NOT_FOUND' }));
+    expect(unknown.disambiguation).toEqual(expect.objectContaining({
+      parameter: 'userId',
+      question: 'I could not find a user named "Carol". Who did you mean?',
+      options: [{ userId: '7', label: 'Bob Smith' }, { userId: '8', label: 'Ann Lee' }]
+    }));
+  });
+});
@@ -0,0 +1,94 @@
+const ItemResolver = require('../../services/item-resolver');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+
+const boardItems = [
+  { id: '1', name: 'Launch plan', group: { id: 'topics', title: 'Q3' } },
+  { id: '2', name: 'Launch Plan', group: { id: 'later', title: 'Q4' } },
+  { id: '3', name: 'Budget review', group: { id: 'topics', title: 'Q3' } },
+  { id: '4', name: 'Hiring', group: { id: 'topics', title: 'Q3' } },
+  { id: '5', name: 'Hiring', group: { id: 'later', title: 'Q4' } }
+];
+
+// Answers exact name lookups and serves the board as a single items page
+function fakeClient(items = boardItems, { lookupFails = false } = {}) {
+  return {
+    api: jest.fn(async (query, variables) => {
+      if (query.includes('items_page_by_column_values')) {
+        if (lookupFails) throw new Error('Column not supported');
+        const [value] = variables.columns[0].column_values;
+        return { data: { items_page_by_column_values: { items: items.filter(item => item.name === value) } } };
+      }
+      return { data: { boards: [{ items_page: { cursor: null, items } }] } };
+    })
+  };
+}
+
+const scans = client => client.api.mock.calls.filter(([query]) => !query.includes('items_page_by_column_values'));
+
+describe('ItemResolver', () => {
+  test('resolves exact names without scanning the board', async () => {
+    const client = fakeClient();
+    const result = await new ItemResolver(client).resolve('Budget review', '123');
+
+    expect(result).toMatchObject({ status: 'resolved', item: { id: '3' }, match: 'exact' });
+    expect(scans(client)).toHaveLength(0);
+    expect(client.api.mock.calls[0][1]).toEqual({
+      boardId: '123',
+      columns: [{ column_id: 'name', column_values: ['Budget review'] }]
+    });
+  });
+
+  test('falls back to case-insensitive and fuzzy matches from a board scan', async () => {
+    const client = fakeClient(boardItems, { lookupFails: true });
+    const resolver = new ItemResolver(client);
+
+    const fuzzy = await resolver.resolve('Budget reveiw', '123');
+    expect(fuzzy).toMatchObject({ status: 'resolved', item: { id: '3' }, match: 'fuzzy' });
+    expect(scans(client)).toHaveLength(1);
+
+    expect(await resolver.resolve('hiring plan for 2027', '123')).toMatchObject({ status: 'not_found' });
+    expect(await resolver.resolve('42', '123')).toMatchObject({ status: 'resolved', item: { id: '42' }, match: 'id' });
+  });
+
+  test('asks which item was meant when candidates tie instead of guessing', async () => {
+    const resolver = new ItemResolver(fakeClient());
+
+    const sameName = await resolver.resolve('Hiring', '123');
+    expect(sameName.status).toBe('ambiguous');
+    expect(sameName.disambiguation).toEqual({
+      parameter: 'itemId',
+      query: 'Hiring',
+      boardId: '123',
+      question: 'Several items match "Hiring". Which one did you mean?',
+      options: [{ itemId: '4', label: 'Hiring (Q3)' }, { itemId: '5', label: 'Hiring (Q4)' }]
+    });
+
+    // An exact match outranks one that differs only in case
+    expect(await resolver.resolve('Launch Plan', '123')).toMatchObject({ status: 'resolved', item: { id: '2' } });
+    expect((await resolver.resolve('launch plan', '123')).status).toBe('ambiguous');
+  });
+
+  test('the executor resolves named items and returns the disambiguation payload', async () => {
+    const executor = new OperationExecutor({ itemResolver: new ItemResolver(fakeClient()) });
+    executor.snapshots.client = { api: jest.fn().mockResolvedValue({ data: { items: [] } }) };
+    executor.operations.item = {
+      updateItem: jest.fn(async (boardId, itemId) => ({ success: true, item: { id: itemId } }))
+    };
+    const context = { accountId: 1, boardId: '123', skipUndoHistory: true };
+
+    const updated = await executor.execute({
+      type: 'update_item',
+      parameters: { boardId: '123', itemName: 'Budget review', columnValues: { status: 'Done' } }
+    }, context);
+    expect(updated.success).toBe(true);
+    expect(executor.operations.item.updateItem).toHaveBeenCalledWith('123', '3', { status: 'Done' }, { timezone: null });
+
+    const ambiguous = await executor.execute({
+      type: 'update_item',
+      parameters: { itemId: 'Hiring', columnValues: { status: 'Done' } }
+    }, context);
+    expect(ambiguous).toMatchObject({ success: false, code: 'ITEM_AMBIGUOUS' });
+    expect(ambiguous.disambiguation.options.map(option => option.itemId)).toEqual(['4', '5']);
+    expect(executor.operations.item.updateItem).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,69 @@
+const { iterateItems, collectItems } = require('../../utils/items-pager');
+
+// Serves `total` items through items_page/next_items_page cursors
+function fakeClient(total, { responses = {}, after = () => 5000000 } = {}) {
+  const client = {
+    calls: [],
+    api: jest.fn(async (query, variables) => {
+      client.calls.push(variables);
+      const call = client.calls.length;
+      if (responses[call]) {
+        return responses[call];
+      }
+
+      const start = variables.cursor ? Number(variables.cursor) : 0;
+      const count = Math.min(variables.limit, total - start);
+      const page = {
+        cursor: start + count < total ? String(start + count) : null,
+        items: Array.from({ length: count }, (_, i) => ({ id: String(start + i), name: `Item ${start + i}` }))
+      };
+      const complexity = { query: 30000, after: after(call), reset_in_x_seconds: 12 };
+
+      return variables.cursor
+        ? { data: { complexity, next_items_page: page } }
+        : { data: { complexity, boards: [{ items_page: page }] } };
+    })
+  };
+  return client;
+}
+
+describe('items pager', () => {
+  test('follows cursors until the board is exhausted', async () => {
+    const client = fakeClient(1203);
+    const items = await collectItems(client, '123', { queryParams: { rules: [] } });
+
+    expect(items).toHaveLength(1203);
+    expect(client.calls.map(v => v.cursor)).toEqual([undefined, '500', '1000']);
+    expect(client.calls[0]).toMatchObject({ boardId: ['123'], limit: 500, queryParams: { rules: [] } });
+  });
+
+  test('stops at maxItems without reading further pages', async () => {
+    const client = fakeClient(5000);
+    const seen = [];
+    for await (const item of iterateItems(client, '123', { maxItems: 700 })) {
+      seen.push(item.id);
+    }
+
+    expect(seen).toHaveLength(700);
+    expect(client.calls.map(v => v.limit)).toEqual([500, 200]);
+  });
+
+  test('leaves pacing and rate-limit retries to the client', async () => {
+    const client = fakeClient(900, {
+      after: () => 100000,
+      responses: {
+        2: { errors: [{ message: 'Complexity budget exhausted', extensions: { code: 'ComplexityException', retry_in_seconds: 7 } }] }
+      }
+    });
+
+    await expect(collectItems(client, '123')).rejects.toThrow('Complexity budget exhausted');
+    expect(client.api).toHaveBeenCalledTimes(2);
+  });
+
+  test('surfaces other API errors and missing boards', async () => {
+    await expect(collectItems({ api: async () => ({ errors: [{ message: 'Not authorized' }] }) }, '1'))
+      .rejects.toThrow('Not authorized');
+    await expect(collectItems({ request: async () => ({ data: { boards: [] } }) }, '1'))
+      .rejects.toThrow('Board 1 not found');
+  });
+});
@@ -0,0 +1,290 @@
+jest.mock('../../config/database', () => ({
+  ...jest.requireActual('../../config/database'),
+  isDatabaseConnected: jest.fn(() => true)
+}));
+
+const Joi = require('joi');
+const AI_CONFIG = require('../../config/ai');
+const User = require('../../models/User');
+const {
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  registerProvider,
+  resolveProvider,
+  clearPreferenceCache
+} = require('../../services/llm');
+
+const collect = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+// User.findByMondayId(...).select(...).lean() resolving to the stored user
+const storedPreference = aiModel => jest.spyOn(User, 'findByMondayId').mockReturnValue({
+  select: () => ({ lean: () => Promise.resolve(aiModel ? { preferences: { aiModel } } : null) })
+});
+
+const schema = Joi.object({ status: Joi.string().valid('Done', 'Stuck').required() });
+
+describe('LLM providers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveProvider', () => {
+    const accounts = AI_CONFIG.llm.accounts;
+    const defaultProvider = AI_CONFIG.llm.provider;
+
+    beforeEach(() => {
+      clearPreferenceCache();
+      AI_CONFIG.llm.provider = 'anthropic';
+      AI_CONFIG.llm.accounts = { 42: { provider: 'openai', model: 'gpt-4o' }, 43: { provider: 'openai' } };
+      // Offline stand-ins for every registered provider
+      for (const name of ['anthropic', 'openai', 'fixture']) {
+        registerProvider(name, () => new FixtureProvider({ model: `${name}-default` }));
+      }
+    });
+
+    afterEach(() => {
+      AI_CONFIG.llm.accounts = accounts;
+      AI_CONFIG.llm.provider = defaultProvider;
+    });
+
+    test('prefers the user, then the account, then the default', async () => {
+      storedPreference('openai:gpt-4.1');
+      expect(await resolveProvider({ accountId: '42', userId: '7' }))
+        .toEqual(expect.objectContaining({ providerName: 'openai', model: 'gpt-4.1' }));
+
+      // Bare model names infer their provider
+      clearPreferenceCache();
+      storedPreference('claude-3-5-haiku-20241022');
+      expect(await resolveProvider({ accountId: '42', userId: '7' }))
+        .toEqual(expect.objectContaining({ providerName: 'anthropic', model: 'claude-3-5-haiku-20241022' }));
+
+      clearPreferenceCache();
+      storedPreference(null);
+      expect(await resolveProvider({ accountId: '42', userId: '7' }))
+        .toEqual(expect.objectContaining({ providerName: 'openai', model: 'gpt-4o' }));
+      // An account choosing only a provider gets that provider's default model
+      expect(await resolveProvider({ accountId: '43', userId: '7' }))
+        .toEqual(expect.objectContaining({ providerName: 'openai', model: 'openai-default' }));
+
+      const fallback = await resolveProvider({ accountId: '99', userId: '7' });
+      expect(fallback).toEqual(expect.objectContaining({ providerName: 'anthropic', model: AI_CONFIG.llm.model }));
+      expect(fallback.provider).toBeInstanceOf(FixtureProvider);
+    });
+
+    test('caches preferences until they are cleared and survives lookup failures', async () => {
+      const lookup = storedPreference('openai:gpt-4.1');
+
+      await resolveProvider({ accountId: '42', userId: '7' });
+      await resolveProvider({ accountId: '42', userId: '7' });
+      expect(lookup).toHaveBeenCalledTimes(1);
+      expect(lookup).toHaveBeenCalledWith('7', '42');
+
+      clearPreferenceCache('42', '7');
+      lookup.mockReturnValue({ select: () => ({ lean: () => Promise.reject(new Error('connection lost')) }) });
+      expect((await resolveProvider({ accountId: '42', userId: '7' })).model).toBe('gpt-4o');
+
+      // Without a user there is no preference to look up
+      await resolveProvider({ accountId: '42' });
+      expect(lookup).toHaveBeenCalledTimes(2);
+
+      AI_CONFIG.llm.accounts = { 44: { provider: 'unknown' } };
+      await expect(resolveProvider({ accountId: '44' })).rejects.toThrow('Unknown LLM provider "unknown"');
+    });
+  });
+
+  describe('FixtureProvider', () => {
+    const provider = new FixtureProvider({
+      fixtures: [
+        { match: 'Respond with "OK"', response: 'OK' },
+        { match: 'Which status', response: '```json\n{"status": "Done"}\n```' },
+        { match: 'Pick a status', response: '{"status": "Archived"}' }
+      ]
+    });
+
+    test('replays recorded responses by hash or by message', async () => {
+      const response = await provider.complete({ prompt: 'Respond with "OK"' });
+      expect(response).toEqual({
+        text: 'OK',
+        model: 'fixture',
+        stopReason: 'end_turn',
+        usage: { inputTokens: 5, outputTokens: 1 }
+      });
+
+      const request = { system: 'Be brief', prompt: 'Hello' };
+      provider.add({ hash: provider.hashRequest(request), response: { text: 'Hi', stopReason: 'max_tokens' } });
+      expect(await provider.complete(request)).toEqual(expect.objectContaining({ text: 'Hi', stopReason: 'max_tokens' }));
+      expect(provider.hashRequest(request)).not.toBe(provider.hashRequest({ prompt: 'Hello' }));
+
+      await expect(provider.complete({ prompt: 'Unrecorded' })).rejects.toMatchObject({ code: 'FIXTURE_NOT_FOUND' });
+    });
+
+    test('streams, counts tokens and parses structured output', async () => {
+      expect(await collect(provider.stream({ prompt: 'Respond with "OK"' }))).toEqual(['OK']);
+      expect(await provider.countTokens({ system: 'Be brief', prompt: 'Respond with "OK"' })).toBe(7);
+
+      const { data } = await provider.completeJSON({ prompt: 'Which status?' }, { schema });
+      expect(data).toEqual({ status: 'Done' });
+      await expect(provider.completeJSON({ prompt: 'Pick a status' }, { schema }))
+        .rejects.toThrow(/does not match schema/);
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    const completion = content => ({
+      data: {
+        model: 'gpt-4o',
+        choices: [{ message: { content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      }
+    });
+
+    async function* events(...lines) {
+      // Chunks split events at arbitrary points
+      const text = lines.join('\n') + '\n';
+      yield Buffer.from(text.slice(0, 25));
+      yield Buffer.from(text.slice(25));
+    }
+
+    let http;
+    let provider;
+
+    beforeEach(() => {
+      http = { post: jest.fn() };
+      provider = new OpenAICompatibleProvider({ http, model: 'gpt-4o-mini' });
+    });
+
+    test('completes chat requests with the system prompt first', async () => {
+      http.post.mockResolvedValue(completion('Done'));
+
+      const response = await provider.complete({ system: 'Be brief', prompt: 'Status?', temperature: 0 });
+
+      expect(response).toEqual({ text: 'Done', model: 'gpt-4o', stopReason: 'stop', usage: { inputTokens: 12, outputTokens: 3 } });
+      expect(http.post).toHaveBeenCalledWith('/chat/completions', {
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Status?' }],
+        max_tokens: 4000,
+        temperature: 0
+      }, {});
+
+      http.post.mockRejectedValue(Object.assign(new Error('Request failed'), {
+        response: { status: 429, data: { error: { message: 'Rate limit reached' } } }
+      }));
+      await expect(provider.complete({ prompt: 'Status?' })).rejects.toMatchObject({ message: 'Rate limit reached', status: 429 });
+    });
+
+    test('streams server-sent deltas until [DONE]', async () => {
+      http.post.mockResolvedValue({
+        data: events(
+          'data: {"choices":[{"delta":{"role":"assistant"}}]}',
+          'data: {"choices":[{"delta":{"content":"Mark it "}}]}',
+          '',
+          'data: {"choices":[{"delta":{"content":"Done"}}]}',
+          'data: [DONE]',
+          'data: {"choices":[{"delta":{"content":"ignored"}}]}'
+        )
+      });
+
+      expect(await collect(provider.stream({ prompt: 'Status?' }))).toEqual(['Mark it ', 'Done']);
+      expect(http.post.mock.calls[0][1].stream).toBe(true);
+      expect(http.post.mock.calls[0][2]).toEqual({ responseType: 'stream' });
+    });
+
+    test('estimates tokens and asks for JSON mode', async () => {
+      expect(await provider.countTokens({ prompt: 'x'.repeat(40) })).toBe(10);
+
+      http.post.mockResolvedValue(completion('{"status": "Stuck"}'));
+      const { data } = await provider.completeJSON({ prompt: 'Status?' }, { schema });
+
+      expect(data).toEqual({ status: 'Stuck' });
+      expect(http.post.mock.calls[0][1].response_format).toEqual({ type: 'json_object' });
+      expect(http.post.mock.calls[0][1].messages[0].content).toMatch(/single valid JSON object/);
+    });
+  });
+
+  describe('AnthropicProvider', () => {
+    const message = text => ({
+      model: 'claude-3-5-sonnet-20241022',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 20, output_tokens: 4 }
+    });
+
+    let client;
+    let provider;
+
+    beforeEach(() => {
+      client = {
+        messages: { create: jest.fn(), stream: jest.fn() },
+        post: jest.fn()
+      };
+      provider = new AnthropicProvider({ client, model: 'claude-3-5-sonnet-20241022' });
+    });
+
+    test('completes messages and rejects empty answers', async () => {
+      client.messages.create.mockResolvedValue(message('Done'));
+
+      expect(await provider.complete({ system: 'Be brief', prompt: 'Status?', maxTokens: 100 })).toEqual({
+        text: 'Done',
+        model: 'claude-3-5-sonnet-20241022',
+        stopReason: 'end_turn',
+        usage: { inputTokens: 20, outputTokens: 4 }
+      });
+      expect(client.messages.create).toHaveBeenCalledWith({
+        model: 'claude-3-5-sonnet-20241022',
+        max_tokens: 100,
+        system: 'Be brief',
+        messages: [{ role: 'user', content: 'Status?' }]
+      });
+
+      client.messages.create.mockResolvedValue(message(''));
+      await expect(provider.complete({ prompt: 'Status?' })).rejects.toThrow('Empty response from Anthropic');
+    });
+
+    test('streams text deltas', async () => {
+      client.messages.stream.mockReturnValue((async function* () {
+        yield { type: 'message_start' };
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Mark it ' } };
+        yield { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{' } };
+        yield { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Done' } };
+        yield { type: 'message_stop' };
+      })());
+
+      expect(await collect(provider.stream({ prompt: 'Status?' }))).toEqual(['Mark it ', 'Done']);
+    });
+
+    test('counts tokens with the API and estimates when it fails', async () => {
+      client.post.mockResolvedValue({ input_tokens: 17 });
+      expect(await provider.countTokens({ prompt: 'Status?' })).toBe(17);
+      expect(client.post).toHaveBeenCalledWith('/v1/messages/count_tokens', expect.objectContaining({
+        body: { model: 'claude-3-5-sonnet-20241022', system: undefined, messages: [{ role: 'user', content: 'Status?' }] }
+      }));
+
+      client.post.mockRejectedValue(new Error('Not found'));
+      expect(await provider.countTokens({ prompt: 'x'.repeat(40) })).toBe(10);
+    });
+
+    test('parses structured output from the completion', async () => {
+      client.messages.create.mockResolvedValue(message('```json\n{"status": "Done"}\n```'));
+
+      const { data, usage } = await provider.completeJSON({ system: 'Be brief', prompt: 'Status?' }, { schema });
+
+      expect(data).toEqual({ status: 'Done' });
+      expect(usage).toEqual({ inputTokens: 20, outputTokens: 4 });
+      expect(client.messages.create.mock.calls[0][0].system).toMatch(/^Be brief\n\nRespond with a single valid JSON value/);
+    });
+
+    test('does not pick JSON out of prose', async () => {
+      client.messages.create.mockResolvedValue(message('Use {"status": "Done"} unless [the owner] says {"status": "Stuck"}'));
+
+      await expect(provider.completeJSON({ prompt: 'Status?' }, { schema }))
+        .rejects.toThrow(/Invalid JSON in model response/);
+    });
+  });
+});
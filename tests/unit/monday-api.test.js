@@ -0,0 +1,122 @@
+const { MondayApiClient, runWithMondayContext } = require('../../utils/monday-api');
+const ItemOperations = require('../../services/operations/item');
+
+// Clock that only moves when the client sleeps
+function fakeTime() {
+  const time = { now: 0, slept: [] };
+  time.sleep = async ms => {
+    time.slept.push(ms);
+    time.now += ms;
+  };
+  return time;
+}
+
+function createClient(transport, options = {}) {
+  const time = fakeTime();
+  const client = new MondayApiClient({
+    transport,
+    budget: 1000000,
+    now: () => time.now,
+    sleep: time.sleep,
+    ...options
+  });
+  return { client, time };
+}
+
+const complexity = (query, after) => ({ query, after, reset_in_x_seconds: 30 });
+
+describe('monday API client', () => {
+  test('selects complexity on every call and tracks the budget per account', async () => {
+    const queries = [];
+    const { client } = createClient(async query => {
+      queries.push(query);
+      return { data: { complexity: complexity(2000, 900000), me: { id: 1 } } };
+    });
+
+    await client.api('query { me { id } }', {}, { accountId: 'a1' });
+    await client.request('mutation Archive($id: ID!) { archive_item(item_id: $id) { id } }', { id: 1 }, { accountId: 'a1' });
+
+    expect(queries[0]).toBe('query { complexity { query after reset_in_x_seconds } me { id } }');
+    expect(queries[1]).toMatch(/^mutation Archive\(\$id: ID!\) \{ complexity \{/);
+    expect(client.budget('a1')).toEqual({ remaining: 900000, resetInSeconds: 30, queued: 0, inFlight: 0 });
+    expect(client.budget('a2').remaining).toBeNull();
+  });
+
+  test('sends interactive calls first and lets calls that fit the budget go ahead', async () => {
+    const sent = [];
+    const { client, time } = createClient(async (query, variables) => {
+      sent.push(variables.name);
+      return { data: { complexity: complexity(100, 5000) } };
+    }, { concurrency: 1 });
+
+    // Budget nearly spent: 5000 left until the reset in 30 seconds
+    await client.api('{ me { id } }', { name: 'warmup' });
+
+    await runWithMondayContext({ priority: 'background' }, () => Promise.all([
+      client.api('{ boards { id } }', { name: 'bulk-expensive' }, { cost: 20000 }),
+      client.api('{ users { id } }', { name: 'bulk-cheap' }, { cost: 100 }),
+      client.api('{ teams { id } }', { name: 'interactive' }, { priority: 'interactive', cost: 100 })
+    ]));
+
+    expect(sent).toEqual(['warmup', 'interactive', 'bulk-cheap', 'bulk-expensive']);
+    // Cheap calls are paced; the expensive one waits for the reset
+    expect(time.slept.length).toBeGreaterThan(0);
+    expect(time.now).toBeGreaterThanOrEqual(30000);
+  });
+
+  test('waits retry_in_seconds after a rate limit and retries the call', async () => {
+    let calls = 0;
+    const { client, time } = createClient(async () => {
+      calls++;
+      if (calls === 1) {
+        return { errors: [{ message: 'Complexity budget exhausted', extensions: { code: 'COMPLEXITY_BUDGET_EXHAUSTED', retry_in_seconds: 17 } }] };
+      }
+      return { data: { complexity: complexity(100, 999000), me: { id: 1 } } };
+    });
+
+    const response = await client.api('{ me { id } }');
+
+    expect(response.data.me).toEqual({ id: 1 });
+    expect(calls).toBe(2);
+    expect(time.slept).toEqual([17000]);
+  });
+
+  test('rejects with RATE_LIMIT_EXCEEDED once the retries are used up', async () => {
+    const { client } = createClient(async () => {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '5' } };
+      throw error;
+    }, { maxRetries: 1 });
+
+    await expect(client.api('{ me { id } }')).rejects.toMatchObject({
+      code: 'RATE_LIMIT_EXCEEDED',
+      retryInSeconds: 5
+    });
+  });
+
+  test('item operations go through the client and leave retries to it', async () => {
+    let calls = 0;
+    const { client, time } = createClient(async query => {
+      calls++;
+      if (calls === 1) {
+        return { errors: [{ message: 'Complexity budget exhausted', extensions: { code: 'COMPLEXITY_BUDGET_EXHAUSTED', retry_in_seconds: 5 } }] };
+      }
+      if (/move_item_to_group/.test(query)) {
+        const error = new Error('socket hang up');
+        error.code = 'ECONNRESET';
+        throw error;
+      }
+      return { data: { complexity: complexity(100, 999000), move_item_to_group: { id: '55', group: { id: 'done' } } } };
+    });
+    const account = jest.spyOn(client, 'account');
+    const items = new ItemOperations({ client });
+
+    const moved = await runWithMondayContext({ accountId: 'a1' }, () => items.moveItem('55', 'done'));
+
+    // The rate limit is waited out by the client; the network error is not retried
+    expect(moved).toEqual({ success: false, error: 'socket hang up', operation: 'move' });
+    expect(calls).toBe(2);
+    expect(time.slept).toEqual([5000]);
+    expect(account.mock.calls.map(([accountId]) => accountId)).not.toContain('default');
+  });
+});
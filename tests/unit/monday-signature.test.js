@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+const sign = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+function response() {
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+}
+
+const signedRequest = (rawBody, signature) => ({
+  rawBody: Buffer.from(rawBody),
+  originalUrl: '/monday/execute_action',
+  get: header => (header === 'authorization' ? `Bearer ${signature}` : undefined)
+});
+
+describe('Monday.com signature verification', () => {
+  const env = { ...process.env };
+  let verifyMondaySignature;
+
+  beforeEach(() => {
+    process.env.MONDAY_SIGNING_SECRET = 'current-secret';
+    process.env.MONDAY_PREVIOUS_SIGNING_SECRETS = 'old-secret, older-secret';
+
+    // Signing secrets are read when the config loads
+    jest.isolateModules(() => {
+      ({ verifyMondaySignature } = require('../../middleware/monday-signature'));
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const verify = (rawBody, signature) => {
+    const res = response();
+    const next = jest.fn();
+    verifyMondaySignature(signedRequest(rawBody, signature), res, next);
+    return { res, next };
+  };
+
+  const body = '{"payload":{"boardId":123, "itemId":55}}';
+
+  test('accepts the current secret and every previous one during rotation', () => {
+    for (const secret of ['current-secret', 'old-secret', 'older-secret']) {
+      const { res, next } = verify(body, sign(secret, body));
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    }
+  });
+
+  test('rejects a body that changed after signing', () => {
+    const { res, next } = verify('{"payload":{"boardId":123,"itemId":55}}', sign('old-secret', body));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid signature' });
+  });
+
+  test('rejects secrets that are not configured', () => {
+    const { res, next } = verify(body, sign('retired-secret', body));
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    const unsigned = verify(body, '');
+    expect(unsigned.next).not.toHaveBeenCalled();
+    expect(unsigned.res.json).toHaveBeenCalledWith({ error: 'Missing signature' });
+  });
+});
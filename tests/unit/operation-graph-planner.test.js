@@ -0,0 +1,126 @@
+const operationJournal = require('../../services/operation-journal');
+const undoHistory = require('../../services/undo-history');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+const OperationGraphPlanner = require('../../services/operation-graph-planner');
+const OperationInterpreter = require('../../nlp/operation-interpreter');
+const { normalizeGraph, bindParameters } = require('../../utils/operation-graph');
+
+const context = {
+  accountId: 1,
+  userId: 7,
+  boards: [{ id: '123', name: 'Roadmap', columns: [{ id: 'status', title: 'Status', type: 'status' }], groups: [] }]
+};
+
+// "Create a board Research and Development and add a Status column to it"
+const steps = [
+  {
+    id: 'step2',
+    operation: 'COLUMN_CREATE',
+    parameters: { boardId: '{{step1.boardId}}', columnTitle: 'Status', columnType: 'status' }
+  },
+  {
+    id: 'step1',
+    operation: 'BOARD_CREATE',
+    parameters: { boardName: 'Research and Development', workspaceId: '5' }
+  },
+  {
+    id: 'step3',
+    operation: 'ITEM_CREATE',
+    parameters: { boardId: '{{step1.boardId}}', itemName: 'Kickoff for {{step1.board.name}}' },
+    dependsOn: ['step2']
+  }
+];
+
+describe('Operation graph planner', () => {
+  let executor;
+  let planner;
+  let claudeService;
+
+  beforeEach(() => {
+    operationJournal.store.clearMemory();
+    undoHistory.store.clearMemory();
+
+    executor = new OperationExecutor();
+    executor.snapshots.client = { api: jest.fn().mockResolvedValue({ data: { boards: [] } }) };
+    executor.operations.board = {
+      createBoard: jest.fn().mockResolvedValue({ success: true, board: { id: '777', name: 'Research and Development' } }),
+      addColumn: jest.fn().mockResolvedValue({ success: true, column: { id: 'status_1' } }),
+      deleteBoard: jest.fn().mockResolvedValue({ success: true })
+    };
+    executor.operations.item = {
+      createItem: jest.fn().mockResolvedValue({ success: true, item: { id: '900' } })
+    };
+
+    claudeService = {
+      planOperations: jest.fn().mockResolvedValue({ steps, confidence: 90, clarifyingQuestions: [], warnings: [] }),
+      analyzeOperation: jest.fn()
+    };
+    planner = new OperationGraphPlanner({ executor, claudeService });
+  });
+
+  test('orders steps by their dependencies and bindings', () => {
+    const graph = normalizeGraph(steps);
+
+    expect(graph.order).toEqual(['step1', 'step2', 'step3']);
+    expect(graph.steps.find(step => step.id === 'step3').dependsOn).toEqual(['step2', 'step1']);
+    expect(bindParameters({ boardId: '{{step1.boardId}}', title: 'Copy of {{ step1.board.name }}' }, {
+      step1: { boardId: '777', board: { name: 'R&D' } }
+    })).toEqual({ boardId: '777', title: 'Copy of R&D' });
+
+    expect(() => normalizeGraph([{ id: 'a', operation: 'ITEM_CREATE', dependsOn: ['b'] }]))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PLAN' }));
+    expect(() => normalizeGraph([
+      { id: 'a', operation: 'ITEM_CREATE', dependsOn: ['b'] },
+      { id: 'b', operation: 'ITEM_CREATE', parameters: { boardId: '{{a.boardId}}' } }
+    ])).toThrow(expect.objectContaining({ code: 'PLAN_CYCLE' }));
+  });
+
+  test('feeds the new board ID from one step into the next', async () => {
+    const plan = await planner.plan('Create a board Research and Development and add a Status column to it', context);
+    const result = await planner.execute(plan, context);
+
+    expect(result.success).toBe(true);
+    expect(result.steps.map(step => [step.id, step.status])).toEqual([
+      ['step1', 'succeeded'], ['step2', 'succeeded'], ['step3', 'succeeded']
+    ]);
+    expect(executor.operations.board.createBoard).toHaveBeenCalledWith('5', 'Research and Development', 'public', undefined);
+    expect(executor.operations.board.addColumn).toHaveBeenCalledWith('777', 'Status', 'status', undefined);
+    expect(executor.operations.item.createItem)
+      .toHaveBeenCalledWith('777', undefined, 'Kickoff for Research and Development', {}, { timezone: null });
+    expect(result.steps[0].outputs).toEqual({ boardId: '777' });
+  });
+
+  test('skips dependent steps after a failure and rolls back in all-or-nothing mode', async () => {
+    executor.operations.board.addColumn.mockResolvedValue({ success: false, error: 'Invalid column type' });
+
+    const partial = await planner.execute({ steps }, context);
+    expect(partial.success).toBe(false);
+    expect(partial.steps.map(step => step.status)).toEqual(['succeeded', 'failed', 'skipped']);
+    expect(partial.steps[2].reason).toBe('Step "step2" did not succeed');
+    expect(executor.operations.board.deleteBoard).not.toHaveBeenCalled();
+
+    executor.registerCompensation('create_board', (parameters, result) => ({
+      type: 'delete_board',
+      parameters: { boardId: result.board.id }
+    }));
+    const atomic = await planner.execute({ steps }, context, { allOrNothing: true });
+    expect(atomic.rollback.status).toBe('rolled_back');
+    expect(executor.operations.board.deleteBoard).toHaveBeenCalledWith('777', expect.anything());
+  });
+
+  test('the interpreter plans multi-operation requests with one model call', async () => {
+    const interpreter = new OperationInterpreter({ claudeService });
+
+    const operations = await interpreter.detectMultipleOperations(
+      'Create a board Research and Development and add a Status column to it', context
+    );
+
+    expect(claudeService.planOperations).toHaveBeenCalledTimes(1);
+    expect(claudeService.analyzeOperation).not.toHaveBeenCalled();
+    expect(operations.map(op => [op.sequence, op.operation])).toEqual([
+      [1, 'BOARD_CREATE'], [2, 'COLUMN_CREATE'], [3, 'ITEM_CREATE']
+    ]);
+    expect(operations[0].parameters.boardName).toBe('Research and Development');
+    expect(operations[1].dependsOn).toEqual(['step1']);
+  });
+});
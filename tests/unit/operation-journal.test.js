@@ -0,0 +1,85 @@
+const operationJournal = require('../../services/operation-journal');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+
+describe('Operation journal', () => {
+  let executor;
+
+  beforeEach(() => {
+    operationJournal.store.clearMemory();
+    executor = new OperationExecutor();
+  });
+
+  test('records the lifecycle and undo data of a successful operation', async () => {
+    executor.operations.item = {
+      createItem: jest.fn().mockResolvedValue({
+        success: true,
+        item: { id: '555', name: 'Launch plan' },
+        operation: 'create'
+      })
+    };
+
+    const result = await executor.execute({
+      type: 'create_item',
+      parameters: { boardId: '123', itemName: 'Launch plan' }
+    }, { accountId: 42, userId: 7 });
+
+    expect(result.success).toBe(true);
+
+    const status = await executor.getStatus(result.operationId);
+    expect(status.status).toBe('succeeded');
+    expect(status.accountId).toBe('42');
+    expect(status.undoAvailable).toBe(true);
+    expect(status.timings.finishedAt).toBeDefined();
+
+    const entry = await operationJournal.get(result.operationId);
+    expect(entry.undoData).toEqual({ type: 'delete_item', parameters: { itemId: '555' } });
+  });
+
+  test('records failures with their error message', async () => {
+    const result = await executor.execute({ type: 'delete_item', parameters: {} });
+
+    expect(result.success).toBe(false);
+
+    const status = await executor.getStatus(result.operationId);
+    expect(status.status).toBe('failed');
+    expect(status.error).toContain('Item ID is required');
+  });
+
+  test('stops a running bulk operation at its next checkpoint', async () => {
+    executor.operations.bulk = {
+      bulkUpdate: jest.fn(async (itemIds, columnValues, options) => {
+        const running = await operationJournal.list({ status: 'running' });
+        await executor.cancel(running[0].operationId);
+
+        return {
+          success: false,
+          cancelled: await options.shouldCancel(),
+          results: [{ itemId: itemIds[0], success: true }],
+          operation: 'bulk_update'
+        };
+      })
+    };
+
+    const result = await executor.execute({
+      type: 'bulk_update',
+      parameters: { itemIds: ['1', '2'], columnValues: { status: 'Done' } }
+    });
+
+    expect(result.cancelled).toBe(true);
+
+    const status = await executor.getStatus(result.operationId);
+    expect(status.status).toBe('cancelled');
+    expect(status.cancelRequested).toBe(true);
+    expect(status.result.results).toHaveLength(1);
+  });
+
+  test('cancels queued operations immediately and ignores unknown IDs', async () => {
+    await operationJournal.record('op_queued', { type: 'bulk_move', parameters: {} });
+
+    const cancellation = await executor.cancel('op_queued');
+    expect(cancellation).toMatchObject({ found: true, cancelled: true, status: 'cancelled' });
+
+    expect(await executor.getStatus('op_missing')).toBeNull();
+    expect((await executor.cancel('op_missing')).found).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+const OperationPlanner = require('../../services/operation-planner');
+
+const board = {
+  id: '123',
+  name: 'Roadmap',
+  columns: [
+    { id: 'status', title: 'Status', type: 'status' },
+    { id: 'person', title: 'Owner', type: 'people' },
+    { id: 'due', title: 'Due date', type: 'date' }
+  ],
+  groups: [
+    { id: 'topics', title: 'This week' },
+    { id: 'later', title: 'Later' }
+  ]
+};
+
+const context = {
+  boards: [board],
+  users: [{ id: '7', name: 'Dana Reyes', email: 'dana@example.com' }]
+};
+
+const item = {
+  id: '100',
+  name: 'Launch plan',
+  board: { id: '123' },
+  group: { id: 'topics', title: 'This week' },
+  column_values: [
+    { id: 'status', type: 'status', text: 'Working on it', value: '{"index":0}' },
+    { id: 'person', type: 'people', text: '', value: null },
+    { id: 'due', type: 'date', text: '2026-10-20', value: '{"date":"2026-10-20"}' }
+  ]
+};
+
+describe('Operation planner', () => {
+  let client;
+  let planner;
+
+  beforeEach(() => {
+    client = { api: jest.fn().mockResolvedValue({ data: { items: [item] } }) };
+    planner = new OperationPlanner(client);
+  });
+
+  test('diffs requested column values against the current item', async () => {
+    const plan = await planner.planAll([{
+      type: 'update_item',
+      parameters: {
+        boardId: '123',
+        itemId: '100',
+        columnValues: { status: 'Done', due: '2026-10-20', Owner: 7 }
+      }
+    }], context);
+
+    expect(plan.mutationsExecuted).toBe(0);
+    expect(plan.operations[0].changes).toEqual([
+      expect.objectContaining({ field: 'Status', before: 'Working on it', after: 'Done', changed: true }),
+      expect.objectContaining({ field: 'Due date', before: '2026-10-20', after: '2026-10-20', changed: false }),
+      expect.objectContaining({ field: 'Owner', before: null, after: 'Dana Reyes', changed: true })
+    ]);
+    expect(plan.summary.fieldChanges).toBe(2);
+  });
+
+  test('resolves board, group and user names before planning', async () => {
+    const plan = await planner.plan({
+      type: 'move_item',
+      parameters: { itemId: '100', boardName: 'roadmap', targetGroupName: 'Later' }
+    }, context);
+
+    expect(plan.parameters.boardId).toBe('123');
+    expect(plan.parameters.targetGroupId).toBe('later');
+    expect(plan.changes).toEqual([
+      expect.objectContaining({ field: 'Group', before: 'This week', after: 'Later', changed: true })
+    ]);
+
+    const assign = await planner.plan({
+      type: 'assign_user',
+      parameters: { itemId: '100', userName: 'dana', columnId: 'person' }
+    }, context);
+
+    expect(assign.parameters.userId).toBe('7');
+    expect(assign.changes[0]).toMatchObject({ before: null, after: 'Dana Reyes' });
+  });
+
+  test('lists every field removed by a bulk delete and flags missing items', async () => {
+    const plan = await planner.plan({
+      type: 'bulk_delete',
+      parameters: { itemIds: ['100', '404'], confirmationToken: 'token' }
+    }, context);
+
+    expect(plan.itemsAffected).toBe(1);
+    expect(plan.items[0].changes).toContainEqual(
+      expect.objectContaining({ field: 'Name', before: 'Launch plan', after: null })
+    );
+    expect(plan.warnings).toContain('Item 404 was not found and will be skipped');
+  });
+
+  test('never sends GraphQL mutations', async () => {
+    await expect(planner.request('mutation { delete_item(item_id: 1) { id } }'))
+      .rejects.toThrow('Plan mode cannot send GraphQL mutations');
+
+    await planner.planAll([
+      { type: 'delete_item', parameters: { itemId: '100' } },
+      { type: 'create_item', parameters: { boardId: '123', itemName: 'New' } }
+    ], context);
+
+    for (const [query] of client.api.mock.calls) {
+      expect(query.trim()).toMatch(/^query/);
+    }
+  });
+});
@@ -0,0 +1,172 @@
+jest.unmock('../../services/claude');
+
+const ClaudeService = require('../../services/claude');
+const AnthropicProvider = require('../../services/llm/anthropic');
+const OpenAICompatibleProvider = require('../../services/llm/openai-compatible');
+const { parseToolCall } = require('../../services/llm/provider');
+const {
+  interpretationTools,
+  planTool,
+  validateInterpretation,
+  validatePlan
+} = require('../../utils/operation-schemas');
+
+const context = {
+  accountId: '1',
+  userId: '7',
+  boardId: '123',
+  boards: [{ id: '123', name: 'Roadmap' }]
+};
+
+// Answers every prompt with the queued texts in order
+function fakeProvider(texts) {
+  const queue = [...texts];
+  return {
+    name: 'fake',
+    model: 'test-model',
+    complete: jest.fn(async () => ({ text: queue.shift() }))
+  };
+}
+
+const toolCall = (tool, input) => JSON.stringify({ tool, input });
+
+describe('Operation schemas', () => {
+  test('derives one tool per operation type and validates its input', () => {
+    const tools = interpretationTools();
+    const itemCreate = tools.find(tool => tool.name === 'ITEM_CREATE');
+
+    expect(tools.map(tool => tool.name)).toContain('UNKNOWN');
+    expect(Object.keys(itemCreate.inputSchema.properties.parameters.properties))
+      .toEqual(expect.arrayContaining(['boardId', 'itemName', 'groupId', 'columnValues']));
+
+    const { value, error } = validateInterpretation({
+      name: 'ITEM_CREATE',
+      input: { confidence: 90, parameters: { boardId: 123, itemName: 'Launch plan' } }
+    });
+    expect(error).toBeUndefined();
+    expect(value).toEqual({
+      operation: 'ITEM_CREATE',
+      confidence: 90,
+      parameters: { boardId: 123, itemName: 'Launch plan' },
+      missingInfo: [],
+      clarifyingQuestions: [],
+      warnings: [],
+      alternatives: []
+    });
+
+    expect(validateInterpretation({ name: 'ITEM_CREATE', input: { confidence: 140, parameters: { columnValues: 'x' } } })
+      .error.message).toMatch(/confidence.*columnValues/);
+    expect(validateInterpretation({ name: 'ITEM_EXPLODE', input: {} }).error.message).toMatch(/^Call one of the tools/);
+
+    const plan = validatePlan({
+      name: planTool().name,
+      input: { confidence: 80, steps: [{ id: 'step1', operation: 'BOARD_CREATE', parameters: { boardName: 'R&D' } }] }
+    });
+    expect(plan.value.steps[0]).toEqual(expect.objectContaining({ confidence: 80, dependsOn: [] }));
+    expect(validatePlan({ name: planTool().name, input: { confidence: 80, steps: [{ operation: 'FLY' }] } }).error)
+      .toBeDefined();
+  });
+
+  test('reads tool calls from text only when the whole answer is one', () => {
+    expect(parseToolCall('```json\n{"tool": "UNKNOWN", "input": {"confidence": 0}}\n```'))
+      .toEqual({ name: 'UNKNOWN', input: { confidence: 0 } });
+    expect(() => parseToolCall('Sure! {"tool": "UNKNOWN"} and {"input": {}}')).toThrow(/not a JSON tool call/);
+    expect(() => parseToolCall('{"operation": "ITEM_CREATE"}')).toThrow(/must be \{"tool"/);
+  });
+
+  test('re-asks the model with what was wrong until the tool call is valid', async () => {
+    const provider = fakeProvider([
+      'I would create an item {like this} for you.',
+      toolCall('ITEM_CREATE', { confidence: 'high', parameters: { boardId: '123', itemName: 'Launch plan' } }),
+      toolCall('ITEM_CREATE', { confidence: 90, parameters: { boardId: '123', itemName: 'Launch plan' } })
+    ]);
+    const claude = new ClaudeService({ provider });
+
+    const interpretation = await claude.analyzeOperation('Create an item called Launch plan', context);
+
+    expect(interpretation).toEqual(expect.objectContaining({
+      operation: 'ITEM_CREATE',
+      confidence: 90,
+      parameters: { boardId: '123', itemName: 'Launch plan' }
+    }));
+    expect(provider.complete).toHaveBeenCalledTimes(3);
+
+    const [, , [last]] = provider.complete.mock.calls;
+    expect(last.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+    expect(last.messages[1].content).toBe('I would create an item {like this} for you.');
+    expect(last.messages[2].content).toMatch(/^That tool call was not valid: The response is not a JSON tool call/);
+    expect(last.messages[4].content).toMatch(/"confidence" must be a number/);
+  });
+
+  test('fails with INVALID_MODEL_OUTPUT once the repair attempts run out', async () => {
+    const claude = new ClaudeService({ provider: fakeProvider(['no', 'still no', 'never', 'nope']) });
+
+    await expect(claude.analyzeOperation('Create an item called Launch plan', context))
+      .rejects.toMatchObject({ code: 'INVALID_MODEL_OUTPUT' });
+    expect(claude.provider.complete).toHaveBeenCalledTimes(claude.maxRepairAttempts + 1);
+  });
+
+  test('validation and suggestions re-ask when the JSON is wrapped in prose', async () => {
+    const provider = fakeProvider([
+      'Looks fine to me: {"valid": true, "errors": []} unless {the board} is archived.',
+      '```json\n{"valid": true, "errors": [], "confidence": 80}\n```',
+      'Maybe {"suggestions": [{"operation": "ITEM_CREATE"}]}',
+      '{"suggestions": [{"operation": "ITEM_CREATE", "confidence": 70, "explanation": "Create it"}]}'
+    ]);
+    const claude = new ClaudeService({ provider });
+    const operation = { operation: 'ITEM_CREATE', parameters: { boardId: '123', itemName: 'Launch plan' } };
+
+    expect(await claude.validateOperation(operation, context))
+      .toEqual({ valid: true, errors: [], warnings: [], suggestions: [], confidence: 80 });
+    const [, [repair]] = provider.complete.mock.calls;
+    expect(repair.system).toMatch(/single valid JSON value/);
+    expect(repair.messages[2].content).toMatch(/^That response was not valid: Invalid JSON in model response/);
+
+    expect(await claude.generateSuggestions('Launch plan', context))
+      .toEqual([{ operation: 'ITEM_CREATE', parameters: {}, confidence: 70, explanation: 'Create it' }]);
+    expect(provider.complete).toHaveBeenCalledTimes(4);
+
+    // Without a valid answer validation fails closed
+    const failing = new ClaudeService({ provider: fakeProvider(['no', '{"valid": "yes"}', 'never', 'nope']) });
+    expect(await failing.validateOperation(operation, context))
+      .toEqual({ valid: false, errors: ['Invalid validation response'] });
+  });
+
+  test('providers send the tools natively and return the call', async () => {
+    const client = {
+      messages: {
+        create: jest.fn().mockResolvedValue({
+          model: 'claude-test',
+          stop_reason: 'tool_use',
+          usage: { input_tokens: 10, output_tokens: 5 },
+          content: [{ type: 'tool_use', name: 'UNKNOWN', input: { confidence: 10, parameters: {} } }]
+        })
+      }
+    };
+    const anthropic = new AnthropicProvider({ model: 'claude-test', client });
+
+    const response = await anthropic.completeTool({ prompt: 'Hello' }, interpretationTools());
+    expect(response.toolCall).toEqual({ name: 'UNKNOWN', input: { confidence: 10, parameters: {} } });
+    const [params] = client.messages.create.mock.calls[0];
+    expect(params.tool_choice).toEqual({ type: 'any' });
+    expect(params.tools[0]).toEqual(expect.objectContaining({ name: 'ITEM_CREATE', input_schema: expect.any(Object) }));
+
+    const http = {
+      post: jest.fn().mockResolvedValue({
+        data: {
+          model: 'local',
+          choices: [{
+            finish_reason: 'tool_calls',
+            message: { content: null, tool_calls: [{ function: { name: 'plan_operations', arguments: '{"steps": [' } }] }
+          }]
+        }
+      })
+    };
+    const openai = new OpenAICompatibleProvider({ model: 'local', http });
+
+    const invalid = await openai.completeTool({ prompt: 'Hello' }, [planTool()]);
+    expect(invalid.toolCall).toBeNull();
+    expect(invalid.toolError).toMatch(/^The arguments of plan_operations are not valid JSON/);
+    expect(http.post.mock.calls[0][1].tool_choice).toEqual({ type: 'function', function: { name: 'plan_operations' } });
+  });
+});
@@ -0,0 +1,208 @@
+const recycleBin = require('../../services/recycle-bin');
+const operationJournal = require('../../services/operation-journal');
+const undoHistory = require('../../services/undo-history');
+const { mondayClient } = require('../../config/monday');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+
+const context = { accountId: 1, userId: 7 };
+
+const itemSnapshot = {
+  id: '100',
+  name: 'Launch plan',
+  board: { id: '123' },
+  group: { id: 'topics', title: 'Topics' },
+  column_values: [
+    { id: 'text', type: 'text', text: 'Draft', value: '"Draft"' }
+  ],
+  subitems: [
+    { id: '101', name: 'Write brief', column_values: [{ id: 'status', type: 'status', text: 'Done', value: '{"index":1}' }] }
+  ],
+  updates: [
+    { id: 'u2', body: '<p>Second</p>', created_at: '2026-10-02T10:00:00Z', creator: { id: '7', name: 'Sam' } },
+    { id: 'u1', body: '<p>First</p>', created_at: '2026-10-01T10:00:00Z', creator: { id: '7', name: 'Sam' } }
+  ]
+};
+
+describe('Recycle bin', () => {
+  let executor;
+  let api;
+
+  beforeEach(() => {
+    recycleBin.store.clearMemory();
+    operationJournal.store.clearMemory();
+    undoHistory.store.clearMemory();
+
+    api = jest.fn(async query => {
+      if (query.includes('GetFullItemSnapshots')) return { data: { items: [itemSnapshot] } };
+      return { data: {} };
+    });
+
+    executor = new OperationExecutor();
+    executor.snapshots.client = { api };
+    executor.operations.item = {
+      createItem: jest.fn(async (boardId, groupId, itemName) => ({ success: true, item: { id: '200', name: itemName } })),
+      deleteItem: jest.fn().mockResolvedValue({ success: true, archived: true })
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('archives a deleted item and restores it with its subitems and updates', async () => {
+    const deleted = await executor.execute(
+      { type: 'delete_item', parameters: { itemId: '100' } },
+      { ...context, confirmed: true }
+    );
+
+    expect(executor.operations.item.deleteItem).toHaveBeenCalledWith('100', { confirmed: true, archive: true });
+    expect(deleted.recycleBinEntryId).toBeDefined();
+
+    const [entry] = await recycleBin.list({ accountId: 1, boardId: '123' });
+    expect(entry).toMatchObject({ entityType: 'item', entityId: '100', name: 'Launch plan', mode: 'archive' });
+
+    const restored = await executor.execute(
+      { type: 'restore_item', parameters: { entryId: entry.entryId } },
+      context
+    );
+
+    expect(restored).toMatchObject({ success: true, restoredSubitems: 1, restoredUpdates: 2 });
+    expect(executor.operations.item.createItem).toHaveBeenCalledWith('123', 'topics', 'Launch plan', { text: 'Draft' });
+
+    const writes = api.mock.calls.filter(([query]) => /mutation/.test(query)).map(([, variables]) => variables);
+    expect(writes[0]).toEqual({ parentItemId: '200', itemName: 'Write brief', columnValues: '{"status":{"index":1}}' });
+    expect(writes[1].body).toContain('<p>First</p>');
+    expect(writes[2].body).toContain('<p>Second</p>');
+
+    // A restored entry leaves the listing and cannot be restored twice
+    expect(await recycleBin.list({ accountId: 1, boardId: '123' })).toEqual([]);
+    const again = await executor.execute(
+      { type: 'restore_item', parameters: { entryId: entry.entryId } },
+      context
+    );
+    expect(again.success).toBe(false);
+  });
+
+  test('deletes permanently in delete mode and lists entries only within retention', async () => {
+    await executor.execute(
+      { type: 'delete_item', parameters: { itemId: '100', mode: 'delete' } },
+      { ...context, confirmed: true }
+    );
+
+    expect(executor.operations.item.deleteItem).toHaveBeenCalledWith('100', { confirmed: true, archive: false });
+
+    const [entry] = await recycleBin.list({ accountId: 1 });
+    expect(entry.mode).toBe('delete');
+    expect(await recycleBin.list({ accountId: 2 })).toEqual([]);
+
+    await recycleBin.store.update(entry.entryId, { expiresAt: new Date(Date.now() - 1000) });
+    expect(await recycleBin.list({ accountId: 1 })).toEqual([]);
+    expect(await recycleBin.get(entry.entryId)).toBeNull();
+  });
+
+  test('archives the source items of a transfer with snapshots and reports failed removals', async () => {
+    const bulk = executor.operations.bulk;
+    const other = { ...itemSnapshot, id: '110', name: 'Budget' };
+    const board = { groups: [{ id: 'inbox', title: 'Inbox' }], columns: [{ id: 'text', title: 'Notes', type: 'text' }] };
+    const itemOperations = {
+      createItem: jest.fn(async (boardId, groupId, itemName) => ({ success: true, item: { id: `new_${itemName}`, name: itemName } })),
+      deleteItem: jest.fn(async itemId => itemId === '100'
+        ? { success: true, archived: true }
+        : { success: false, error: 'Item is locked' })
+    };
+    jest.replaceProperty(bulk, 'itemOperations', itemOperations);
+    jest.replaceProperty(bulk, 'snapshots', {
+      captureFullItems: jest.fn(async ([itemId]) => [itemId === '100' ? itemSnapshot : other])
+    });
+    jest.spyOn(bulk, 'findItemsByCriteria').mockResolvedValue([itemSnapshot, other]);
+    jest.spyOn(bulk, 'getBoardStructure').mockResolvedValue(board);
+
+    const result = await executor.execute({
+      type: 'cross_board_transfer',
+      parameters: { sourceBoardId: '123', targetBoardId: '456', criteria: { deleteFromSource: true } }
+    }, { ...context, confirmed: true });
+
+    expect(itemOperations.deleteItem.mock.calls).toEqual([
+      ['100', { confirmed: true, archive: true }],
+      ['110', { confirmed: true, archive: true }]
+    ]);
+    expect(result.success).toBe(false);
+    expect(result.results.map(({ sourceItemId }) => sourceItemId)).toEqual(['100']);
+    expect(result.errors).toEqual([{ itemId: '110', itemName: 'Budget', newItemId: 'new_Budget', error: 'Item is locked' }]);
+    expect(result.removedItems).toBeUndefined();
+
+    const entries = await recycleBin.list({ accountId: 1, boardId: '123' });
+    expect(entries).toEqual([expect.objectContaining({ entityType: 'item', entityId: '100', mode: 'archive' })]);
+    expect(result.recycleBinEntryIds).toEqual([entries[0].entryId]);
+
+    // Rolling back deletes both copies and restores the archived source item
+    const compensation = executor.compensationFor(
+      { type: 'cross_board_transfer', parameters: { criteria: { deleteFromSource: true } } },
+      { results: result.results, errors: result.errors, removedItems: [itemSnapshot] }
+    );
+    expect(compensation).toEqual([
+      { type: 'delete_item', parameters: { itemId: 'new_Launch plan' } },
+      { type: 'delete_item', parameters: { itemId: 'new_Budget' } },
+      { type: 'restore_item', parameters: { boardId: '123', itemData: itemSnapshot } }
+    ]);
+  });
+
+  test('recreates a deleted board with its groups, columns and items', async () => {
+    const boardSnapshot = {
+      id: '123',
+      name: 'Roadmap',
+      board_kind: 'public',
+      workspace_id: '9',
+      columns: [
+        { id: 'name', title: 'Name', type: 'name', settings_str: '{}' },
+        { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"1":"Done"}}' },
+        { id: 'formula', title: 'Score', type: 'formula', settings_str: '{}' }
+      ],
+      groups: [{ id: 'topics', title: 'Topics' }],
+      items: [{ id: '100', name: 'Launch plan', group: { id: 'topics' }, column_values: [
+        { id: 'status', type: 'status', text: 'Done', value: '{"index":1}' }
+      ] }]
+    };
+    executor.operations.board = {
+      createBoard: jest.fn().mockResolvedValue({ success: true, board: { id: '500', groups: [{ id: 'default' }] } }),
+      addGroup: jest.fn().mockResolvedValue({ success: true, group: { id: 'new_topics' } }),
+      deleteGroup: jest.fn().mockResolvedValue({ success: true }),
+      addColumn: jest.fn().mockResolvedValue({ success: true, column: { id: 'status_1' } })
+    };
+
+    const result = await executor.execute({ type: 'restore_board', parameters: { boardData: boardSnapshot } }, context);
+
+    expect(result).toMatchObject({ success: true, restoredGroups: 1, restoredColumns: 1, restoredItems: 1 });
+    expect(executor.operations.board.createBoard).toHaveBeenCalledWith('9', 'Roadmap', 'public');
+    expect(executor.operations.board.deleteGroup).toHaveBeenCalledWith('500', 'default');
+    expect(executor.operations.board.addColumn).toHaveBeenCalledWith('500', 'Status', 'status', { labels: { 1: 'Done' } });
+    expect(executor.operations.item.createItem).toHaveBeenCalledWith('500', 'new_topics', 'Launch plan', {
+      status_1: { label: 'Done' }
+    });
+  });
+
+  test('archives and restores an item through the operation modules with only monday.com mocked', async () => {
+    const transport = jest.spyOn(mondayClient, 'transport').mockImplementation(async (query, variables) => {
+      if (query.includes('GetFullItemSnapshots')) return { data: { items: [itemSnapshot] } };
+      if (query.includes('archive_item')) return { data: { archive_item: { id: '100', name: 'Launch plan', state: 'archived' } } };
+      if (query.includes('GetBoardColumns')) return { data: { boards: [{ columns: [{ id: 'text', title: 'Notes', type: 'text' }] }] } };
+      if (query.includes('create_item(')) return { data: { create_item: { id: '200', name: variables.itemName } } };
+      return { data: {} };
+    });
+    const modules = new OperationExecutor();
+
+    const archived = await modules.execute(
+      { type: 'delete_item', parameters: { itemId: '100' } },
+      { ...context, confirmed: true }
+    );
+    expect(archived).toMatchObject({ success: true, archived: true });
+    expect(transport.mock.calls.some(([query]) => query.includes('delete_item('))).toBe(false);
+
+    const [entry] = await recycleBin.list({ accountId: 1, boardId: '123' });
+    const restored = await modules.execute({ type: 'restore_item', parameters: { entryId: entry.entryId } }, context);
+
+    expect(restored).toMatchObject({ success: true, item: { id: '200' }, restoredFrom: '100', restoredSubitems: 1 });
+    const [, created] = transport.mock.calls.find(([query]) => query.includes('create_item('));
+    expect(created).toEqual({ boardId: '123', itemName: 'Launch plan', groupId: 'topics', columnValues: '{"text":"Draft"}' });
+  });
+});
@@ -0,0 +1,218 @@
+const RulesEngine = require('../../services/rules-engine');
+const automationRules = require('../../services/automation-rules');
+const confirmations = require('../../services/confirmations');
+
+const board = {
+  id: '123',
+  name: 'Roadmap',
+  columns: [
+    { id: 'status', title: 'Status', type: 'status' },
+    { id: 'priority', title: 'Priority', type: 'status' },
+    { id: 'stage', title: 'Stage', type: 'status' },
+    { id: 'owner', title: 'Owner', type: 'people' }
+  ],
+  groups: [{ id: 'archive', title: 'Archive' }]
+};
+
+const context = {
+  boards: [board],
+  users: [{ id: '7', name: 'Dana Reyes', email: 'dana@example.com' }]
+};
+
+const owner = { accountId: '1', boardId: '123', userId: '7', context };
+
+// A rule that sets a status column when another one changes
+const statusRule = (ruleId, [column, label], [target, value]) => ({
+  ruleId,
+  accountId: '1',
+  boardId: '123',
+  createdBy: '7',
+  trigger: { event: 'change_column_value', columnId: column },
+  condition: { operator: 'equals', value: label },
+  operations: [{
+    type: 'update_item',
+    parameters: { boardId: '{{boardId}}', itemId: '{{itemId}}', columnValues: { [target]: { label: value } } }
+  }]
+});
+
+const changed = (columnId, label, previous) => ({
+  type: 'change_column_value',
+  boardId: '123',
+  pulseId: '55',
+  columnId,
+  value: { label: { index: 1, text: label } },
+  previousValue: previous ? { label: { index: 0, text: previous } } : null
+});
+
+describe('Rules engine', () => {
+  let interpreter;
+  let executor;
+  let engine;
+
+  beforeEach(() => {
+    automationRules.store.clearMemory();
+    confirmations.store.clearMemory();
+
+    interpreter = { detectMultipleOperations: jest.fn() };
+    executor = {
+      executeBatch: jest.fn().mockResolvedValue({ success: true, batchId: 'op_1', results: [], errors: [] })
+    };
+    engine = new RulesEngine(executor, { interpreter });
+  });
+
+  test('compiles a rule into a trigger, a condition and operations with item placeholders', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'ITEM_UPDATE', confidence: 90, parameters: { targetGroupName: 'Archive' } },
+      { operation: 'USER_ASSIGN', confidence: 85, parameters: { userName: 'Dana' } }
+    ]);
+
+    const { success, rule } = await engine.createRule('When Status becomes Done, move it to Archive and assign Dana', owner);
+
+    expect(success).toBe(true);
+    expect(interpreter.detectMultipleOperations)
+      .toHaveBeenCalledWith('move it to Archive and assign Dana', expect.objectContaining({ currentBoard: board }));
+    expect(rule.trigger).toEqual({ event: 'change_column_value', columnId: 'status', columnTitle: 'Status', columnType: 'status' });
+    expect(rule.condition).toEqual({ operator: 'equals', value: 'Done' });
+    expect(rule.operations).toEqual([
+      { type: 'move_item', parameters: { itemId: '{{itemId}}', targetGroupId: 'archive' } },
+      { type: 'assign_user', parameters: { itemId: '{{itemId}}', userId: '7', columnId: 'owner' } }
+    ]);
+
+    const people = await engine.compile('If Owner changes from Dana to nobody, set Status to Stuck', { boardId: '123', context });
+    expect(people.condition).toEqual({ operator: 'changes_from', from: '7', value: 'nobody' });
+    expect((await engine.compile('Whenever a new item is created, set Status to Working', { boardId: '123', context })).trigger)
+      .toEqual({ event: 'create_item' });
+  });
+
+  test('explains rules it cannot compile', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'ERROR', confidence: 0, clarifyingQuestions: ['What should happen?'] }
+    ]);
+
+    await expect(engine.compile('Set Status to Done', { boardId: '123', context })).rejects.toThrow(/when <trigger>, <actions>/);
+
+    const unknownColumn = await engine.createRule('When Budget becomes High, notify me', owner);
+    expect(unknownColumn.success).toBe(false);
+    expect(unknownColumn.clarifyingQuestions[0]).toMatch(/Available columns: Status, Priority, Stage, Owner/);
+
+    const unclearAction = await engine.createRule('When Status becomes Done, do the thing', owner);
+    expect(unclearAction).toEqual({
+      success: false,
+      error: 'Could not understand the action "do the thing"',
+      clarifyingQuestions: ['What should happen?']
+    });
+  });
+
+  test('runs matching rules for the item that changed', async () => {
+    await automationRules.create(statusRule('rule_done', ['status', 'Done'], ['priority', 'Low']));
+    await automationRules.create({
+      ...statusRule('rule_reopened', ['status', 'Working'], ['priority', 'High']),
+      condition: { operator: 'changes_from', from: 'Done', value: 'Working' }
+    });
+
+    const done = await engine.handleEvent(changed('status', 'done', 'Working'));
+    expect(done.matched).toBe(1);
+    expect(executor.executeBatch).toHaveBeenCalledWith(
+      [{ type: 'update_item', parameters: { boardId: '123', itemId: '55', columnValues: { priority: { label: 'Low' } } } }],
+      expect.objectContaining({ accountId: '1', userId: '7', boardId: '123' }),
+      { allOrNothing: false }
+    );
+    expect((await automationRules.get('rule_done')).triggerCount).toBe(1);
+
+    expect((await engine.handleEvent(changed('status', 'Working', 'Stuck'))).matched).toBe(0);
+    expect((await engine.handleEvent(changed('priority', 'Done', 'Low'))).matched).toBe(0);
+    expect((await engine.handleEvent({ type: 'change_name', boardId: '123', pulseId: '55' })).matched).toBe(0);
+
+    // The documented { event, data } webhook shape
+    const reopened = await engine.handleEvent({ type: 'change_column_value' }, {
+      board_id: '123',
+      item_id: '56',
+      column_id: 'status',
+      value: { label: { text: 'Working' } },
+      previous_value: { label: { text: 'Done' } }
+    });
+    expect(reopened.executed.map(run => run.ruleId)).toEqual(['rule_reopened']);
+  });
+
+  test('does not let rules trigger themselves or chain without end', async () => {
+    engine.maxChainDepth = 1;
+    await automationRules.create(statusRule('rule_a', ['status', 'Done'], ['priority', 'High']));
+    await automationRules.create(statusRule('rule_b', ['priority', 'High'], ['stage', 'Review']));
+    await automationRules.create(statusRule('rule_c', ['stage', 'Review'], ['status', 'Done']));
+
+    const first = await engine.handleEvent(changed('status', 'Done'));
+    expect(first.executed.map(run => run.ruleId)).toEqual(['rule_a']);
+    expect(engine.chains.get('55')).toEqual(expect.objectContaining({ depth: 0, rules: new Set(['rule_a']) }));
+
+    // The webhook of rule_a's own write continues its chain
+    const second = await engine.handleEvent(changed('priority', 'High'));
+    expect(second.executed.map(run => run.ruleId)).toEqual(['rule_b']);
+
+    const third = await engine.handleEvent(changed('stage', 'Review'));
+    expect(third.executed).toEqual([]);
+    expect(third.skipped).toEqual([{ ruleId: 'rule_c', reason: 'chain_depth_exceeded' }]);
+
+    // An item whose chain already ran rule_a does not run it again
+    engine.maxChainDepth = 3;
+    engine.markChain('55', { depth: 0, rules: ['rule_a'], columns: ['status'] });
+    expect((await engine.handleEvent(changed('status', 'Done'))).skipped)
+      .toEqual([{ ruleId: 'rule_a', reason: 'self_triggered' }]);
+
+    // Writes by users, not rules, start a new chain once the entry expires
+    engine.chains.get('55').expiresAt = Date.now() - 1;
+    expect((await engine.handleEvent(changed('status', 'Done'))).executed.map(run => run.ruleId)).toEqual(['rule_a']);
+    expect(executor.executeBatch).toHaveBeenCalledTimes(3);
+  });
+  test('saves and runs rules that delete only with a token for their recipe', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'ITEM_DELETE', confidence: 90, parameters: {} }
+    ]);
+    const instruction = 'When Status becomes Done, delete the item';
+
+    const unconfirmed = await engine.createRule(instruction, owner);
+    expect(unconfirmed).toEqual(expect.objectContaining({ success: false, code: 'CONFIRMATION_REQUIRED' }));
+    expect(await automationRules.list({ accountId: '1' })).toEqual([]);
+
+    const other = await confirmations.issue({ type: 'delete_item', parameters: { itemId: '55' } }, { userId: '7' });
+    expect((await engine.createRule(instruction, { ...owner, confirmationToken: other.token })).code)
+      .toBe('CONFIRMATION_MISMATCH');
+    expect((await engine.createRule(instruction, {
+      ...owner,
+      userId: '8',
+      confirmationToken: unconfirmed.confirmation.token
+    })).code).toBe('CONFIRMATION_MISMATCH');
+
+    const { success, rule } = await engine.createRule(instruction, {
+      ...owner,
+      confirmationToken: unconfirmed.confirmation.token
+    });
+    expect(success).toBe(true);
+    expect(rule.approval).toEqual(expect.objectContaining({
+      approvedBy: '7',
+      operationHash: unconfirmed.confirmation.operationHash
+    }));
+
+    await engine.handleEvent(changed('status', 'Done'));
+    expect(executor.executeBatch).toHaveBeenCalledWith(
+      [{ type: 'delete_item', parameters: { itemId: '55' } }],
+      expect.objectContaining({ confirmed: true }),
+      { allOrNothing: false }
+    );
+    expect(executor.executeBatch.mock.calls[0][1].skipUndoHistory).toBeUndefined();
+
+    // A stored rule whose actions were never approved, or were changed since, does not run
+    await automationRules.remove(rule.ruleId);
+    await automationRules.create({
+      ...statusRule('rule_unapproved', ['status', 'Done'], ['priority', 'Low']),
+      operations: [{ type: 'delete_item', parameters: { itemId: '{{itemId}}' } }],
+      approval: { ...rule.approval, operationHash: 'changed' }
+    });
+    executor.executeBatch.mockClear();
+
+    const outcome = await engine.handleEvent(changed('status', 'Done'));
+    expect(outcome.executed).toEqual([expect.objectContaining({ ruleId: 'rule_unapproved', success: false })]);
+    expect(outcome.executed[0].errors[0].code).toBe('CONFIRMATION_REQUIRED');
+    expect(executor.executeBatch).not.toHaveBeenCalled();
+    expect((await automationRules.get('rule_unapproved')).lastError).toMatch(/not approved/);
+  });
+});
@@ -0,0 +1,109 @@
+const operationJournal = require('../../services/operation-journal');
+const undoHistory = require('../../services/undo-history');
+const ItemOperations = require('../../services/operations/item');
+const BoardOperations = require('../../services/operations/board');
+const BulkOperations = require('../../services/operations/bulk');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+
+const context = { accountId: 1, userId: 7 };
+
+describe('Transactional batch execution', () => {
+  let executor;
+
+  beforeEach(() => {
+    operationJournal.store.clearMemory();
+    undoHistory.store.clearMemory();
+
+    executor = new OperationExecutor();
+    executor.snapshots.client = {
+      api: jest.fn().mockResolvedValue({
+        data: {
+          items: [
+            { id: '1', name: 'A', board: { id: '123' }, group: { id: 'g' }, column_values: [{ id: 'text', type: 'text', text: 'old', value: '"old"' }] },
+            { id: '2', name: 'B', board: { id: '123' }, group: { id: 'g' }, column_values: [{ id: 'text', type: 'text', text: 'old', value: '"old"' }] }
+          ]
+        }
+      })
+    };
+    jest.spyOn(executor.operations.item, 'createItem').mockResolvedValue({ success: true, item: { id: '900' } });
+    jest.spyOn(executor.operations.item, 'updateItem').mockResolvedValue({ success: true });
+    jest.spyOn(executor.operations.item, 'deleteItem').mockResolvedValue({ success: true });
+    jest.spyOn(executor.operations.bulk, 'bulkUpdate').mockResolvedValue({
+      success: false,
+      results: [{ itemId: '1', success: true }],
+      errors: [{ itemId: '2', error: 'Column not found' }],
+      error: '1 item failed'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('compensations come from the operation modules', () => {
+    expect(executor.operations.item).toBeInstanceOf(ItemOperations);
+    expect(executor.operations.board).toBeInstanceOf(BoardOperations);
+    expect(executor.operations.bulk).toBeInstanceOf(BulkOperations);
+    expect([...executor.compensations.keys()]).toEqual(expect.arrayContaining([
+      'create_item', 'update_item', 'move_item', 'delete_item',
+      'create_board', 'add_column', 'add_group', 'delete_board',
+      'assign_user', 'remove_user', 'bulk_update'
+    ]));
+  });
+
+  test('rolls back earlier mutations and partial bulk changes on failure', async () => {
+    const batch = await executor.executeBatch([
+      { type: 'create_item', parameters: { boardId: '123', itemName: 'Kickoff' } },
+      { type: 'bulk_update', parameters: { itemIds: ['1', '2'], columnValues: { text: 'new' } } },
+      { type: 'create_item', parameters: { boardId: '123', itemName: 'Never created' } }
+    ], context, { allOrNothing: true });
+
+    expect(batch.success).toBe(false);
+    expect(batch.rolledBack).toBe(true);
+    expect(batch.summary.skipped).toBe(1);
+    expect(executor.operations.item.createItem).toHaveBeenCalledTimes(1);
+
+    expect(batch.rollback.status).toBe('rolled_back');
+    expect(batch.rollback.steps.map(s => s.type)).toEqual(['bulk_update', 'create_item']);
+    expect(executor.operations.item.updateItem).toHaveBeenCalledWith('123', '1', { text: 'old' }, { timezone: null });
+    expect(executor.operations.item.deleteItem).toHaveBeenCalledWith('900', { confirmed: true, archive: true });
+
+    // Rolled back work is not left on the undo stack
+    expect(await undoHistory.nextUndo(context)).toBeNull();
+  });
+
+  test('reports mutations that cannot be compensated', async () => {
+    jest.spyOn(executor.operations.board, 'createBoard').mockResolvedValue({ success: true, board: { id: '55' } });
+    jest.spyOn(executor.operations.board, 'deleteBoard').mockResolvedValue({ success: true });
+    jest.spyOn(executor.operations.automation, 'createAutomation').mockResolvedValue({ success: true });
+
+    const batch = await executor.executeBatch([
+      { type: 'create_board', parameters: { boardName: 'Roadmap' } },
+      { type: 'create_automation', parameters: { boardId: '55' } },
+      { type: 'delete_item', parameters: {} }
+    ], context, { allOrNothing: true });
+
+    expect(batch.rollback.status).toBe('partially_rolled_back');
+    expect(batch.rollback.compensated).toBe(1);
+    expect(batch.rollback.irreversible).toBe(1);
+    expect(batch.rollback.steps[0]).toMatchObject({ type: 'create_automation', status: 'irreversible' });
+    expect(executor.operations.board.deleteBoard).toHaveBeenCalledWith('55', { confirmed: true, archive: true });
+  });
+
+  test('keeps transactions of concurrent requests apart', async () => {
+    const first = executor.beginTransaction(context);
+    const second = executor.beginTransaction(context);
+
+    await executor.execute(
+      { type: 'create_item', parameters: { boardId: '123', itemName: 'One' } },
+      { ...context, transaction: first }
+    );
+
+    expect(first.steps).toHaveLength(1);
+    expect(second.steps).toHaveLength(0);
+
+    const report = await second.rollback();
+    expect(report.steps).toEqual([]);
+    expect(executor.operations.item.deleteItem).not.toHaveBeenCalled();
+  });
+});
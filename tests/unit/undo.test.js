@@ -0,0 +1,147 @@
+const operationJournal = require('../../services/operation-journal');
+const undoHistory = require('../../services/undo-history');
+const UndoService = require('../../services/undo');
+const confirmations = require('../../services/confirmations');
+const OperationExecutor = jest.requireActual('../../services/operation-executor');
+
+const context = { accountId: 1, userId: 7 };
+
+const itemSnapshot = {
+  id: '100',
+  name: 'Launch plan',
+  board: { id: '123' },
+  group: { id: 'topics', title: 'Topics' },
+  column_values: [
+    { id: 'status', type: 'status', text: 'Working on it', value: '{"index":0}' },
+    { id: 'text', type: 'text', text: 'Draft', value: '"Draft"' },
+    { id: 'formula', type: 'formula', text: '3', value: null }
+  ]
+};
+
+describe('Undo service', () => {
+  let executor;
+  let undoService;
+  let items;
+
+  beforeEach(() => {
+    operationJournal.store.clearMemory();
+    undoHistory.store.clearMemory();
+
+    executor = new OperationExecutor();
+    executor.snapshots.client = {
+      api: jest.fn().mockResolvedValue({ data: { items: [itemSnapshot] } })
+    };
+
+    items = {
+      createItem: jest.fn(async (boardId, groupId, itemName) => ({
+        success: true,
+        item: { id: '200', name: itemName }
+      })),
+      updateItem: jest.fn().mockResolvedValue({ success: true }),
+      deleteItem: jest.fn().mockResolvedValue({ success: true })
+    };
+    executor.operations.item = items;
+
+    undoService = new UndoService(executor);
+  });
+
+  test('reverts an update with the captured pre-image and redoes it', async () => {
+    const updatedSnapshot = {
+      ...itemSnapshot,
+      column_values: [{ id: 'status', type: 'status', text: 'Done', value: '{"index":1}' }]
+    };
+    executor.snapshots.client.api
+      .mockResolvedValueOnce({ data: { items: [itemSnapshot] } })
+      .mockResolvedValueOnce({ data: { items: [updatedSnapshot] } });
+
+    await executor.execute({
+      type: 'update_item',
+      parameters: { boardId: '123', itemId: '100', columnValues: { status: 'Done' } }
+    }, context);
+
+    const undo = await undoService.undo(context);
+    expect(undo.success).toBe(true);
+    expect(items.updateItem).toHaveBeenLastCalledWith('123', '100', { status: { label: 'Working on it' } }, { timezone: null });
+
+    const redo = await undoService.redo(context);
+    expect(redo.success).toBe(true);
+    expect(items.updateItem).toHaveBeenLastCalledWith('123', '100', { status: { label: 'Done' } }, { timezone: null });
+
+    expect((await undoService.redo(context)).code).toBe('NOTHING_TO_REDO');
+  });
+
+  test('recreates a deleted item from its snapshot', async () => {
+    const operation = { type: 'delete_item', parameters: { itemId: '100' } };
+    const { token } = await confirmations.issue(operation, context);
+    await executor.execute({ ...operation, parameters: { itemId: '100', confirmationToken: token } }, context);
+
+    const undo = await undoService.undo(context);
+
+    expect(undo.success).toBe(true);
+    expect(items.createItem).toHaveBeenCalledWith('123', 'topics', 'Launch plan', {
+      status: { label: 'Working on it' },
+      text: 'Draft'
+    });
+
+    // Redoing the delete targets the recreated item
+    await undoService.redo(context);
+    expect(items.deleteItem).toHaveBeenLastCalledWith('200', { confirmed: true, archive: true });
+  });
+
+  test('undoes every operation of one request as a unit, newest first', async () => {
+    const requestContext = { ...context, requestId: 'req_1' };
+
+    await executor.execute({
+      type: 'create_item',
+      parameters: { boardId: '123', itemName: 'Kickoff' }
+    }, requestContext);
+    await executor.execute({
+      type: 'update_item',
+      parameters: { boardId: '123', itemId: '100', columnValues: { text: 'Final' } }
+    }, requestContext);
+
+    const undo = await undoService.undo(context);
+
+    expect(undo.entryId).toBe('req_1');
+    expect(undo.results.map(r => r.type)).toEqual(['update_item', 'delete_item']);
+    expect(items.deleteItem).toHaveBeenCalledWith('200', { confirmed: true, archive: true });
+    expect((await undoService.undo(context)).code).toBe('NOTHING_TO_UNDO');
+  });
+
+  test('discards the redo stack when new work is recorded', async () => {
+    await executor.execute({
+      type: 'create_item',
+      parameters: { boardId: '123', itemName: 'First' }
+    }, context);
+    await undoService.undo(context);
+
+    await executor.execute({
+      type: 'create_item',
+      parameters: { boardId: '123', itemName: 'Second' }
+    }, context);
+
+    expect((await undoService.redo(context)).code).toBe('NOTHING_TO_REDO');
+  });
+
+  test('records a request again after it was undone', async () => {
+    const create = itemName => executor.execute({
+      type: 'create_item',
+      parameters: { boardId: '123', itemName }
+    }, { ...context, requestId: 'req_1' });
+
+    await create('First');
+    await undoService.undo(context);
+    const insert = jest.spyOn(undoHistory.store, 'create');
+    await create('Second');
+
+    // The undone entry is reset rather than inserted a second time
+    expect(insert).not.toHaveBeenCalled();
+    const [entry] = await undoHistory.list(context);
+    expect(entry).toEqual(expect.objectContaining({ entryId: 'req_1', state: 'done', undoneAt: null }));
+    expect(entry.steps).toHaveLength(1);
+    expect((await undoService.redo(context)).code).toBe('NOTHING_TO_REDO');
+
+    await undoService.undo(context);
+    expect(items.deleteItem).toHaveBeenCalledTimes(2);
+  });
+});
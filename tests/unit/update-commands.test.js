@@ -0,0 +1,169 @@
+const UpdateCommandService = require('../../services/update-commands');
+const confirmations = require('../../services/confirmations');
+
+const board = {
+  id: '123',
+  name: 'Roadmap',
+  columns: [
+    { id: 'status', title: 'Status', type: 'status' },
+    { id: 'owner', title: 'Owner', type: 'people' }
+  ],
+  groups: [{ id: 'done', title: 'Done' }]
+};
+
+const users = [{ id: '8', name: 'Sarah Chen', email: 'sarah@example.com' }];
+
+// create_update webhook data for a post by user 7 on item 55
+const posted = (body, overrides = {}) => ({
+  update_id: '1001',
+  item_id: '55',
+  board_id: '123',
+  user_id: '7',
+  account_id: '1',
+  body,
+  ...overrides
+});
+
+describe('Update commands', () => {
+  let client;
+  let interpreter;
+  let executor;
+  let replyId;
+
+  const service = () => new UpdateCommandService(executor, {
+    interpreter,
+    client,
+    contextService: { gatherContext: jest.fn().mockResolvedValue({ boards: [board], users }) },
+    mentionHandle: 'AIWorkflow'
+  });
+
+  const replies = () => client.api.mock.calls
+    .filter(([query]) => /create_update/.test(query))
+    .map(([, variables]) => variables);
+
+  beforeEach(async () => {
+    await service().pendingConfirmations.removeWhere({});
+    confirmations.store.clearMemory();
+
+    replyId = 2000;
+    client = {
+      api: jest.fn(async query => {
+        if (/create_update/.test(query)) {
+          return { data: { create_update: { id: String(++replyId) } } };
+        }
+        return { data: { items: [{ id: '55', name: 'Launch', board: { id: '123' }, group: { id: 'topics' }, column_values: [] }] } };
+      })
+    };
+    interpreter = { detectMultipleOperations: jest.fn() };
+    executor = {
+      executeBatch: jest.fn(async operations => ({
+        success: true,
+        batchId: 'op_1',
+        results: operations.map(() => ({ success: true }))
+      }))
+    };
+  });
+
+  test('finds the command after the app mention', () => {
+    const commands = service();
+
+    expect(commands.extractCommand('<p>@AIWorkflow: move this to Done&nbsp;&amp; assign Sarah</p>'))
+      .toBe('move this to Done & assign Sarah');
+    expect(commands.extractCommand('Please @aiworkflow, mark it Stuck')).toBe('Please mark it Stuck');
+    expect(commands.extractCommand('email me at someone@AIWorkflow.com')).toBeNull();
+    expect(commands.extractCommand('@AIWorkflowBot do it')).toBeNull();
+    expect(commands.extractCommand('@AIWorkflow')).toBeNull();
+  });
+
+  test('runs a command on its item and answers in the thread', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'ITEM_UPDATE', confidence: 90, parameters: { targetGroupName: 'Done' } },
+      { operation: 'USER_ASSIGN', confidence: 90, parameters: { userName: 'Sarah' } }
+    ]);
+    const commands = service();
+
+    const outcome = await commands.handleUpdate({}, posted('@AIWorkflow move this to Done and assign Sarah', {
+      parent_id: '900'
+    }));
+
+    expect(outcome).toEqual(expect.objectContaining({ handled: true, executed: true, success: true }));
+    expect(interpreter.detectMultipleOperations)
+      .toHaveBeenCalledWith('move this to Done and assign Sarah', expect.objectContaining({ currentBoard: board }));
+    expect(executor.executeBatch).toHaveBeenCalledWith([
+      { type: 'move_item', parameters: { itemId: '55', targetGroupId: 'done' } },
+      { type: 'assign_user', parameters: { itemId: '55', userId: '8', columnId: 'owner' } }
+    ], expect.objectContaining({ accountId: '1', userId: '7', requestId: 'update_1001' }), { allOrNothing: true });
+
+    // Replies go to the top of the thread the command was posted in
+    const [reply] = replies();
+    expect(reply.itemId).toBe('55');
+    expect(reply.parentId).toBe('900');
+    expect(reply.body).toBe('<p>Done: moved to Done</p><p>Done: assigned Sarah Chen</p>' +
+      '<p>Use undo in the app to revert these changes.</p>');
+
+    // Our own reply arrives as a create_update event too
+    expect(await commands.handleUpdate({ type: 'create_update', updateId: '2001', pulseId: '55', textBody: reply.body }))
+      .toEqual({ handled: false, reason: 'own_reply' });
+    expect(await commands.handleUpdate({}, posted('Thanks!'))).toEqual({ handled: false, reason: 'no_command' });
+  });
+
+  test('asks instead of guessing when the command is unclear', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'USER_ASSIGN', confidence: 90, parameters: { userName: 'Nobody' } },
+      { operation: 'ERROR', confidence: 0, clarifyingQuestions: ['Which status should it get?'] }
+    ]);
+
+    const outcome = await service().handleUpdate({}, posted('@AIWorkflow assign Nobody and fix the status'));
+
+    expect(outcome.questions).toEqual(['User "Nobody" could not be found', 'Which status should it get?']);
+    expect(executor.executeBatch).not.toHaveBeenCalled();
+    expect(replies()[0].parentId).toBe('1001');
+  });
+
+  test('holds destructive commands until their author confirms, across restarts', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'ITEM_DELETE', confidence: 95, parameters: {} }
+    ]);
+
+    const held = await service().handleUpdate({}, posted('@AIWorkflow delete this'));
+    expect(held).toEqual(expect.objectContaining({ handled: true, executed: false, awaitingConfirmation: true }));
+    expect(executor.executeBatch).not.toHaveBeenCalled();
+    expect(replies()[0].body).toMatch(/Reply "@AIWorkflow confirm" within 10 minutes/);
+
+    // Another user cannot confirm it
+    const restarted = service();
+    expect(await restarted.handleUpdate({}, posted('@AIWorkflow confirm', { update_id: '1002', user_id: '9' })))
+      .toEqual({ handled: true, executed: false, reason: 'nothing_to_confirm' });
+
+    const confirmed = await restarted.handleUpdate({}, posted('@AIWorkflow confirm', { update_id: '1003' }));
+    expect(confirmed).toEqual(expect.objectContaining({ handled: true, executed: true }));
+
+    const [[operations]] = executor.executeBatch.mock.calls;
+    expect(operations).toEqual([{
+      type: 'delete_item',
+      parameters: { itemId: '55', confirmationToken: expect.any(String) }
+    }]);
+    await expect(confirmations.verify(operations[0].parameters.confirmationToken, operations[0], { userId: '7' }))
+      .resolves.toEqual(expect.objectContaining({ operationType: 'delete_item' }));
+    expect(replies().pop().body).toBe('<p>Done: deleted this item</p><p>Use undo in the app to revert these changes.</p>');
+
+    // A confirmation runs the command once
+    expect((await restarted.handleUpdate({}, posted('@AIWorkflow confirm', { update_id: '1004' }))).reason)
+      .toBe('nothing_to_confirm');
+    expect(executor.executeBatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not run a held command once its tokens have expired', async () => {
+    interpreter.detectMultipleOperations.mockResolvedValue([
+      { operation: 'ITEM_DELETE', confidence: 95, parameters: {} }
+    ]);
+    const commands = service();
+
+    await commands.handleUpdate({}, posted('@AIWorkflow delete this'));
+    await commands.pendingConfirmations.update('55:7', { expiresAt: new Date(Date.now() - 1000) });
+
+    expect((await commands.handleUpdate({}, posted('@AIWorkflow confirm', { update_id: '1002' }))).reason)
+      .toBe('nothing_to_confirm');
+    expect(executor.executeBatch).not.toHaveBeenCalled();
+  });
+});
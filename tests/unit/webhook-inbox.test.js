@@ -0,0 +1,156 @@
+const WebhookInbox = require('../../services/webhook-inbox');
+
+const body = (overrides = {}) => ({
+  event: { type: 'change_column_value', triggerUuid: 'evt-1', boardId: 123, pulseId: 55, ...overrides },
+  data: {}
+});
+
+describe('Webhook inbox', () => {
+  let handler;
+  let inbox;
+
+  beforeEach(() => {
+    handler = jest.fn().mockResolvedValue(undefined);
+    inbox = new WebhookInbox(handler, { maxAttempts: 3, retryDelay: 1000, maxRetryDelay: 1500, processingTimeout: 60000 });
+  });
+
+  afterEach(() => {
+    inbox.stop();
+  });
+
+  test('stores each event once and counts redeliveries', async () => {
+    const first = await inbox.receive(body());
+    expect(first.duplicate).toBe(false);
+    expect(first.entry).toEqual(expect.objectContaining({
+      eventId: 'evt-1',
+      type: 'change_column_value',
+      boardId: '123',
+      itemId: '55',
+      status: 'received'
+    }));
+
+    const again = await inbox.receive(body());
+    expect(again.duplicate).toBe(true);
+    expect((await inbox.inspect('evt-1')).duplicates).toBe(1);
+
+    // Without a trigger UUID the payload itself identifies the event
+    const unnamed = { event: { type: 'create_item', pulseId: 56 } };
+    expect(inbox.eventIdFor(unnamed)).toMatch(/^sha256:/);
+    expect(inbox.eventIdFor(unnamed)).toBe(inbox.eventIdFor({ event: { type: 'create_item', pulseId: 56 } }));
+    expect(inbox.eventIdFor(unnamed)).not.toBe(inbox.eventIdFor({ event: { type: 'create_item', pulseId: 57 } }));
+
+    await inbox.process('evt-1');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(body());
+    expect((await inbox.receive(body())).entry.status).toBe('processed');
+    await inbox.process('evt-1');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries failures with exponential backoff and dead-letters them at the last attempt', async () => {
+    handler.mockRejectedValue(new Error('monday.com is down'));
+    await inbox.receive(body());
+
+    const startedAt = Date.now();
+    const first = await inbox.process('evt-1');
+    expect(first).toEqual(expect.objectContaining({ status: 'failed', attempts: 1, lastError: 'monday.com is down' }));
+    expect(first.nextAttemptAt.getTime() - startedAt).toBeGreaterThanOrEqual(1000);
+    expect(first.nextAttemptAt.getTime() - startedAt).toBeLessThan(1500);
+    expect(inbox.timers.has('evt-1')).toBe(true);
+
+    // The second delay doubles, up to maxRetryDelay
+    const second = await inbox.process('evt-1');
+    expect(second.attempts).toBe(2);
+    expect(second.nextAttemptAt.getTime() - Date.now()).toBeGreaterThan(1400);
+    expect(second.nextAttemptAt.getTime() - Date.now()).toBeLessThanOrEqual(1500);
+
+    const last = await inbox.process('evt-1');
+    expect(last.status).toBe('dead_lettered');
+    expect(last.failures.map(failure => failure.attempt)).toEqual([1, 2, 3]);
+
+    const [deadLetter] = await inbox.listDeadLetters();
+    expect(deadLetter).toEqual(expect.objectContaining({
+      eventId: 'evt-1',
+      attempts: 3,
+      lastError: 'monday.com is down',
+      payload: body()
+    }));
+
+    // Dead-lettered events are not retried
+    await inbox.process('evt-1');
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  test('picks up due retries and events whose processing lease ran out', async () => {
+    await inbox.receive(body());
+    await inbox.receive(body({ triggerUuid: 'evt-2' }));
+    await inbox.receive(body({ triggerUuid: 'evt-3' }));
+    await inbox.receive(body({ triggerUuid: 'evt-4' }));
+
+    const past = new Date(Date.now() - 120000);
+    await inbox.inbox.update('evt-1', { status: 'failed', attempts: 1, nextAttemptAt: past });
+    // Left behind by a crash mid-attempt
+    await inbox.inbox.update('evt-2', { status: 'processing', attempts: 1, startedAt: past });
+    // Still within its lease
+    await inbox.inbox.update('evt-3', { status: 'processing', attempts: 1, startedAt: new Date() });
+    // Never picked up
+    await inbox.inbox.update('evt-4', { receivedAt: past });
+
+    await inbox.retryDue();
+
+    expect(handler.mock.calls.map(([payload]) => payload.event.triggerUuid).sort()).toEqual(['evt-1', 'evt-2', 'evt-4']);
+    expect(await inbox.inspect('evt-2')).toEqual(expect.objectContaining({ status: 'processed', attempts: 2 }));
+    expect((await inbox.inspect('evt-3')).status).toBe('processing');
+  });
+
+  test('processes an event once when two instances share the store', async () => {
+    const other = new WebhookInbox(handler, { maxAttempts: 3, processingTimeout: 60000 });
+    other.inbox = inbox.inbox;
+
+    await inbox.receive(body());
+    const outcomes = await Promise.all([inbox.process('evt-1'), other.process('evt-1')]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(outcomes.filter(Boolean)).toEqual([expect.objectContaining({ status: 'processed', attempts: 1 })]);
+
+    // An expired lease is taken over by one sweep only
+    await inbox.inbox.update('evt-1', { status: 'processing', startedAt: new Date(Date.now() - 120000) });
+    await Promise.all([inbox.retryDue(), other.retryDue()]);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await inbox.inspect('evt-1')).toEqual(expect.objectContaining({ status: 'processed', attempts: 2 }));
+    other.stop();
+  });
+
+  test('replays failed, dead-lettered and stuck events', async () => {
+    handler.mockRejectedValue(new Error('Invalid column'));
+    await inbox.receive(body());
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await inbox.process('evt-1');
+    }
+    expect((await inbox.inspect('evt-1')).deadLetter).not.toBeNull();
+
+    handler.mockResolvedValue(undefined);
+    const replayed = await inbox.replay('evt-1');
+    expect(replayed).toEqual(expect.objectContaining({ status: 'processed', attempts: 1 }));
+    expect(replayed.replayedAt.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(await inbox.listDeadLetters()).toEqual([]);
+
+    // A 'processing' status left by a restart does not block the replay
+    await inbox.receive(body({ triggerUuid: 'evt-2' }));
+    await inbox.inbox.update('evt-2', { status: 'processing', attempts: 1, startedAt: new Date() });
+    expect((await inbox.replay('evt-2')).status).toBe('processed');
+
+    // An attempt running in this process does
+    await inbox.receive(body({ triggerUuid: 'evt-3' }));
+    let finish;
+    handler.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+    const running = inbox.process('evt-3');
+    await new Promise(resolve => setImmediate(resolve));
+    await expect(inbox.replay('evt-3')).rejects.toThrow('Webhook evt-3 is currently being processed');
+    finish();
+    expect((await running).status).toBe('processed');
+
+    expect(await inbox.replay('unknown')).toBeNull();
+  });
+});
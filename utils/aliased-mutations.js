@@ -0,0 +1,72 @@
+// utils/aliased-mutations.js
+
+/**
+ * Several mutations in one GraphQL request
+ *
+ * Each mutation gets its own alias (m0, m1, ...), so one request replaces
+ * many and a failure of one mutation does not hide the results of the
+ * others: monday.com reports the alias of a failed mutation as the first
+ * segment of the error's path.
+ *
+ *   const { mutation, aliases } = buildAliasedMutation('BulkUpdate', types, fields);
+ *   const outcomes = splitAliasedResponse(await client.request(mutation, variables), aliases);
+ */
+
+/**
+ * Combine mutation fields into one document, each under its own alias
+ * @param {string} name - Operation name
+ * @param {object} variableTypes - { variable: 'GraphQL type' } of every variable the fields use
+ * @param {Array<string>} fields - Mutation fields, e.g. 'archive_item(item_id: $item0) { id }'
+ * @returns {{ mutation: string, aliases: Array<string> }}
+ */
+function buildAliasedMutation(name, variableTypes, fields) {
+  const aliases = fields.map((_, index) => `m${index}`);
+  const declarations = Object.entries(variableTypes)
+    .map(([variable, type]) => `$${variable}: ${type}`)
+    .join(', ');
+
+  const mutation = `
+    mutation ${name}${declarations ? `(${declarations})` : ''} {
+      ${fields.map((field, index) => `${aliases[index]}: ${field}`).join('\n      ')}
+    }
+  `;
+
+  return { mutation, aliases };
+}
+
+/**
+ * Split the response of an aliased mutation into one outcome per alias
+ * An alias without data or error of its own fails with the request's error.
+ * @param {object} response - Response body ({ data, errors })
+ * @param {Array<string>} aliases - Aliases from buildAliasedMutation
+ * @returns {Array<{ alias: string, data: *, error: string|null }>}
+ */
+function splitAliasedResponse(response, aliases) {
+  const aliasErrors = new Map();
+  let requestError = null;
+
+  for (const error of response?.errors || []) {
+    const alias = error.path?.[0];
+    if (aliases.includes(alias)) {
+      aliasErrors.set(alias, error.message);
+    } else {
+      requestError = requestError || error.message;
+    }
+  }
+
+  return aliases.map(alias => {
+    const data = response?.data?.[alias] ?? null;
+    if (aliasErrors.has(alias)) {
+      return { alias, data, error: aliasErrors.get(alias) };
+    }
+    if (!data) {
+      return { alias, data, error: requestError || 'Mutation returned no result' };
+    }
+    return { alias, data, error: null };
+  });
+}
+
+module.exports = {
+  buildAliasedMutation,
+  splitAliasedResponse
+};
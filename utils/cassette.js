@@ -0,0 +1,260 @@
+// utils/cassette.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'cassettes');
+
+/**
+ * Record/replay harness for LLM and monday.com API calls
+ *
+ * In record mode every intercepted call is performed and its request and
+ * response are written to <dir>/<name>.json when the cassette is ejected.
+ * In replay mode calls are answered from that file without touching the
+ * network; a request that was not recorded (for example because a prompt
+ * template changed) throws a CASSETTE_DRIFT error showing where it differs
+ * from the closest recording.
+ *
+ *   insertCassette('interpreter-create-item');
+ *   await interpreter.interpret('Create a task called Launch', context);
+ *   ejectCassette();
+ *
+ * The mode defaults to AI_CASSETTE_MODE (record | replay), then replay.
+ */
+class Cassette {
+  /**
+   * @param {string} name - Cassette file name without extension
+   * @param {object} [options]
+   * @param {string} [options.mode] - 'record' or 'replay'
+   * @param {string} [options.dir] - Directory holding cassette files
+   */
+  constructor(name, {
+    mode = process.env.AI_CASSETTE_MODE || 'replay',
+    dir = process.env.AI_CASSETTE_DIR || DEFAULT_DIR
+  } = {}) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown cassette mode "${mode}"`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+    this.file = path.join(dir, `${name}.json`);
+    this.interactions = [];
+    this.played = new Map();
+    this.drifts = [];
+
+    if (mode === 'replay') {
+      this.load();
+    }
+  }
+
+  /**
+   * Answer a call from the cassette, or perform and record it
+   * @param {string} kind - 'llm' or 'monday'
+   * @param {object} request - Everything that determines the response
+   * @param {Function} perform - async () => response; the real call
+   * @returns {Promise<*>} Response
+   */
+  async intercept(kind, request, perform) {
+    const key = requestKey(kind, request);
+
+    if (this.mode === 'record') {
+      try {
+        const response = await perform();
+        this.interactions.push({ kind, key, request, response });
+        return response;
+      } catch (error) {
+        this.interactions.push({
+          kind,
+          key,
+          request,
+          error: { message: error.message, status: error.status, code: error.code }
+        });
+        throw error;
+      }
+    }
+
+    return this.replay(kind, key, request);
+  }
+
+  /**
+   * Recorded interactions that were never replayed
+   * @returns {Array<object>}
+   */
+  unused() {
+    return this.interactions.filter(interaction => !this.played.has(interaction));
+  }
+
+  /**
+   * Write recorded interactions to the cassette file
+   */
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify({
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2)}\n`);
+
+    logger.info('Cassette recorded', { cassette: this.name, interactions: this.interactions.length });
+  }
+
+  /**
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`Cassette "${this.name}" not found at ${this.file}; record it with AI_CASSETTE_MODE=record`);
+    }
+
+    this.interactions = JSON.parse(fs.readFileSync(this.file, 'utf8')).interactions || [];
+  }
+
+  /**
+   * Return the next recording of a request; identical requests replay their
+   * recordings in order and then repeat the last one
+   * @private
+   */
+  replay(kind, key, request) {
+    const matches = this.interactions.filter(i => i.kind === kind && i.key === key);
+
+    if (matches.length === 0) {
+      throw this.driftError(kind, request);
+    }
+
+    const interaction = matches.find(i => !this.played.has(i)) || matches[matches.length - 1];
+    this.played.set(interaction, true);
+
+    if (interaction.error) {
+      const error = new Error(interaction.error.message);
+      error.status = interaction.error.status;
+      error.code = interaction.error.code;
+      throw error;
+    }
+
+    return clone(interaction.response);
+  }
+
+  /**
+   * Describe how a request differs from the closest recording
+   * @private
+   */
+  driftError(kind, request) {
+    const actual = describeRequest(request);
+    const candidates = this.interactions.filter(i => i.kind === kind);
+
+    let message = `Cassette "${this.name}" has no recorded ${kind} request matching this one.`;
+
+    if (candidates.length === 0) {
+      message += ` It contains no ${kind} requests.`;
+    } else {
+      const closest = candidates
+        .map(i => ({ lines: describeRequest(i.request), diff: firstDifference(describeRequest(i.request), actual) }))
+        .sort((a, b) => b.diff - a.diff)[0];
+
+      message += `\nFirst difference from the closest recording, line ${closest.diff + 1}:` +
+        `\n  recorded: ${closest.lines[closest.diff] ?? '<end>'}` +
+        `\n  actual:   ${actual[closest.diff] ?? '<end>'}`;
+    }
+
+    const error = new Error(`${message}\nRe-record with AI_CASSETTE_MODE=record if the change is intended.`);
+    error.code = 'CASSETTE_DRIFT';
+    this.drifts.push(error);
+    return error;
+  }
+}
+
+let current = null;
+
+/**
+ * Make a cassette the active one for intercepted calls
+ * @param {string} name - Cassette name
+ * @param {object} [options] - Cassette options
+ * @returns {Cassette}
+ */
+function insertCassette(name, options) {
+  if (current) {
+    throw new Error(`Cassette "${current.name}" is still inserted`);
+  }
+  current = new Cassette(name, options);
+  return current;
+}
+
+/**
+ * Deactivate the current cassette, saving it when recording
+ * Rethrows the first drift so a mismatch fails the run even when the caller
+ * swallowed the original error.
+ * @returns {Cassette|null} The ejected cassette
+ */
+function ejectCassette() {
+  const cassette = current;
+  current = null;
+
+  if (cassette?.mode === 'record') {
+    cassette.save();
+  }
+  if (cassette?.drifts.length > 0) {
+    throw cassette.drifts[0];
+  }
+  return cassette;
+}
+
+/**
+ * The active cassette, if any
+ * @returns {Cassette|null}
+ */
+function currentCassette() {
+  return current;
+}
+
+/**
+ * Hash identifying a request; GraphQL whitespace does not count as a change
+ * @private
+ */
+function requestKey(kind, request) {
+  const normalized = kind === 'monday' && request.query
+    ? { ...request, query: request.query.replace(/\s+/g, ' ').trim() }
+    : request;
+
+  return crypto.createHash('sha256').update(`${kind}:${stableStringify(normalized)}`).digest('hex');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function describeRequest(request) {
+  return Object.entries(request)
+    .flatMap(([field, value]) => (typeof value === 'string' ? value : JSON.stringify(value))
+      .split('\n')
+      .map(line => `${field}: ${line.trim()}`));
+}
+
+function firstDifference(a, b) {
+  let index = 0;
+  while (index < a.length && index < b.length && a[index] === b[index]) {
+    index++;
+  }
+  return index;
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  Cassette,
+  insertCassette,
+  ejectCassette,
+  currentCassette
+};
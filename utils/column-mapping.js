@@ -0,0 +1,405 @@
+// utils/column-mapping.js
+const { normalizeText, similarity, bestMatch } = require('./fuzzy-match');
+
+/**
+ * Column mapping between two boards
+ *
+ * Source columns are paired with target columns by saved mapping, then by
+ * title similarity among type-compatible columns. Status and dropdown values
+ * are translated between the boards' label sets, and a few compatible types
+ * are coerced (text <-> long_text, numbers -> text, dropdown <-> tags,
+ * date <-> timeline).
+ *
+ * A mapping looks like:
+ *   {
+ *     columns: [{ source, target, match, score, conversion, lossy, note, labels }],
+ *     unmapped: [{ source, reason }],
+ *     unusedTargets: [{ id, title, type }]
+ *   }
+ */
+
+// Similarity needed to pair columns or labels whose titles differ
+const TITLE_THRESHOLD = 0.7;
+const LABEL_THRESHOLD = 0.8;
+
+// Columns whose values are computed by monday.com or reference other items
+const READ_ONLY_TYPES = new Set([
+  'name', 'file', 'formula', 'mirror', 'lookup', 'board_relation', 'dependency',
+  'subtasks', 'auto_number', 'creation_log', 'last_updated', 'item_id', 'button',
+  'progress', 'time_tracking', 'vote', 'doc'
+]);
+
+const LABEL_TYPES = new Set(['status', 'dropdown']);
+
+// Cross-type conversions; same-type columns are copied as they are
+const COERCIONS = {
+  'text>long_text': { conversion: 'text', lossy: false },
+  'long_text>text': { conversion: 'text', lossy: true, note: 'Line breaks are flattened' },
+  'numbers>text': { conversion: 'text', lossy: false },
+  'numbers>long_text': { conversion: 'text', lossy: false },
+  'dropdown>tags': { conversion: 'tags', lossy: false, note: 'Dropdown labels become tags' },
+  'tags>dropdown': { conversion: 'labels', lossy: true, note: 'Tags without a matching dropdown label are dropped' },
+  'date>timeline': { conversion: 'date_to_timeline', lossy: false, note: 'The date becomes the timeline start and end' },
+  'timeline>date': { conversion: 'timeline_to_date', lossy: true, note: 'Only the timeline start is kept' }
+};
+
+/**
+ * Pair source columns with target columns
+ * @param {Array} sourceColumns - Source board columns (id, title, type, settings_str or settings)
+ * @param {Array} targetColumns - Target board columns
+ * @param {object} [options]
+ * @param {object} [options.saved] - Saved mapping: { columns: [{ sourceColumnId, targetColumnId }],
+ *   labels: [{ columnId, from, to }] }; a null targetColumnId skips the column
+ * @returns {object} Mapping
+ */
+function buildColumnMapping(sourceColumns, targetColumns, { saved = null } = {}) {
+  const targets = targetColumns.filter(column => !READ_ONLY_TYPES.has(column.type));
+  const savedColumns = new Map((saved?.columns || []).map(c => [String(c.sourceColumnId), c.targetColumnId ?? null]));
+  const used = new Set();
+  const entries = [];
+  const unmapped = [];
+  const pending = [];
+
+  for (const source of sourceColumns) {
+    if (source.type === 'name') continue;
+
+    if (READ_ONLY_TYPES.has(source.type)) {
+      unmapped.push({ source: columnRef(source), reason: `${source.type} columns cannot be copied` });
+      continue;
+    }
+
+    if (!savedColumns.has(String(source.id))) {
+      pending.push(source);
+      continue;
+    }
+
+    const targetId = savedColumns.get(String(source.id));
+    const target = targets.find(column => String(column.id) === String(targetId));
+    const coercion = target && conversionFor(source.type, target.type);
+
+    if (targetId === null) {
+      unmapped.push({ source: columnRef(source), reason: 'Skipped by the saved mapping' });
+    } else if (!target || used.has(target.id)) {
+      unmapped.push({ source: columnRef(source), reason: `Saved target column ${targetId} is not available` });
+    } else if (!coercion) {
+      unmapped.push({ source: columnRef(source), reason: `Cannot convert ${source.type} to ${target.type}` });
+    } else {
+      used.add(target.id);
+      entries.push(createEntry(source, target, 'saved', 1, coercion, saved));
+    }
+  }
+
+  // Best pairs first; same-type pairs win ties
+  const pairs = [];
+  for (const source of pending) {
+    for (const target of targets) {
+      const coercion = conversionFor(source.type, target.type);
+      const score = similarity(source.title, target.title);
+      if (coercion && score >= TITLE_THRESHOLD) {
+        pairs.push({ source, target, coercion, score });
+      }
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score ||
+    Number(b.source.type === b.target.type) - Number(a.source.type === a.target.type));
+
+  const paired = new Set();
+  for (const { source, target, coercion, score } of pairs) {
+    if (paired.has(source.id) || used.has(target.id)) continue;
+
+    paired.add(source.id);
+    used.add(target.id);
+    entries.push(createEntry(source, target, score === 1 ? 'exact' : 'fuzzy', score, coercion, saved));
+  }
+
+  for (const source of pending.filter(column => !paired.has(column.id))) {
+    const namesake = targets.find(column => normalizeText(column.title) === normalizeText(source.title));
+    unmapped.push({
+      source: columnRef(source),
+      reason: namesake
+        ? `"${namesake.title}" on the target board is a ${namesake.type} column`
+        : 'No matching column on the target board'
+    });
+  }
+
+  const order = new Map(sourceColumns.map((column, index) => [column.id, index]));
+  entries.sort((a, b) => order.get(a.source.id) - order.get(b.source.id));
+  unmapped.sort((a, b) => order.get(a.source.id) - order.get(b.source.id));
+
+  return {
+    columns: entries,
+    unmapped,
+    unusedTargets: targets.filter(column => !used.has(column.id)).map(columnRef)
+  };
+}
+
+/**
+ * Convert one item's column values for the target board
+ * @param {Array} columnValues - Item column_values ({ id, text, value })
+ * @param {object} mapping - Result of buildColumnMapping
+ * @returns {object} { values, tagNames, losses } - values by target column ID in
+ *   the shape formatColumnValue accepts; tag names still need tag IDs
+ */
+function convertColumnValues(columnValues, mapping) {
+  const entries = new Map(mapping.columns.map(entry => [String(entry.source.id), entry]));
+  const values = {};
+  const tagNames = {};
+  const losses = [];
+
+  for (const columnValue of columnValues || []) {
+    const entry = entries.get(String(columnValue.id));
+    if (!entry) continue;
+
+    const { value, tags, lost } = convertColumnValue(columnValue, entry);
+    if (value !== undefined) {
+      values[entry.target.id] = value;
+    }
+    if (tags?.length) {
+      tagNames[entry.target.id] = tags;
+    }
+    if (lost) {
+      losses.push({ columnId: entry.source.id, column: entry.source.title, reason: lost });
+    }
+  }
+
+  return { values, tagNames, losses };
+}
+
+/**
+ * Convert a single column value
+ * @param {object} columnValue - { id, text, value }
+ * @param {object} entry - Mapping entry for the column
+ * @returns {object} { value, tags, lost } - value is undefined when nothing is written
+ */
+function convertColumnValue(columnValue, entry) {
+  const text = columnValue.text || '';
+  const raw = parseJSON(columnValue.value);
+
+  if (raw == null && !text) {
+    return { value: undefined };
+  }
+
+  switch (entry.conversion) {
+  case 'text': {
+    const value = entry.target.type === 'text' ? text.replace(/\s*\n\s*/g, ' ') : text;
+    return { value, lost: value !== text ? 'Line breaks flattened' : null };
+  }
+
+  case 'labels': {
+    const names = entry.source.type === 'status' ? [text] : splitLabels(text);
+    const kept = [];
+    const dropped = [];
+    for (const name of names) {
+      const label = translateLabel(name, entry);
+      if (label) kept.push(label);
+      else dropped.push(name);
+    }
+
+    const lost = dropped.length ? `No target label for ${dropped.map(n => `"${n}"`).join(', ')}` : null;
+    if (kept.length === 0) {
+      return { value: undefined, lost };
+    }
+    return {
+      value: entry.target.type === 'status' ? { label: kept[0] } : { labels: [...new Set(kept)] },
+      lost
+    };
+  }
+
+  case 'tags':
+    return { value: undefined, tags: splitLabels(text) };
+
+  case 'date_to_timeline': {
+    const date = raw?.date || text;
+    return { value: { from: date, to: date } };
+  }
+
+  case 'timeline_to_date':
+    if (!raw?.from) {
+      return { value: undefined, lost: 'Timeline has no start date' };
+    }
+    return {
+      value: { date: raw.from },
+      lost: raw.to && raw.to !== raw.from ? `End date ${raw.to} dropped` : null
+    };
+
+  default:
+    // Same-type copy; plain text values travel as text
+    if (['text', 'long_text', 'numbers'].includes(entry.target.type)) {
+      return { value: text };
+    }
+    return { value: raw ?? text };
+  }
+}
+
+/**
+ * Summarise a mapping before a transfer runs
+ * @param {object} mapping - Result of buildColumnMapping
+ * @param {Array} [items] - Items that would be transferred, to report actual losses
+ * @returns {object} { mapped, lossy, unmapped, unusedTargetColumns }
+ */
+function previewMapping(mapping, items = []) {
+  const itemLosses = new Map();
+  for (const item of items) {
+    for (const loss of convertColumnValues(item.column_values, mapping).losses) {
+      const current = itemLosses.get(loss.columnId) || { items: 0, examples: [] };
+      current.items++;
+      if (current.examples.length < 3) {
+        current.examples.push({ itemId: item.id, itemName: item.name, reason: loss.reason });
+      }
+      itemLosses.set(loss.columnId, current);
+    }
+  }
+
+  const lossy = mapping.columns
+    .filter(entry => entry.lossy || itemLosses.has(entry.source.id))
+    .map(entry => ({
+      column: entry.source.title,
+      columnId: entry.source.id,
+      target: entry.target.title,
+      reason: entry.note || 'Some values cannot be represented on the target board',
+      itemsAffected: itemLosses.get(entry.source.id)?.items || 0,
+      examples: itemLosses.get(entry.source.id)?.examples || []
+    }));
+
+  return {
+    mapped: mapping.columns.map(entry => ({
+      from: entry.source.title,
+      fromId: entry.source.id,
+      to: entry.target.title,
+      toId: entry.target.id,
+      match: entry.match,
+      score: entry.score,
+      conversion: entry.conversion,
+      ...(entry.labels ? { labels: entry.labels } : {})
+    })),
+    lossy,
+    unmapped: mapping.unmapped.map(({ source, reason }) => ({
+      column: source.title,
+      columnId: source.id,
+      type: source.type,
+      reason
+    })),
+    unusedTargetColumns: mapping.unusedTargets.map(column => column.title)
+  };
+}
+
+/**
+ * How a source column type is written to a target column type, or null
+ * @param {string} sourceType
+ * @param {string} targetType
+ * @returns {object|null} { conversion, lossy, note }
+ */
+function conversionFor(sourceType, targetType) {
+  if (sourceType === targetType) {
+    return LABEL_TYPES.has(sourceType)
+      ? { conversion: 'labels', lossy: false }
+      : { conversion: 'copy', lossy: false };
+  }
+  return COERCIONS[`${sourceType}>${targetType}`] || null;
+}
+
+/**
+ * Build a mapping entry, translating labels where needed
+ * @private
+ */
+function createEntry(source, target, match, score, coercion, saved) {
+  const entry = {
+    source: columnRef(source),
+    target: columnRef(target),
+    match,
+    score: Math.round(score * 100) / 100,
+    conversion: coercion.conversion,
+    lossy: coercion.lossy,
+    note: coercion.note || null
+  };
+
+  if (coercion.conversion === 'labels') {
+    const overrides = (saved?.labels || []).filter(l => String(l.columnId) === String(source.id));
+    const targetLabels = columnLabels(target);
+    entry.targetLabels = targetLabels;
+
+    // Tags have no label set of their own; they are matched per value
+    if (LABEL_TYPES.has(source.type)) {
+      entry.labels = translateLabels(columnLabels(source), targetLabels, overrides);
+      const missing = Object.keys(entry.labels).filter(label => entry.labels[label] === null);
+      if (missing.length) {
+        entry.lossy = true;
+        entry.note = `No target label for ${missing.map(label => `"${label}"`).join(', ')}`;
+      }
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Map each source label to a target label (saved, exact, fuzzy) or null
+ * @private
+ */
+function translateLabels(sourceLabels, targetLabels, overrides = []) {
+  const labels = {};
+  for (const label of sourceLabels) {
+    const override = overrides.find(o => o.from === label);
+    labels[label] = override
+      ? (targetLabels.includes(override.to) ? override.to : null)
+      : matchLabel(label, targetLabels);
+  }
+  return labels;
+}
+
+function translateLabel(name, entry) {
+  if (entry.labels && name in entry.labels) {
+    return entry.labels[name];
+  }
+  return matchLabel(name, entry.targetLabels || []);
+}
+
+function matchLabel(label, targetLabels) {
+  const exact = targetLabels.find(t => normalizeText(t) === normalizeText(label));
+  if (exact !== undefined) {
+    return exact;
+  }
+  return bestMatch(label, targetLabels, { threshold: LABEL_THRESHOLD })?.candidate ?? null;
+}
+
+/**
+ * Label names of a status or dropdown column
+ * @private
+ */
+function columnLabels(column) {
+  const settings = column.settings || parseJSON(column.settings_str) || {};
+  const labels = settings.labels;
+
+  if (Array.isArray(labels)) {
+    return labels.map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean);
+  }
+  if (labels && typeof labels === 'object') {
+    return Object.values(labels).filter(Boolean);
+  }
+  return [];
+}
+
+function columnRef(column) {
+  return { id: column.id, title: column.title, type: column.type };
+}
+
+function splitLabels(text) {
+  return text.split(',').map(label => label.trim()).filter(Boolean);
+}
+
+function parseJSON(value) {
+  if (typeof value !== 'string') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  buildColumnMapping,
+  convertColumnValues,
+  convertColumnValue,
+  previewMapping,
+  conversionFor
+};
@@ -0,0 +1,595 @@
+// utils/date-expressions.js
+
+/**
+ * Dates written the way people write them
+ *
+ * Resolves expressions such as "tomorrow at 3pm", "next Friday", "in 2 weeks",
+ * "3 business days from now", "end of Q3", "the 15th", "every other Monday"
+ * and ranges such as "from Monday to the 15th" or "next week". The parser is
+ * deterministic: the same text, timezone and "now" always give the same
+ * dates. Relative expressions count from the user's calendar day in their
+ * timezone, never the server's.
+ *
+ * Conventions:
+ * - Weeks start on Monday; business days are Monday to Friday.
+ * - A weekday, day of month, month or quarter without a year ("Friday",
+ *   "the 15th", "March 3", "Q3") is its next occurrence, today included.
+ *   "next Friday" is the Friday of next week; "last Friday" the most recent
+ *   one before today.
+ * - A period ("next week", "Q3", "March") is a range; as a single date it is
+ *   its first day. "end of", "start of" and "middle of" pick a day in it.
+ * - Times ("at 3pm", "9:30") are wall-clock times in the user's timezone and
+ *   come out in UTC, as monday.com date columns store them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6
+};
+
+const MONTHS = {
+  jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+  may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7,
+  sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10, dec: 11, december: 11
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, other: 2
+};
+
+const SHORTHANDS = {
+  eod: 'today',
+  eow: 'end of this week',
+  eom: 'end of this month',
+  eoq: 'end of this quarter',
+  eoy: 'end of this year'
+};
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const NUMBER_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+const RANGE_SEPARATORS = [
+  /^(?:from|between)\s+(.+?)\s+(?:to|until|till|through|thru|and|-|–)\s+(.+)$/,
+  /^(.+?)\s+(?:to|until|till|through|thru|-|–)\s+(.+)$/
+];
+
+/**
+ * Parse a date expression
+ * @param {string} text - e.g. "next Friday", "from Monday to the 15th"
+ * @param {object} [options]
+ * @param {Date} [options.now] - Moment the expression is relative to
+ * @param {string} [options.timezone] - IANA timezone or "UTC+02:00"; UTC when unknown
+ * @returns {object|null} One of
+ *   { type: 'date', date, time } - time (HH:MM:SS, UTC) only when one was given,
+ *   { type: 'range', from, to },
+ *   { type: 'recurrence', interval, unit, weekday, dayOfMonth, date } - date is the first occurrence,
+ *   or null when the text is not a date
+ */
+function parseDateExpression(text, { now = new Date(), timezone } = {}) {
+  const zone = normalizeTimezone(timezone);
+  const input = normalizeText(text);
+  if (!input) return null;
+
+  const absolute = parseTimestamp(input);
+  if (absolute) return { type: 'date', ...absolute };
+
+  const today = todayIn(zone, now);
+
+  const recurrence = parseRecurrence(input, today);
+  if (recurrence) return recurrence;
+
+  for (const separator of RANGE_SEPARATORS) {
+    const match = input.match(separator);
+    if (!match) continue;
+
+    const from = parseSingle(match[1], today);
+    if (!from) continue;
+
+    // An end that comes round again ("to the 15th") counts from the start
+    let to = parseSingle(match[2], today);
+    if (to && to.end < from.start) {
+      to = parseSingle(match[2], from.start);
+    }
+    if (to && to.end >= from.start) {
+      return { type: 'range', from: isoDay(from.start), to: isoDay(to.end) };
+    }
+  }
+
+  const single = parseSingle(input, today);
+  if (!single) return null;
+
+  if (single.start.getTime() !== single.end.getTime()) {
+    return { type: 'range', from: isoDay(single.start), to: isoDay(single.end) };
+  }
+  if (single.time) {
+    return { type: 'date', ...atTime(single.start, single.time, zone) };
+  }
+  return { type: 'date', date: isoDay(single.start) };
+}
+
+/**
+ * Value of a date column
+ * @param {string|Date|object} value - Expression, Date or { date, time }
+ * @param {object} [options] - { now, timezone }, see parseDateExpression()
+ * @returns {object|null} { date } or { date, time }; ranges give their first
+ *   day and recurrences their first occurrence
+ */
+function resolveDate(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return { date: isoDay(todayIn(normalizeTimezone(options.timezone), value)) };
+  }
+  if (typeof value === 'object') {
+    return value.date ? value : null;
+  }
+
+  const parsed = parseDateExpression(String(value), options);
+  if (!parsed) return null;
+
+  if (parsed.type === 'range') return { date: parsed.from };
+  if (parsed.type === 'recurrence') return { date: parsed.date };
+  return parsed.time ? { date: parsed.date, time: parsed.time } : { date: parsed.date };
+}
+
+/**
+ * Value of a timeline column
+ * @param {string|object} value - Expression or { from, to } of expressions
+ * @param {object} [options] - { now, timezone }, see parseDateExpression()
+ * @returns {object|null} { from, to }; a single day is a one-day timeline
+ */
+function resolveTimeline(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    if (!value.from || !value.to) return null;
+    const from = resolveDate(value.from, options);
+    const to = resolveDate(value.to, options);
+    return from && to ? { from: from.date, to: to.date } : null;
+  }
+
+  if (value instanceof Date) {
+    const day = resolveDate(value, options);
+    return day ? { from: day.date, to: day.date } : null;
+  }
+
+  const parsed = parseDateExpression(String(value), options);
+  if (!parsed || parsed.type === 'recurrence') return null;
+
+  return parsed.type === 'range'
+    ? { from: parsed.from, to: parsed.to }
+    : { from: parsed.date, to: parsed.date };
+}
+
+/**
+ * Timezone of the requesting user
+ * Takes an explicit context.timezone, then the monday.com user's
+ * time_zone_identifier, then the UTC offset in hours the monday.com client
+ * context reports.
+ * @param {object} context - Monday.com or execution context
+ * @returns {string|null} IANA timezone or "UTC+HH:MM", null when unknown
+ */
+function timezoneFor(context = {}) {
+  const named = [context.timezone, context.user?.time_zone_identifier, context.user?.timezone]
+    .find(zone => typeof zone === 'string' && isValidTimezone(zone));
+  if (named) return named;
+
+  const offset = Number(context.user?.timeZoneOffset ?? context.user?.utc_hours_diff);
+  if (context.user && Number.isFinite(offset)) {
+    const minutes = Math.round(Math.abs(offset) * 60);
+    return `UTC${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Expressions
+// ---------------------------------------------------------------------------
+
+/**
+ * A single date or period, as { start, end, time } in UTC-midnight days
+ * @private
+ */
+function parseSingle(text, today) {
+  const { rest, time } = splitTime(text);
+  if (time === null) return null;
+
+  const days = parseDays(SHORTHANDS[rest] || rest, today);
+  if (!days) return null;
+  // A time belongs to a day, not a period
+  if (time && days.start.getTime() !== days.end.getTime()) return null;
+
+  return { ...days, time };
+}
+
+/**
+ * @private
+ */
+function parseDays(text, today) {
+  const single = day => ({ start: day, end: day });
+  let match;
+
+  if (text === '' || text === 'today' || text === 'tonight' || text === 'now') return single(today);
+  if (text === 'tomorrow') return single(addDays(today, 1));
+  if (text === 'yesterday') return single(addDays(today, -1));
+  if (text === 'day after tomorrow' || text === 'the day after tomorrow') return single(addDays(today, 2));
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    return validDay(+match[1], +match[2] - 1, +match[3], single);
+  }
+
+  // US numeric dates, as Date reads them
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return validDay(+match[3], +match[1] - 1, +match[2], single);
+  }
+
+  // Offsets: +3d, -2w
+  if ((match = text.match(/^([+-]\d+)\s*([dwmy])$/))) {
+    return single(shift(today, parseInt(match[1]), { d: 'day', w: 'week', m: 'month', y: 'year' }[match[2]]));
+  }
+
+  // in 2 weeks, 3 business days from now, 2 months ago
+  match = text.match(new RegExp(
+    `^(in\\s+)?(${NUMBER_PATTERN})\\s+(business\\s+|working\\s+|work\\s+)?(day|week|month|year)s?` +
+    '(?:\\s+(from now|from today|later|after today|ago|before today))?$'
+  ));
+  if (match && match[2] !== 'other') {
+    const amount = toNumber(match[2]);
+    const sign = /ago|before/.test(match[5] || '') ? -1 : 1;
+    if (match[3]) {
+      return match[4] === 'day' ? single(addBusinessDays(today, sign * amount)) : null;
+    }
+    return single(shift(today, sign * amount, match[4]));
+  }
+
+  if ((match = text.match(/^(next|previous|last)\s+(business|working|work)\s+day$/))) {
+    return single(addBusinessDays(today, match[1] === 'next' ? 1 : -1));
+  }
+
+  // Friday, this Friday, next Friday, last Friday
+  if ((match = text.match(new RegExp(`^(?:(this|next|last|previous|coming|upcoming)\\s+)?(${WEEKDAY_PATTERN})$`)))) {
+    return single(weekdayFrom(today, WEEKDAYS[match[2]], match[1]));
+  }
+
+  // this week, next month, last quarter
+  if ((match = text.match(/^(?:(this|current|next|last|previous)\s+)?(week|month|quarter|year)$/))) {
+    const offset = { next: 1, last: -1, previous: -1 }[match[1]] || 0;
+    return period(today, match[2], offset);
+  }
+
+  // Q3, Q3 2027
+  if ((match = text.match(/^q([1-4])(?:\s+(\d{4}))?$/))) {
+    const quarter = +match[1] - 1;
+    const year = match[2] ? +match[2]
+      : today.getUTCFullYear() + (quarter < Math.floor(today.getUTCMonth() / 3) ? 1 : 0);
+    return { start: dayOf(year, quarter * 3, 1), end: addDays(dayOf(year, quarter * 3 + 3, 1), -1) };
+  }
+
+  // end of Q3, start of next month, mid-month
+  if ((match = text.match(/^(end|start|beginning|middle|mid)(?:\s+of|-)?\s*(?:the\s+)?(.+)$/))) {
+    const range = parseDays(match[2], today);
+    if (!range) return null;
+    if (match[1] === 'end') return single(range.end);
+    if (match[1] === 'middle' || match[1] === 'mid') {
+      return single(addDays(range.start, Math.floor((range.end - range.start) / DAY_MS / 2)));
+    }
+    return single(range.start);
+  }
+
+  // March, March 2027
+  if ((match = text.match(new RegExp(`^(${MONTH_PATTERN})(?:\\s+(\\d{4}))?$`)))) {
+    const month = MONTHS[match[1]];
+    const year = match[2] ? +match[2] : today.getUTCFullYear() + (month < today.getUTCMonth() ? 1 : 0);
+    return { start: dayOf(year, month, 1), end: addDays(dayOf(year, month + 1, 1), -1) };
+  }
+
+  // March 15, March 15th 2027
+  if ((match = text.match(new RegExp(`^(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`)))) {
+    return monthDay(today, MONTHS[match[1]], +match[2], match[3], single);
+  }
+
+  // 15 March, the 15th of March 2027
+  if ((match = text.match(new RegExp(
+    `^(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})(?:,?\\s+(\\d{4}))?$`
+  )))) {
+    return monthDay(today, MONTHS[match[2]], +match[1], match[3], single);
+  }
+
+  // the 15th, the 15th of next month
+  if ((match = text.match(/^(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)(?:\s+of\s+(this|next)\s+month)?$/))) {
+    const dayOfMonth = +match[1];
+    if (match[2]) {
+      const base = dayOf(today.getUTCFullYear(), today.getUTCMonth() + (match[2] === 'next' ? 1 : 0), 1);
+      return validDay(base.getUTCFullYear(), base.getUTCMonth(), dayOfMonth, single);
+    }
+    const next = nextDayOfMonth(today, dayOfMonth);
+    return next ? single(next) : null;
+  }
+
+  return null;
+}
+
+/**
+ * every day, every other Monday, every 2 weeks, every month on the 15th
+ * @private
+ */
+function parseRecurrence(text, today) {
+  const match = text.match(new RegExp(`^every\\s+(?:(${NUMBER_PATTERN})\\s+)?(.+)$`));
+  if (!match) return null;
+
+  const interval = match[1] ? toNumber(match[1]) : 1;
+  const rule = match[2];
+  const recurrence = (unit, first, extra = {}) => first && {
+    type: 'recurrence',
+    interval,
+    unit,
+    ...extra,
+    date: isoDay(first)
+  };
+  let part;
+
+  if ((part = rule.match(/^(day|week|month|year)s?$/))) {
+    return recurrence(part[1], today);
+  }
+  if (/^(weekday|business day|working day)s?$/.test(rule)) {
+    return recurrence('business_day', addBusinessDays(addDays(today, -1), 1));
+  }
+  if ((part = rule.match(new RegExp(`^(${WEEKDAY_PATTERN})s?$`)))) {
+    const weekday = WEEKDAYS[part[1]];
+    return recurrence('week', weekdayFrom(today, weekday), { weekday });
+  }
+  if ((part = rule.match(/^months?\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?$/))) {
+    const dayOfMonth = +part[1];
+    return recurrence('month', nextDayOfMonth(today, dayOfMonth), { dayOfMonth });
+  }
+
+  return null;
+}
+
+/**
+ * Trailing time of day: "at 3pm", "9:30", "at noon"
+ * @returns {object} { rest, time } - time is undefined without one and null when invalid
+ * @private
+ */
+function splitTime(text) {
+  let match = text.match(/^(.*?)\s*(?:\bat\s+)?\b(noon|midday|midnight)$/);
+  if (match) {
+    return { rest: match[1], time: match[2] === 'midnight' ? { hours: 0, minutes: 0 } : { hours: 12, minutes: 0 } };
+  }
+
+  match = text.match(/^(.*?)\s*(?:\bat\s+)?\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/) ||
+    text.match(/^(.*?)\s*\bat\s+(\d{1,2})(?::(\d{2}))?()$/) ||
+    text.match(/^(.*?)\s+(\d{1,2}):(\d{2})()$/);
+  if (!match) return { rest: text, time: undefined };
+
+  let hours = +match[2];
+  const minutes = match[3] ? +match[3] : 0;
+  if (match[4]) {
+    if (hours < 1 || hours > 12) return { rest: text, time: null };
+    hours = (hours % 12) + (match[4] === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return { rest: text, time: null };
+
+  return { rest: match[1].trim(), time: { hours, minutes } };
+}
+
+/**
+ * ISO timestamps; with a zone they are absolute, without one they are the
+ * user's wall-clock time and left to the expression parser
+ * @private
+ */
+function parseTimestamp(text) {
+  const match = text.match(/^(\d{4}-\d{2}-\d{2})[t ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(z|[+-]\d{2}:?\d{2})$/);
+  if (!match) return null;
+
+  const instant = new Date(`${match[1]}T${match[2]}${match[3].toUpperCase()}`);
+  if (isNaN(instant.getTime())) return null;
+
+  const iso = instant.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+}
+
+/**
+ * @private
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/[.!?]+$/, '')
+    .trim()
+    .replace(/^(?:(?:due|on|by)\s+)+/, '')
+    // "2025-03-01T10:00" without a zone is a wall-clock time
+    .replace(/^(\d{4}-\d{2}-\d{2})t(\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?$/, '$1 at $2');
+}
+
+// ---------------------------------------------------------------------------
+// Calendar arithmetic on days held as UTC midnights
+// ---------------------------------------------------------------------------
+
+function dayOf(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function isoDay(day) {
+  return day.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return new Date(day.getTime() + days * DAY_MS);
+}
+
+function addMonths(day, months) {
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth() + months;
+  // Clamp to the last day of shorter months
+  const lastDay = dayOf(year, month + 1, 0).getUTCDate();
+  return dayOf(year, month, Math.min(day.getUTCDate(), lastDay));
+}
+
+function shift(day, amount, unit) {
+  if (unit === 'day') return addDays(day, amount);
+  if (unit === 'week') return addDays(day, amount * 7);
+  if (unit === 'month') return addMonths(day, amount);
+  return addMonths(day, amount * 12);
+}
+
+function isBusinessDay(day) {
+  const weekday = day.getUTCDay();
+  return weekday !== 0 && weekday !== 6;
+}
+
+function addBusinessDays(day, amount) {
+  const step = amount < 0 ? -1 : 1;
+  let result = day;
+  for (let remaining = Math.abs(amount); remaining > 0;) {
+    result = addDays(result, step);
+    if (isBusinessDay(result)) remaining--;
+  }
+  return result;
+}
+
+function startOfWeek(day) {
+  return addDays(day, -((day.getUTCDay() + 6) % 7));
+}
+
+function weekdayFrom(today, weekday, qualifier) {
+  if (qualifier === 'next') {
+    return addDays(startOfWeek(addDays(today, 7)), (weekday + 6) % 7);
+  }
+  if (qualifier === 'last' || qualifier === 'previous') {
+    return addDays(today, -(((today.getUTCDay() - weekday + 6) % 7) + 1));
+  }
+  return addDays(today, (weekday - today.getUTCDay() + 7) % 7);
+}
+
+function period(today, unit, offset) {
+  if (unit === 'week') {
+    const start = addDays(startOfWeek(today), offset * 7);
+    return { start, end: addDays(start, 6) };
+  }
+
+  const months = { month: 1, quarter: 3, year: 12 }[unit];
+  const first = Math.floor(today.getUTCMonth() / months) * months + offset * months;
+  const start = dayOf(today.getUTCFullYear(), first, 1);
+  return { start, end: addDays(dayOf(today.getUTCFullYear(), first + months, 1), -1) };
+}
+
+function nextDayOfMonth(today, dayOfMonth) {
+  if (dayOfMonth < 1 || dayOfMonth > 31) return null;
+
+  // Months without that day are passed over ("the 31st" in September)
+  for (let offset = 0; offset <= 12; offset++) {
+    const candidate = dayOf(today.getUTCFullYear(), today.getUTCMonth() + offset, dayOfMonth);
+    if (candidate.getUTCDate() === dayOfMonth && candidate >= today) return candidate;
+  }
+  return null;
+}
+
+function monthDay(today, month, dayOfMonth, year, single) {
+  if (year) return validDay(+year, month, dayOfMonth, single);
+
+  for (const candidateYear of [today.getUTCFullYear(), today.getUTCFullYear() + 1]) {
+    const result = validDay(candidateYear, month, dayOfMonth, single);
+    if (result && result.start >= today) return result;
+  }
+  return null;
+}
+
+function validDay(year, month, dayOfMonth, single) {
+  const day = dayOf(year, month, dayOfMonth);
+  return day.getUTCMonth() === ((month % 12) + 12) % 12 && day.getUTCDate() === dayOfMonth ? single(day) : null;
+}
+
+function toNumber(word) {
+  return /^\d+$/.test(word) ? parseInt(word) : NUMBER_WORDS[word];
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// ---------------------------------------------------------------------------
+// Timezones
+// ---------------------------------------------------------------------------
+
+function isValidTimezone(zone) {
+  if (/^utc[+-]\d{1,2}(?::?\d{2})?$/i.test(zone)) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeTimezone(zone) {
+  return zone && isValidTimezone(zone) ? zone : 'UTC';
+}
+
+/**
+ * Minutes a timezone is ahead of UTC at an instant
+ * @private
+ */
+function offsetMinutes(zone, instant) {
+  const fixed = zone.match(/^utc([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (fixed) {
+    return (fixed[1] === '-' ? -1 : 1) * (parseInt(fixed[2]) * 60 + parseInt(fixed[3] || '0'));
+  }
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The user's calendar day at an instant
+ * @private
+ */
+function todayIn(zone, instant) {
+  const local = new Date(instant.getTime() + offsetMinutes(zone, instant) * 60000);
+  return dayOf(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+}
+
+/**
+ * UTC date and time of a wall-clock time on a day in a timezone
+ * @private
+ */
+function atTime(day, { hours, minutes }, zone) {
+  const wallClock = day.getTime() + (hours * 60 + minutes) * 60000;
+  // The offset at the guess can differ from the one at the result across DST changes
+  let instant = new Date(wallClock - offsetMinutes(zone, new Date(wallClock)) * 60000);
+  instant = new Date(wallClock - offsetMinutes(zone, instant) * 60000);
+
+  const iso = instant.toISOString();
+  return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
+}
+
+module.exports = {
+  parseDateExpression,
+  resolveDate,
+  resolveTimeline,
+  timezoneFor
+};
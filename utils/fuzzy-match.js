@@ -0,0 +1,85 @@
+// utils/fuzzy-match.js
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Similarity of two strings between 0 and 1
+ * The better of edit-distance similarity and word overlap, so both typos
+ * ("Stauts") and reordered or extra words ("Due date" / "Date due") score high.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const edit = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+  const overlap = shared / new Set([...leftWords, ...rightWords]).size;
+
+  return Math.max(edit, overlap);
+}
+
+/**
+ * Best scoring candidate at or above a threshold
+ * @param {string} text - Text to match
+ * @param {Array} candidates - Candidates
+ * @param {object} [options]
+ * @param {Function} [options.key] - Candidate => string to compare
+ * @param {number} [options.threshold] - Minimum similarity
+ * @returns {{ candidate: *, score: number }|null}
+ */
+function bestMatch(text, candidates, { key = c => c, threshold = 0.75 } = {}) {
+  let best = null;
+  for (const candidate of candidates) {
+    const score = similarity(text, key(candidate));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { candidate, score };
+    }
+  }
+  return best;
+}
+
+// Edit distance counting adjacent transpositions ("Stauts") as one edit
+function editDistance(a, b) {
+  const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+
+  for (let i = 1; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+module.exports = {
+  normalizeText,
+  similarity,
+  bestMatch
+};
@@ -0,0 +1,675 @@
+// utils/item-criteria.js
+
+/**
+ * Criteria language for selecting board items
+ *
+ * Criteria are a tree of { and: [...] }, { or: [...] }, { not: node } and
+ * comparisons { field, operator, value }. `field` is "name", "group" or a
+ * column ID or title. They can also be written as text:
+ *
+ *   status = Done AND (due < today OR priority > 5) AND NOT group = "Archive"
+ *   owner contains me AND name contains "launch"
+ *
+ * compileCriteria() pushes what monday.com can filter on to items_page
+ * query_params and returns the rest to be evaluated with matchesCriteria().
+ *
+ * Values: "me" is the requesting user; "today", "tomorrow", "yesterday" and
+ * offsets such as "+3d" or "-2w" are dates relative to now.
+ */
+
+const OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'in', 'not_in',
+  'gt', 'gte', 'lt', 'lte', 'empty', 'not_empty'];
+
+const SYMBOLS = {
+  '=': 'equals',
+  '==': 'equals',
+  'is': 'equals',
+  '!=': 'not_equals',
+  '<>': 'not_equals',
+  'is not': 'not_equals',
+  '>': 'gt',
+  '>=': 'gte',
+  '<': 'lt',
+  '<=': 'lte',
+  'contains': 'contains',
+  'not contains': 'not_contains',
+  'does not contain': 'not_contains',
+  'in': 'in',
+  'not in': 'not_in',
+  'is empty': 'empty',
+  'is not empty': 'not_empty'
+};
+
+// Operators for negated server rules
+const NEGATED_RULES = {
+  any_of: 'not_any_of',
+  not_any_of: 'any_of',
+  is_empty: 'is_not_empty',
+  is_not_empty: 'is_empty',
+  contains_text: 'not_contains_text',
+  not_contains_text: 'contains_text'
+};
+
+const RANGE_RULES = { gt: 'greater_than', gte: 'greater_than_or_equals', lt: 'lower_than', lte: 'lower_than_or_equals' };
+
+const OPTION_KEYS = ['deleteFromSource', 'mode', 'limit'];
+
+/**
+ * Parse the text form of the language
+ * @param {string} text - e.g. 'status = Done AND owner contains me'
+ * @returns {object} Criteria tree
+ */
+function parseCriteria(text) {
+  const parser = new Parser(tokenize(text));
+  const tree = parser.parseOr();
+
+  if (!parser.done()) {
+    throw new Error(`Unexpected "${parser.peek().value}" in criteria`);
+  }
+  return tree;
+}
+
+/**
+ * Turn any accepted criteria form into a tree
+ * Accepts text, a tree, { filter: tree|text } and shorthand objects such as
+ * { status: 'Done', group: 'This week' }. Option keys like deleteFromSource
+ * and mode are ignored.
+ * @param {string|object} criteria
+ * @returns {object|null} Criteria tree, or null to match every item
+ */
+function normalizeCriteria(criteria) {
+  if (criteria === null || criteria === undefined || criteria === '') {
+    return null;
+  }
+  if (typeof criteria === 'string') {
+    return parseCriteria(criteria);
+  }
+  if (Array.isArray(criteria)) {
+    return criteria.length ? { and: criteria.map(normalizeCriteria).filter(Boolean) } : null;
+  }
+  if (criteria.filter !== undefined || criteria.where !== undefined) {
+    return normalizeCriteria(criteria.filter ?? criteria.where);
+  }
+  if (criteria.and) return { and: criteria.and.map(normalizeCriteria).filter(Boolean) };
+  if (criteria.or) return { or: criteria.or.map(normalizeCriteria).filter(Boolean) };
+  if (criteria.not) return { not: normalizeCriteria(criteria.not) };
+
+  if (criteria.field) {
+    const operator = SYMBOLS[criteria.operator] || criteria.operator || 'equals';
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown criteria operator "${criteria.operator}"`);
+    }
+    return { field: criteria.field, operator, value: criteria.value };
+  }
+
+  const conditions = Object.entries(criteria)
+    .filter(([key, value]) => !OPTION_KEYS.includes(key) && value !== undefined)
+    .map(([field, value]) => ({ field, operator: Array.isArray(value) ? 'in' : 'equals', value }));
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { and: conditions };
+}
+
+/**
+ * Compile criteria to items_page query_params
+ * @param {object|null} tree - Normalized criteria
+ * @param {object} board - Board with columns (incl. settings_str) and groups
+ * @param {object} [options] - { userId, users, now }
+ * @returns {object} { queryParams, residual }; residual still has to be
+ *   checked with matchesCriteria, queryParams is null when nothing compiled
+ */
+function compileCriteria(tree, board, options = {}) {
+  if (!tree) {
+    return { queryParams: null, residual: null };
+  }
+
+  if (tree.or) {
+    const rules = tree.or.map(node => compileRule(node, board, options));
+    return rules.every(Boolean)
+      ? { queryParams: { rules, operator: 'or' }, residual: null }
+      : { queryParams: null, residual: tree };
+  }
+
+  // Conjuncts monday.com can filter on go to the server; the rest stay local
+  const conjuncts = tree.and || [tree];
+  const rules = [];
+  const residual = [];
+
+  for (const node of conjuncts) {
+    const rule = compileRule(node, board, options);
+    if (rule) {
+      rules.push(rule);
+    } else {
+      residual.push(node);
+    }
+  }
+
+  return {
+    queryParams: rules.length ? { rules, operator: 'and' } : null,
+    residual: residual.length === 0 ? null : residual.length === 1 ? residual[0] : { and: residual }
+  };
+}
+
+/**
+ * Evaluate criteria against an item
+ * @param {object} item - Item with name, group and column_values ({ id, text, value })
+ * @param {object|null} tree - Normalized criteria
+ * @param {object} [options] - { board, userId, users, now }
+ * @returns {boolean}
+ */
+function matchesCriteria(item, tree, options = {}) {
+  if (!tree) return true;
+  if (tree.and) return tree.and.every(node => matchesCriteria(item, node, options));
+  if (tree.or) return tree.or.some(node => matchesCriteria(item, node, options));
+  if (tree.not) return !matchesCriteria(item, tree.not, options);
+
+  return matchesComparison(item, tree, options);
+}
+
+/**
+ * Items matching criteria
+ * @param {Array<object>} items
+ * @param {object|null} tree
+ * @param {object} [options] - See matchesCriteria
+ * @returns {Array<object>}
+ */
+function filterItems(items, tree, options = {}) {
+  return tree ? items.filter(item => matchesCriteria(item, tree, options)) : items;
+}
+
+/**
+ * Resolve a relative date value to YYYY-MM-DD
+ * @param {string|Date} value - "today", "+3d", "2026-01-31", ...
+ * @param {Date} [now]
+ * @returns {string|null}
+ */
+function resolveDate(value, now = new Date()) {
+  if (value instanceof Date) return isoDate(value);
+
+  const text = String(value ?? '').trim().toLowerCase();
+  const offsets = { today: 0, tomorrow: 1, yesterday: -1 };
+
+  if (text in offsets) {
+    return isoDate(addDays(now, offsets[text]));
+  }
+
+  const relative = text.match(/^([+-]\d+)\s*([dw])$/);
+  if (relative) {
+    return isoDate(addDays(now, parseInt(relative[1]) * (relative[2] === 'w' ? 7 : 1)));
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.slice(0, 10);
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : isoDate(parsed);
+}
+
+// ---------------------------------------------------------------------------
+// Compilation
+// ---------------------------------------------------------------------------
+
+function compileRule(node, board, options) {
+  if (node.not) {
+    const inner = compileRule(node.not, board, options);
+    return inner && NEGATED_RULES[inner.operator]
+      ? { ...inner, operator: NEGATED_RULES[inner.operator] }
+      : null;
+  }
+  if (!node.field || !board) return null;
+
+  const { operator, value } = node;
+  const target = resolveField(node.field, board);
+
+  if (operator === 'empty' || operator === 'not_empty') {
+    if (target.kind !== 'column') return null;
+    return { column_id: target.column.id, compare_value: [], operator: operator === 'empty' ? 'is_empty' : 'is_not_empty' };
+  }
+
+  if (target.kind === 'name') {
+    if (operator === 'contains') return { column_id: 'name', compare_value: [String(value)], operator: 'contains_text' };
+    if (operator === 'not_contains') return { column_id: 'name', compare_value: [String(value)], operator: 'not_contains_text' };
+    return null;
+  }
+
+  if (target.kind === 'group') {
+    const ids = listOf(value).map(v => findGroup(v, board)?.id);
+    if (ids.some(id => !id) || !['equals', 'in', 'not_equals', 'not_in'].includes(operator)) return null;
+    return { column_id: 'group', compare_value: ids, operator: operator.startsWith('not') ? 'not_any_of' : 'any_of' };
+  }
+
+  if (target.kind !== 'column') return null;
+  const { column } = target;
+
+  switch (column.type) {
+  case 'status':
+  case 'color': {
+    if (!['equals', 'in', 'not_equals', 'not_in'].includes(operator)) return null;
+    const labels = statusLabels(column);
+    const indexes = listOf(value).map(label => labels[String(label).toLowerCase()]);
+    if (indexes.some(index => index === undefined)) return null;
+    return { column_id: column.id, compare_value: indexes, operator: operator.startsWith('not') ? 'not_any_of' : 'any_of' };
+  }
+
+  case 'numbers': {
+    const number = Number(value);
+    if (!RANGE_RULES[operator] || isNaN(number)) return null;
+    return { column_id: column.id, compare_value: [number], operator: RANGE_RULES[operator] };
+  }
+
+  case 'date': {
+    const date = resolveDate(value, options.now);
+    if (!date) return null;
+    if (operator === 'equals') return { column_id: column.id, compare_value: ['EXACT', date], operator: 'any_of' };
+    if (!RANGE_RULES[operator]) return null;
+    return { column_id: column.id, compare_value: ['EXACT', date], operator: RANGE_RULES[operator] };
+  }
+
+  case 'people':
+  case 'multiple-person': {
+    if (!['contains', 'equals', 'in', 'not_contains', 'not_equals', 'not_in'].includes(operator)) return null;
+    const ids = listOf(value).map(v => resolveUserId(v, options));
+    if (ids.some(id => !id)) return null;
+    return {
+      column_id: column.id,
+      compare_value: ids.map(id => `person-${id}`),
+      operator: operator.startsWith('not') ? 'not_any_of' : 'any_of'
+    };
+  }
+
+  case 'text':
+  case 'long_text':
+    if (operator === 'contains') return { column_id: column.id, compare_value: [String(value)], operator: 'contains_text' };
+    if (operator === 'not_contains') return { column_id: column.id, compare_value: [String(value)], operator: 'not_contains_text' };
+    return null;
+
+  default:
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function matchesComparison(item, { field, operator, value }, options) {
+  const target = resolveField(field, options.board);
+
+  if (target.kind === 'name') {
+    return compareText(item.name, operator, value);
+  }
+
+  if (target.kind === 'group') {
+    const values = [item.group?.id, item.group?.title].filter(Boolean).map(normalizeText);
+    const wanted = listOf(value).map(normalizeText);
+    const isMember = wanted.some(v => values.includes(v));
+    return operator.startsWith('not') ? !isMember : isMember;
+  }
+
+  const columnId = target.column?.id || field;
+  const cell = (item.column_values || []).find(cv => cv.id === columnId) || {};
+  const type = target.column?.type || cell.type;
+
+  if (operator === 'empty') return isEmptyCell(cell);
+  if (operator === 'not_empty') return !isEmptyCell(cell);
+
+  if (type === 'people' || type === 'multiple-person') {
+    const ids = personIds(cell);
+    const isMatch = listOf(value).some(v => {
+      const userId = resolveUserId(v, options);
+      return userId ? ids.includes(String(userId)) : normalizeText(cell.text).includes(normalizeText(v));
+    });
+    return operator.startsWith('not') ? !isMatch : isMatch;
+  }
+
+  if (type === 'date' || (RANGE_RULES[operator] && resolveDate(value, options.now) && !isNumeric(value))) {
+    const actual = cellDate(cell);
+    const expected = resolveDate(value, options.now);
+    if (!actual || !expected) return operator === 'not_equals';
+    return compareOrdered(actual, expected, operator);
+  }
+
+  if (type === 'numbers' || (RANGE_RULES[operator] && isNumeric(value))) {
+    const actual = parseFloat(cell.text);
+    if (isNaN(actual)) return operator === 'not_equals';
+    return compareOrdered(actual, Number(value), operator);
+  }
+
+  return compareText(cell.text, operator, value);
+}
+
+function compareText(actual, operator, value) {
+  const text = normalizeText(actual);
+  const values = listOf(value).map(normalizeText);
+
+  switch (operator) {
+  case 'equals':
+  case 'in':
+    return values.includes(text);
+  case 'not_equals':
+  case 'not_in':
+    return !values.includes(text);
+  case 'contains':
+    return values.some(v => text.includes(v));
+  case 'not_contains':
+    return !values.some(v => text.includes(v));
+  case 'empty':
+    return text === '';
+  case 'not_empty':
+    return text !== '';
+  default:
+    return compareOrdered(text, values[0], operator);
+  }
+}
+
+function compareOrdered(actual, expected, operator) {
+  switch (operator) {
+  case 'equals':
+  case 'in':
+    return actual === expected;
+  case 'not_equals':
+  case 'not_in':
+    return actual !== expected;
+  case 'gt':
+    return actual > expected;
+  case 'gte':
+    return actual >= expected;
+  case 'lt':
+    return actual < expected;
+  case 'lte':
+    return actual <= expected;
+  default:
+    return false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+function resolveField(field, board) {
+  const name = normalizeText(field);
+  const column = (board?.columns || []).find(c => c.id === field) ||
+    (board?.columns || []).find(c => normalizeText(c.title) === name);
+
+  if (column && column.id !== 'name') return { kind: 'column', column };
+  if (name === 'name' || name === 'item' || name === 'item name') return { kind: 'name' };
+  if (name === 'group') return { kind: 'group' };
+  return { kind: 'column', column };
+}
+
+function findGroup(value, board) {
+  const name = normalizeText(value);
+  return (board.groups || []).find(g => g.id === value || normalizeText(g.title) === name);
+}
+
+function statusLabels(column) {
+  let settings = column.settings_str || column.settings || {};
+  if (typeof settings === 'string') {
+    try {
+      settings = JSON.parse(settings);
+    } catch (error) {
+      settings = {};
+    }
+  }
+
+  const labels = {};
+  for (const [index, label] of Object.entries(settings.labels || {})) {
+    labels[String(label).toLowerCase()] = parseInt(index);
+  }
+  return labels;
+}
+
+function resolveUserId(value, { userId, users = [] } = {}) {
+  if (normalizeText(value) === 'me') return userId ? String(userId) : null;
+  if (isNumeric(value)) return String(value);
+
+  const name = normalizeText(value);
+  const user = users.find(u => normalizeText(u.name) === name || normalizeText(u.email) === name) ||
+    users.find(u => normalizeText(u.name).split(' ')[0] === name);
+  return user ? String(user.id) : null;
+}
+
+function personIds(cell) {
+  try {
+    const parsed = typeof cell.value === 'string' ? JSON.parse(cell.value) : cell.value;
+    return (parsed?.personsAndTeams || []).map(p => String(p.id));
+  } catch (error) {
+    return [];
+  }
+}
+
+function cellDate(cell) {
+  try {
+    const parsed = typeof cell.value === 'string' ? JSON.parse(cell.value) : cell.value;
+    if (parsed?.date) return parsed.date;
+  } catch (error) {
+    // Fall back to the display text
+  }
+  return resolveDate(cell.text) || null;
+}
+
+function isEmptyCell(cell) {
+  const value = typeof cell.value === 'string' ? cell.value.trim() : cell.value;
+  return !normalizeText(cell.text) && (!value || value === '{}' || value === 'null');
+}
+
+function listOf(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeText(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function isNumeric(value) {
+  return value !== '' && value !== null && !isNaN(Number(value));
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function isoDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ---------------------------------------------------------------------------
+// Text syntax
+// ---------------------------------------------------------------------------
+
+const KEYWORDS = ['and', 'or', 'not'];
+const WORD_OPERATORS = Object.keys(SYMBOLS).filter(op => /^[a-z ]+$/.test(op))
+  .sort((a, b) => b.split(' ').length - a.split(' ').length);
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\(|\)|,)|(<=|>=|!=|<>|==|=|<|>)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()=<>!,"']+))/gy;
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null && match[0] !== '') {
+    position = pattern.lastIndex;
+    if (match[1]) tokens.push({ type: 'punct', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'symbol', value: match[2] });
+    else if (match[3] !== undefined || match[4] !== undefined) tokens.push({ type: 'string', value: match[3] ?? match[4] });
+    else tokens.push({ type: 'word', value: match[5] });
+  }
+
+  const rest = text.slice(position).trim();
+  if (rest) {
+    throw new Error(`Unexpected "${rest}" in criteria`);
+  }
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'word' && token.value.toLowerCase() === keyword;
+  }
+
+  parseOr() {
+    const nodes = [this.parseAnd()];
+    while (this.isKeyword('or')) {
+      this.position++;
+      nodes.push(this.parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  }
+
+  parseAnd() {
+    const nodes = [this.parseUnary()];
+    while (this.isKeyword('and')) {
+      this.position++;
+      nodes.push(this.parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  }
+
+  parseUnary() {
+    if (this.isKeyword('not')) {
+      this.position++;
+      return { not: this.parseUnary() };
+    }
+
+    if (this.peek()?.value === '(') {
+      this.position++;
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const fieldWords = [];
+    let operator = null;
+
+    while (!this.done()) {
+      operator = this.matchOperator();
+      if (operator) break;
+
+      const token = this.peek();
+      if (token.type === 'punct') break;
+      fieldWords.push(token.value);
+      this.position++;
+    }
+
+    if (fieldWords.length === 0) {
+      throw new Error('Expected a field name in criteria');
+    }
+    if (!operator) {
+      throw new Error(`Expected an operator after "${fieldWords.join(' ')}"`);
+    }
+
+    const field = fieldWords.join(' ');
+    if (operator === 'empty' || operator === 'not_empty') {
+      return { field, operator };
+    }
+
+    const value = operator === 'in' || operator === 'not_in' ? this.parseList() : this.parseValue();
+    return { field, operator, value };
+  }
+
+  /**
+   * Consume an operator at the current position, longest match first
+   */
+  matchOperator() {
+    const token = this.peek();
+    if (!token) return null;
+
+    if (token.type === 'symbol') {
+      this.position++;
+      return SYMBOLS[token.value];
+    }
+    if (token.type !== 'word') return null;
+
+    for (const phrase of WORD_OPERATORS) {
+      const words = phrase.split(' ');
+      const matches = words.every((word, i) =>
+        this.peek(i)?.type === 'word' && this.peek(i).value.toLowerCase() === word);
+      if (matches) {
+        this.position += words.length;
+        return SYMBOLS[phrase];
+      }
+    }
+    return null;
+  }
+
+  parseValue() {
+    const token = this.peek();
+    if (!token || token.type === 'punct') {
+      throw new Error('Expected a value in criteria');
+    }
+
+    if (token.type === 'string') {
+      this.position++;
+      return token.value;
+    }
+
+    // Unquoted values run until the next keyword or parenthesis
+    const words = [];
+    while (!this.done() && this.peek().type === 'word' &&
+      !KEYWORDS.some(keyword => this.isKeyword(keyword))) {
+      words.push(this.peek().value);
+      this.position++;
+    }
+    if (words.length === 0) {
+      throw new Error('Expected a value in criteria');
+    }
+
+    const value = words.join(' ');
+    return isNumeric(value) ? Number(value) : value;
+  }
+
+  parseList() {
+    if (this.peek()?.value !== '(') {
+      return [this.parseValue()];
+    }
+
+    this.position++;
+    const values = [this.parseValue()];
+    while (this.peek()?.value === ',') {
+      this.position++;
+      values.push(this.parseValue());
+    }
+    this.expect(')');
+    return values;
+  }
+
+  expect(value) {
+    if (this.peek()?.value !== value) {
+      throw new Error(`Expected "${value}" in criteria`);
+    }
+    this.position++;
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  parseCriteria,
+  normalizeCriteria,
+  compileCriteria,
+  matchesCriteria,
+  filterItems,
+  resolveDate
+};
@@ -0,0 +1,156 @@
+// utils/items-pager.js
+
+/**
+ * Cursor pagination over a board's items
+ *
+ * The first page comes from boards { items_page }, the following ones from
+ * next_items_page with the returned cursor, so boards of any size are read
+ * completely. Pacing against the account's complexity budget and retries of
+ * rate-limited pages are left to the client (utils/monday-api.js).
+ *
+ *   for await (const item of iterateItems(client, boardId, { queryParams })) { ... }
+ */
+
+const MAX_PAGE_SIZE = 500;
+
+const DEFAULT_ITEM_FIELDS = `
+  id
+  name
+  group {
+    id
+    title
+  }
+  column_values {
+    id
+    type
+    text
+    value
+  }
+`;
+
+/**
+ * Iterate over pages of items
+ * @param {object} client - Monday API client with api(query, variables) or request(query, variables)
+ * @param {string} boardId - Board ID
+ * @param {object} [options]
+ * @param {object} [options.queryParams] - items_page query_params (rules, operator, order_by)
+ * @param {number} [options.pageSize] - Items per request, at most 500
+ * @param {string} [options.fields] - GraphQL selection for each item
+ * @param {number} [options.maxItems] - Stop after this many items
+ * @returns {AsyncGenerator<object>} { items, cursor, complexity }
+ */
+async function* iterateItemPages(client, boardId, {
+  queryParams = null,
+  pageSize = MAX_PAGE_SIZE,
+  fields = DEFAULT_ITEM_FIELDS,
+  maxItems = Infinity
+} = {}) {
+  const limit = Math.min(pageSize, MAX_PAGE_SIZE);
+  let cursor = null;
+  let fetched = 0;
+  let first = true;
+
+  while (first || cursor) {
+    const pageLimit = Math.min(limit, maxItems - fetched);
+    if (pageLimit <= 0) return;
+
+    const data = await request(client, first
+      ? {
+        query: `
+          query ItemsPage($boardId: [ID!], $limit: Int!, $queryParams: ItemsQuery) {
+            complexity { query after reset_in_x_seconds }
+            boards(ids: $boardId) {
+              items_page(limit: $limit, query_params: $queryParams) {
+                cursor
+                items { ${fields} }
+              }
+            }
+          }
+        `,
+        variables: { boardId: [String(boardId)], limit: pageLimit, queryParams }
+      }
+      : {
+        query: `
+          query NextItemsPage($cursor: String!, $limit: Int!) {
+            complexity { query after reset_in_x_seconds }
+            next_items_page(limit: $limit, cursor: $cursor) {
+              cursor
+              items { ${fields} }
+            }
+          }
+        `,
+        variables: { cursor, limit: pageLimit }
+      });
+
+    let page;
+    if (first) {
+      const board = data.boards?.[0];
+      if (!board) {
+        throw new Error(`Board ${boardId} not found`);
+      }
+      page = board.items_page;
+      first = false;
+    } else {
+      page = data.next_items_page;
+    }
+
+    const items = page?.items || [];
+    cursor = page?.cursor || null;
+    fetched += items.length;
+
+    yield { items, cursor, complexity: data.complexity };
+  }
+}
+
+/**
+ * Iterate over items one at a time
+ * @param {object} client - Monday API client
+ * @param {string} boardId - Board ID
+ * @param {object} [options] - See iterateItemPages
+ * @returns {AsyncGenerator<object>} Items
+ */
+async function* iterateItems(client, boardId, options = {}) {
+  for await (const { items } of iterateItemPages(client, boardId, options)) {
+    yield* items;
+  }
+}
+
+/**
+ * Read every item into an array
+ * @param {object} client - Monday API client
+ * @param {string} boardId - Board ID
+ * @param {object} [options] - See iterateItemPages
+ * @returns {Promise<Array<object>>} Items
+ */
+async function collectItems(client, boardId, options = {}) {
+  const items = [];
+  for await (const page of iterateItemPages(client, boardId, options)) {
+    items.push(...page.items);
+  }
+  return items;
+}
+
+/**
+ * Run a query and return its data
+ * @private
+ */
+async function request(client, { query, variables }) {
+  const response = typeof client.api === 'function'
+    ? await client.api(query, variables)
+    : await client.request(query, variables);
+
+  const error = response.errors?.[0] ||
+    (response.error_message ? { message: response.error_message } : null);
+  if (error) {
+    throw new Error(error.message || 'Monday API request failed');
+  }
+
+  return response.data;
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  iterateItemPages,
+  iterateItems,
+  collectItems
+};
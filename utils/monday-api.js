@@ -0,0 +1,384 @@
+// utils/monday-api.js
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+/**
+ * Shared monday.com API client with a complexity budget per account
+ *
+ * Every query and mutation also selects complexity { query after
+ * reset_in_x_seconds }, so the client knows how much of an account's budget
+ * is left and when it resets, and what each query costs. Calls of an account
+ * wait in one queue: interactive calls go before background calls (bulk
+ * jobs), and a call that still fits the remaining budget moves ahead of one
+ * that has to wait for the reset. Once less than half of the budget is left,
+ * calls are spread over the time until the reset instead of being sent at
+ * once. Rate-limit errors park the account for the retry_in_seconds monday.com
+ * reports and the call is retried.
+ *
+ * The account and priority come from the options of a call, or from
+ * runWithMondayContext around the code making the calls:
+ *
+ *   await runWithMondayContext({ accountId, priority: 'background' }, () => bulkOperations.bulkUpdate(...));
+ */
+
+const PRIORITIES = {
+  interactive: 0,
+  background: 1
+};
+
+// Complexity points per minute and account
+const DEFAULT_BUDGET = 10000000;
+
+// Estimate for a query whose cost has not been seen yet
+const DEFAULT_COST = 1000;
+
+// Share of the budget below which calls are paced until the reset
+const PACING_THRESHOLD = 0.5;
+
+const MAX_ESTIMATES = 500;
+
+const RATE_LIMIT_CODES = [
+  'ComplexityException',
+  'COMPLEXITY_BUDGET_EXHAUSTED',
+  'RATE_LIMIT_EXCEEDED',
+  'maxConcurrencyExceeded'
+];
+
+const COMPLEXITY_FIELD = 'complexity { query after reset_in_x_seconds }';
+
+const mondayContext = new AsyncLocalStorage();
+
+class MondayApiClient {
+  /**
+   * @param {object} options
+   * @param {Function} options.transport - async (query, variables) => response body
+   * @param {number} [options.budget] - Complexity budget per minute
+   * @param {number} [options.concurrency] - Calls in flight per account
+   * @param {number} [options.maxRetries] - Retries of a rate-limited call
+   * @param {Function} [options.now] - () => ms, for tests
+   * @param {Function} [options.sleep] - async (ms) => void, for tests
+   */
+  constructor({
+    transport,
+    budget = DEFAULT_BUDGET,
+    concurrency = 4,
+    maxRetries = 3,
+    now = Date.now,
+    sleep = delay
+  }) {
+    this.transport = transport;
+    this.budgetLimit = budget;
+    this.concurrency = concurrency;
+    this.maxRetries = maxRetries;
+    this.now = now;
+    this.sleep = sleep;
+    this.accounts = new Map();
+    this.estimates = new Map();
+    this.sequence = 0;
+
+    this.api = this.api.bind(this);
+    this.request = this.api;
+  }
+
+  /**
+   * Run a query or mutation once the account's budget allows it
+   * @param {string} query - GraphQL query or mutation
+   * @param {object} [variables]
+   * @param {object} [options]
+   * @param {string} [options.accountId] - Account whose budget is used
+   * @param {string} [options.priority] - 'interactive' or 'background'
+   * @param {number} [options.cost] - Expected complexity, if known
+   * @returns {Promise<object>} Response body ({ data, errors })
+   */
+  api(query, variables = {}, options = {}) {
+    const context = mondayContext.getStore() || {};
+    const accountId = String(options.accountId || context.accountId || 'default');
+    const priority = options.priority || context.priority || 'interactive';
+    const text = withComplexity(query);
+    const shape = queryShape(text);
+
+    const account = this.account(accountId);
+
+    return new Promise((resolve, reject) => {
+      account.queue.push({
+        query: text,
+        variables,
+        shape,
+        cost: options.cost ?? this.estimates.get(shape) ?? DEFAULT_COST,
+        rank: PRIORITIES[priority] ?? PRIORITIES.interactive,
+        sequence: this.sequence++,
+        attempts: 0,
+        resolve,
+        reject
+      });
+
+      // Calls made in the same tick are ordered together
+      queueMicrotask(() => this.pump(accountId));
+    });
+  }
+
+  /**
+   * Budget state of an account
+   * @param {string} accountId
+   * @returns {{ remaining: number|null, resetInSeconds: number, queued: number, inFlight: number }}
+   */
+  budget(accountId = 'default') {
+    const account = this.account(String(accountId));
+    const now = this.now();
+    const fresh = now < account.resetAt;
+
+    return {
+      remaining: fresh ? account.remaining : null,
+      resetInSeconds: fresh ? Math.ceil((account.resetAt - now) / 1000) : 0,
+      queued: account.queue.length,
+      inFlight: account.inFlight
+    };
+  }
+
+  /**
+   * @private
+   */
+  account(accountId) {
+    if (!this.accounts.has(accountId)) {
+      this.accounts.set(accountId, {
+        id: accountId,
+        queue: [],
+        inFlight: 0,
+        reserved: 0,
+        remaining: null,
+        resetAt: 0,
+        blockedUntil: 0,
+        lastSentAt: 0,
+        pumping: false
+      });
+    }
+    return this.accounts.get(accountId);
+  }
+
+  /**
+   * Send queued calls of an account while its budget and concurrency allow
+   * @private
+   */
+  async pump(accountId) {
+    const account = this.account(accountId);
+    if (account.pumping) return;
+    account.pumping = true;
+
+    try {
+      while (account.queue.length > 0 && account.inFlight < this.concurrency) {
+        const wait = this.waitTime(account);
+        if (wait > 0) {
+          await this.sleep(wait);
+          continue;
+        }
+
+        const call = this.nextCall(account);
+        account.queue.splice(account.queue.indexOf(call), 1);
+        account.inFlight++;
+        account.reserved += call.cost;
+        account.lastSentAt = this.now();
+
+        this.send(account, call);
+      }
+    } finally {
+      account.pumping = false;
+    }
+  }
+
+  /**
+   * Milliseconds before the next call of an account may be sent
+   * @private
+   */
+  waitTime(account) {
+    const now = this.now();
+
+    if (account.blockedUntil > now) {
+      return account.blockedUntil - now;
+    }
+
+    // A budget past its reset is full again
+    if (now >= account.resetAt) {
+      account.remaining = null;
+      return 0;
+    }
+
+    const call = this.nextCall(account);
+    if (!call) {
+      return account.resetAt - now;
+    }
+
+    const available = account.remaining - account.reserved;
+    if (available >= this.budgetLimit * PACING_THRESHOLD) {
+      return 0;
+    }
+
+    // Spread what is left over the time until the reset
+    const interval = (account.resetAt - now) * call.cost / Math.max(available, 1);
+    return Math.max(0, Math.min(account.lastSentAt + interval, account.resetAt) - now);
+  }
+
+  /**
+   * Highest-priority call that fits the remaining budget
+   * @private
+   */
+  nextCall(account) {
+    const available = account.remaining === null
+      ? Infinity
+      : account.remaining - account.reserved;
+
+    return [...account.queue]
+      .sort((a, b) => a.rank - b.rank || a.sequence - b.sequence)
+      .find(call => call.cost <= available) || null;
+  }
+
+  /**
+   * @private
+   */
+  async send(account, call) {
+    let response;
+    let failure;
+
+    try {
+      response = await this.transport(call.query, call.variables);
+    } catch (error) {
+      failure = error;
+    } finally {
+      account.inFlight--;
+      account.reserved -= call.cost;
+    }
+
+    const error = failure || responseError(response);
+    const retryIn = error ? rateLimitRetryDelay(error) : null;
+
+    if (retryIn !== null) {
+      const until = this.now() + retryIn * 1000;
+      account.blockedUntil = Math.max(account.blockedUntil, until);
+      account.remaining = 0;
+      account.resetAt = Math.max(account.resetAt, until);
+
+      if (call.attempts < this.maxRetries) {
+        call.attempts++;
+        logger.warn('Monday API rate limit reached; retrying', {
+          accountId: account.id,
+          retryInSeconds: retryIn,
+          attempt: call.attempts
+        });
+        account.queue.push(call);
+      } else {
+        call.reject(rateLimitError(error, retryIn));
+      }
+    } else if (failure) {
+      call.reject(failure);
+    } else {
+      this.record(account, call, response);
+      call.resolve(response);
+    }
+
+    this.pump(account.id);
+  }
+
+  /**
+   * Store the budget and cost reported with a response
+   * @private
+   */
+  record(account, call, response) {
+    const complexity = response?.data?.complexity;
+    if (!complexity) return;
+
+    account.remaining = complexity.after;
+    account.resetAt = this.now() + (complexity.reset_in_x_seconds || 60) * 1000;
+
+    this.estimates.delete(call.shape);
+    this.estimates.set(call.shape, complexity.query);
+    if (this.estimates.size > MAX_ESTIMATES) {
+      this.estimates.delete(this.estimates.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Run fn with the account and priority used by monday.com calls made inside it
+ * @param {object} context - { accountId, priority }
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+function runWithMondayContext(context, fn) {
+  return mondayContext.run({ ...mondayContext.getStore(), ...context }, fn);
+}
+
+/**
+ * Seconds to wait before retrying a rate-limited call, or null for other errors
+ * @param {object} error - Thrown error or GraphQL error
+ * @returns {number|null}
+ */
+function rateLimitRetryDelay(error) {
+  const extensions = error.extensions || error.response?.data?.errors?.[0]?.extensions || {};
+  const code = extensions.code || error.response?.data?.error_code || '';
+  const message = error.message || '';
+
+  const limited = RATE_LIMIT_CODES.includes(code) ||
+    /complexity budget|rate limit/i.test(message) ||
+    error.response?.status === 429;
+  if (!limited) return null;
+
+  const seconds = extensions.retry_in_seconds ??
+    message.match(/reset in (\d+) seconds?/i)?.[1] ??
+    error.response?.headers?.['retry-after'];
+  return Number(seconds) || 60;
+}
+
+/**
+ * First error of a response body, in the current or the legacy format
+ * @private
+ */
+function responseError(response) {
+  if (response?.errors?.length) return response.errors[0];
+  if (response?.error_message) {
+    return { message: response.error_message, extensions: { code: response.error_code } };
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function rateLimitError(cause, retryIn) {
+  const error = new Error(`Monday API rate limit reached; retry in ${retryIn} seconds`);
+  error.code = 'RATE_LIMIT_EXCEEDED';
+  error.status = 429;
+  error.retryInSeconds = retryIn;
+  error.cause = cause;
+  return error;
+}
+
+/**
+ * Add the complexity field to a query or mutation that does not select it
+ * @private
+ */
+function withComplexity(query) {
+  if (/\bcomplexity\s*\{/.test(query)) return query;
+
+  const operation = query.match(/^\s*(?:(?:query|mutation)\b[^{]*)?\{/);
+  if (!operation) return query;
+
+  const at = operation[0].length;
+  return `${query.slice(0, at)} ${COMPLEXITY_FIELD}${query.slice(at)}`;
+}
+
+/**
+ * @private
+ */
+function queryShape(query) {
+  return query.replace(/\s+/g, ' ').trim();
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  PRIORITIES,
+  MondayApiClient,
+  runWithMondayContext,
+  rateLimitRetryDelay
+};
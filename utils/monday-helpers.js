@@ -1,5 +1,6 @@
 // utils/monday-helpers.js
 import { mondayClient } from '../config/monday-client.js';
+import { collectItems } from './items-pager.js';
 
 /**
  * Monday.com API helper utilities
@@ -252,29 +253,24 @@ export async function getStatusLabels(boardId, columnId) {
  */
 export async function searchItems(boardId, searchTerm) {
   try {
-    const query = `
-      query SearchItems($boardId: [ID!]) {
-        boards(ids: $boardId) {
-          items_page(limit: 50) {
-            items {
-              id
-              name
-              group {
-                id
-                title
-              }
-              column_values {
-                id
-                text
-              }
-            }
-          }
+    // Let monday.com match the name so large boards are not read in full
+    const items = await collectItems(mondayClient, boardId, {
+      queryParams: {
+        rules: [{ column_id: 'name', compare_value: [searchTerm], operator: 'contains_text' }]
+      },
+      fields: `
+        id
+        name
+        group {
+          id
+          title
         }
-      }
-    `;
-
-    const result = await mondayClient.request(query, { boardId: [boardId] });
-    const items = result.data.boards[0]?.items_page?.items || [];
+        column_values {
+          id
+          text
+        }
+      `
+    });
 
     // Filter items by search term
     const search = searchTerm.toLowerCase();
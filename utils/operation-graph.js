@@ -0,0 +1,192 @@
+// utils/operation-graph.js
+
+/**
+ * Operation graphs: the steps of a multi-operation request
+ *
+ * A graph is a list of steps { id, operation, parameters, dependsOn }. A
+ * parameter can bind to the output of an earlier step with "{{stepId.field}}",
+ * e.g. { boardId: "{{step1.boardId}}" } to add a column to the board step1
+ * creates. A value that is only a binding takes the output as it is; bindings
+ * inside longer text are replaced by their text.
+ *
+ * Outputs of a step are the IDs of what it created or changed (boardId,
+ * itemId, columnId, groupId, automationId) plus its result, so any field of
+ * the result can be bound by path, e.g. "{{step1.board.name}}".
+ */
+
+const BINDING = /\{\{\s*([\w-]+)\.([\w.]+)\s*\}\}/g;
+const WHOLE_BINDING = /^\{\{\s*([\w-]+)\.([\w.]+)\s*\}\}$/;
+
+/**
+ * Check a graph and order its steps
+ * Steps without an ID are numbered step1, step2, ... Dependencies are the
+ * declared ones plus every step a parameter binds to.
+ * @param {object|Array} graph - { steps } or the steps
+ * @returns {{ steps: Array<object>, order: Array<string> }} Steps with
+ *   complete dependencies and their IDs in execution order
+ * @throws {Error} INVALID_PLAN for unknown or duplicate steps, PLAN_CYCLE for cycles
+ */
+function normalizeGraph(graph) {
+  const rawSteps = Array.isArray(graph) ? graph : graph?.steps;
+  if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+    throw graphError('INVALID_PLAN', 'The plan has no steps');
+  }
+
+  const steps = rawSteps.map((step, index) => ({
+    ...step,
+    id: String(step.id || `step${index + 1}`),
+    parameters: step.parameters || {}
+  }));
+
+  const ids = new Set();
+  for (const step of steps) {
+    if (ids.has(step.id)) {
+      throw graphError('INVALID_PLAN', `Step "${step.id}" appears more than once`);
+    }
+    ids.add(step.id);
+  }
+
+  for (const step of steps) {
+    const dependsOn = new Set([...(step.dependsOn || []).map(String), ...bindingsOf(step.parameters)]);
+
+    for (const dependency of dependsOn) {
+      if (!ids.has(dependency)) {
+        throw graphError('INVALID_PLAN', `Step "${step.id}" depends on unknown step "${dependency}"`);
+      }
+      if (dependency === step.id) {
+        throw graphError('PLAN_CYCLE', `Step "${step.id}" depends on itself`);
+      }
+    }
+    step.dependsOn = [...dependsOn];
+  }
+
+  return { steps, order: topologicalOrder(steps) };
+}
+
+/**
+ * Step IDs in an order where every step follows its dependencies
+ * Independent steps keep the order they were listed in.
+ * @param {Array<object>} steps - Steps with dependsOn
+ * @returns {Array<string>}
+ * @throws {Error} PLAN_CYCLE
+ */
+function topologicalOrder(steps) {
+  const remaining = new Map(steps.map(step => [step.id, new Set(step.dependsOn || [])]));
+  const order = [];
+
+  while (remaining.size > 0) {
+    const ready = steps.find(step => remaining.has(step.id) && remaining.get(step.id).size === 0);
+    if (!ready) {
+      throw graphError('PLAN_CYCLE', `Steps ${[...remaining.keys()].join(', ')} depend on each other`);
+    }
+
+    order.push(ready.id);
+    remaining.delete(ready.id);
+    for (const dependencies of remaining.values()) {
+      dependencies.delete(ready.id);
+    }
+  }
+
+  return order;
+}
+
+/**
+ * IDs of the steps a value binds to
+ * @param {*} value - Parameters or any part of them
+ * @returns {Set<string>}
+ */
+function bindingsOf(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, stepId] of value.matchAll(BINDING)) {
+      found.add(stepId);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(entry => bindingsOf(entry, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(entry => bindingsOf(entry, found));
+  }
+  return found;
+}
+
+/**
+ * Replace bindings with the outputs of earlier steps
+ * @param {*} value - Parameters or any part of them
+ * @param {object} outputs - Outputs by step ID
+ * @returns {*} A copy with every binding replaced
+ * @throws {Error} UNBOUND_REFERENCE when a step has no such output
+ */
+function bindParameters(value, outputs) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_BINDING);
+    if (whole) {
+      return outputFor(outputs, whole[1], whole[2]);
+    }
+    return value.replace(BINDING, (_match, stepId, path) => String(outputFor(outputs, stepId, path)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => bindParameters(entry, outputs));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, bindParameters(entry, outputs)]));
+  }
+  return value;
+}
+
+/**
+ * Outputs of an executed operation
+ * @param {object} result - OperationExecutor result
+ * @returns {object} { boardId, itemId, columnId, groupId, automationId, ...result }
+ */
+function outputsOf(result = {}) {
+  const outputs = { ...result };
+  const entities = {
+    boardId: result.board,
+    itemId: result.item,
+    columnId: result.column,
+    groupId: result.group,
+    automationId: result.automation
+  };
+
+  for (const [key, entity] of Object.entries(entities)) {
+    if (entity?.id !== undefined && entity?.id !== null) {
+      outputs[key] = String(entity.id);
+    }
+  }
+  if (!outputs.boardId && result.item?.board?.id) {
+    outputs.boardId = String(result.item.board.id);
+  }
+
+  return outputs;
+}
+
+/**
+ * @private
+ */
+function outputFor(outputs, stepId, path) {
+  let value = outputs[stepId];
+  for (const key of path.split('.')) {
+    value = value === undefined || value === null ? undefined : value[key];
+  }
+
+  if (value === undefined || value === null) {
+    throw graphError('UNBOUND_REFERENCE', `Step "${stepId}" has no output "${path}"`);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function graphError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  normalizeGraph,
+  topologicalOrder,
+  bindingsOf,
+  bindParameters,
+  outputsOf
+};
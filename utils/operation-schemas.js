@@ -0,0 +1,297 @@
+// utils/operation-schemas.js
+const Joi = require('joi');
+const AI_CONFIG = require('../config/ai');
+
+/**
+ * Tools the model reports interpretations through, and their validation
+ *
+ * Every operation type in AI_CONFIG.operations.types is a tool of its own
+ * whose input is the interpretation of a request as that operation:
+ * confidence, parameters (the type's required and optional ones),
+ * missingInfo, clarifyingQuestions, warnings and alternatives. UNKNOWN is the
+ * tool for requests that are none of them. Plans of several operations are
+ * reported through the plan_operations tool.
+ *
+ * Tool input schemas are JSON Schema for the model; the same shape is
+ * checked with Joi before an interpretation is used, since providers without
+ * native tool use only follow the schema as an instruction.
+ */
+
+const UNKNOWN = 'UNKNOWN';
+const PLAN_TOOL = 'plan_operations';
+
+// What each parameter holds; parameters not listed here take any value
+const PARAMETERS = {
+  boardId: { kind: 'id', description: 'ID of the board, from the context' },
+  boardName: { kind: 'text', description: 'Name of the board when its ID is not known' },
+  itemId: { kind: 'id', description: 'ID of the item, when known' },
+  itemName: { kind: 'text', description: 'Name of the item' },
+  groupId: { kind: 'id', description: 'ID of the group, from the context' },
+  groupName: { kind: 'text', description: 'Title of the group when its ID is not known' },
+  workspaceId: { kind: 'id', description: 'ID of the workspace' },
+  boardKind: { kind: 'text', description: 'public, private or share' },
+  templateId: { kind: 'id', description: 'ID of the template to create the board from' },
+  name: { kind: 'text', description: 'New name' },
+  description: { kind: 'text', description: 'New description' },
+  columnId: { kind: 'id', description: 'ID of the column, from the context' },
+  columnName: { kind: 'text', description: 'Title of the column when its ID is not known' },
+  columnTitle: { kind: 'text', description: 'Title of the new column' },
+  columnType: { kind: 'text', description: 'monday.com column type, e.g. status, date, people, text, numbers' },
+  newTitle: { kind: 'text', description: 'New column title' },
+  columnValues: {
+    kind: 'object',
+    description: 'Values by column ID or title; dates may be expressions such as "next Friday"'
+  },
+  userId: { kind: 'id', description: 'ID of the user, from the context' },
+  userName: { kind: 'text', description: 'Name of the user when their ID is not known' },
+  userEmail: { kind: 'text', description: 'Email of the user' },
+  statusValue: { kind: 'text', description: 'Status label to set' },
+  trigger: { kind: 'rule', description: 'What starts the automation' },
+  action: { kind: 'rule', description: 'What the automation or bulk operation does' },
+  operation: { kind: 'text', description: 'Kind of bulk change: update, move, delete, duplicate or assign' },
+  criteria: { kind: 'rule', description: 'Which items the bulk operation applies to' }
+};
+
+const JSON_KINDS = {
+  id: { type: 'string' },
+  text: { type: 'string' },
+  object: { type: 'object' },
+  rule: {}
+};
+
+const JOI_KINDS = {
+  id: () => Joi.alternatives(Joi.string(), Joi.number()),
+  text: () => Joi.string().allow(''),
+  object: () => Joi.object().unknown(true),
+  rule: () => Joi.alternatives(Joi.object().unknown(true), Joi.array(), Joi.string())
+};
+
+const strings = Joi.array().items(Joi.string()).default([]);
+const stringsSchema = description => ({ type: 'array', items: { type: 'string' }, description });
+const confidenceSchema = { type: 'number', minimum: 0, maximum: 100, description: 'Confidence in the interpretation, 0-100' };
+
+/**
+ * Operation types the model can choose from
+ * @returns {Array<string>}
+ */
+function operationTypes() {
+  return Object.keys(AI_CONFIG.operations.types);
+}
+
+/**
+ * Required and optional parameters of an operation type
+ * @param {string} type
+ * @returns {Array<string>}
+ */
+function parametersOf(type) {
+  const { requiredParams = [], optionalParams = [] } = AI_CONFIG.operations.types[type] || {};
+  return [...new Set([...requiredParams, ...optionalParams])];
+}
+
+/**
+ * Tools for interpreting a request as a single operation
+ * @returns {Array<object>} [{ name, description, inputSchema }]
+ */
+function interpretationTools() {
+  const tools = operationTypes().map(type => {
+    const { requiredParams = [] } = AI_CONFIG.operations.types[type];
+    return {
+      name: type,
+      description: `Report the request as a ${type} operation. Required parameters: ${requiredParams.join(', ')}; ` +
+        'list the ones the request does not give in missingInfo.',
+      inputSchema: interpretationInputSchema(type)
+    };
+  });
+
+  tools.push({
+    name: UNKNOWN,
+    description: 'Report a request that is none of the supported operations, with the questions to ask the user.',
+    inputSchema: interpretationInputSchema(UNKNOWN)
+  });
+
+  return tools;
+}
+
+/**
+ * Tool for planning a request as several dependent operations
+ * @returns {object} { name, description, inputSchema }
+ */
+function planTool() {
+  return {
+    name: PLAN_TOOL,
+    description: 'Report the operations that carry out the request, in order, with the steps each depends on.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Step ID: step1, step2, ...' },
+              operation: { type: 'string', enum: operationTypes() },
+              parameters: {
+                type: 'object',
+                description: 'Parameters of the operation; "{{stepId.field}}" binds the output of an earlier step'
+              },
+              dependsOn: stringsSchema('IDs of the steps this one needs'),
+              confidence: confidenceSchema,
+              description: { type: 'string' }
+            },
+            required: ['id', 'operation', 'parameters']
+          }
+        },
+        confidence: confidenceSchema,
+        clarifyingQuestions: stringsSchema('Questions for the user'),
+        warnings: stringsSchema('Potential issues')
+      },
+      required: ['steps', 'confidence']
+    }
+  };
+}
+
+/**
+ * Check the tool call of an interpretation
+ * @param {object} toolCall - { name, input }
+ * @returns {{ value: object, error: Error|undefined }} value is
+ *   { operation, confidence, parameters, missingInfo, clarifyingQuestions, warnings, alternatives }
+ */
+function validateInterpretation(toolCall) {
+  const known = [...operationTypes(), UNKNOWN];
+  if (!toolCall || !known.includes(toolCall.name)) {
+    return { value: null, error: new Error(`Call one of the tools ${known.join(', ')}`) };
+  }
+
+  return interpretationSchema(toolCall.name).validate(
+    { ...toolCall.input, operation: toolCall.name },
+    { abortEarly: false }
+  );
+}
+
+/**
+ * Check the tool call of a plan
+ * @param {object} toolCall - { name, input }
+ * @returns {{ value: object, error: Error|undefined }} value is
+ *   { steps, confidence, clarifyingQuestions, warnings }
+ */
+function validatePlan(toolCall) {
+  if (!toolCall || toolCall.name !== PLAN_TOOL) {
+    return { value: null, error: new Error(`Call the ${PLAN_TOOL} tool`) };
+  }
+
+  const { value, error } = planSchema().validate(toolCall.input, { abortEarly: false });
+  if (error) return { value, error };
+
+  // Steps without a confidence of their own share the plan's
+  value.steps = value.steps.map(step => ({ ...step, confidence: step.confidence ?? value.confidence }));
+  return { value, error };
+}
+
+/**
+ * @private
+ */
+function interpretationInputSchema(type) {
+  const parameters = type === UNKNOWN ? [] : parametersOf(type);
+
+  return {
+    type: 'object',
+    properties: {
+      confidence: confidenceSchema,
+      parameters: {
+        type: 'object',
+        properties: Object.fromEntries(parameters.map(name => [name, parameterJSONSchema(name)])),
+        description: 'Parameters for the Monday.com API, with IDs from the context where known'
+      },
+      missingInfo: stringsSchema('Required parameters the request does not give'),
+      clarifyingQuestions: stringsSchema('Questions for the user'),
+      warnings: stringsSchema('Potential issues'),
+      alternatives: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            operation: { type: 'string', enum: operationTypes() },
+            reason: { type: 'string' }
+          },
+          required: ['operation']
+        },
+        description: 'Other operations the request could mean'
+      }
+    },
+    required: ['confidence', 'parameters']
+  };
+}
+
+/**
+ * @private
+ */
+function parameterJSONSchema(name) {
+  const parameter = PARAMETERS[name];
+  if (!parameter) return {};
+  return { ...JSON_KINDS[parameter.kind], description: parameter.description };
+}
+
+/**
+ * Parameters of an operation type; others are passed on unchecked
+ * @private
+ */
+function parametersSchema(type) {
+  const keys = Object.fromEntries(parametersOf(type)
+    .filter(name => PARAMETERS[name])
+    .map(name => [name, JOI_KINDS[PARAMETERS[name].kind]()]));
+
+  return Joi.object(keys).unknown(true);
+}
+
+/**
+ * @private
+ */
+function interpretationSchema(type) {
+  return Joi.object({
+    operation: Joi.string().required(),
+    confidence: Joi.number().min(0).max(100).required(),
+    parameters: type === UNKNOWN ? Joi.object().unknown(true).default({}) : parametersSchema(type).required(),
+    missingInfo: strings,
+    clarifyingQuestions: strings,
+    warnings: strings,
+    alternatives: Joi.array().items(Joi.object({
+      operation: Joi.string().valid(...operationTypes(), UNKNOWN).required(),
+      reason: Joi.string().allow('')
+    }).unknown(true)).default([])
+  }).unknown(true);
+}
+
+/**
+ * @private
+ */
+function planSchema() {
+  const types = operationTypes();
+
+  return Joi.object({
+    steps: Joi.array().items(Joi.object({
+      id: Joi.string(),
+      operation: Joi.string().valid(...types).required(),
+      parameters: Joi.when('operation', {
+        switch: types.map(type => ({ is: type, then: parametersSchema(type) })),
+        otherwise: Joi.object().unknown(true)
+      }).default({}),
+      dependsOn: strings,
+      confidence: Joi.number().min(0).max(100),
+      description: Joi.string().allow('')
+    }).unknown(true)).required(),
+    confidence: Joi.number().min(0).max(100).required(),
+    clarifyingQuestions: strings,
+    warnings: strings
+  }).unknown(true);
+}
+
+module.exports = {
+  UNKNOWN,
+  PLAN_TOOL,
+  operationTypes,
+  parametersOf,
+  interpretationTools,
+  planTool,
+  validateInterpretation,
+  validatePlan
+};
@@ -0,0 +1,250 @@
+// utils/persistent-store.js
+const mongoose = require('mongoose');
+
+/**
+ * Key/value document store backed by a mongoose model.
+ *
+ * Reads and writes go to MongoDB while the default connection is open and
+ * to an in-process Map otherwise, so services keep working in tests and in
+ * deployments without MONGODB_URI.
+ */
+class PersistentStore {
+  /**
+   * @param {mongoose.Model} model - Backing model
+   * @param {object} [options]
+   * @param {string} [options.key] - Field used as the document identifier
+   */
+  constructor(model, { key = '_id' } = {}) {
+    this.model = model;
+    this.key = key;
+    this.memory = new Map();
+  }
+
+  /**
+   * Whether documents are currently written to MongoDB
+   */
+  isPersistent() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Insert a new document
+   * @param {object} doc - Document including the key field
+   * @returns {Promise<object>} Stored document
+   */
+  async create(doc) {
+    if (this.isPersistent()) {
+      const created = await this.model.create(doc);
+      return created.toObject();
+    }
+
+    const stored = clone(doc);
+    this.memory.set(String(stored[this.key]), stored);
+    return clone(stored);
+  }
+
+  /**
+   * Fetch a document by key
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    if (this.isPersistent()) {
+      return this.model.findOne({ [this.key]: id }).lean();
+    }
+
+    const doc = this.memory.get(String(id));
+    return doc ? clone(doc) : null;
+  }
+
+  /**
+   * Apply a shallow set of field changes (dotted paths allowed)
+   * @returns {Promise<object|null>} Updated document
+   */
+  async update(id, changes) {
+    if (this.isPersistent()) {
+      return this.model.findOneAndUpdate(
+        { [this.key]: id },
+        { $set: changes },
+        { new: true }
+      ).lean();
+    }
+
+    const doc = this.memory.get(String(id));
+    if (!doc) return null;
+
+    for (const [path, value] of Object.entries(changes)) {
+      setPath(doc, path, clone(value));
+    }
+    return clone(doc);
+  }
+
+  /**
+   * Apply changes only while the document still matches a condition
+   * The check and the write are one step, so of two concurrent callers only
+   * one succeeds.
+   * @param {string} id - Document key
+   * @param {object} condition - Filter the document must match (see find)
+   * @param {object} changes - Field changes (dotted paths allowed)
+   * @returns {Promise<object|null>} Updated document, or null when it did not match
+   */
+  async updateIf(id, condition, changes) {
+    if (this.isPersistent()) {
+      return this.model.findOneAndUpdate(
+        { ...condition, [this.key]: id },
+        { $set: changes },
+        { new: true }
+      ).lean();
+    }
+
+    const doc = this.memory.get(String(id));
+    if (!doc || !matches(doc, condition)) return null;
+
+    for (const [path, value] of Object.entries(changes)) {
+      setPath(doc, path, clone(value));
+    }
+    return clone(doc);
+  }
+
+  /**
+   * Find documents matching a filter
+   * Supports equality on (dotted) fields and $in, $nin, $ne, $lt, $lte, $gt, $gte.
+   * @param {object} filter
+   * @param {object} [options]
+   * @param {object} [options.sort] - e.g. { createdAt: -1 }
+   * @param {number} [options.limit]
+   * @returns {Promise<Array>}
+   */
+  async find(filter = {}, { sort = null, limit = 0 } = {}) {
+    if (this.isPersistent()) {
+      let query = this.model.find(filter);
+      if (sort) query = query.sort(sort);
+      if (limit) query = query.limit(limit);
+      return query.lean();
+    }
+
+    let results = [...this.memory.values()].filter(doc => matches(doc, filter));
+
+    if (sort) {
+      const [[field, direction]] = Object.entries(sort);
+      results.sort((a, b) => {
+        const left = getPath(a, field);
+        const right = getPath(b, field);
+        if (left === right) return 0;
+        return (left > right ? 1 : -1) * direction;
+      });
+    }
+
+    if (limit) {
+      results = results.slice(0, limit);
+    }
+
+    return results.map(clone);
+  }
+
+  /**
+   * Remove a document by key
+   * @returns {Promise<boolean>} Whether a document was removed
+   */
+  async remove(id) {
+    if (this.isPersistent()) {
+      const result = await this.model.deleteOne({ [this.key]: id });
+      return result.deletedCount > 0;
+    }
+
+    return this.memory.delete(String(id));
+  }
+
+  /**
+   * Remove all documents matching a filter
+   * @returns {Promise<number>} Number of removed documents
+   */
+  async removeWhere(filter) {
+    if (this.isPersistent()) {
+      const result = await this.model.deleteMany(filter);
+      return result.deletedCount;
+    }
+
+    let removed = 0;
+    for (const [id, doc] of this.memory.entries()) {
+      if (matches(doc, filter)) {
+        this.memory.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Drop all in-memory documents (has no effect on MongoDB)
+   */
+  clearMemory() {
+    this.memory.clear();
+  }
+}
+
+/**
+ * Evaluate a mongo-style filter against a plain document
+ * @private
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([path, condition]) => {
+    const value = getPath(doc, path);
+
+    if (condition && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+        case '$in': return operand.some(o => equals(value, o));
+        case '$nin': return !operand.some(o => equals(value, o));
+        case '$ne': return !equals(value, operand);
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$exists': return (value !== undefined) === !!operand;
+        default: return false;
+        }
+      });
+    }
+
+    return equals(value, condition);
+  });
+}
+
+function equals(value, expected) {
+  if (value instanceof Date && expected instanceof Date) {
+    return value.getTime() === expected.getTime();
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(v => equals(v, expected));
+  }
+  if (value === expected) return true;
+  if (value == null || expected == null) return false;
+  if (typeof value === 'object' || typeof expected === 'object') return false;
+
+  // IDs arrive as both strings and numbers from monday.com
+  return String(value) === String(expected);
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((current, part) => (current == null ? undefined : current[part]), doc);
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  let current = doc;
+  for (const part of parts) {
+    if (current[part] == null || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  }
+  current[last] = value;
+}
+
+function clone(value) {
+  if (value === undefined) return undefined;
+  return structuredClone(value);
+}
+
+module.exports = PersistentStore;